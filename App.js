@@ -29,10 +29,16 @@ import {
 } from "./src/services/audioService";
 import { sendAudioToTranscriptionAPIAlternative as sendAudioToTranscriptionAPI } from "./src/services/transcriptionService";
 import {
-  buildExpenseRecordFromTranscript,
+  buildExpenseRecordsFromTranscript,
+  isLowConfidenceField,
+  resolveCardChoice,
   loadConfigLists,
   refreshConfigLists,
 } from "./src/services/parsingLogic";
+import {
+  buildExpenseRecordFromNaturalSpeech,
+  usesKeywordGrammar,
+} from "./src/services/naturalLanguageParser";
 import {
   appendExpenseRecordToSheet,
   configureGoogleSignIn,
@@ -42,39 +48,225 @@ import {
   getCurrentUser,
   setSpreadsheetId,
   getSpreadsheetId,
+  fetchExpenseRecords,
 } from "./src/services/googleSheetsService";
 import {
   getAccountNames,
   getExpenseCategories,
   saveAccountNames,
   saveExpenseCategories,
+  getAccountAliases,
+  getCategoryAliases,
+  saveAccountAliases,
+  saveCategoryAliases,
   resetToDefaults,
   initializeDefaults,
   getRecordingMode,
   saveRecordingMode,
+  getFuzzyMatchThreshold,
+  saveFuzzyMatchThreshold,
+  getTriggerKeywords,
+  saveTriggerKeywords,
+  getHomeCurrency,
+  saveHomeCurrency,
+  getExchangeRates,
+  saveExchangeRates,
+  getIncomeCategories,
+  saveIncomeCategories,
+  getIncomeSheetName,
+  saveIncomeSheetName,
+  getTransferSheetName,
+  saveTransferSheetName,
+  getSalesTaxRate,
+  saveSalesTaxRate,
+  getTags,
+  saveTags,
+  getLocale,
+  saveLocale,
+  getLanguage,
+  saveLanguage,
+  getRules,
+  saveRules,
+  getClassifierModel,
+  saveClassifierModel,
+  getCustomFields,
+  saveCustomFields,
+  getLlmExtraction,
+  saveLlmExtraction,
 } from "./src/services/configService";
+import { formatRateTable, parseRateTable } from "./src/services/currency";
+import { filterRecords, summarizeRecords } from "./src/services/summaries";
+import { LOCALES } from "./src/services/locale";
+import { AUTO_LANGUAGE, LANGUAGE_PACKS } from "./src/services/languagePacks";
+import { applyRules, describeRule, parseRule } from "./src/services/rules";
+import {
+  describeCustomField,
+  formatCustomField,
+  parseCustomField,
+} from "./src/services/customFields";
+import {
+  createClassifier,
+  trainClassifier,
+  trainClassifierFromRecords,
+} from "./src/services/classifier";
+import { buildExpenseRecordWithLLM, DEFAULT_LLM_API_PATH } from "./src/services/llmExtraction";
 import { Config } from "./config";
 
+// Presets for how closely a mis-transcribed name must resemble an account or category
+const FUZZY_THRESHOLD_OPTIONS = [
+  { label: 'Strict', value: 0.85, description: 'Only accept near-exact spellings' },
+  { label: 'Balanced', value: 0.7, description: 'Accept common mis-hearings like "Chase Saffire"' },
+  { label: 'Loose', value: 0.6, description: 'Accept rougher matches (may guess wrong more often)' },
+];
+
+// Spoken keyword groups editable in Settings (see getTriggerKeywords)
+const KEYWORD_GROUPS = [
+  { key: 'charge', label: 'Expense', example: 'charge, paid, spent, bought' },
+  { key: 'account', label: 'Account', example: 'to, on' },
+  { key: 'category', label: 'Category', example: 'category, for, under' },
+  { key: 'description', label: 'Description', example: 'description, note' },
+  { key: 'merchant', label: 'Merchant', example: 'merchant, store' },
+  { key: 'tags', label: 'Tags', example: 'tags, tag, label' },
+];
+
+// Transcript language choices: auto-detect, then every language pack
+const LANGUAGE_OPTIONS = [
+  { code: AUTO_LANGUAGE, label: 'Auto-detect', description: 'Pick the language from each recording' },
+  ...Object.values(LANGUAGE_PACKS).map((pack) => ({
+    code: pack.code,
+    label: pack.label,
+    description: `Always read recordings as ${pack.label}`,
+  })),
+];
+
+// Labels for the non-expense transaction types shown on a saved row
+const TRANSACTION_TYPE_LABELS = {
+  refund: 'Refund',
+  credit: 'Credit',
+  income: 'Income',
+  transfer: 'Transfer',
+};
+
+// Fields explained in the "Why?" panel, in the order they are shown (see the parse trace
+// in buildExpenseRecordFromTranscript)
+const TRACE_FIELDS = [
+  { key: 'date', label: 'Date' },
+  { key: 'card_name', label: 'Account' },
+  { key: 'transfer_to', label: 'To account' },
+  { key: 'expense_amount', label: 'Amount' },
+  { key: 'expense_category', label: 'Category' },
+  { key: 'description', label: 'Description' },
+  { key: 'merchant', label: 'Merchant' },
+  { key: 'tags', label: 'Tags' },
+];
+
+// TRACE_FIELDS plus the custom fields spoken in a trace (traced as "custom:<name>")
+function traceFieldsOf(trace) {
+  const customKeys = Object.keys(trace.fields).filter((key) => key.startsWith('custom:'));
+  return [
+    ...TRACE_FIELDS.filter(({ key }) => trace.fields[key]),
+    ...customKeys.map((key) => ({ key, label: key.substring('custom:'.length) })),
+  ];
+}
+
+// Parses a transcript into records (one per "charge" clause or split line), falling back to
+// free-form parsing when no charge/category/description keywords were spoken
+function parseTranscriptRecords(transcriptText) {
+  return usesKeywordGrammar(transcriptText)
+    ? buildExpenseRecordsFromTranscript(transcriptText, new Date(), { trace: true })
+    : [buildExpenseRecordFromNaturalSpeech(transcriptText, new Date(), { trace: true })];
+}
+
+// Chat completions endpoint and model used when Settings leave them blank
+const DEFAULT_LLM_ENDPOINT = `https://${Config.TRANSCRIPTION_API_HOST}${Config.LLM_API_PATH || DEFAULT_LLM_API_PATH}`;
+const DEFAULT_LLM_MODEL = Config.LLM_MODEL || '';
+
+// Language model setting edited by each Settings row (see handleEditLlmSetting)
+const LLM_SETTING_FIELDS = { llmEndpoint: 'endpoint', llmModel: 'model', llmApiKey: 'apiKey' };
+
+// With language model extraction turned on, asks the model for a transcript that holds a
+// single record (see buildExpenseRecordWithLLM); the parsed records are kept when it is off,
+// for several records, and whenever the model fails or is too slow. The app's API key only
+// goes to the default endpoint; a custom endpoint gets the key entered for it, if any
+async function extractWithLanguageModel(transcriptText, records) {
+  const settings = await getLlmExtraction();
+  if (!settings.enabled || records.length !== 1) return records;
+  const endpoint = settings.endpoint || DEFAULT_LLM_ENDPOINT;
+  return [
+    await buildExpenseRecordWithLLM(transcriptText, new Date(), {
+      endpoint,
+      apiKey: endpoint === DEFAULT_LLM_ENDPOINT ? Config.TRANSCRIPTION_API_KEY : settings.apiKey,
+      model: settings.model || DEFAULT_LLM_MODEL,
+      timeoutMs: settings.timeoutMs,
+      fallback: records[0],
+    }),
+  ];
+}
+
+// Shows a trace step's list scores as "Chase Sapphire 1.00, Chase freedom 0.50"
+function formatTraceCandidates(candidates) {
+  return candidates.map((candidate) => `${candidate.name} ${candidate.score.toFixed(2)}`).join(', ');
+}
+
+// Alias editing modes and the list whose items they belong to
+const ALIAS_LIST_TYPES = {
+  accountAliases: 'accounts',
+  categoryAliases: 'categories',
+  incomeCategoryAliases: 'incomeCategories',
+};
+
+// Shows home-currency amounts as "$30.00" for USD and "30.00 EUR" otherwise
+// (refunds and credits keep their sign: "-$25.00")
+function formatHomeAmount(amount, currency) {
+  if (currency !== 'USD') return `${amount} ${currency}`;
+  return String(amount).startsWith('-') ? `-$${String(amount).slice(1)}` : `$${amount}`;
+}
+
 export default function App() {
   const [isRecording, setIsRecording] = useState(false);
   const [status, setStatus] = useState("Idle");
   const [error, setError] = useState("");
   const [transcript, setTranscript] = useState("No transcript yet. Record an expense to see it here.");
+  const [lastTraces, setLastTraces] = useState([]); // parse trace of each record from the last transcript
+  const [showTrace, setShowTrace] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isGoogleSignedIn, setIsGoogleSignedIn] = useState(false);
   const [googleUser, setGoogleUser] = useState(null);
   const [spreadsheetId, setSpreadsheetIdState] = useState("");
-  const [lastSavedRow, setLastSavedRow] = useState(null);
+  const [savedRows, setSavedRows] = useState([]);
   const recordingTimeoutRef = useRef(null);
+
+  // Account chooser shown when several accounts match equally ("Chase")
+  const [accountChoice, setAccountChoice] = useState(null); // { record, index, total }
+  const accountChoiceResolverRef = useRef(null);
   
   // Settings UI state
   const [showSettings, setShowSettings] = useState(false);
   const [accountNames, setAccountNames] = useState([]);
   const [expenseCategories, setExpenseCategories] = useState([]);
-  const [editingListType, setEditingListType] = useState(null); // 'accounts' or 'categories'
+  const [incomeCategories, setIncomeCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [rules, setRules] = useState([]); // auto-fill rules, see parseRule
+  const [ruleTestText, setRuleTestText] = useState("");
+  const [ruleTestResults, setRuleTestResults] = useState(null); // [{ before, after, applied }]
+  const [customFields, setCustomFields] = useState([]); // see parseCustomField
+  const [llmExtraction, setLlmExtraction] = useState({ enabled: false, endpoint: '', model: '', apiKey: '' }); // see getLlmExtraction
+  const [classifierExamples, setClassifierExamples] = useState(0); // rows the category suggestions learned from
+  const [incomeSheetName, setIncomeSheetName] = useState('Income');
+  const [transferSheetName, setTransferSheetName] = useState('Transfers');
+  const [accountAliases, setAccountAliases] = useState({}); // canonical name -> aliases
+  const [categoryAliases, setCategoryAliases] = useState({});
+  const [triggerKeywords, setTriggerKeywords] = useState({}); // keyword group -> spoken words
+  const [homeCurrency, setHomeCurrency] = useState('USD');
+  const [exchangeRates, setExchangeRates] = useState({}); // currency code -> value in home currency
+  const [salesTaxRate, setSalesTaxRate] = useState(8); // percent added by "plus tax"
+  const [editingListType, setEditingListType] = useState(null); // 'accounts', 'categories', 'incomeCategories', 'tags', one of ALIAS_LIST_TYPES, 'keywords', 'homeCurrency', 'exchangeRates', 'salesTax', 'incomeSheet', 'transferSheet', 'rule', 'customField', 'llmEndpoint', 'llmModel' or 'llmApiKey'
   const [editingIndex, setEditingIndex] = useState(null);
   const [editingValue, setEditingValue] = useState("");
   const [recordingMode, setRecordingMode] = useState('hold'); // 'hold' or 'tap'
+  const [fuzzyThreshold, setFuzzyThreshold] = useState(0.7);
+  const [locale, setLocale] = useState('en-US');
+  const [language, setLanguage] = useState(AUTO_LANGUAGE);
 
   // Initialize app: load config lists and Google Auth
   useEffect(() => {
@@ -87,14 +279,20 @@ export default function App() {
         await loadConfigLists();
         
         // Load lists for UI display
-        const [accounts, categories, mode] = await Promise.all([
+        const [accounts, categories, mode, accAliases, catAliases, currency] = await Promise.all([
           getAccountNames(),
           getExpenseCategories(),
           getRecordingMode(),
+          getAccountAliases(),
+          getCategoryAliases(),
+          getHomeCurrency(),
         ]);
         setAccountNames(accounts);
         setExpenseCategories(categories);
         setRecordingMode(mode);
+        setAccountAliases(accAliases);
+        setCategoryAliases(catAliases);
+        setHomeCurrency(currency);
         
         // Configure Google Sign-in with your OAuth 2.0 Web Client ID
         // Get this from Google Cloud Console: https://console.cloud.google.com/
@@ -204,14 +402,69 @@ export default function App() {
   // Settings handlers
   const handleOpenSettings = async () => {
     try {
-      const [accounts, categories, mode] = await Promise.all([
+      const [
+        accounts,
+        categories,
+        mode,
+        accAliases,
+        catAliases,
+        threshold,
+        keywords,
+        currency,
+        rates,
+        incomeCats,
+        incomeSheet,
+        transferSheet,
+        taxRate,
+        tagList,
+        localeCode,
+        languageCode,
+        ruleList,
+        classifier,
+        fieldList,
+        llmSettings,
+      ] = await Promise.all([
         getAccountNames(),
         getExpenseCategories(),
         getRecordingMode(),
+        getAccountAliases(),
+        getCategoryAliases(),
+        getFuzzyMatchThreshold(),
+        getTriggerKeywords(),
+        getHomeCurrency(),
+        getExchangeRates(),
+        getIncomeCategories(),
+        getIncomeSheetName(),
+        getTransferSheetName(),
+        getSalesTaxRate(),
+        getTags(),
+        getLocale(),
+        getLanguage(),
+        getRules(),
+        getClassifierModel(),
+        getCustomFields(),
+        getLlmExtraction(),
       ]);
       setAccountNames(accounts);
       setExpenseCategories(categories);
       setRecordingMode(mode);
+      setAccountAliases(accAliases);
+      setCategoryAliases(catAliases);
+      setFuzzyThreshold(threshold);
+      setTriggerKeywords(keywords);
+      setHomeCurrency(currency);
+      setExchangeRates(rates);
+      setIncomeCategories(incomeCats);
+      setIncomeSheetName(incomeSheet);
+      setTransferSheetName(transferSheet);
+      setSalesTaxRate(taxRate);
+      setTags(tagList);
+      setLocale(localeCode);
+      setLanguage(languageCode);
+      setRules(ruleList);
+      setClassifierExamples(classifier ? classifier.category.examples : 0);
+      setCustomFields(fieldList);
+      setLlmExtraction(llmSettings);
       setShowSettings(true);
     } catch (err) {
       console.error("Error loading settings:", err);
@@ -219,6 +472,58 @@ export default function App() {
     }
   };
 
+  const handleSelectFuzzyThreshold = async (threshold, label) => {
+    try {
+      await saveFuzzyMatchThreshold(threshold);
+      setFuzzyThreshold(threshold);
+      await refreshConfigLists();
+      setStatus(`Name matching changed to '${label}'`);
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving fuzzy match threshold:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleSelectLocale = async (code) => {
+    try {
+      await saveLocale(code);
+      setLocale(code);
+      await refreshConfigLists();
+      setStatus(`Number and date format changed to '${LOCALES[code].label}'`);
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving locale:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleSelectLanguage = async (option) => {
+    try {
+      await saveLanguage(option.code);
+      setLanguage(option.code);
+      await refreshConfigLists();
+      setStatus(`Language changed to '${option.label}'`);
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving language:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  // Updates the category and account suggestions with newly saved records. A failure here
+  // must not look like a failed save, so it is only logged.
+  const learnFromSavedRecords = async (records) => {
+    try {
+      const classifier = (await getClassifierModel()) || createClassifier();
+      records.forEach((record) => trainClassifier(classifier, record));
+      await saveClassifierModel(classifier);
+      await refreshConfigLists();
+    } catch (err) {
+      console.error("Error updating classifier:", err);
+    }
+  };
+
   const handleCloseSettings = () => {
     setShowSettings(false);
     setEditingListType(null);
@@ -232,59 +537,268 @@ export default function App() {
     setEditingValue("");
   };
 
+  // Items of an editable list ('accounts', 'categories', 'incomeCategories' or 'tags')
+  const listItems = (listType) =>
+    listType === 'accounts'
+      ? accountNames
+      : listType === 'incomeCategories'
+      ? incomeCategories
+      : listType === 'tags'
+      ? tags
+      : expenseCategories;
+
   const handleEditItem = (listType, index) => {
-    const list = listType === 'accounts' ? accountNames : expenseCategories;
+    const list = listItems(listType);
     setEditingListType(listType);
     setEditingIndex(index);
     setEditingValue(list[index]);
   };
 
-  const handleSaveItem = async () => {
-    if (!editingValue.trim()) {
-      Alert.alert("Error", "Item cannot be empty");
-      return;
+  const handleEditAliases = (listType, index) => {
+    const list = listItems(listType);
+    const aliases = listType === 'accounts' ? accountAliases : categoryAliases;
+    setEditingListType(
+      Object.keys(ALIAS_LIST_TYPES).find((aliasType) => ALIAS_LIST_TYPES[aliasType] === listType)
+    );
+    setEditingIndex(index);
+    setEditingValue((aliases[list[index]] || []).join(", "));
+  };
+
+  // Keeps the alias map in sync when a list item is renamed or deleted
+  const updateAliasesForItem = async (listType, oldName, newName) => {
+    if (listType === 'tags') return; // Tags have no aliases
+    const aliases = listType === 'accounts' ? accountAliases : categoryAliases;
+    if (!oldName || !aliases[oldName] || oldName === newName) return;
+
+    const updatedAliases = { ...aliases };
+    if (newName) {
+      updatedAliases[newName] = updatedAliases[oldName];
+    }
+    delete updatedAliases[oldName];
+
+    if (listType === 'accounts') {
+      await saveAccountAliases(updatedAliases);
+      setAccountAliases(updatedAliases);
+    } else {
+      await saveCategoryAliases(updatedAliases);
+      setCategoryAliases(updatedAliases);
     }
+  };
 
+  const handleSaveAliases = async () => {
     try {
-      let updatedList;
-      if (editingListType === 'accounts') {
-        updatedList = [...accountNames];
-        if (editingIndex !== null) {
-          updatedList[editingIndex] = editingValue.trim();
-        } else {
-          updatedList.push(editingValue.trim());
-        }
-        await saveAccountNames(updatedList);
-        setAccountNames(updatedList);
+      const isAccount = editingListType === 'accountAliases';
+      const list = listItems(ALIAS_LIST_TYPES[editingListType]);
+      const itemName = list[editingIndex];
+      const updatedAliases = { ...(isAccount ? accountAliases : categoryAliases) };
+      const parsed = editingValue
+        .split(",")
+        .map((alias) => alias.trim())
+        .filter(Boolean);
+
+      if (parsed.length) {
+        updatedAliases[itemName] = parsed;
       } else {
-        updatedList = [...expenseCategories];
-        if (editingIndex !== null) {
-          updatedList[editingIndex] = editingValue.trim();
-        } else {
-          updatedList.push(editingValue.trim());
-        }
-        await saveExpenseCategories(updatedList);
-        setExpenseCategories(updatedList);
+        delete updatedAliases[itemName];
       }
-      
+
+      if (isAccount) {
+        await saveAccountAliases(updatedAliases);
+        setAccountAliases(updatedAliases);
+      } else {
+        await saveCategoryAliases(updatedAliases);
+        setCategoryAliases(updatedAliases);
+      }
+
       // Refresh the cache in parsingLogic
       await refreshConfigLists();
-      
+
+      setEditingListType(null);
+      setEditingIndex(null);
+      setEditingValue("");
+      setStatus("Aliases saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving aliases:", err);
+      Alert.alert("Error", "Failed to save aliases: " + err.message);
+    }
+  };
+
+  const handleEditKeywords = (groupIndex) => {
+    setEditingListType('keywords');
+    setEditingIndex(groupIndex);
+    setEditingValue((triggerKeywords[KEYWORD_GROUPS[groupIndex].key] || []).join(", "));
+  };
+
+  const handleSaveKeywords = async () => {
+    const group = KEYWORD_GROUPS[editingIndex];
+    const parsed = editingValue
+      .split(",")
+      .map((keyword) => keyword.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!parsed.length) {
+      Alert.alert("Error", `Keep at least one ${group.label.toLowerCase()} keyword`);
+      return;
+    }
+
+    try {
+      const updatedKeywords = { ...triggerKeywords, [group.key]: parsed };
+      await saveTriggerKeywords(updatedKeywords);
+      setTriggerKeywords(updatedKeywords);
+
+      // Refresh the cache in parsingLogic
+      await refreshConfigLists();
+
       setEditingListType(null);
       setEditingIndex(null);
       setEditingValue("");
+      setStatus("Keywords saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving keywords:", err);
+      Alert.alert("Error", "Failed to save keywords: " + err.message);
+    }
+  };
+
+  const handleEditCurrency = (type) => {
+    setEditingListType(type);
+    setEditingIndex(null);
+    setEditingValue(
+      type === 'homeCurrency'
+        ? homeCurrency
+        : type === 'salesTax'
+        ? String(salesTaxRate)
+        : formatRateTable(exchangeRates)
+    );
+  };
+
+  const handleSaveCurrency = async () => {
+    try {
+      if (editingListType === 'homeCurrency') {
+        await saveHomeCurrency(editingValue);
+        setHomeCurrency(editingValue.trim().toUpperCase());
+      } else if (editingListType === 'salesTax') {
+        const rate = Number(editingValue.trim().replace(/%$/, ''));
+        await saveSalesTaxRate(editingValue.trim() ? rate : NaN);
+        setSalesTaxRate(rate);
+      } else {
+        const rates = parseRateTable(editingValue);
+        await saveExchangeRates(rates);
+        setExchangeRates(rates);
+      }
+
+      // Refresh the cache in parsingLogic
+      await refreshConfigLists();
+
+      setEditingListType(null);
+      setEditingValue("");
       setStatus("Settings saved successfully!");
       setTimeout(() => setStatus("Idle"), 2000);
     } catch (err) {
-      console.error("Error saving item:", err);
+      console.error("Error saving amount settings:", err);
       Alert.alert("Error", "Failed to save: " + err.message);
     }
   };
 
-  const handleDeleteItem = async (listType, index) => {
+  const handleSelectLlmEnabled = async (enabled) => {
+    try {
+      const updated = { ...llmExtraction, enabled };
+      await saveLlmExtraction(updated);
+      setLlmExtraction(updated);
+      setStatus(enabled ? "Language model extraction turned on" : "Language model extraction turned off");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving language model extraction:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleEditLlmSetting = (type) => {
+    setEditingListType(type);
+    setEditingIndex(null);
+    setEditingValue(llmExtraction[LLM_SETTING_FIELDS[type]] || "");
+  };
+
+  const handleSaveLlmSetting = async () => {
+    try {
+      const updated = {
+        ...llmExtraction,
+        [LLM_SETTING_FIELDS[editingListType]]: editingValue.trim(),
+      };
+      await saveLlmExtraction(updated);
+      setLlmExtraction(await getLlmExtraction()); // The saved key is dropped when the endpoint is cleared
+
+      setEditingListType(null);
+      setEditingValue("");
+      setStatus("Settings saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving language model extraction:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleEditSheetTab = (type) => {
+    setEditingListType(type);
+    setEditingIndex(null);
+    setEditingValue(type === 'incomeSheet' ? incomeSheetName : transferSheetName);
+  };
+
+  const handleSaveSheetTab = async () => {
+    try {
+      if (editingListType === 'incomeSheet') {
+        await saveIncomeSheetName(editingValue);
+        setIncomeSheetName(editingValue.trim());
+      } else {
+        await saveTransferSheetName(editingValue);
+        setTransferSheetName(editingValue.trim());
+      }
+
+      setEditingListType(null);
+      setEditingValue("");
+      setStatus("Sheet tab saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving sheet tab name:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleEditRule = (index) => {
+    setEditingListType('rule');
+    setEditingIndex(index);
+    setEditingValue(index !== null ? describeRule(rules[index]) : "");
+  };
+
+  const handleSaveRule = async () => {
+    try {
+      const rule = parseRule(editingValue);
+      const updatedRules = [...rules];
+      if (editingIndex !== null) {
+        updatedRules[editingIndex] = rule;
+      } else {
+        updatedRules.push(rule);
+      }
+      await saveRules(updatedRules);
+      setRules(updatedRules);
+      setRuleTestResults(null);
+
+      setEditingListType(null);
+      setEditingIndex(null);
+      setEditingValue("");
+      setStatus("Rule saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving rule:", err);
+      Alert.alert("Error", "Failed to save rule: " + err.message);
+    }
+  };
+
+  const handleDeleteRule = (index) => {
     Alert.alert(
-      "Delete Item",
-      "Are you sure you want to delete this item?",
+      "Delete Rule",
+      "Are you sure you want to delete this rule?",
       [
         { text: "Cancel", style: "cancel" },
         {
@@ -292,24 +806,14 @@ export default function App() {
           style: "destructive",
           onPress: async () => {
             try {
-              let updatedList;
-              if (listType === 'accounts') {
-                updatedList = accountNames.filter((_, i) => i !== index);
-                await saveAccountNames(updatedList);
-                setAccountNames(updatedList);
-              } else {
-                updatedList = expenseCategories.filter((_, i) => i !== index);
-                await saveExpenseCategories(updatedList);
-                setExpenseCategories(updatedList);
-              }
-              
-              // Refresh the cache in parsingLogic
-              await refreshConfigLists();
-              
-              setStatus("Item deleted successfully!");
+              const updatedRules = rules.filter((_, i) => i !== index);
+              await saveRules(updatedRules);
+              setRules(updatedRules);
+              setRuleTestResults(null);
+              setStatus("Rule deleted successfully!");
               setTimeout(() => setStatus("Idle"), 2000);
             } catch (err) {
-              console.error("Error deleting item:", err);
+              console.error("Error deleting rule:", err);
               Alert.alert("Error", "Failed to delete: " + err.message);
             }
           },
@@ -318,30 +822,57 @@ export default function App() {
     );
   };
 
-  const handleResetToDefaults = async () => {
+  const handleEditCustomField = (index) => {
+    setEditingListType('customField');
+    setEditingIndex(index);
+    setEditingValue(index !== null ? formatCustomField(customFields[index]) : "");
+  };
+
+  const handleSaveCustomField = async () => {
+    try {
+      const others = customFields.filter((_, i) => i !== editingIndex);
+      const field = parseCustomField(editingValue, others, triggerKeywords);
+      const updatedFields = [...customFields];
+      if (editingIndex !== null) {
+        updatedFields[editingIndex] = field;
+      } else {
+        updatedFields.push(field);
+      }
+      await saveCustomFields(updatedFields);
+      setCustomFields(updatedFields);
+      await refreshConfigLists();
+
+      setEditingListType(null);
+      setEditingIndex(null);
+      setEditingValue("");
+      setStatus("Custom field saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving custom field:", err);
+      Alert.alert("Error", "Failed to save custom field: " + err.message);
+    }
+  };
+
+  const handleDeleteCustomField = (index) => {
     Alert.alert(
-      "Reset to Defaults",
-      "This will replace all your custom items with the default values. Are you sure?",
+      "Delete Custom Field",
+      `Are you sure you want to delete "${customFields[index].name}"? Values already in the sheet are kept.`,
       [
         { text: "Cancel", style: "cancel" },
         {
-          text: "Reset",
+          text: "Delete",
           style: "destructive",
           onPress: async () => {
-              try {
-              await resetToDefaults();
-              const [accounts, categories] = await Promise.all([
-                getAccountNames(),
-                getExpenseCategories(),
-              ]);
-              setAccountNames(accounts);
-              setExpenseCategories(categories);
+            try {
+              const updatedFields = customFields.filter((_, i) => i !== index);
+              await saveCustomFields(updatedFields);
+              setCustomFields(updatedFields);
               await refreshConfigLists();
-              setStatus("Reset to defaults successful!");
+              setStatus("Custom field deleted successfully!");
               setTimeout(() => setStatus("Idle"), 2000);
             } catch (err) {
-              console.error("Error resetting to defaults:", err);
-              Alert.alert("Error", "Failed to reset: " + err.message);
+              console.error("Error deleting custom field:", err);
+              Alert.alert("Error", "Failed to delete: " + err.message);
             }
           },
         },
@@ -349,27 +880,276 @@ export default function App() {
     );
   };
 
-  // Cleanup timeout on unmount
-  useEffect(() => {
-    return () => {
-      if (recordingTimeoutRef.current) {
-        clearTimeout(recordingTimeoutRef.current);
-      }
-    };
-  }, []);
-
-  // Handle recording button press for "hold" mode
-  const handleRecordButtonPressIn = async () => {
-    if (recordingMode !== 'hold') return;
-    if (isProcessing || isRecording) {
-      return; // Prevent starting if already recording or processing
+  // Retrains the category and account suggestions from every row in the sheet
+  const handleTrainClassifier = async () => {
+    try {
+      setStatus("Reading past rows from Google Sheet...");
+      const classifier = trainClassifierFromRecords(await fetchExpenseRecords());
+      await saveClassifierModel(classifier);
+      await refreshConfigLists();
+      setClassifierExamples(classifier.category.examples);
+      setStatus(`Category suggestions learned from ${classifier.category.examples} rows`);
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error training classifier:", err);
+      Alert.alert("Error", "Failed to learn from the sheet: " + err.message);
+      setStatus("Idle");
     }
-    await startRecordingProcess();
   };
 
-  // Handle recording button release for "hold" mode
-  const handleRecordButtonPressOut = async () => {
-    if (recordingMode !== 'hold') return;
+  // Parses a sample transcript like a recording and shows what the rules change
+  const handleTestRules = () => {
+    if (!ruleTestText.trim()) {
+      Alert.alert("Error", "Type a transcript to test the rules with");
+      return;
+    }
+    try {
+      setRuleTestResults(
+        parseTranscriptRecords(ruleTestText.trim()).map((before) => {
+          const { record: after, applied } = applyRules(before, rules);
+          return { before, after, applied };
+        })
+      );
+    } catch (err) {
+      // e.g. split amounts that do not add up to the charge
+      Alert.alert("Error", err.message);
+      setRuleTestResults(null);
+    }
+  };
+
+  const handleSaveItem = async () => {
+    if (editingListType === 'rule') {
+      await handleSaveRule();
+      return;
+    }
+
+    if (editingListType === 'customField') {
+      await handleSaveCustomField();
+      return;
+    }
+
+    if (ALIAS_LIST_TYPES[editingListType]) {
+      await handleSaveAliases();
+      return;
+    }
+
+    if (editingListType === 'keywords') {
+      await handleSaveKeywords();
+      return;
+    }
+
+    if (['homeCurrency', 'exchangeRates', 'salesTax'].includes(editingListType)) {
+      await handleSaveCurrency();
+      return;
+    }
+
+    if (editingListType === 'incomeSheet' || editingListType === 'transferSheet') {
+      await handleSaveSheetTab();
+      return;
+    }
+
+    // An empty endpoint or model means the default, an empty API key means none
+    if (LLM_SETTING_FIELDS[editingListType]) {
+      await handleSaveLlmSetting();
+      return;
+    }
+
+    if (!editingValue.trim()) {
+      Alert.alert("Error", "Item cannot be empty");
+      return;
+    }
+
+    try {
+      let updatedList;
+      if (editingListType === 'accounts') {
+        updatedList = [...accountNames];
+        if (editingIndex !== null) {
+          updatedList[editingIndex] = editingValue.trim();
+          await updateAliasesForItem('accounts', accountNames[editingIndex], editingValue.trim());
+        } else {
+          updatedList.push(editingValue.trim());
+        }
+        await saveAccountNames(updatedList);
+        setAccountNames(updatedList);
+      } else if (editingListType === 'incomeCategories') {
+        updatedList = [...incomeCategories];
+        if (editingIndex !== null) {
+          updatedList[editingIndex] = editingValue.trim();
+          await updateAliasesForItem('incomeCategories', incomeCategories[editingIndex], editingValue.trim());
+        } else {
+          updatedList.push(editingValue.trim());
+        }
+        await saveIncomeCategories(updatedList);
+        setIncomeCategories(updatedList);
+      } else if (editingListType === 'tags') {
+        updatedList = [...tags];
+        if (editingIndex !== null) {
+          updatedList[editingIndex] = editingValue.trim();
+        } else {
+          updatedList.push(editingValue.trim());
+        }
+        await saveTags(updatedList);
+        setTags(updatedList);
+      } else {
+        updatedList = [...expenseCategories];
+        if (editingIndex !== null) {
+          updatedList[editingIndex] = editingValue.trim();
+          await updateAliasesForItem('categories', expenseCategories[editingIndex], editingValue.trim());
+        } else {
+          updatedList.push(editingValue.trim());
+        }
+        await saveExpenseCategories(updatedList);
+        setExpenseCategories(updatedList);
+      }
+      
+      // Refresh the cache in parsingLogic
+      await refreshConfigLists();
+      
+      setEditingListType(null);
+      setEditingIndex(null);
+      setEditingValue("");
+      setStatus("Settings saved successfully!");
+      setTimeout(() => setStatus("Idle"), 2000);
+    } catch (err) {
+      console.error("Error saving item:", err);
+      Alert.alert("Error", "Failed to save: " + err.message);
+    }
+  };
+
+  const handleDeleteItem = async (listType, index) => {
+    Alert.alert(
+      "Delete Item",
+      "Are you sure you want to delete this item?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              let updatedList;
+              if (listType === 'accounts') {
+                updatedList = accountNames.filter((_, i) => i !== index);
+                await saveAccountNames(updatedList);
+                setAccountNames(updatedList);
+              } else if (listType === 'incomeCategories') {
+                updatedList = incomeCategories.filter((_, i) => i !== index);
+                await saveIncomeCategories(updatedList);
+                setIncomeCategories(updatedList);
+              } else if (listType === 'tags') {
+                updatedList = tags.filter((_, i) => i !== index);
+                await saveTags(updatedList);
+                setTags(updatedList);
+              } else {
+                updatedList = expenseCategories.filter((_, i) => i !== index);
+                await saveExpenseCategories(updatedList);
+                setExpenseCategories(updatedList);
+              }
+              const deletedName = listItems(listType)[index];
+              await updateAliasesForItem(listType, deletedName, null);
+              
+              // Refresh the cache in parsingLogic
+              await refreshConfigLists();
+              
+              setStatus("Item deleted successfully!");
+              setTimeout(() => setStatus("Idle"), 2000);
+            } catch (err) {
+              console.error("Error deleting item:", err);
+              Alert.alert("Error", "Failed to delete: " + err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Totals everything saved with a tag (e.g. a trip) across categories
+  const handleShowTagTotal = async (tag) => {
+    try {
+      setStatus(`Totaling "${tag}"...`);
+      const records = await fetchExpenseRecords();
+      const summary = summarizeRecords(filterRecords(records, { tag }));
+      const lines = Object.entries(summary.byCategory).map(
+        ([category, amount]) => `${category}: ${formatHomeAmount(amount, homeCurrency)}`
+      );
+      Alert.alert(
+        `Tagged "${tag}"`,
+        summary.count
+          ? `${formatHomeAmount(summary.total, homeCurrency)} across ${summary.count} ${
+              summary.count === 1 ? 'record' : 'records'
+            }\n\n${lines.join("\n")}`
+          : 'Nothing saved with this tag yet.'
+      );
+      setStatus("Idle");
+    } catch (err) {
+      console.error("Error totaling tag:", err);
+      Alert.alert("Error", "Failed to total tag: " + err.message);
+      setStatus("Idle");
+    }
+  };
+
+  const handleResetToDefaults = async () => {
+    Alert.alert(
+      "Reset to Defaults",
+      "This will replace all your custom items with the default values. Are you sure?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: async () => {
+              try {
+              await resetToDefaults();
+              const [accounts, categories, incomeCats, tagList, accAliases, catAliases, keywords] = await Promise.all([
+                getAccountNames(),
+                getExpenseCategories(),
+                getIncomeCategories(),
+                getTags(),
+                getAccountAliases(),
+                getCategoryAliases(),
+                getTriggerKeywords(),
+              ]);
+              setAccountNames(accounts);
+              setExpenseCategories(categories);
+              setIncomeCategories(incomeCats);
+              setTags(tagList);
+              setAccountAliases(accAliases);
+              setCategoryAliases(catAliases);
+              setTriggerKeywords(keywords);
+              await refreshConfigLists();
+              setStatus("Reset to defaults successful!");
+              setTimeout(() => setStatus("Idle"), 2000);
+            } catch (err) {
+              console.error("Error resetting to defaults:", err);
+              Alert.alert("Error", "Failed to reset: " + err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Cleanup timeout on unmount
+  useEffect(() => {
+    return () => {
+      if (recordingTimeoutRef.current) {
+        clearTimeout(recordingTimeoutRef.current);
+      }
+    };
+  }, []);
+
+  // Handle recording button press for "hold" mode
+  const handleRecordButtonPressIn = async () => {
+    if (recordingMode !== 'hold') return;
+    if (isProcessing || isRecording) {
+      return; // Prevent starting if already recording or processing
+    }
+    await startRecordingProcess();
+  };
+
+  // Handle recording button release for "hold" mode
+  const handleRecordButtonPressOut = async () => {
+    if (recordingMode !== 'hold') return;
     if (!isRecording) {
       return; // Only stop if actually recording
     }
@@ -432,6 +1212,24 @@ export default function App() {
     }
   };
 
+  /**
+   * Shows the account chooser for an ambiguous record and waits for the answer.
+   * @returns {Promise<string|null>} - The chosen account, or null when skipped
+   */
+  const promptForAccountChoice = (record, index, total) => {
+    return new Promise((resolve) => {
+      accountChoiceResolverRef.current = resolve;
+      setAccountChoice({ record, index, total });
+    });
+  };
+
+  const handleAccountChoice = (cardName) => {
+    const resolve = accountChoiceResolverRef.current;
+    accountChoiceResolverRef.current = null;
+    setAccountChoice(null);
+    if (resolve) resolve(cardName);
+  };
+
   const stopRecordingAndProcess = async () => {
     // Clear the timeout if it exists
     if (recordingTimeoutRef.current) {
@@ -483,21 +1281,67 @@ export default function App() {
         const transcriptText = textField.trim();
         setTranscript(transcriptText || "Transcription returned empty text.");
         
-        // Parse expense record
-        const record = buildExpenseRecordFromTranscript(transcriptText);
+        // Parse expense records, then let the user's rules fill in or correct fields
+        let records;
+        try {
+          const ruleList = await getRules();
+          const parsed = await extractWithLanguageModel(
+            transcriptText,
+            parseTranscriptRecords(transcriptText)
+          );
+          records = parsed.map((record) => applyRules(record, ruleList).record);
+        } catch (parseError) {
+          // e.g. split amounts that do not add up to the charge
+          setError(parseError.message);
+          setStatus("Expense not saved.");
+          setSavedRows([]);
+          setLastTraces([]);
+          return;
+        }
+        setLastTraces(records.map((record) => record.trace).filter(Boolean));
         
         // Save to Google Sheets (only if signed in)
         if (isGoogleSignedIn) {
-        setStatus("Saving expense record to Google Sheet…");
-        try {
-            const savedRow = await appendExpenseRecordToSheet(record);
-            setLastSavedRow(savedRow);
-            setStatus(`Saved to row ${savedRow.rowNumber || '?'} in Google Sheet.`);
-        } catch (sheetsError) {
-          console.error("Failed to save to Google Sheets:", sheetsError);
-          setStatus("Parsed expense record, but failed to save to Google Sheet.");
-          setError("Failed to save to Google Sheet: " + sheetsError.message);
-            setLastSavedRow(null);
+          // Ask which account was meant before saving a guess
+          for (let i = 0; i < records.length; i++) {
+            if (records[i].card_candidates.length > 1) {
+              setStatus("Several accounts match. Choose one…");
+              const choice = await promptForAccountChoice(records[i], i, records.length);
+              records[i] = resolveCardChoice(records[i], choice);
+
+              // The other lines of a split charge were paid with the same account
+              for (let j = i + 1; j < records.length; j++) {
+                if (records[i].transaction_id && records[j].transaction_id === records[i].transaction_id) {
+                  records[j] = resolveCardChoice(records[j], choice);
+                }
+              }
+            }
+          }
+
+          setStatus(
+            records.length > 1
+              ? `Saving ${records.length} expense records to Google Sheet…`
+              : "Saving expense record to Google Sheet…"
+          );
+          const saved = [];
+          try {
+            for (const record of records) {
+              saved.push(await appendExpenseRecordToSheet(record));
+            }
+            setSavedRows(saved);
+            await learnFromSavedRecords(records);
+            setStatus(
+              `Saved to ${saved.length > 1 ? 'rows' : 'row'} ${saved.map((row) => row.rowNumber || '?').join(', ')} in Google Sheet.`
+            );
+          } catch (sheetsError) {
+            console.error("Failed to save to Google Sheets:", sheetsError);
+            setStatus(
+              saved.length
+                ? `Saved ${saved.length} of ${records.length} expense records, but failed to save the rest to Google Sheet.`
+                : "Parsed expense record, but failed to save to Google Sheet."
+            );
+            setError("Failed to save to Google Sheet: " + sheetsError.message);
+            setSavedRows(saved);
             
             // If auth error, prompt to sign in again
             if (sheetsError.message.includes('Authentication') || sheetsError.message.includes('sign in')) {
@@ -508,7 +1352,7 @@ export default function App() {
         } else {
           setStatus("Expense parsed. Sign in with Google to save to Sheets.");
           setError("Please sign in with Google to save expenses to Google Sheets.");
-          setLastSavedRow(null);
+          setSavedRows([]);
         }
       } else {
         setError(
@@ -600,49 +1444,171 @@ export default function App() {
           <View style={styles.transcript}>
             <Text style={styles.transcriptText}>{transcript}</Text>
           </View>
+          {lastTraces.length > 0 && (
+            <TouchableOpacity
+              style={styles.traceToggle}
+              onPress={() => setShowTrace(!showTrace)}
+            >
+              <Text style={styles.traceToggleText}>
+                {showTrace ? 'Hide why' : 'Why these values?'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {showTrace && lastTraces.map((trace, traceIndex) => (
+            <View key={`trace-${traceIndex}`} style={styles.tracePanel}>
+              {lastTraces.length > 1 && (
+                <Text style={styles.traceTitle}>Expense {traceIndex + 1}</Text>
+              )}
+              {trace.transcript !== transcript && (
+                <Text style={styles.traceText}>Read as: "{trace.transcript}"</Text>
+              )}
+              {traceFieldsOf(trace).map(({ key, label }) => {
+                const step = trace.fields[key];
+                return (
+                  <View key={key} style={styles.traceField}>
+                    <Text style={styles.traceFieldLabel}>
+                      {label}: {step.value ? `"${step.value}"` : '(empty)'}
+                    </Text>
+                    <Text style={styles.traceText}>How: {step.branch}</Text>
+                    {step.span && step.span.text.trim() !== step.segment.trim() && (
+                      <Text style={styles.traceText}>From: "{step.span.text.trim()}"</Text>
+                    )}
+                    {step.segment ? (
+                      <Text style={styles.traceText}>Segment: "{step.segment}"</Text>
+                    ) : null}
+                    {step.candidates.length > 0 && (
+                      <Text style={styles.traceText}>
+                        Scores: {formatTraceCandidates(step.candidates)}
+                      </Text>
+                    )}
+                  </View>
+                );
+              })}
+            </View>
+          ))}
         </View>
 
-        {lastSavedRow && (
+        {savedRows.length > 0 && (
           <View style={styles.section}>
-            <View style={styles.savedRowHeader}>
-              <Text style={styles.sectionTitle}>Saved to Google Sheets</Text>
-              <View style={styles.successBadge}>
-                <Text style={styles.successBadgeText}>✓ Row {lastSavedRow.rowNumber || '?'}</Text>
-              </View>
-            </View>
-            <View style={styles.savedRowContainer}>
-              <View style={styles.savedRowItem}>
-                <Text style={styles.savedRowLabel}>Date:</Text>
-                <Text style={styles.savedRowValue}>{lastSavedRow.record.date || 'N/A'}</Text>
-              </View>
-              <View style={styles.savedRowItem}>
-                <Text style={styles.savedRowLabel}>Card:</Text>
-                <Text style={styles.savedRowValue}>{lastSavedRow.record.card_name || 'N/A'}</Text>
-              </View>
-              <View style={styles.savedRowItem}>
-                <Text style={styles.savedRowLabel}>Amount:</Text>
-                <Text style={[styles.savedRowValue, styles.amountValue]}>
-                  {lastSavedRow.record.expense_amount ? `$${lastSavedRow.record.expense_amount}` : 'N/A'}
-                </Text>
-              </View>
-              <View style={styles.savedRowItem}>
-                <Text style={styles.savedRowLabel}>Category:</Text>
-                <Text style={styles.savedRowValue}>{lastSavedRow.record.expense_category || 'N/A'}</Text>
-              </View>
-              <View style={styles.savedRowItem}>
-                <Text style={styles.savedRowLabel}>Description:</Text>
-                <Text style={styles.savedRowValue}>{lastSavedRow.record.description || 'N/A'}</Text>
-              </View>
-              <View style={[styles.savedRowItem, styles.savedRowItemLast]}>
-                <Text style={styles.savedRowLabel}>Saved at:</Text>
-                <Text style={styles.savedRowValue}>
-                  {lastSavedRow.values[5] ? new Date(lastSavedRow.values[5]).toLocaleString() : 'N/A'}
+            <Text style={styles.sectionTitle}>
+              Saved to Google Sheets{savedRows.length > 1 ? ` (${savedRows.length} rows)` : ''}
+            </Text>
+            {savedRows.map((savedRow, rowIndex) => (
+              <View key={`saved-row-${rowIndex}`} style={rowIndex > 0 ? styles.savedRowSpacing : null}>
+                <View style={styles.savedRowHeader}>
+                  <Text style={styles.savedRowTitle}>
+                    {savedRows.length > 1 ? `Expense ${rowIndex + 1}` : 'Expense'}
+                  </Text>
+                  <View style={styles.savedRowBadges}>
+                    {savedRow.record.needs_review && (
+                      <View style={styles.reviewBadge}>
+                        <Text style={styles.reviewBadgeText}>⚠ Needs review</Text>
+                      </View>
+                    )}
+                    <View style={styles.successBadge}>
+                      <Text style={styles.successBadgeText}>✓ Row {savedRow.rowNumber || '?'}</Text>
+                    </View>
+                  </View>
+                </View>
+                <View style={[
+                  styles.savedRowContainer,
+                  savedRow.record.needs_review && styles.savedRowContainerReview,
+                ]}>
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>Date:</Text>
+                    <Text style={styles.savedRowValue}>{savedRow.record.date || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>
+                      {savedRow.record.transaction_type === 'transfer' ? 'From:' : 'Card:'}
+                    </Text>
+                    <Text style={[
+                      styles.savedRowValue,
+                      isLowConfidenceField(savedRow.record, 'card_name') && styles.lowConfidenceValue,
+                    ]}>
+                      {savedRow.record.card_name || 'N/A'}
+                    </Text>
+                  </View>
+                  {savedRow.record.transaction_type === 'transfer' && (
+                    <View style={styles.savedRowItem}>
+                      <Text style={styles.savedRowLabel}>To:</Text>
+                      <Text style={[
+                        styles.savedRowValue,
+                        isLowConfidenceField(savedRow.record, 'transfer_to') && styles.lowConfidenceValue,
+                      ]}>
+                        {savedRow.record.transfer_to || 'N/A'}
+                      </Text>
+                    </View>
+                  )}
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>Amount:</Text>
+                    <Text style={[
+                      styles.savedRowValue,
+                      styles.amountValue,
+                      isLowConfidenceField(savedRow.record, 'expense_amount') && styles.lowConfidenceValue,
+                    ]}>
+                      {savedRow.record.expense_amount
+                        ? formatHomeAmount(savedRow.record.expense_amount, homeCurrency)
+                        : 'N/A'}
+                      {savedRow.record.currency && savedRow.record.currency !== homeCurrency
+                        ? ` (${savedRow.record.original_amount} ${savedRow.record.currency})`
+                        : ''}
+                    </Text>
+                  </View>
+                  {TRANSACTION_TYPE_LABELS[savedRow.record.transaction_type] && (
+                    <View style={styles.savedRowItem}>
+                      <Text style={styles.savedRowLabel}>Type:</Text>
+                      <Text style={styles.savedRowValue}>
+                        {TRANSACTION_TYPE_LABELS[savedRow.record.transaction_type]}
+                      </Text>
+                    </View>
+                  )}
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>Category:</Text>
+                    <Text style={[
+                      styles.savedRowValue,
+                      isLowConfidenceField(savedRow.record, 'expense_category') && styles.lowConfidenceValue,
+                    ]}>
+                      {savedRow.record.expense_category || 'N/A'}
+                    </Text>
+                  </View>
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>Merchant:</Text>
+                    <Text style={styles.savedRowValue}>{savedRow.record.merchant || 'N/A'}</Text>
+                  </View>
+                  <View style={styles.savedRowItem}>
+                    <Text style={styles.savedRowLabel}>Description:</Text>
+                    <Text style={styles.savedRowValue}>{savedRow.record.description || 'N/A'}</Text>
+                  </View>
+                  {savedRow.record.tags?.length ? (
+                    <View style={styles.savedRowItem}>
+                      <Text style={styles.savedRowLabel}>Tags:</Text>
+                      <Text style={[
+                        styles.savedRowValue,
+                        isLowConfidenceField(savedRow.record, 'tags') && styles.lowConfidenceValue,
+                      ]}>
+                        {savedRow.record.tags.join(", ")}
+                      </Text>
+                    </View>
+                  ) : null}
+                  {Object.entries(savedRow.record.custom_fields || {}).map(([name, value]) => (
+                    <View key={`custom-${name}`} style={styles.savedRowItem}>
+                      <Text style={styles.savedRowLabel}>{name}:</Text>
+                      <Text style={styles.savedRowValue}>{value}</Text>
+                    </View>
+                  ))}
+                  <View style={[styles.savedRowItem, styles.savedRowItemLast]}>
+                    <Text style={styles.savedRowLabel}>Saved at:</Text>
+                    <Text style={styles.savedRowValue}>
+                      {savedRow.values[5] ? new Date(savedRow.values[5]).toLocaleString() : 'N/A'}
+                    </Text>
+                  </View>
+                </View>
+                <Text style={styles.savedRowRange}>
+                  Range: {savedRow.range}
                 </Text>
               </View>
-            </View>
-            <Text style={styles.savedRowRange}>
-              Range: {lastSavedRow.range}
-            </Text>
+            ))}
             <TouchableOpacity
               style={styles.openSheetButton}
               onPress={handleOpenGoogleSheet}
@@ -673,123 +1639,540 @@ export default function App() {
                   <Text style={styles.signOutButtonText}>Sign Out</Text>
                 </TouchableOpacity>
               </View>
-            </View>
-          ) : (
-            <TouchableOpacity
-              style={styles.signInButton}
-              onPress={handleGoogleSignIn}
-            >
-              <Text style={styles.signInButtonText}>Sign in with Google</Text>
-            </TouchableOpacity>
-          )}
-        </View>
-
-        {isProcessing && (
-          <View style={styles.loadingOverlay}>
-            <ActivityIndicator size="large" color="#2563eb" />
-            <Text style={styles.loadingText}>Processing...</Text>
-          </View>
-        )}
-      </View>
-
-      {/* Settings Modal */}
-      <Modal
-        visible={showSettings}
-        animationType="slide"
-        transparent={true}
-        onRequestClose={handleCloseSettings}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={styles.modalContent}>
-            <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Settings</Text>
-              <TouchableOpacity
-                style={styles.modalCloseButton}
-                onPress={handleCloseSettings}
-              >
-                <Text style={styles.modalCloseButtonText}>✕</Text>
-              </TouchableOpacity>
-            </View>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.signInButton}
+              onPress={handleGoogleSignIn}
+            >
+              <Text style={styles.signInButtonText}>Sign in with Google</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {isProcessing && (
+          <View style={styles.loadingOverlay}>
+            <ActivityIndicator size="large" color="#2563eb" />
+            <Text style={styles.loadingText}>Processing...</Text>
+          </View>
+        )}
+      </View>
+
+      {/* Settings Modal */}
+      <Modal
+        visible={showSettings}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={handleCloseSettings}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Settings</Text>
+              <TouchableOpacity
+                style={styles.modalCloseButton}
+                onPress={handleCloseSettings}
+              >
+                <Text style={styles.modalCloseButtonText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView style={styles.modalScrollView}>
+              {/* Recording Mode Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Recording Mode</Text>
+                <View style={styles.recordingModeContainer}>
+                  <TouchableOpacity
+                    style={[
+                      styles.recordingModeOption,
+                      recordingMode === 'hold' && styles.recordingModeOptionActive,
+                    ]}
+                    onPress={async () => {
+                      await saveRecordingMode('hold');
+                      setRecordingMode('hold');
+                      setStatus("Recording mode changed to 'Press & Hold'");
+                      setTimeout(() => setStatus("Idle"), 2000);
+                    }}
+                  >
+                    <Text style={[
+                      styles.recordingModeOptionText,
+                      recordingMode === 'hold' && styles.recordingModeOptionTextActive,
+                    ]}>
+                      Press & Hold
+                    </Text>
+                    <Text style={styles.recordingModeDescription}>
+                      Press and hold to record, release to stop
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[
+                      styles.recordingModeOption,
+                      recordingMode === 'tap' && styles.recordingModeOptionActive,
+                    ]}
+                    onPress={async () => {
+                      await saveRecordingMode('tap');
+                      setRecordingMode('tap');
+                      setStatus("Recording mode changed to 'Tap to Record'");
+                      setTimeout(() => setStatus("Idle"), 2000);
+                    }}
+                  >
+                    <Text style={[
+                      styles.recordingModeOptionText,
+                      recordingMode === 'tap' && styles.recordingModeOptionTextActive,
+                    ]}>
+                      Tap to Record
+                    </Text>
+                    <Text style={styles.recordingModeDescription}>
+                      Tap to start, tap again to stop (auto-stops at 30s)
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              {/* Name Matching Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Name Matching</Text>
+                <View style={styles.recordingModeContainer}>
+                  {FUZZY_THRESHOLD_OPTIONS.map((option) => (
+                    <TouchableOpacity
+                      key={option.label}
+                      style={[
+                        styles.recordingModeOption,
+                        fuzzyThreshold === option.value && styles.recordingModeOptionActive,
+                      ]}
+                      onPress={() => handleSelectFuzzyThreshold(option.value, option.label)}
+                    >
+                      <Text style={[
+                        styles.recordingModeOptionText,
+                        fuzzyThreshold === option.value && styles.recordingModeOptionTextActive,
+                      ]}>
+                        {option.label}
+                      </Text>
+                      <Text style={styles.recordingModeDescription}>
+                        {option.description}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              {/* Number & Date Format Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Number & Date Format</Text>
+                <View style={styles.recordingModeContainer}>
+                  {Object.entries(LOCALES).map(([code, option]) => (
+                    <TouchableOpacity
+                      key={code}
+                      style={[
+                        styles.recordingModeOption,
+                        locale === code && styles.recordingModeOptionActive,
+                      ]}
+                      onPress={() => handleSelectLocale(code)}
+                    >
+                      <Text style={[
+                        styles.recordingModeOptionText,
+                        locale === code && styles.recordingModeOptionTextActive,
+                      ]}>
+                        {option.label}
+                      </Text>
+                      <Text style={styles.recordingModeDescription}>
+                        {option.example}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              {/* Language Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Language</Text>
+                <View style={styles.recordingModeContainer}>
+                  {LANGUAGE_OPTIONS.map((option) => (
+                    <TouchableOpacity
+                      key={option.code}
+                      style={[
+                        styles.recordingModeOption,
+                        language === option.code && styles.recordingModeOptionActive,
+                      ]}
+                      onPress={() => handleSelectLanguage(option)}
+                    >
+                      <Text style={[
+                        styles.recordingModeOptionText,
+                        language === option.code && styles.recordingModeOptionTextActive,
+                      ]}>
+                        {option.label}
+                      </Text>
+                      <Text style={styles.recordingModeDescription}>
+                        {option.description}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              {/* Spoken Keywords Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Spoken Keywords</Text>
+                {KEYWORD_GROUPS.map((group, index) => (
+                  <View key={group.key} style={styles.listItem}>
+                    <View style={styles.listItemTextContainer}>
+                      <Text style={styles.listItemText}>{group.label}</Text>
+                      <Text style={styles.listItemAliasText}>
+                        {(triggerKeywords[group.key] || []).join(", ")}
+                      </Text>
+                    </View>
+                    <View style={styles.listItemActions}>
+                      <TouchableOpacity
+                        style={styles.editButton}
+                        onPress={() => handleEditKeywords(index)}
+                      >
+                        <Text style={styles.editButtonText}>Edit</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </View>
+
+              {/* Currency Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Currency</Text>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Home currency: {homeCurrency}</Text>
+                    <Text style={styles.listItemAliasText}>
+                      Amounts in other currencies are converted to it
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditCurrency('homeCurrency')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Exchange rates</Text>
+                    <Text style={styles.listItemAliasText}>
+                      {Object.entries(exchangeRates)
+                        .map(([code, rate]) => `${code} ${rate}`)
+                        .join(", ") || 'None'}
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditCurrency('exchangeRates')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Sales tax: {salesTaxRate}%</Text>
+                    <Text style={styles.listItemAliasText}>
+                      Added when you say "plus tax", e.g. "$30 plus tax"
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditCurrency('salesTax')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              </View>
+
+              {/* Sheet Tabs Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Sheet Tabs</Text>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Income: {incomeSheetName}</Text>
+                    <Text style={styles.listItemAliasText}>
+                      Income is saved to this tab instead of Sheet1
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditSheetTab('incomeSheet')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Transfers: {transferSheetName}</Text>
+                    <Text style={styles.listItemAliasText}>
+                      Transfers and card payments are saved here so they don't count as spending
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditSheetTab('transferSheet')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              </View>
+
+              {/* Account Names Section */}
+              <View style={styles.settingsSection}>
+                <View style={styles.settingsSectionHeader}>
+                  <Text style={styles.settingsSectionTitle}>Account Names</Text>
+                  <TouchableOpacity
+                    style={styles.addButton}
+                    onPress={() => handleAddItem('accounts')}
+                  >
+                    <Text style={styles.addButtonText}>+ Add</Text>
+                  </TouchableOpacity>
+                </View>
+                <FlatList
+                  data={accountNames}
+                  keyExtractor={(item, index) => `account-${index}`}
+                  renderItem={({ item, index }) => (
+                    <View style={styles.listItem}>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{item}</Text>
+                        {accountAliases[item]?.length ? (
+                          <Text style={styles.listItemAliasText}>
+                            Also: {accountAliases[item].join(", ")}
+                          </Text>
+                        ) : null}
+                      </View>
+                      <View style={styles.listItemActions}>
+                        <TouchableOpacity
+                          style={[styles.aliasButton, { marginRight: 8 }]}
+                          onPress={() => handleEditAliases('accounts', index)}
+                        >
+                          <Text style={styles.aliasButtonText}>Aliases</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.editButton, { marginRight: 8 }]}
+                          onPress={() => handleEditItem('accounts', index)}
+                        >
+                          <Text style={styles.editButtonText}>Edit</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.deleteButton}
+                          onPress={() => handleDeleteItem('accounts', index)}
+                        >
+                          <Text style={styles.deleteButtonText}>Delete</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
+                  scrollEnabled={false}
+                />
+              </View>
+
+              {/* Expense Categories Section */}
+              <View style={styles.settingsSection}>
+                <View style={styles.settingsSectionHeader}>
+                  <Text style={styles.settingsSectionTitle}>Expense Categories</Text>
+                  <TouchableOpacity
+                    style={styles.addButton}
+                    onPress={() => handleAddItem('categories')}
+                  >
+                    <Text style={styles.addButtonText}>+ Add</Text>
+                  </TouchableOpacity>
+                </View>
+                <FlatList
+                  data={expenseCategories}
+                  keyExtractor={(item, index) => `category-${index}`}
+                  renderItem={({ item, index }) => (
+                    <View style={styles.listItem}>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{item}</Text>
+                        {categoryAliases[item]?.length ? (
+                          <Text style={styles.listItemAliasText}>
+                            Also: {categoryAliases[item].join(", ")}
+                          </Text>
+                        ) : null}
+                      </View>
+                      <View style={styles.listItemActions}>
+                        <TouchableOpacity
+                          style={[styles.aliasButton, { marginRight: 8 }]}
+                          onPress={() => handleEditAliases('categories', index)}
+                        >
+                          <Text style={styles.aliasButtonText}>Aliases</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.editButton, { marginRight: 8 }]}
+                          onPress={() => handleEditItem('categories', index)}
+                        >
+                          <Text style={styles.editButtonText}>Edit</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.deleteButton}
+                          onPress={() => handleDeleteItem('categories', index)}
+                        >
+                          <Text style={styles.deleteButtonText}>Delete</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
+                  scrollEnabled={false}
+                />
+              </View>
+
+              {/* Income Section */}
+              <View style={styles.settingsSection}>
+                <View style={styles.settingsSectionHeader}>
+                  <Text style={styles.settingsSectionTitle}>Income Categories</Text>
+                  <TouchableOpacity
+                    style={styles.addButton}
+                    onPress={() => handleAddItem('incomeCategories')}
+                  >
+                    <Text style={styles.addButtonText}>+ Add</Text>
+                  </TouchableOpacity>
+                </View>
+                <FlatList
+                  data={incomeCategories}
+                  keyExtractor={(item, index) => `income-category-${index}`}
+                  renderItem={({ item, index }) => (
+                    <View style={styles.listItem}>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{item}</Text>
+                        {categoryAliases[item]?.length ? (
+                          <Text style={styles.listItemAliasText}>
+                            Also: {categoryAliases[item].join(", ")}
+                          </Text>
+                        ) : null}
+                      </View>
+                      <View style={styles.listItemActions}>
+                        <TouchableOpacity
+                          style={[styles.aliasButton, { marginRight: 8 }]}
+                          onPress={() => handleEditAliases('incomeCategories', index)}
+                        >
+                          <Text style={styles.aliasButtonText}>Aliases</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.editButton, { marginRight: 8 }]}
+                          onPress={() => handleEditItem('incomeCategories', index)}
+                        >
+                          <Text style={styles.editButtonText}>Edit</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.deleteButton}
+                          onPress={() => handleDeleteItem('incomeCategories', index)}
+                        >
+                          <Text style={styles.deleteButtonText}>Delete</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
+                  scrollEnabled={false}
+                />
+              </View>
 
-            <ScrollView style={styles.modalScrollView}>
-              {/* Recording Mode Section */}
+              {/* Tags Section */}
               <View style={styles.settingsSection}>
-                <Text style={styles.settingsSectionTitle}>Recording Mode</Text>
-                <View style={styles.recordingModeContainer}>
+                <View style={styles.settingsSectionHeader}>
+                  <Text style={styles.settingsSectionTitle}>Tags</Text>
                   <TouchableOpacity
-                    style={[
-                      styles.recordingModeOption,
-                      recordingMode === 'hold' && styles.recordingModeOptionActive,
-                    ]}
-                    onPress={async () => {
-                      await saveRecordingMode('hold');
-                      setRecordingMode('hold');
-                      setStatus("Recording mode changed to 'Press & Hold'");
-                      setTimeout(() => setStatus("Idle"), 2000);
-                    }}
+                    style={styles.addButton}
+                    onPress={() => handleAddItem('tags')}
                   >
-                    <Text style={[
-                      styles.recordingModeOptionText,
-                      recordingMode === 'hold' && styles.recordingModeOptionTextActive,
-                    ]}>
-                      Press & Hold
-                    </Text>
-                    <Text style={styles.recordingModeDescription}>
-                      Press and hold to record, release to stop
-                    </Text>
+                    <Text style={styles.addButtonText}>+ Add</Text>
                   </TouchableOpacity>
+                </View>
+                <Text style={styles.recordingModeDescription}>
+                  Say "tags reimbursable and Hawaii trip" to label a record. Total shows everything saved with a tag.
+                </Text>
+                <FlatList
+                  data={tags}
+                  keyExtractor={(item, index) => `tag-${index}`}
+                  renderItem={({ item, index }) => (
+                    <View style={styles.listItem}>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{item}</Text>
+                      </View>
+                      <View style={styles.listItemActions}>
+                        <TouchableOpacity
+                          style={[styles.aliasButton, { marginRight: 8 }]}
+                          onPress={() => handleShowTagTotal(item)}
+                        >
+                          <Text style={styles.aliasButtonText}>Total</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.editButton, { marginRight: 8 }]}
+                          onPress={() => handleEditItem('tags', index)}
+                        >
+                          <Text style={styles.editButtonText}>Edit</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={styles.deleteButton}
+                          onPress={() => handleDeleteItem('tags', index)}
+                        >
+                          <Text style={styles.deleteButtonText}>Delete</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
+                  scrollEnabled={false}
+                />
+              </View>
+
+              {/* Category Suggestions Section */}
+              <View style={styles.settingsSection}>
+                <View style={styles.settingsSectionHeader}>
+                  <Text style={styles.settingsSectionTitle}>Category Suggestions</Text>
                   <TouchableOpacity
-                    style={[
-                      styles.recordingModeOption,
-                      recordingMode === 'tap' && styles.recordingModeOptionActive,
-                    ]}
-                    onPress={async () => {
-                      await saveRecordingMode('tap');
-                      setRecordingMode('tap');
-                      setStatus("Recording mode changed to 'Tap to Record'");
-                      setTimeout(() => setStatus("Idle"), 2000);
-                    }}
+                    style={styles.addButton}
+                    onPress={handleTrainClassifier}
                   >
-                    <Text style={[
-                      styles.recordingModeOptionText,
-                      recordingMode === 'tap' && styles.recordingModeOptionTextActive,
-                    ]}>
-                      Tap to Record
-                    </Text>
-                    <Text style={styles.recordingModeDescription}>
-                      Tap to start, tap again to stop (auto-stops at 30s)
-                    </Text>
+                    <Text style={styles.addButtonText}>Learn from Sheet</Text>
                   </TouchableOpacity>
                 </View>
+                <Text style={styles.recordingModeDescription}>
+                  When no category or account is spoken, one is suggested from past rows with similar descriptions and merchants. Every saved row is learned from as well. {classifierExamples
+                    ? `Learned from ${classifierExamples} ${classifierExamples === 1 ? 'row' : 'rows'} so far.`
+                    : 'Nothing learned yet.'}
+                </Text>
               </View>
 
-              {/* Account Names Section */}
+              {/* Rules Section */}
               <View style={styles.settingsSection}>
                 <View style={styles.settingsSectionHeader}>
-                  <Text style={styles.settingsSectionTitle}>Account Names</Text>
+                  <Text style={styles.settingsSectionTitle}>Rules</Text>
                   <TouchableOpacity
                     style={styles.addButton}
-                    onPress={() => handleAddItem('accounts')}
+                    onPress={() => handleEditRule(null)}
                   >
                     <Text style={styles.addButtonText}>+ Add</Text>
                   </TouchableOpacity>
                 </View>
+                <Text style={styles.recordingModeDescription}>
+                  Fill in or correct fields after a recording is parsed, in order. "set" only fills an empty field, "override" always replaces it. For example: "if description or merchant contains Uber, Lyft then set category to Commute".
+                </Text>
                 <FlatList
-                  data={accountNames}
-                  keyExtractor={(item, index) => `account-${index}`}
+                  data={rules}
+                  keyExtractor={(item, index) => `rule-${index}`}
                   renderItem={({ item, index }) => (
                     <View style={styles.listItem}>
-                      <Text style={styles.listItemText}>{item}</Text>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{describeRule(item)}</Text>
+                      </View>
                       <View style={styles.listItemActions}>
                         <TouchableOpacity
                           style={[styles.editButton, { marginRight: 8 }]}
-                          onPress={() => handleEditItem('accounts', index)}
+                          onPress={() => handleEditRule(index)}
                         >
                           <Text style={styles.editButtonText}>Edit</Text>
                         </TouchableOpacity>
                         <TouchableOpacity
                           style={styles.deleteButton}
-                          onPress={() => handleDeleteItem('accounts', index)}
+                          onPress={() => handleDeleteRule(index)}
                         >
                           <Text style={styles.deleteButtonText}>Delete</Text>
                         </TouchableOpacity>
@@ -800,33 +2183,85 @@ export default function App() {
                 />
               </View>
 
-              {/* Expense Categories Section */}
+              {/* Rule Testing Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Test Rules</Text>
+                <Text style={styles.recordingModeDescription}>
+                  Type a transcript as you would say it to see how it is parsed and what the rules change. Nothing is saved.
+                </Text>
+                <TextInput
+                  style={styles.editInput}
+                  value={ruleTestText}
+                  onChangeText={setRuleTestText}
+                  placeholder='e.g. Charge $18. Description is Uber ride home'
+                  multiline={true}
+                />
+                <TouchableOpacity
+                  style={[styles.saveItemButton, styles.ruleTestButton]}
+                  onPress={handleTestRules}
+                >
+                  <Text style={styles.saveItemButtonText}>Test</Text>
+                </TouchableOpacity>
+                {ruleTestResults && ruleTestResults.map((result, resultIndex) => (
+                  <View key={`rule-test-${resultIndex}`} style={styles.tracePanel}>
+                    {ruleTestResults.length > 1 && (
+                      <Text style={styles.traceTitle}>Expense {resultIndex + 1}</Text>
+                    )}
+                    {result.applied.length ? (
+                      result.applied.map((ruleText, ruleIndex) => (
+                        <Text key={`applied-${ruleIndex}`} style={styles.traceText}>
+                          Applied: {ruleText}
+                        </Text>
+                      ))
+                    ) : (
+                      <Text style={styles.traceText}>No rule changed this record.</Text>
+                    )}
+                    {TRACE_FIELDS.map(({ key, label }) => {
+                      const show = (value) => (Array.isArray(value) ? value.join(', ') : value) || '(empty)';
+                      const before = show(result.before[key]);
+                      const after = show(result.after[key]);
+                      return (
+                        <Text key={key} style={before !== after ? styles.traceFieldLabel : styles.traceText}>
+                          {label}: {before !== after ? `${before} → ${after}` : after}
+                        </Text>
+                      );
+                    })}
+                  </View>
+                ))}
+              </View>
+
+              {/* Custom Fields Section */}
               <View style={styles.settingsSection}>
                 <View style={styles.settingsSectionHeader}>
-                  <Text style={styles.settingsSectionTitle}>Expense Categories</Text>
+                  <Text style={styles.settingsSectionTitle}>Custom Fields</Text>
                   <TouchableOpacity
                     style={styles.addButton}
-                    onPress={() => handleAddItem('categories')}
+                    onPress={() => handleEditCustomField(null)}
                   >
                     <Text style={styles.addButtonText}>+ Add</Text>
                   </TouchableOpacity>
                 </View>
+                <Text style={styles.recordingModeDescription}>
+                  Extra fields spoken after their own keyword ("project Alpha") and written to their own sheet column, O or later. With allowed values, the spoken text is matched against them and anything else is flagged for review.
+                </Text>
                 <FlatList
-                  data={expenseCategories}
-                  keyExtractor={(item, index) => `category-${index}`}
+                  data={customFields}
+                  keyExtractor={(item) => `custom-field-${item.name}`}
                   renderItem={({ item, index }) => (
                     <View style={styles.listItem}>
-                      <Text style={styles.listItemText}>{item}</Text>
+                      <View style={styles.listItemTextContainer}>
+                        <Text style={styles.listItemText}>{describeCustomField(item)}</Text>
+                      </View>
                       <View style={styles.listItemActions}>
                         <TouchableOpacity
                           style={[styles.editButton, { marginRight: 8 }]}
-                          onPress={() => handleEditItem('categories', index)}
+                          onPress={() => handleEditCustomField(index)}
                         >
                           <Text style={styles.editButtonText}>Edit</Text>
                         </TouchableOpacity>
                         <TouchableOpacity
                           style={styles.deleteButton}
-                          onPress={() => handleDeleteItem('categories', index)}
+                          onPress={() => handleDeleteCustomField(index)}
                         >
                           <Text style={styles.deleteButtonText}>Delete</Text>
                         </TouchableOpacity>
@@ -837,6 +2272,85 @@ export default function App() {
                 />
               </View>
 
+              {/* Language Model Extraction Section */}
+              <View style={styles.settingsSection}>
+                <Text style={styles.settingsSectionTitle}>Language Model Extraction</Text>
+                <View style={styles.recordingModeContainer}>
+                  {[false, true].map((enabled) => (
+                    <TouchableOpacity
+                      key={enabled ? 'on' : 'off'}
+                      style={[
+                        styles.recordingModeOption,
+                        llmExtraction.enabled === enabled && styles.recordingModeOptionActive,
+                      ]}
+                      onPress={() => handleSelectLlmEnabled(enabled)}
+                    >
+                      <Text style={[
+                        styles.recordingModeOptionText,
+                        llmExtraction.enabled === enabled && styles.recordingModeOptionTextActive,
+                      ]}>
+                        {enabled ? 'On' : 'Off'}
+                      </Text>
+                      <Text style={styles.recordingModeDescription}>
+                        {enabled
+                          ? 'Send the transcript and your lists to a language model; falls back to the keyword parser if it fails'
+                          : 'Parse transcripts on the phone with keywords and free-form matching'}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Endpoint</Text>
+                    <Text style={styles.listItemAliasText}>
+                      {llmExtraction.endpoint || `Default: ${DEFAULT_LLM_ENDPOINT}`}
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditLlmSetting('llmEndpoint')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>Model</Text>
+                    <Text style={styles.listItemAliasText}>
+                      {llmExtraction.model || (DEFAULT_LLM_MODEL ? `Default: ${DEFAULT_LLM_MODEL}` : "The endpoint's default")}
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditLlmSetting('llmModel')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                <View style={styles.listItem}>
+                  <View style={styles.listItemTextContainer}>
+                    <Text style={styles.listItemText}>API Key</Text>
+                    <Text style={styles.listItemAliasText}>
+                      {llmExtraction.apiKey
+                        ? 'Set, sent to the custom endpoint'
+                        : "None (the app's key is only sent to the default endpoint)"}
+                    </Text>
+                  </View>
+                  <View style={styles.listItemActions}>
+                    <TouchableOpacity
+                      style={styles.editButton}
+                      onPress={() => handleEditLlmSetting('llmApiKey')}
+                    >
+                      <Text style={styles.editButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              </View>
+
               {/* Reset Button */}
               <TouchableOpacity
                 style={styles.resetButton}
@@ -853,13 +2367,82 @@ export default function App() {
           <View style={styles.editModalOverlay}>
             <View style={styles.editModalContent}>
               <Text style={styles.editModalTitle}>
-                {editingIndex !== null ? 'Edit' : 'Add'} {editingListType === 'accounts' ? 'Account Name' : 'Expense Category'}
+                {editingListType === 'homeCurrency'
+                  ? 'Home Currency'
+                  : editingListType === 'exchangeRates'
+                  ? `Exchange Rates (value of 1 unit in ${homeCurrency})`
+                  : editingListType === 'salesTax'
+                  ? 'Sales Tax Rate (%)'
+                  : editingListType === 'keywords'
+                  ? `${KEYWORD_GROUPS[editingIndex].label} Keywords`
+                  : editingListType === 'incomeSheet'
+                  ? 'Income Sheet Tab'
+                  : editingListType === 'transferSheet'
+                  ? 'Transfer Sheet Tab'
+                  : editingListType === 'rule'
+                  ? `${editingIndex !== null ? 'Edit' : 'Add'} Rule`
+                  : editingListType === 'customField'
+                  ? `${editingIndex !== null ? 'Edit' : 'Add'} Custom Field`
+                  : editingListType === 'llmEndpoint'
+                  ? 'Language Model Endpoint'
+                  : editingListType === 'llmModel'
+                  ? 'Language Model'
+                  : editingListType === 'llmApiKey'
+                  ? 'Language Model API Key'
+                  : ALIAS_LIST_TYPES[editingListType]
+                  ? `Aliases for ${listItems(ALIAS_LIST_TYPES[editingListType])[editingIndex]}`
+                  : `${editingIndex !== null ? 'Edit' : 'Add'} ${
+                      editingListType === 'accounts'
+                        ? 'Account Name'
+                        : editingListType === 'incomeCategories'
+                        ? 'Income Category'
+                        : editingListType === 'tags'
+                        ? 'Tag'
+                        : 'Expense Category'
+                    }`}
               </Text>
               <TextInput
                 style={styles.editInput}
                 value={editingValue}
                 onChangeText={setEditingValue}
-                placeholder={`Enter ${editingListType === 'cards' ? 'card name' : 'category'}`}
+                multiline={
+                  editingListType === 'exchangeRates' ||
+                  editingListType === 'rule' ||
+                  editingListType === 'customField'
+                }
+                secureTextEntry={editingListType === 'llmApiKey'}
+                autoCapitalize={
+                  editingListType === 'homeCurrency' || editingListType === 'exchangeRates'
+                    ? 'characters'
+                    : ['rule', 'customField'].includes(editingListType) || LLM_SETTING_FIELDS[editingListType]
+                    ? 'none'
+                    : 'sentences'
+                }
+                placeholder={
+                  editingListType === 'homeCurrency'
+                    ? 'Currency code, e.g. USD'
+                    : editingListType === 'exchangeRates'
+                    ? 'One per line, e.g. EUR 1.08'
+                    : editingListType === 'salesTax'
+                    ? 'Percent, e.g. 8.875'
+                    : editingListType === 'keywords'
+                    ? `Comma-separated, e.g. ${KEYWORD_GROUPS[editingIndex].example}`
+                    : editingListType === 'incomeSheet' || editingListType === 'transferSheet'
+                    ? 'Tab name as shown in Google Sheets'
+                    : editingListType === 'rule'
+                    ? 'e.g. if category is Grocery and account is empty then set account to CITI COSTCO'
+                    : editingListType === 'customField'
+                    ? 'One setting per line, e.g.\nname: Project\nkeyword: project, job\nvalues: Alpha, Beta\ncolumn: O'
+                    : editingListType === 'llmEndpoint'
+                    ? `Chat completions URL, blank for ${DEFAULT_LLM_ENDPOINT}`
+                    : editingListType === 'llmModel'
+                    ? 'Model name, blank for the default'
+                    : editingListType === 'llmApiKey'
+                    ? 'Key for the custom https:// endpoint, blank for none'
+                    : ALIAS_LIST_TYPES[editingListType]
+                    ? 'Comma-separated, e.g. sapphire, the blue card'
+                    : `Enter ${editingListType === 'accounts' ? 'account name' : editingListType === 'tags' ? 'tag' : 'category'}`
+                }
                 autoFocus={true}
               />
               <View style={styles.editModalActions}>
@@ -884,6 +2467,47 @@ export default function App() {
           </View>
         )}
       </Modal>
+
+      {/* Account Chooser Modal */}
+      <Modal
+        visible={accountChoice !== null}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => handleAccountChoice(null)}
+      >
+        {accountChoice && (
+          <View style={styles.editModalOverlay}>
+            <View style={styles.editModalContent}>
+              <Text style={styles.editModalTitle}>
+                Which account?{accountChoice.total > 1 ? ` (${accountChoice.index + 1} of ${accountChoice.total})` : ''}
+              </Text>
+              <Text style={styles.accountChoiceSummary}>
+                {accountChoice.record.expense_amount
+                  ? formatHomeAmount(accountChoice.record.expense_amount, homeCurrency)
+                  : '?'}
+                {accountChoice.record.description ? ` · ${accountChoice.record.description}` : ''}
+              </Text>
+              {accountChoice.record.card_candidates.map((candidate) => (
+                <TouchableOpacity
+                  key={candidate}
+                  style={styles.accountChoiceOption}
+                  onPress={() => handleAccountChoice(candidate)}
+                >
+                  <Text style={styles.accountChoiceOptionText}>{candidate}</Text>
+                </TouchableOpacity>
+              ))}
+              <View style={styles.editModalActions}>
+                <TouchableOpacity
+                  style={styles.cancelButton}
+                  onPress={() => handleAccountChoice(null)}
+                >
+                  <Text style={styles.cancelButtonText}>Skip (leave blank)</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      </Modal>
     </ScrollView>
   );
 }
@@ -1056,6 +2680,49 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     color: "#4b5563",
   },
+  traceToggle: {
+    alignSelf: "flex-start",
+    marginTop: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 4,
+    backgroundColor: "#6b7280",
+  },
+  traceToggleText: {
+    color: "#ffffff",
+    fontSize: 12,
+    fontWeight: "600",
+  },
+  tracePanel: {
+    marginTop: 8,
+    backgroundColor: "#f9fafb",
+    borderRadius: 10,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: "rgba(209, 213, 219, 0.9)",
+  },
+  traceTitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 4,
+  },
+  traceField: {
+    marginTop: 6,
+  },
+  ruleTestButton: {
+    alignSelf: "flex-start",
+  },
+  traceFieldLabel: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  traceText: {
+    fontSize: 12,
+    lineHeight: 18,
+    color: "#4b5563",
+  },
   loadingOverlay: {
     position: "absolute",
     top: 0,
@@ -1152,6 +2819,30 @@ const styles = StyleSheet.create({
     justifyContent: "space-between",
     marginBottom: 8,
   },
+  savedRowTitle: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  savedRowSpacing: {
+    marginTop: 14,
+  },
+  savedRowBadges: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  reviewBadge: {
+    backgroundColor: "#f59e0b",
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  reviewBadgeText: {
+    color: "#ffffff",
+    fontSize: 12,
+    fontWeight: "600",
+  },
   successBadge: {
     backgroundColor: "#10b981",
     paddingHorizontal: 10,
@@ -1170,6 +2861,10 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: "#86efac",
   },
+  savedRowContainerReview: {
+    backgroundColor: "#fffbeb",
+    borderColor: "#fcd34d",
+  },
   savedRowItem: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -1202,6 +2897,10 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     fontSize: 14,
   },
+  lowConfidenceValue: {
+    color: "#b45309",
+    fontStyle: "italic",
+  },
   savedRowRange: {
     fontSize: 11,
     color: "#6b7280",
@@ -1316,11 +3015,29 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: "#e5e7eb",
   },
-  listItemText: {
+  listItemTextContainer: {
     flex: 1,
+    marginRight: 12,
+  },
+  listItemText: {
     fontSize: 14,
     color: "#111827",
-    marginRight: 12,
+  },
+  listItemAliasText: {
+    fontSize: 12,
+    color: "#6b7280",
+    marginTop: 2,
+  },
+  aliasButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 4,
+    backgroundColor: "#6b7280",
+  },
+  aliasButtonText: {
+    color: "#ffffff",
+    fontSize: 12,
+    fontWeight: "600",
   },
   listItemActions: {
     flexDirection: "row",
@@ -1446,5 +3163,22 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: "600",
   },
+  accountChoiceSummary: {
+    fontSize: 14,
+    color: "#6b7280",
+    marginBottom: 12,
+  },
+  accountChoiceOption: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    marginBottom: 8,
+  },
+  accountChoiceOptionText: {
+    fontSize: 16,
+    color: "#111827",
+  },
 });
 
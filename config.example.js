@@ -28,5 +28,11 @@ export const Config = {
   TRANSCRIPTION_API_KEY: 'YOUR_TRANSCRIPTION_API_KEY_HERE',
   TRANSCRIPTION_API_HOST: 'space.ai-builders.com',
   TRANSCRIPTION_API_PATH: '/backend/v1/audio/transcriptions',
+
+  // Language model extraction (optional, turned on in Settings)
+  // A chat-completions-style endpoint on the transcription host, called with the same API key.
+  // The endpoint and model can also be changed in Settings
+  LLM_API_PATH: '/backend/v1/chat/completions',
+  LLM_MODEL: '', // Leave empty to use the endpoint's default model
 };
 
@@ -0,0 +1,58 @@
+/**
+ * Test cases for amountExpressions.js
+ */
+
+import { evaluateAmountExpression } from '../amountExpressions';
+
+describe('amountExpressions', () => {
+  describe('evaluateAmountExpression', () => {
+    test('adds and subtracts percentages', () => {
+      expect(evaluateAmountExpression("48 dollars plus 20 percent tip")).toEqual({
+        value: "57.60",
+        expression: "48 dollars plus 20 percent tip",
+      });
+      expect(evaluateAmountExpression("$40 minus 10% discount")).toEqual({
+        value: "36.00",
+        expression: "$40 minus 10% discount",
+      });
+      expect(evaluateAmountExpression("$60 plus a 15 percent tip for dinner").value).toBe("69.00");
+    });
+
+    test('adds tax at the given rate', () => {
+      expect(evaluateAmountExpression("$30 plus tax", 10).value).toBe("33.00");
+      expect(evaluateAmountExpression("$30 plus tax").value).toBe("32.40");
+      expect(evaluateAmountExpression("$50 plus 8.875 percent tax").value).toBe("54.44");
+    });
+
+    test('multiplies repeated items', () => {
+      expect(evaluateAmountExpression("3 coffees at 4.50 each")).toEqual({
+        value: "13.50",
+        expression: "3 coffees at 4.50 each",
+      });
+      expect(evaluateAmountExpression("3 times $4").value).toBe("12.00");
+      expect(evaluateAmountExpression("2 large pizzas for 15 dollars each").value).toBe("30.00");
+    });
+
+    test('sums several figures', () => {
+      expect(evaluateAmountExpression("12 plus 8.50 plus 3 dollars").value).toBe("23.50");
+      expect(evaluateAmountExpression("$20 for the ticket plus $5.25 parking").value).toBe("25.25");
+      expect(evaluateAmountExpression("€20 plus 5 euros").value).toBe("25.00");
+    });
+
+    test('applies percentages to the total so far', () => {
+      expect(evaluateAmountExpression("2 coffees at 5 each plus 20 percent tip").value).toBe("12.00");
+      expect(evaluateAmountExpression("25 dollars and 40 cents plus 10 percent tip").value).toBe("27.94");
+    });
+
+    test('returns null for a single figure or no amount', () => {
+      expect(evaluateAmountExpression("$30 to Chase Sapphire")).toBeNull();
+      expect(evaluateAmountExpression("60 grocery and 40 household")).toBeNull();
+      expect(evaluateAmountExpression("lunch plus tip")).toBeNull();
+      expect(evaluateAmountExpression("")).toBeNull();
+    });
+
+    test('rejects expressions that come out negative', () => {
+      expect(evaluateAmountExpression("$10 minus $20")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Test cases for classifier.js
+ */
+
+import {
+  classifierTokens,
+  classify,
+  createModel,
+  trainClassifier,
+  trainClassifierFromRecords,
+  trainModel,
+} from '../classifier';
+
+const HISTORY = [
+  { description: "Uber ride home", merchant: "Uber", expense_category: "Commute", card_name: "Chase Sapphire" },
+  { description: "Lyft to the airport", merchant: "", expense_category: "Commute", card_name: "Chase Sapphire" },
+  { description: "Uber to work", merchant: "Uber", expense_category: "Commute", card_name: "Chase Sapphire" },
+  { description: "milk and eggs", merchant: "Costco", expense_category: "Grocery", card_name: "CITI COSTCO" },
+  { description: "weekly groceries", merchant: "Safeway", expense_category: "Grocery", card_name: "Amex blue cash preferred" },
+  { description: "bread and milk", merchant: "Costco", expense_category: "Grocery", card_name: "CITI COSTCO" },
+  { description: "lunch with Sam", merchant: "Chipotle", expense_category: "Dining out", card_name: "Amex blue cash preferred" },
+  { description: "something", merchant: "", expense_category: "Misc", card_name: "" },
+];
+
+describe('classifier', () => {
+  describe('classifierTokens', () => {
+    test('keeps meaningful lowercase words only', () => {
+      expect(classifierTokens("Uber ride to the airport, $32.50 plus tip")).toEqual(["uber", "ride", "airport"]);
+      expect(classifierTokens("Trader Joe's")).toEqual(["trader", "joe"]);
+      expect(classifierTokens("")).toEqual([]);
+    });
+  });
+
+  describe('classify', () => {
+    const classifier = trainClassifierFromRecords(HISTORY);
+
+    test('suggests the category past records with the same words were filed under', () => {
+      const suggestion = classify(classifier.category, "Uber ride to dinner");
+      expect(suggestion.label).toBe("Commute");
+      expect(suggestion.probability).toBeGreaterThan(0.6);
+      expect(classify(classifier.category, "milk from Costco").label).toBe("Grocery");
+    });
+
+    test('suggests an account the same way', () => {
+      expect(classify(classifier.account, "eggs at Costco").label).toBe("CITI COSTCO");
+    });
+
+    test('makes no suggestion for unknown words or an untrained model', () => {
+      expect(classify(classifier.category, "quarterly dentist invoice")).toBeNull();
+      expect(classify(createModel(), "Uber ride")).toBeNull();
+      expect(classify(null, "Uber ride")).toBeNull();
+    });
+
+    test('only suggests labels from the allowed list, in its spelling', () => {
+      expect(classify(classifier.category, "Uber ride", ["commute", "Grocery"]).label).toBe("commute");
+      expect(classify(classifier.category, "Uber ride", ["Grocery", "Dining out"])?.label).not.toBe("Commute");
+    });
+  });
+
+  describe('training', () => {
+    test('ignores placeholder categories, income and suggested values', () => {
+      const classifier = trainClassifierFromRecords([
+        ...HISTORY,
+        { description: "paycheck", expense_category: "Salary", transaction_type: "income", card_name: "Chase checking" },
+        {
+          description: "Uber ride",
+          expense_category: "Dining out",
+          card_name: "Chase Sapphire",
+          confidence: { category_suggested: true, card_suggested: false },
+        },
+      ]);
+
+      expect(Object.keys(classifier.category.labels).sort()).toEqual(["Commute", "Dining out", "Grocery"]);
+      expect(classifier.category.labels["Dining out"].examples).toBe(1);
+      expect(classifier.account.labels["Chase checking"].examples).toBe(1);
+    });
+
+    test('learns incrementally from each saved record', () => {
+      const classifier = trainClassifierFromRecords(HISTORY);
+      expect(classify(classifier.category, "pottery class")).toBeNull();
+
+      trainClassifier(classifier, { description: "pottery class", expense_category: "Hobbies", card_name: "" });
+      trainClassifier(classifier, { description: "pottery wheel", expense_category: "Hobbies", card_name: "" });
+      expect(classify(classifier.category, "pottery class").label).toBe("Hobbies");
+    });
+
+    test('survives a round trip through JSON', () => {
+      const model = trainModel(createModel(), "Uber ride", "Commute");
+      expect(JSON.parse(JSON.stringify(model))).toEqual(model);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Test cases for currency.js
+ */
+
+import {
+  detectCurrency,
+  normalizeCurrencyMarkers,
+  convertAmount,
+  parseRateTable,
+  formatRateTable,
+} from '../currency';
+
+describe('currency', () => {
+  describe('detectCurrency', () => {
+    test('detects symbols, codes and spoken names', () => {
+      expect(detectCurrency("€30 to Chase Sapphire")).toBe("EUR");
+      expect(detectCurrency("45 euros to Chase Sapphire")).toBe("EUR");
+      expect(detectCurrency("2000 yen")).toBe("JPY");
+      expect(detectCurrency("CAD 15")).toBe("CAD");
+      expect(detectCurrency("12 pounds")).toBe("GBP");
+    });
+
+    test('prefers the longer marker at the same position', () => {
+      expect(detectCurrency("C$20")).toBe("CAD");
+      expect(detectCurrency("40 canadian dollars")).toBe("CAD");
+    });
+
+    test('reads plain dollars as the home dollar currency', () => {
+      expect(detectCurrency("$30")).toBe("USD");
+      expect(detectCurrency("30 bucks", "CAD")).toBe("CAD");
+      expect(detectCurrency("30 dollars", "EUR")).toBe("USD");
+    });
+
+    test('returns null when no currency is spoken', () => {
+      expect(detectCurrency("30 to Chase Sapphire")).toBeNull();
+      expect(detectCurrency("")).toBeNull();
+    });
+  });
+
+  describe('normalizeCurrencyMarkers', () => {
+    test('rewrites prefixed markers as a dollar sign', () => {
+      expect(normalizeCurrencyMarkers("€30 to chase")).toBe("$30 to chase");
+      expect(normalizeCurrencyMarkers("CAD 15 to chase")).toBe("$15 to chase");
+    });
+
+    test('rewrites suffixed markers, keeping decimals and cents', () => {
+      expect(normalizeCurrencyMarkers("12.50 euros")).toBe("$12.50");
+      expect(normalizeCurrencyMarkers("2000 yen")).toBe("$2000");
+      expect(normalizeCurrencyMarkers("15 euros and 50 cents")).toBe("15 dollars and 50 cents");
+    });
+
+    test('leaves dollar amounts untouched', () => {
+      expect(normalizeCurrencyMarkers("325 dollars and 39 cents")).toBe("325 dollars and 39 cents");
+    });
+  });
+
+  describe('convertAmount', () => {
+    test('converts with the rate of the spoken currency', () => {
+      expect(convertAmount("30.00", "EUR", "USD", { EUR: 1.08 })).toBe("32.40");
+      expect(convertAmount("2000.00", "JPY", "USD", { JPY: 0.0067 })).toBe("13.40");
+    });
+
+    test('returns the amount unchanged for the home currency', () => {
+      expect(convertAmount("30.00", "USD", "USD", {})).toBe("30.00");
+    });
+
+    test('returns null when no rate is known', () => {
+      expect(convertAmount("30.00", "GBP", "USD", { EUR: 1.08 })).toBeNull();
+    });
+  });
+
+  describe('parseRateTable', () => {
+    test('reads one rate per line in several formats', () => {
+      expect(parseRateTable("EUR 1.08\njpy=0.0067\n\nCAD,0.73")).toEqual({
+        EUR: 1.08,
+        JPY: 0.0067,
+        CAD: 0.73,
+      });
+    });
+
+    test('rejects an unreadable line with its line number', () => {
+      expect(() => parseRateTable("EUR 1.08\neuro one")).toThrow("Line 2");
+      expect(() => parseRateTable("EUR 0")).toThrow("Line 1");
+    });
+
+    test('round-trips through formatRateTable', () => {
+      const rates = { EUR: 1.08, JPY: 0.0067 };
+      expect(parseRateTable(formatRateTable(rates))).toEqual(rates);
+    });
+  });
+});
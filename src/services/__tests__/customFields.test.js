@@ -0,0 +1,73 @@
+/**
+ * Test cases for customFields.js
+ */
+
+import {
+  columnNumber,
+  describeCustomField,
+  formatCustomField,
+  parseCustomField,
+} from '../customFields';
+
+const PROJECT = { name: "Project", keywords: ["project", "job"], values: ["Alpha", "Beta"], column: "O" };
+
+describe('customFields', () => {
+  describe('columnNumber', () => {
+    test('converts column letters to numbers', () => {
+      expect(columnNumber("A")).toBe(1);
+      expect(columnNumber("O")).toBe(15);
+      expect(columnNumber("z")).toBe(26);
+      expect(columnNumber("AA")).toBe(27);
+    });
+  });
+
+  describe('parseCustomField', () => {
+    test('parses every setting', () => {
+      expect(parseCustomField("name: Project\nkeyword: Project, job\nvalues: Alpha, Beta\ncolumn: o")).toEqual(PROJECT);
+    });
+
+    test('defaults the keyword to the name and allows any value', () => {
+      expect(parseCustomField("name: Client\ncolumn: P")).toEqual({
+        name: "Client",
+        keywords: ["client"],
+        values: [],
+        column: "P",
+      });
+    });
+
+    test('rejects invalid fields', () => {
+      expect(() => parseCustomField("keyword: project\ncolumn: O")).toThrow(/needs a name/);
+      expect(() => parseCustomField("name: Project")).toThrow(/column letter/);
+      expect(() => parseCustomField("name: Project\ncolumn: D")).toThrow(/Columns A to N/);
+      expect(() => parseCustomField("name: Project\ncolour: red\ncolumn: O")).toThrow(/Unknown setting/);
+    });
+
+    test('rejects a name, keyword or column used by another field', () => {
+      expect(() => parseCustomField("name: project\ncolumn: P", [PROJECT])).toThrow(/already a custom field/);
+      expect(() => parseCustomField("name: Client\ncolumn: O", [PROJECT])).toThrow(/Column O/);
+      expect(() => parseCustomField("name: Client\nkeyword: job\ncolumn: P", [PROJECT])).toThrow(/"job"/);
+    });
+
+    test('rejects a keyword that is already a trigger keyword', () => {
+      expect(() => parseCustomField("name: Client\nkeyword: client, to\ncolumn: P")).toThrow(/"to" is already used for the account/);
+      expect(() => parseCustomField("name: Category\ncolumn: P")).toThrow(/"category"/);
+      expect(() => parseCustomField("name: Client\nkeyword: for\ncolumn: P", [], { category: ["for", "under"] }))
+        .toThrow(/"for" is already used for the category/);
+      expect(parseCustomField("name: Client\nkeyword: note\ncolumn: P", [], { description: ["description"] }).keywords)
+        .toEqual(["note"]);
+    });
+  });
+
+  describe('formatCustomField', () => {
+    test('is the inverse of parseCustomField', () => {
+      expect(parseCustomField(formatCustomField(PROJECT))).toEqual(PROJECT);
+      expect(formatCustomField({ ...PROJECT, values: [] })).toBe("name: Project\nkeyword: project, job\ncolumn: O");
+    });
+  });
+
+  describe('describeCustomField', () => {
+    test('summarizes a field', () => {
+      expect(describeCustomField(PROJECT)).toBe('Project (column O) - say "project" or "job", one of Alpha, Beta');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Test cases for fuzzyMatching.js
+ */
+
+import {
+  editDistance,
+  editSimilarity,
+  metaphone,
+  tokenSimilarity,
+  fuzzyTokenScore,
+  compactPhraseScore,
+} from '../fuzzyMatching';
+
+describe('fuzzyMatching', () => {
+  describe('editDistance', () => {
+    test('returns 0 for identical strings', () => {
+      expect(editDistance("sapphire", "sapphire")).toBe(0);
+    });
+
+    test('counts insertions, deletions and substitutions', () => {
+      expect(editDistance("kitten", "sitting")).toBe(3);
+      expect(editDistance("wayfair", "wayfare")).toBe(2);
+      expect(editDistance("", "abc")).toBe(3);
+    });
+  });
+
+  describe('editSimilarity', () => {
+    test('normalizes distance by the longer string', () => {
+      expect(editSimilarity("citi", "city")).toBe(0.75);
+      expect(editSimilarity("", "")).toBe(1);
+    });
+  });
+
+  describe('metaphone', () => {
+    test('gives sound-alike spellings the same key', () => {
+      expect(metaphone("sapphire")).toBe(metaphone("saffire"));
+      expect(metaphone("wayfair")).toBe(metaphone("wayfare"));
+      expect(metaphone("citi")).toBe(metaphone("city"));
+      expect(metaphone("costco")).toBe(metaphone("kostko"));
+    });
+
+    test('gives different-sounding words different keys', () => {
+      expect(metaphone("chase")).not.toBe(metaphone("cash"));
+      expect(metaphone("visa")).not.toBe(metaphone("amex"));
+    });
+
+    test('handles silent initial letters', () => {
+      expect(metaphone("knight")).toBe(metaphone("night"));
+      expect(metaphone("wrap")).toBe(metaphone("rap"));
+    });
+
+    test('returns empty key for non-alphabetic input', () => {
+      expect(metaphone("2%")).toBe("");
+      expect(metaphone("")).toBe("");
+    });
+  });
+
+  describe('tokenSimilarity', () => {
+    test('scores sound-alike tokens highly', () => {
+      expect(tokenSimilarity("sapphire", "saffire")).toBeGreaterThanOrEqual(0.85);
+    });
+
+    test('only matches short tokens and numbers exactly', () => {
+      expect(tokenSimilarity("it", "at")).toBe(0);
+      expect(tokenSimilarity("2", "3")).toBe(0);
+      expect(tokenSimilarity("it", "it")).toBe(1);
+    });
+  });
+
+  describe('fuzzyTokenScore', () => {
+    test('averages the best similarity of each candidate token', () => {
+      const score = fuzzyTokenScore(["chase", "sapphire"], ["to", "chase", "saffire"]);
+      expect(score).toBeGreaterThan(0.9);
+    });
+
+    test('ignores tokens below the threshold', () => {
+      expect(fuzzyTokenScore(["chase", "sapphire"], ["bank", "card"])).toBe(0);
+    });
+
+    test('uses the given threshold', () => {
+      const loose = fuzzyTokenScore(["wayfair"], ["wayfare"], 0.7);
+      const strict = fuzzyTokenScore(["wayfair"], ["wayfare"], 0.95);
+      expect(loose).toBeGreaterThan(0);
+      expect(strict).toBe(0);
+    });
+  });
+
+  describe('compactPhraseScore', () => {
+    test('matches a name run together into one spoken word', () => {
+      expect(compactPhraseScore(["discover", "it"], ["to", "discovered"])).toBeGreaterThanOrEqual(0.8);
+    });
+
+    test('matches a one-word name spoken as two words', () => {
+      expect(compactPhraseScore(["doublecash"], ["to", "double", "cash"])).toBe(1);
+    });
+
+    test('returns 0 for unrelated words', () => {
+      expect(compactPhraseScore(["discover", "it"], ["amazon", "visa"])).toBe(0);
+    });
+  });
+});
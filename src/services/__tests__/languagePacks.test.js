@@ -0,0 +1,90 @@
+/**
+ * Test cases for languagePacks.js
+ */
+
+import { detectLanguage, normalizeVocabulary } from '../languagePacks';
+
+describe('languagePacks', () => {
+  describe('detectLanguage', () => {
+    test('detects Spanish and Chinese transcripts', () => {
+      expect(detectLanguage("Cargo treinta dólares a Amex. Categoría es comida")).toBe("es");
+      expect(detectLanguage("花了三十五块用招商银行卡，类别是餐饮")).toBe("zh-Hans");
+    });
+
+    test('keeps English for English transcripts with foreign names', () => {
+      expect(detectLanguage("Charge $30 to Amex. Description is tacos at La Casa de Pepe")).toBe("en");
+      expect(detectLanguage("Charge $30 to 招商银行 for dinner")).toBe("en");
+      expect(detectLanguage("")).toBe("en");
+    });
+  });
+
+  describe('normalizeVocabulary (Spanish)', () => {
+    test('rewrites number words, currency, keywords and relative dates', () => {
+      const transcript = "Cargo treinta y cinco dólares con cincuenta centavos a la tarjeta Chase Sapphire ayer. Categoría es Grocery. Descripción es almuerzo con amigos";
+      expect(normalizeVocabulary(transcript, "es")).toBe(
+        "charge 35 dollars and 50 cents to Chase Sapphire yesterday. category Grocery. description almuerzo con amigos"
+      );
+    });
+
+    test('leaves the description as spoken', () => {
+      expect(normalizeVocabulary("Cargo 30 dólares a Amex. Descripción es dos cafés con leche hoy", "es")).toBe(
+        "charge 30 dollars to Amex. description dos cafés con leche hoy"
+      );
+      expect(normalizeVocabulary("Descripción es cena de marzo. Categoría es comida ayer", "es")).toBe(
+        "description cena de marzo. category comida yesterday"
+      );
+    });
+
+    test('reads larger numbers', () => {
+      expect(normalizeVocabulary("dos mil quinientos pesos", "es")).toBe("2500 pesos");
+      expect(normalizeVocabulary("ciento veintidós euros", "es")).toBe("122 euros");
+      expect(normalizeVocabulary("un euro", "es")).toBe("1 euro");
+    });
+
+    test('rewrites dates', () => {
+      expect(normalizeVocabulary("el 5 de marzo de 2024", "es")).toBe("on 5 of March 2024");
+      expect(normalizeVocabulary("el primero de mayo", "es")).toBe("on 1 of May");
+      expect(normalizeVocabulary("el viernes pasado", "es")).toBe("last Friday");
+      expect(normalizeVocabulary("hace tres días", "es")).toBe("3 days ago");
+    });
+
+    test('uses the configured keywords', () => {
+      expect(normalizeVocabulary("Cargo 30 dólares a Amex", "es", { charge: "spent", account: "on" })).toBe(
+        "spent 30 dollars on Amex"
+      );
+    });
+  });
+
+  describe('normalizeVocabulary (Simplified Chinese)', () => {
+    test('rewrites numerals, currency, keywords and relative dates', () => {
+      expect(normalizeVocabulary("花了三十五块用招商银行卡，昨天，类别是餐饮，备注是午饭", "zh-Hans")).toBe(
+        "charge 35 元 to 招商银行卡, yesterday, category 餐饮, description 午饭"
+      );
+    });
+
+    test('reads compound numerals and jiao', () => {
+      expect(normalizeVocabulary("一百零五美元", "zh-Hans")).toBe("105 dollars");
+      expect(normalizeVocabulary("三千五百块", "zh-Hans")).toBe("3500 元");
+      expect(normalizeVocabulary("两万五", "zh-Hans")).toBe("25000");
+      expect(normalizeVocabulary("三十块五毛", "zh-Hans")).toBe("30.50元");
+    });
+
+    test('rewrites dates and weekdays', () => {
+      expect(normalizeVocabulary("2024年3月5日", "zh-Hans")).toBe("March 5, 2024");
+      expect(normalizeVocabulary("三月五号", "zh-Hans")).toBe("March 5");
+      expect(normalizeVocabulary("上周五", "zh-Hans")).toBe("last Friday");
+      expect(normalizeVocabulary("三天前", "zh-Hans")).toBe("3 days ago");
+    });
+
+    test('leaves the description as spoken', () => {
+      expect(normalizeVocabulary("花了50块刷Amex，描述是用餐", "zh-Hans")).toBe(
+        "charge 50元 to Amex, description 用餐"
+      );
+    });
+  });
+
+  test('returns English text unchanged', () => {
+    const transcript = "Charge $30 to Chase Sapphire. Category is Dining out";
+    expect(normalizeVocabulary(transcript, "en")).toBe(transcript);
+  });
+});
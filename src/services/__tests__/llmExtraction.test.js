@@ -0,0 +1,231 @@
+/**
+ * Test cases for llmExtraction.js, against a local stand-in for the chat completions endpoint
+ */
+
+import http from 'http';
+import {
+  buildExpenseRecordWithLLM,
+  buildExtractionRequest,
+  mergeExtraction,
+  parseExtractionResponse,
+} from '../llmExtraction';
+import { buildExpenseRecordFromTranscript, createParseContext } from '../parsingLogic';
+
+// The parse context is passed explicitly, so no stored settings are read
+jest.mock('../configService', () => ({}));
+
+const NOW = new Date(2025, 0, 15);
+
+const context = createParseContext({
+  accountNames: ["Chase Sapphire", "CITI COSTCO", "BOA checking"],
+  expenseCategories: ["Grocery", "Dining out"],
+  incomeCategories: ["Salary"],
+  accountAliases: { "CITI COSTCO": ["costco card"] },
+  tags: ["Reimbursable", "Business"],
+  exchangeRates: { EUR: 1.1 },
+  customFields: [{ name: "Project", keywords: ["project"], values: ["Alpha", "Beta"], column: "O" }],
+});
+
+// Wraps an answer the way a chat completions endpoint does
+function completion(content) {
+  return { choices: [{ message: { role: 'assistant', content } }] };
+}
+
+describe('llmExtraction', () => {
+  let server;
+  let endpoint;
+  let requests;
+  let respond; // (request, response) => void, set by each test
+  const pending = [];
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ headers: request.headers, body: JSON.parse(body) });
+        respond(request, response);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    // Answer requests a test left hanging (timeouts) so the server can close
+    pending.splice(0).forEach((response) => response.end());
+    console.error.mockRestore();
+  });
+
+  const answerWith = (content) => {
+    respond = (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(completion(content)));
+    };
+  };
+
+  test('sends the transcript with the lists to choose from', () => {
+    const body = buildExtractionRequest("Lunch was twelve bucks", NOW, context, 'small-model');
+
+    expect(body.model).toBe('small-model');
+    expect(body.messages[1]).toEqual({ role: 'user', content: "Lunch was twelve bucks" });
+    expect(body.messages[0].content).toContain("Accounts: Chase Sapphire; CITI COSTCO; BOA checking");
+    expect(body.messages[0].content).toContain("Expense categories: Grocery; Dining out");
+    expect(body.messages[0].content).toContain("Project (one of: Alpha, Beta)");
+    expect(body.messages[0].content).toContain("today is 2025-01-15");
+    expect(buildExtractionRequest("x", NOW, context).model).toBeUndefined();
+  });
+
+  test('reads the JSON answer, with or without a code fence', () => {
+    expect(parseExtractionResponse(completion('{"card_name": "CITI COSTCO"}'))).toEqual({ card_name: "CITI COSTCO" });
+    expect(parseExtractionResponse(completion('```json\n{"tags": []}\n```'))).toEqual({ tags: [] });
+    expect(() => parseExtractionResponse(completion('Sure! It was Costco.'))).toThrow(/JSON/);
+    expect(() => parseExtractionResponse(completion('[1, 2]'))).toThrow(/JSON object/);
+    expect(() => parseExtractionResponse({})).toThrow(/JSON/);
+  });
+
+  test('builds the record from the model answer', async () => {
+    answerWith(JSON.stringify({
+      date: "2025-01-14",
+      transaction_type: "expense",
+      card_name: "costco card",
+      expense_amount: 80,
+      currency: "",
+      expense_category: "grocery",
+      description: "weekly groceries",
+      merchant: "Costco",
+      tags: ["business"],
+      custom_fields: { Project: "alpha" },
+    }));
+
+    const record = await buildExpenseRecordWithLLM(
+      "uh so the costco run yesterday was like 80 bucks on the costco card, for work, project alpha",
+      NOW,
+      { endpoint, apiKey: 'secret', model: 'small-model', context, trace: true }
+    );
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body.model).toBe('small-model');
+    expect(record).toMatchObject({
+      date: "2025-01-14",
+      card_name: "CITI COSTCO",
+      expense_amount: "80.00",
+      currency: "USD",
+      expense_category: "Grocery",
+      description: "weekly groceries",
+      merchant: "Costco",
+      tags: ["Business"],
+      custom_fields: { Project: "Alpha" },
+      card_candidates: [],
+      needs_review: false,
+    });
+    expect(record.confidence.card_name).toBe(1);
+    expect(record.confidence.date_inferred).toBe(false);
+    expect(record.trace.fields.card_name.branch).toBe("language model");
+    expect(record.trace.fields["custom:Project"].value).toBe("Alpha");
+  });
+
+  test('keeps the keyword parser values the lists do not allow', async () => {
+    const transcript = "Charge $12 to Chase Sapphire. Category is dining out. Description is lunch";
+    const base = buildExpenseRecordFromTranscript(transcript, NOW, { context });
+    const record = mergeExtraction(base, {
+      transaction_type: "splurge",
+      card_name: "Platinum Card",
+      expense_amount: -5,
+      expense_category: "Fun money",
+      date: "2025-02-30",
+      tags: ["Vacation"],
+      custom_fields: { Project: "Gamma", Unknown: "x" },
+      merchant: "Sushi Place",
+    }, context);
+
+    expect(record).toMatchObject({
+      transaction_type: "expense",
+      card_name: "Chase Sapphire",
+      expense_amount: "12.00",
+      expense_category: "Dining out",
+      date: base.date,
+      tags: [],
+      custom_fields: {},
+      merchant: "Sushi Place",
+      description: "lunch",
+    });
+    expect(record.confidence.date_inferred).toBe(true);
+  });
+
+  test('converts and signs the amount by the extracted currency and type', () => {
+    const base = buildExpenseRecordFromTranscript("Refund", NOW, { context });
+    const record = mergeExtraction(base, {
+      transaction_type: "refund",
+      expense_amount: "20",
+      currency: "eur",
+      card_name: "Chase Sapphire",
+    }, context);
+
+    expect(record.expense_amount).toBe("-22.00");
+    expect(record.original_amount).toBe("-20.00");
+    expect(record.currency).toBe("EUR");
+    expect(record.confidence.currency_unconverted).toBe(false);
+  });
+
+  test('falls back to the keyword parser when the endpoint answers with an error', async () => {
+    respond = (request, response) => {
+      response.writeHead(503);
+      response.end('overloaded');
+    };
+    const transcript = "Charge $12 to Chase Sapphire. Category is dining out";
+
+    const record = await buildExpenseRecordWithLLM(transcript, NOW, { endpoint, context });
+
+    expect(record).toEqual(buildExpenseRecordFromTranscript(transcript, NOW, { context }));
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining("using the keyword parser"),
+      expect.objectContaining({ message: expect.stringContaining("503 - overloaded") })
+    );
+  });
+
+  test('falls back when the answer is not JSON', async () => {
+    answerWith("I think it was about 12 dollars.");
+    const fallback = buildExpenseRecordFromTranscript("Charge $12 to Chase Sapphire", NOW, { context });
+
+    const record = await buildExpenseRecordWithLLM("Charge $12 to Chase Sapphire", NOW, {
+      endpoint,
+      context,
+      fallback,
+    });
+
+    expect(record).toBe(fallback);
+  });
+
+  test('falls back when the endpoint does not answer in time', async () => {
+    respond = (request, response) => pending.push(response);
+
+    const record = await buildExpenseRecordWithLLM("Charge $12 to Chase Sapphire", NOW, {
+      endpoint,
+      context,
+      timeoutMs: 100,
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(record.card_name).toBe("Chase Sapphire");
+    expect(record.expense_amount).toBe("12.00");
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('uses the keyword parser without calling anything when no endpoint is set', async () => {
+    const record = await buildExpenseRecordWithLLM("Charge $12 to Chase Sapphire", NOW, { context });
+
+    expect(requests).toHaveLength(0);
+    expect(record.card_name).toBe("Chase Sapphire");
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Test cases for locale.js
+ */
+
+import { localeConventions, normalizeDecimalSeparators } from '../locale';
+
+describe('locale', () => {
+  describe('localeConventions', () => {
+    test('returns the conventions of a known locale', () => {
+      expect(localeConventions("de-DE")).toMatchObject({ decimalComma: true, dayFirst: true });
+      expect(localeConventions("en-GB")).toMatchObject({ decimalComma: false, dayFirst: true });
+    });
+
+    test('falls back to en-US for unknown locales', () => {
+      expect(localeConventions("xx-XX")).toMatchObject({ decimalComma: false, dayFirst: false });
+    });
+  });
+
+  describe('normalizeDecimalSeparators', () => {
+    test('rewrites decimal commas and grouped thousands', () => {
+      expect(normalizeDecimalSeparators("12,50 euros", "de-DE")).toBe("12.50 euros");
+      expect(normalizeDecimalSeparators("1.234,56", "es-ES")).toBe("1234.56");
+      expect(normalizeDecimalSeparators("12.000 euros", "de-DE")).toBe("12000 euros");
+      expect(normalizeDecimalSeparators("1\u202f234,5", "fr-FR")).toBe("1234.5");
+    });
+
+    test('leaves a comma followed by a space alone', () => {
+      expect(normalizeDecimalSeparators("12, 50", "de-DE")).toBe("12, 50");
+    });
+
+    test('leaves text unchanged in a decimal-point locale', () => {
+      expect(normalizeDecimalSeparators("1,234.56", "en-US")).toBe("1,234.56");
+      expect(normalizeDecimalSeparators("", "de-DE")).toBe("");
+    });
+  });
+});
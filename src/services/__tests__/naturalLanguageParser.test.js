@@ -0,0 +1,313 @@
+/**
+ * Test cases for naturalLanguageParser.js
+ *
+ * Transcripts are free-form sentences without the "charge / category / description" keywords.
+ */
+
+import {
+  buildExpenseRecordFromNaturalSpeech,
+  usesKeywordGrammar,
+} from '../naturalLanguageParser';
+import { buildExpenseRecordFromTranscript, loadConfigLists } from '../parsingLogic';
+import { getCustomFields, getLocale } from '../configService';
+
+// Mock the configService to return test data
+jest.mock('../configService', () => ({
+  getAccountNames: jest.fn(() => Promise.resolve([
+    "Chase checking",
+    "BOA checking",
+    "Amazon Visa",
+    "Chase unlimited",
+    "Chase Sapphire",
+    "Chase freedom",
+    "Amex blue cash preferred",
+    "Discover it",
+    "CITI COSTCO",
+  ])),
+  getExpenseCategories: jest.fn(() => Promise.resolve([
+    "Dining out",
+    "Grocery",
+    "Household essentials",
+    "Gift purchase",
+    "Misc",
+    "Commute",
+  ])),
+  getIncomeCategories: jest.fn(() => Promise.resolve([
+    "Salary",
+    "Reimbursement",
+    "Rental income",
+    "Other income",
+  ])),
+  getAccountAliases: jest.fn(() => Promise.resolve({
+    "Amex blue cash preferred": ["amex", "blue cash"],
+    "CITI COSTCO": ["costco card"],
+  })),
+  getCategoryAliases: jest.fn(() => Promise.resolve({
+    "Dining out": ["restaurant", "takeout"],
+    "Grocery": ["groceries", "supermarket"],
+    "Salary": ["paycheck", "payroll"],
+  })),
+  getFuzzyMatchThreshold: jest.fn(() => Promise.resolve(0.7)),
+  getHomeCurrency: jest.fn(() => Promise.resolve("USD")),
+  getExchangeRates: jest.fn(() => Promise.resolve({ EUR: 1.1 })),
+  getSalesTaxRate: jest.fn(() => Promise.resolve(10)),
+  getLocale: jest.fn(() => Promise.resolve("en-US")),
+  getLanguage: jest.fn(() => Promise.resolve("auto")),
+  getClassifierModel: jest.fn(() => Promise.resolve(null)),
+  getCustomFields: jest.fn(() => Promise.resolve([])),
+  getTags: jest.fn(() => Promise.resolve(["Reimbursable", "Business", "Hawaii trip"])),
+  getTriggerKeywords: jest.fn(() => Promise.resolve({
+    charge: ["charge"],
+    account: ["to"],
+    category: ["category"],
+    description: ["description"],
+    merchant: ["merchant"],
+    tags: ["tags", "tag"],
+  })),
+}));
+
+// Wednesday, January 15, 2025
+const NOW = new Date(2025, 0, 15, 10, 30);
+
+describe('naturalLanguageParser', () => {
+  beforeAll(async () => {
+    await loadConfigLists();
+  });
+
+  describe('usesKeywordGrammar', () => {
+    test('detects keyword transcripts', () => {
+      expect(usesKeywordGrammar("Charge $30 to Chase Sapphire. Category is Dining out")).toBe(true);
+      expect(usesKeywordGrammar("Description is lunch")).toBe(true);
+    });
+
+    test('returns false for free-form speech', () => {
+      expect(usesKeywordGrammar("I spent 30 bucks at Target on my Amex")).toBe(false);
+      expect(usesKeywordGrammar("")).toBe(false);
+    });
+  });
+
+  describe('buildExpenseRecordFromNaturalSpeech', () => {
+    test('parses every field from a free-form sentence', () => {
+      const transcript = "I spent 30 bucks at Target on my Amex for household stuff yesterday";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.date).toBe("2025-01-14");
+      expect(result.expense_amount).toBe("30.00");
+      expect(result.merchant).toBe("Target");
+      expect(result.card_name).toBe("Amex blue cash preferred");
+      expect(result.expense_category).toBe("Household essentials");
+      expect(result.description).toBe("household stuff");
+    });
+
+    test('finds fields regardless of their order', () => {
+      const transcript = "Yesterday I paid $12.50 for groceries with Chase Sapphire";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.date).toBe("2025-01-14");
+      expect(result.expense_amount).toBe("12.50");
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.expense_category).toBe("Grocery");
+      expect(result.description).toBe("groceries");
+    });
+
+    test('does not read a spoken date as the amount', () => {
+      const transcript = "On January 12 I spent 45 dollars on takeout using Discover it";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.date).toBe("2025-01-12");
+      expect(result.expense_amount).toBe("45.00");
+      expect(result.card_name).toBe("Discover it");
+      expect(result.expense_category).toBe("Dining out");
+    });
+
+    test('understands spelled-out amounts', () => {
+      const transcript = "Bought a birthday present for twenty five dollars on the Costco card";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.expense_amount).toBe("25.00");
+      expect(result.card_name).toBe("CITI COSTCO");
+      expect(result.description).toBe("birthday present");
+    });
+
+    test('converts amounts spoken in another currency', () => {
+      const transcript = "I spent 20 euros on takeout with Chase Sapphire";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.currency).toBe("EUR");
+      expect(result.original_amount).toBe("20.00");
+      expect(result.expense_amount).toBe("22.00");
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.description).toBe("takeout");
+    });
+
+    test('signs refunds spoken without keywords', () => {
+      const transcript = "Got a refund of 40 dollars on my Amex for the returned lamp";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.transaction_type).toBe("refund");
+      expect(result.expense_amount).toBe("-40.00");
+      expect(result.card_name).toBe("Amex blue cash preferred");
+    });
+
+    test('records income into an account', () => {
+      const transcript = "Received $2,500 paycheck into Chase checking";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.transaction_type).toBe("income");
+      expect(result.expense_amount).toBe("2500.00");
+      expect(result.card_name).toBe("Chase checking");
+      expect(result.expense_category).toBe("Salary");
+      expect(result.description).toBe("paycheck");
+    });
+
+    test('records the payer of income as the merchant', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("got 40 dollars Venmo from Donna", NOW);
+
+      expect(result.transaction_type).toBe("income");
+      expect(result.expense_amount).toBe("40.00");
+      expect(result.merchant).toBe("Donna");
+      expect(result.description).toBe("Venmo");
+    });
+
+    test('keeps spending an expense when "received" is spoken too', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("I received the package, spent 30 dollars at Target", NOW);
+
+      expect(result.transaction_type).toBe("expense");
+      expect(result.expense_amount).toBe("30.00");
+      expect(result.merchant).toBe("Target");
+    });
+
+    test('records a card payment as a transfer between accounts', () => {
+      const transcript = "Paid off the Costco card 1,200 from Chase checking yesterday";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.transaction_type).toBe("transfer");
+      expect(result.card_name).toBe("Chase checking");
+      expect(result.transfer_to).toBe("CITI COSTCO");
+      expect(result.expense_amount).toBe("1200.00");
+      expect(result.date).toBe("2025-01-14");
+    });
+
+    test('evaluates a spoken tip and keeps it in the description', () => {
+      const transcript = "I paid 48 dollars plus 20 percent tip for takeout with Chase Sapphire";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.expense_amount).toBe("57.60");
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.expense_category).toBe("Dining out");
+      expect(result.description).toBe("takeout (48 dollars plus 20 percent tip)");
+    });
+
+    test('keeps spoken tags out of the description', () => {
+      const transcript = "Spent 300 dollars on takeout with Chase Sapphire, tags reimbursable and Hawaii trip";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.tags).toEqual(["Reimbursable", "Hawaii trip"]);
+      expect(result.expense_category).toBe("Dining out");
+      expect(result.description).toBe("takeout");
+    });
+
+    test('keeps spoken custom fields out of the description', async () => {
+      getCustomFields.mockResolvedValueOnce([
+        { name: "Project", keywords: ["project"], values: ["Alpha", "Beta"], column: "O" },
+      ]);
+      await loadConfigLists();
+      try {
+        const transcript = "Spent 40 dollars on takeout with Chase Sapphire, project alpha";
+        const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+        expect(result.custom_fields).toEqual({ Project: "Alpha" });
+        expect(result.description).toBe("takeout");
+      } finally {
+        await loadConfigLists();
+      }
+    });
+
+    test('parses free-form Spanish speech', () => {
+      const transcript = "Gasté veinticinco dólares con mi Amex en comestibles ayer";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.expense_amount).toBe("25.00");
+      expect(result.card_name).toBe("Amex blue cash preferred");
+      expect(result.date).toBe("2025-01-14");
+    });
+
+    test('defaults the date to today and flags it as inferred', () => {
+      const transcript = "Spent 18 dollars on an Uber ride with Chase Sapphire";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.date).toBe("2025-01-15");
+      expect(result.confidence.date_inferred).toBe(true);
+      expect(result.merchant).toBe("Uber");
+    });
+
+    test('reports ambiguous accounts like the keyword parser', () => {
+      const transcript = "I spent 20 dollars on my Chase for lunch";
+      const result = buildExpenseRecordFromNaturalSpeech(transcript, NOW);
+
+      expect(result.card_candidates).toEqual([
+        "Chase checking",
+        "Chase unlimited",
+        "Chase Sapphire",
+        "Chase freedom",
+      ]);
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('flags a record with no amount for review', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("Lunch with Chase Sapphire", NOW);
+
+      expect(result.expense_amount).toBe("");
+      expect(result.confidence.expense_amount).toBe(0);
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('traces which phrase each field was matched from', () => {
+      const transcript = "I spent 30 bucks at Target on my Amex for household stuff yesterday";
+      const { trace } = buildExpenseRecordFromNaturalSpeech(transcript, NOW, { trace: true });
+
+      expect(trace.fields.card_name.branch).toBe("cued phrase");
+      expect(trace.fields.card_name.span.text).toBe("on my Amex");
+      expect(trace.fields.card_name.candidates[0]).toEqual({ name: "Amex blue cash preferred", score: 1 });
+      expect(trace.fields.expense_category.segment).toBe("household stuff");
+      expect(trace.fields.description.value).toBe("household stuff");
+      expect(trace.fields.date.branch).toBe("relative date");
+    });
+
+    test('returns an empty record for empty input', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("", NOW);
+
+      expect(result.card_name).toBe("");
+      expect(result.expense_amount).toBe("");
+      expect(result.description).toBe("");
+      expect(result.merchant).toBe("");
+    });
+  });
+
+  describe('de-DE', () => {
+    beforeAll(async () => {
+      getLocale.mockResolvedValueOnce("de-DE");
+      await loadConfigLists();
+    });
+
+    afterAll(async () => {
+      await loadConfigLists();
+    });
+
+    test('reads a decimal comma once, like the keyword parser', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("I spent 4,500 euros at Target on my Amex", NOW);
+
+      expect(result.original_amount).toBe("4.50");
+      expect(result.currency).toBe("EUR");
+      expect(result.original_amount).toBe(
+        buildExpenseRecordFromTranscript("Charge 4,500 euros to Amex", NOW).original_amount
+      );
+    });
+
+    test('reads thousands separators', () => {
+      const result = buildExpenseRecordFromNaturalSpeech("I spent 1.250,75 euros at Target", NOW);
+
+      expect(result.original_amount).toBe("1250.75");
+    });
+  });
+});
@@ -7,13 +7,40 @@
 
 import {
   extractDate,
+  resolveRelativeDate,
   extractCardName,
   extractExpenseAmount,
   extractExpenseCategory,
   extractDescription,
+  extractMerchant,
+  extractTags,
+  convertToHomeCurrency,
+  extractTransactionType,
+  extractTransferAccounts,
+  extractSplit,
+  splitExpenseRecord,
   buildExpenseRecordFromTranscript,
+  buildExpenseRecordsFromTranscript,
+  extractCustomFields,
+  isLowConfidenceField,
+  resolveCardChoice,
   loadConfigLists,
+  createParseContext,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractors,
+  runExtractors,
+  consumedBy,
 } from '../parsingLogic';
+import {
+  getClassifierModel,
+  getCustomFields,
+  getFuzzyMatchThreshold,
+  getLanguage,
+  getLocale,
+  getTriggerKeywords,
+} from '../configService';
+import { trainClassifierFromRecords } from '../classifier';
 
 // Mock the configService to return test data
 jest.mock('../configService', () => ({
@@ -34,6 +61,7 @@ jest.mock('../configService', () => ({
     "Wells Fargo 2%",
     "Wayfair",
     "IKEA",
+    "Citi DoubleCash",
   ])),
   getExpenseCategories: jest.fn(() => Promise.resolve([
     "Dining out",
@@ -57,8 +85,46 @@ jest.mock('../configService', () => ({
     "Tax related",
     "Rental related",
   ])),
+  getIncomeCategories: jest.fn(() => Promise.resolve([
+    "Salary",
+    "Reimbursement",
+    "Rental income",
+    "Other income",
+  ])),
+  getAccountAliases: jest.fn(() => Promise.resolve({
+    "CITI COSTCO": ["costco card"],
+    "Citi DoubleCash": ["double cash"],
+  })),
+  getCategoryAliases: jest.fn(() => Promise.resolve({
+    "Dining out": ["restaurant", "takeout"],
+    "Salary": ["paycheck", "payroll"],
+  })),
+  getFuzzyMatchThreshold: jest.fn(() => Promise.resolve(0.7)),
+  getHomeCurrency: jest.fn(() => Promise.resolve("USD")),
+  getExchangeRates: jest.fn(() => Promise.resolve({ EUR: 1.1, JPY: 0.007, CAD: 0.75 })),
+  getSalesTaxRate: jest.fn(() => Promise.resolve(10)),
+  getLocale: jest.fn(() => Promise.resolve("en-US")),
+  getLanguage: jest.fn(() => Promise.resolve("auto")),
+  getClassifierModel: jest.fn(() => Promise.resolve(null)),
+  getCustomFields: jest.fn(() => Promise.resolve([])),
+  getTags: jest.fn(() => Promise.resolve(["Reimbursable", "Business", "Hawaii trip"])),
+  getTriggerKeywords: jest.fn(() => Promise.resolve({
+    charge: ["charge"],
+    account: ["to"],
+    category: ["category"],
+    description: ["description"],
+    merchant: ["merchant"],
+    tags: ["tags", "tag"],
+  })),
 }));
 
+// Month/day dates spoken without a year resolve to their most recent occurrence
+function mostRecentYearFor(month, day) {
+  const today = new Date();
+  const thisYear = new Date(today.getFullYear(), month - 1, day);
+  return thisYear > today ? today.getFullYear() - 1 : today.getFullYear();
+}
+
 describe('parsingLogic', () => {
   // Initialize config lists before all tests
   beforeAll(async () => {
@@ -111,12 +177,373 @@ describe('parsingLogic', () => {
       expect(extractExpenseAmount(transcript)).toBe("100.00");
     });
 
+    test('extracts spelled-out dollars and cents', () => {
+      const transcript = "Charge twenty five dollars and forty cents to Chase Sapphire. Category is Dining out. Description is lunch";
+      expect(extractExpenseAmount(transcript)).toBe("25.40");
+    });
+
+    test('extracts spelled-out hundreds with "and" and "bucks"', () => {
+      const transcript = "Charge a hundred and five bucks to CITI COSTCO. Category is Grocery. Description is weekly shopping";
+      expect(extractExpenseAmount(transcript)).toBe("105.00");
+    });
+
+    test('extracts spelled-out thousands', () => {
+      const transcript = "Charge two thousand five hundred dollars to BOA checking. Category is Rent/Mortgage. Description is rent";
+      expect(extractExpenseAmount(transcript)).toBe("2500.00");
+    });
+
+    test('extracts hyphenated number words', () => {
+      const transcript = "Charge forty-two dollars to Discover it. Category is Misc. Description is test";
+      expect(extractExpenseAmount(transcript)).toBe("42.00");
+    });
+
+    test('extracts spelled-out cents only', () => {
+      const transcript = "Charge ninety nine cents to Amazon Visa. Category is Misc. Description is small purchase";
+      expect(extractExpenseAmount(transcript)).toBe("0.99");
+    });
+
+    test('reads informal "one fifty" as dollars and cents', () => {
+      const transcript = "Charge one fifty to Chase freedom. Category is Dining out. Description is coffee";
+      expect(extractExpenseAmount(transcript)).toBe("1.50");
+    });
+
+    test('reads informal "twelve ninety nine" as dollars and cents', () => {
+      const transcript = "Charge twelve ninety nine to Amazon Visa. Category is Misc. Description is phone case";
+      expect(extractExpenseAmount(transcript)).toBe("12.99");
+    });
+
+    test('reads informal "one fifty dollars" as hundreds', () => {
+      const transcript = "Charge one fifty dollars to Capital One. Category is Utilities. Description is internet";
+      expect(extractExpenseAmount(transcript)).toBe("150.00");
+    });
+
+    test('does not turn account names with number words into amounts', () => {
+      const transcript = "Charge $30 to Capital One. Category is Misc. Description is test";
+      expect(extractExpenseAmount(transcript)).toBe("30.00");
+    });
+
+    test('does not join an account name with a spelled-out amount after it', () => {
+      const record = buildExpenseRecordFromTranscript("Charge to Capital One thirty dollars. Description x");
+      expect(record.expense_amount).toBe("30.00");
+      expect(record.card_name).toBe("Capital One");
+      expect(extractExpenseAmount("Charge to Capital One one fifty. Category is Misc")).toBe("1.50");
+    });
+
     test('returns empty string when no amount found', () => {
       const transcript = "Charge to Chase Unlimited. Date is today. Category is Misc. Description is no amount mentioned";
       expect(extractExpenseAmount(transcript)).toBe("");
     });
   });
 
+  describe('foreign currency amounts', () => {
+    test('extracts amounts spoken with currency symbols, codes and names', () => {
+      expect(extractExpenseAmount("Charge €30 to Chase Sapphire. Category is Travel-personal")).toBe("30.00");
+      expect(extractExpenseAmount("Charge €5 to Chase Sapphire. Category is Travel-personal")).toBe("5.00");
+      expect(extractExpenseAmount("Charge 12.50 euros to Chase Sapphire")).toBe("12.50");
+      expect(extractExpenseAmount("Charge 2000 yen to Chase Sapphire")).toBe("2000.00");
+      expect(extractExpenseAmount("Charge CAD 15 to Chase Sapphire")).toBe("15.00");
+      expect(extractExpenseAmount("Charge 15 euros and 50 cents to Chase Sapphire")).toBe("15.50");
+    });
+
+    test('records the spoken currency and converts to the home currency', () => {
+      const transcript = "Charge 45 euros to Chase Sapphire. Category is Travel-personal. Description is museum";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.currency).toBe("EUR");
+      expect(result.original_amount).toBe("45.00");
+      expect(result.expense_amount).toBe("49.50");
+      expect(result.confidence.currency_unconverted).toBe(false);
+      expect(result.needs_review).toBe(false);
+    });
+
+    test('understands spelled-out foreign amounts', () => {
+      const result = buildExpenseRecordFromTranscript("Charge two thousand yen to Chase Sapphire. Category is Travel-business");
+
+      expect(result.currency).toBe("JPY");
+      expect(result.original_amount).toBe("2000.00");
+      expect(result.expense_amount).toBe("14.00");
+    });
+
+    test('flags an amount in a currency with no exchange rate', () => {
+      const result = buildExpenseRecordFromTranscript("Charge 20 pounds to Chase Sapphire. Category is Travel-personal");
+
+      expect(result.currency).toBe("GBP");
+      expect(result.expense_amount).toBe("20.00");
+      expect(result.confidence.currency_unconverted).toBe(true);
+      expect(isLowConfidenceField(result, 'expense_amount')).toBe(true);
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('convertToHomeCurrency keeps home amounts unchanged', () => {
+      expect(convertToHomeCurrency("30.00", null)).toEqual({
+        expense_amount: "30.00",
+        currency: "USD",
+        original_amount: "30.00",
+        converted: true,
+      });
+    });
+  });
+
+  describe('extractTransactionType', () => {
+    test('recognises refunds', () => {
+      expect(extractTransactionType("Refund $25 to Amazon Visa")).toBe("refund");
+      expect(extractTransactionType("Charge $25 to Amazon Visa. Description is refunded order")).toBe("refund");
+      expect(extractTransactionType("Return of the shoes, credit 60 dollars to Discover it")).toBe("refund");
+    });
+
+    test('recognises credits and reversals', () => {
+      expect(extractTransactionType("Credit back $15 to Chase Sapphire")).toBe("credit");
+      expect(extractTransactionType("Credit sixty dollars to Discover it")).toBe("credit");
+      expect(extractTransactionType("Reversal of $9.99 on Amazon Visa")).toBe("credit");
+    });
+
+    test('does not treat "credit card" or "return flight" as a refund', () => {
+      expect(extractTransactionType("Charge $30 to my credit card. Description is lunch")).toBe("expense");
+      expect(extractTransactionType("Charge $300 to Chase Sapphire. Description is return flight to Boston")).toBe("expense");
+      expect(extractTransactionType("")).toBe("expense");
+    });
+  });
+
+  describe('income', () => {
+    test('recognises income cues', () => {
+      expect(extractTransactionType("Received $2,500 paycheck into Chase checking")).toBe("income");
+      expect(extractTransactionType("got 40 dollars Venmo from Donna")).toBe("income");
+      expect(extractTransactionType("Got paid today, 1200 into BOA checking")).toBe("income");
+    });
+
+    test('keeps "got" without an amount and payer an expense', () => {
+      expect(extractTransactionType("Charge $30 to Amazon Visa. Description is got groceries from Costco")).toBe("expense");
+    });
+
+    test('ignores income words in the description', () => {
+      expect(extractTransactionType(
+        "Charge $15 to Amazon Visa. Category is shipping. Description is received package shipping"
+      )).toBe("expense");
+      expect(extractTransactionType(
+        "$18 to Chase Sapphire. Category is Dining out. Description is lunch after paycheck"
+      )).toBe("expense");
+    });
+
+    test('reads "received" as income only with an amount or a payer', () => {
+      expect(extractTransactionType("Received 200 dollars into BOA checking")).toBe("income");
+      expect(extractTransactionType("received a check from Donna, 80 dollars")).toBe("income");
+      expect(extractTransactionType("I received the package, 30 dollars on Amex")).toBe("expense");
+    });
+
+    test('keeps a transcript with a spending verb an expense', () => {
+      expect(extractTransactionType("I received the package, spent 30 dollars at Target")).toBe("expense");
+      expect(extractTransactionType("Bought a gift with the 50 dollars I got from Donna")).toBe("expense");
+      expect(extractTransactionType("Got paid today, 1200 into BOA checking")).toBe("income");
+    });
+
+    test('does not override an explicit charge', () => {
+      const result = buildExpenseRecordFromTranscript(
+        "Charge $18 to Chase Sapphire. Category is Dining out. Description is lunch after paycheck"
+      );
+
+      expect(result.transaction_type).toBe("expense");
+      expect(result.expense_category).toBe("Dining out");
+      expect(extractTransactionType("Charge $60 to Chase Sapphire for the salary dinner")).toBe("expense");
+    });
+
+    test('prefers a refund cue over an income cue', () => {
+      expect(extractTransactionType("Received a refund of $25 on Amazon Visa")).toBe("refund");
+    });
+
+    test('matches income categories and keeps the amount positive', () => {
+      const transcript = "Received $2,500 to Chase checking. Category is paycheck. Description is January pay";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.transaction_type).toBe("income");
+      expect(result.expense_amount).toBe("2500.00");
+      expect(result.expense_category).toBe("Salary");
+      expect(result.card_name).toBe("Chase checking");
+    });
+
+    test('does not match expense categories for income', () => {
+      expect(extractExpenseCategory("Category is reimbursement", "income")).toBe("Reimbursement");
+      expect(extractExpenseCategory("Category is dining out", "income")).toBe("dining out");
+    });
+  });
+
+  describe('transfers and card payments', () => {
+    test('recognises transfer cues', () => {
+      expect(extractTransactionType("Transfer $800 from BOA checking to Chase Sapphire")).toBe("transfer");
+      expect(extractTransactionType("paid off Citi DoubleCash 1,200 from Chase checking")).toBe("transfer");
+      expect(extractTransactionType("Credit card payment of $300 to Discover it from BOA checking")).toBe("transfer");
+      expect(extractTransactionType("Charge $30 to Chase Sapphire. Description is paid for lunch")).toBe("expense");
+    });
+
+    test('ignores transfer words in the description', () => {
+      const transcript = "Charge $40 to Chase Sapphire. Category is Misc. Description is balance transfer fee";
+      expect(extractTransactionType(transcript)).toBe("expense");
+
+      const record = buildExpenseRecordFromTranscript(transcript);
+      expect(record.transaction_type).toBe("expense");
+      expect(record.card_name).toBe("Chase Sapphire");
+      expect(record.expense_category).toBe("Misc");
+      expect(record.description).toBe("balance transfer fee");
+    });
+
+    test('extracts the source and destination accounts', () => {
+      expect(extractTransferAccounts("Transfer $800 from BOA checking to Chase Sapphire")).toEqual({
+        from: "BOA checking",
+        to: "Chase Sapphire",
+      });
+      expect(extractTransferAccounts("paid off Citi DoubleCash 1,200 from Chase checking")).toEqual({
+        from: "Chase checking",
+        to: "Citi DoubleCash",
+      });
+      expect(extractTransferAccounts("Move five hundred dollars into BOA checking from Chase checking")).toEqual({
+        from: "Chase checking",
+        to: "BOA checking",
+      });
+    });
+
+    test('builds a transfer record without category or merchant', () => {
+      const result = buildExpenseRecordFromTranscript("Transfer $800 from BOA checking to Chase Sapphire");
+
+      expect(result.transaction_type).toBe("transfer");
+      expect(result.card_name).toBe("BOA checking");
+      expect(result.transfer_to).toBe("Chase Sapphire");
+      expect(result.expense_amount).toBe("800.00");
+      expect(result.expense_category).toBe("");
+      expect(result.merchant).toBe("");
+      expect(result.needs_review).toBe(false);
+    });
+
+    test('flags a transfer whose destination was not recognised', () => {
+      const result = buildExpenseRecordFromTranscript("paid off 1,200 from Chase checking");
+
+      expect(result.card_name).toBe("Chase checking");
+      expect(result.transfer_to).toBe("");
+      expect(isLowConfidenceField(result, "transfer_to")).toBe(true);
+      expect(result.needs_review).toBe(true);
+    });
+  });
+
+  describe('split charges', () => {
+    test('extracts split lines with their categories', () => {
+      expect(extractSplit("Charge $100 to CITI COSTCO, split 60 grocery and 40 household essentials")).toEqual([
+        { amount: "60.00", category: "Grocery" },
+        { amount: "40.00", category: "Household essentials" },
+      ]);
+      expect(extractSplit("Charge $35.50 to Chase Sapphire, split it $25.50 for dining out, $10 for gift purchase")).toEqual([
+        { amount: "25.50", category: "Dining out" },
+        { amount: "10.00", category: "Gift purchase" },
+      ]);
+    });
+
+    test('ignores "split" outside a split clause', () => {
+      expect(extractSplit("Charge $8 to Chase Sapphire. Category is Dining out. Description is split pea soup")).toEqual([]);
+      expect(extractSplit("Charge $30 to Chase Sapphire. Description is lunch")).toEqual([]);
+    });
+
+    test('builds one linked record per split line', () => {
+      const transcript = "Charge $100 to CITI COSTCO, split sixty grocery and forty household essentials. Description is Costco run";
+      const records = buildExpenseRecordsFromTranscript(transcript);
+
+      expect(records).toHaveLength(2);
+      expect(records.map((record) => record.expense_amount)).toEqual(["60.00", "40.00"]);
+      expect(records.map((record) => record.expense_category)).toEqual(["Grocery", "Household essentials"]);
+      expect(records[0].card_name).toBe("CITI COSTCO");
+      expect(records[1].card_name).toBe("CITI COSTCO");
+      expect(records[0].description).toBe("Costco run");
+      expect(records[0].transaction_id).toBeTruthy();
+      expect(records[1].transaction_id).toBe(records[0].transaction_id);
+      expect(records[0].needs_review).toBe(false);
+    });
+
+    test('rejects split lines that do not add up to the charge', () => {
+      const transcript = "Charge $100 to CITI COSTCO, split 60 grocery and 30 household essentials";
+
+      expect(() => buildExpenseRecordsFromTranscript(transcript)).toThrow(
+        "The split amounts add up to 90.00, but the charge is 100.00"
+      );
+    });
+
+    test('uses the sum of the lines when no total was spoken', () => {
+      const records = buildExpenseRecordsFromTranscript("Charge to CITI COSTCO, split 60 grocery and 40 household essentials");
+
+      expect(records.map((record) => record.expense_amount)).toEqual(["60.00", "40.00"]);
+    });
+
+    test('keeps converted lines adding up to the converted total', () => {
+      const record = buildExpenseRecordFromTranscript("Charge 10 euros to Chase Sapphire");
+      const lines = splitExpenseRecord(
+        record,
+        [
+          { amount: "3.33", category: "Grocery" },
+          { amount: "3.33", category: "Misc" },
+          { amount: "3.34", category: "Misc" },
+        ],
+        "t-test"
+      );
+
+      expect(lines.map((line) => line.original_amount)).toEqual(["3.33", "3.33", "3.34"]);
+      expect(lines.map((line) => line.expense_amount)).toEqual(["3.66", "3.66", "3.68"]);
+      expect(lines.every((line) => line.transaction_id === "t-test")).toBe(true);
+    });
+  });
+
+  describe('amount expressions', () => {
+    test('stores the computed total of a tip', () => {
+      const transcript = "Charge 48 dollars plus 20 percent tip to Chase Sapphire. Category is Dining out. Description is team lunch";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.expense_amount).toBe("57.60");
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.description).toBe("team lunch (48 dollars plus 20 percent tip)");
+    });
+
+    test('multiplies spelled-out repeated items', () => {
+      const transcript = "Charge three coffees at 4.50 each to Chase Sapphire. Category is Dining out";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.expense_amount).toBe("13.50");
+      expect(result.description).toBe("3 coffees at 4.50 each");
+    });
+
+    test('uses the configured sales tax rate', () => {
+      expect(extractExpenseAmount("Charge $30 plus tax to Amazon Visa. Category is Misc")).toBe("33.00");
+    });
+
+    test('converts the total of a foreign expression', () => {
+      const result = buildExpenseRecordFromTranscript("Charge 20 euros plus 10 percent tip to Chase Sapphire");
+
+      expect(result.original_amount).toBe("22.00");
+      expect(result.expense_amount).toBe("24.20");
+    });
+  });
+
+  describe('refunds and credits', () => {
+    test('stores a refund with a negative amount', () => {
+      const transcript = "Refund $25 to Amazon Visa. Category is Clothing or shoes. Description is shoes";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.transaction_type).toBe("refund");
+      expect(result.expense_amount).toBe("-25.00");
+      expect(result.original_amount).toBe("-25.00");
+      expect(result.card_name).toBe("Amazon Visa");
+    });
+
+    test('signs converted foreign amounts too', () => {
+      const transcript = "Charge 10 euros to Chase Sapphire, credit back. Category is Travel-personal";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.transaction_type).toBe("credit");
+      expect(result.expense_amount).toBe("-11.00");
+      expect(result.original_amount).toBe("-10.00");
+    });
+
+    test('keeps expenses positive', () => {
+      const result = buildExpenseRecordFromTranscript("Charge $25 to Amazon Visa. Category is Misc");
+
+      expect(result.transaction_type).toBe("expense");
+      expect(result.expense_amount).toBe("25.00");
+    });
+  });
+
   describe('extractCardName', () => {
     test('extracts account name from standard format', () => {
       const transcript = "Charge $30.50 to Chase Unlimited. Date is December 3rd. Category is Gift purchase. Description is parents visiting groceries";
@@ -159,6 +586,132 @@ describe('parsingLogic', () => {
     });
   });
 
+  describe('aliases', () => {
+    test('resolves an account alias to the canonical name', () => {
+      const transcript = "Charge $30 to double cash. Category is Misc. Description is test";
+      expect(extractCardName(transcript)).toBe("Citi DoubleCash");
+    });
+
+    test('resolves an alias phrase inside a longer segment', () => {
+      const transcript = "Charge $80 to the Costco card. Category is Grocery. Description is bulk shopping";
+      expect(extractCardName(transcript)).toBe("CITI COSTCO");
+    });
+
+    test('resolves a category alias to the canonical name', () => {
+      const transcript = "Charge $45 to Chase Sapphire. Category is takeout. Description is pizza";
+      expect(extractExpenseCategory(transcript)).toBe("Dining out");
+    });
+
+    test('scores an alias match like an exact match', () => {
+      const transcript = "Charge $30 to double cash. Category is restaurant. Description is dinner";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.card_name).toBe("Citi DoubleCash");
+      expect(result.expense_category).toBe("Dining out");
+      expect(result.confidence.card_name).toBe(1);
+      expect(result.confidence.expense_category).toBe(1);
+      expect(result.needs_review).toBe(false);
+    });
+  });
+
+  describe('fuzzy matching of mis-transcribed names', () => {
+    test('matches a misspelled account name ("Chase Saffire")', () => {
+      const transcript = "Charge $30 to Chase Saffire. Category is Dining out. Description is lunch";
+      expect(extractCardName(transcript)).toBe("Chase Sapphire");
+    });
+
+    test('matches words run together by the speech engine ("discovered")', () => {
+      const transcript = "Charge $100 to discovered. Category is Misc. Description is test";
+      expect(extractCardName(transcript)).toBe("Discover it");
+    });
+
+    test('matches a sound-alike account name ("Wayfare")', () => {
+      const transcript = "Charge $200 to Wayfare. Category is Home improvement. Description is lamp";
+      expect(extractCardName(transcript)).toBe("Wayfair");
+    });
+
+    test('matches a sound-alike word inside a multi-word name ("City Costco")', () => {
+      const transcript = "Charge $40 to City Costco. Category is Grocery. Description is milk";
+      expect(extractCardName(transcript)).toBe("CITI COSTCO");
+    });
+
+    test('matches a misspelled category ("grosery")', () => {
+      const transcript = "Charge $40 to CITI COSTCO. Category is grosery. Description is milk";
+      expect(extractExpenseCategory(transcript)).toBe("Grocery");
+    });
+
+    test('scores a fuzzy match below an exact match', () => {
+      const fuzzy = buildExpenseRecordFromTranscript("Charge $30 to Chase Saffire. Category is Misc");
+      const exact = buildExpenseRecordFromTranscript("Charge $30 to Chase Sapphire. Category is Misc");
+
+      expect(fuzzy.confidence.card_name).toBeGreaterThan(0.6);
+      expect(fuzzy.confidence.card_name).toBeLessThan(exact.confidence.card_name);
+    });
+
+    test('still rejects names that are not close to any account', () => {
+      const transcript = "Charge $50 to Unknown Card. Category is Misc. Description is test";
+      expect(extractCardName(transcript)).toBe("");
+    });
+
+    test('honours a stricter configured threshold', async () => {
+      getFuzzyMatchThreshold.mockResolvedValueOnce(0.95);
+      await loadConfigLists();
+      try {
+        const transcript = "Charge $200 to Wayfare. Category is Home improvement. Description is lamp";
+        expect(extractCardName(transcript)).toBe("");
+      } finally {
+        await loadConfigLists();
+      }
+    });
+  });
+
+  describe('ambiguous account matches', () => {
+    test('reports every account that ties', () => {
+      const transcript = "Charge $30 to Chase. Category is Dining out. Description is lunch";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.card_candidates).toEqual([
+        "Chase checking",
+        "Chase unlimited",
+        "Chase Sapphire",
+        "Chase freedom",
+      ]);
+      expect(result.card_name).toBe("Chase checking");
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('reports no candidates for a clear winner', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is Dining out. Description is lunch";
+      expect(buildExpenseRecordFromTranscript(transcript).card_candidates).toEqual([]);
+    });
+
+    test('does not report a partial match that scores clearly lower', () => {
+      const transcript = "Charge $30 to BOA. Category is Misc. Description is test";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.card_name).toBe("BOA checking");
+      expect(result.card_candidates).toEqual([]);
+    });
+
+    test('resolveCardChoice applies the chosen account', () => {
+      const transcript = "Charge $30 to Chase. Category is Dining out. Description is lunch";
+      const resolved = resolveCardChoice(buildExpenseRecordFromTranscript(transcript), "Chase Sapphire");
+
+      expect(resolved.card_name).toBe("Chase Sapphire");
+      expect(resolved.card_candidates).toEqual([]);
+      expect(resolved.confidence.card_name).toBe(1);
+      expect(resolved.needs_review).toBe(false);
+    });
+
+    test('resolveCardChoice with no choice leaves the account blank and flagged', () => {
+      const transcript = "Charge $30 to Chase. Category is Dining out. Description is lunch";
+      const resolved = resolveCardChoice(buildExpenseRecordFromTranscript(transcript), null);
+
+      expect(resolved.card_name).toBe("");
+      expect(resolved.needs_review).toBe(true);
+    });
+  });
+
   describe('extractExpenseCategory', () => {
     test('extracts category from standard format', () => {
       const transcript = "Charge $30.50 to Chase Unlimited. Date is December 3rd. Category is Gift purchase. Description is parents visiting groceries";
@@ -253,11 +806,99 @@ describe('parsingLogic', () => {
     });
   });
 
+  describe('extractMerchant', () => {
+    test('extracts merchant after "at"', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is Dining out. Description is lunch at Chipotle";
+      expect(extractMerchant(transcript)).toBe("Chipotle");
+    });
+
+    test('extracts merchant after "from" with an apostrophe', () => {
+      const transcript = "Charge $42 to CITI COSTCO. Category is Grocery. Description is snacks from Trader Joe's";
+      expect(extractMerchant(transcript)).toBe("Trader Joe's");
+    });
+
+    test('stops the merchant name at a following keyword', () => {
+      const transcript = "Charge $60 at Costco to CITI COSTCO. Category is Grocery";
+      expect(extractMerchant(transcript)).toBe("Costco");
+    });
+
+    test('extracts merchant from spoken "merchant is" keyword', () => {
+      const transcript = "Charge $25 to Amazon Visa. Merchant is Target. Category is Household essentials. Description is towels";
+      expect(extractMerchant(transcript)).toBe("Target");
+    });
+
+    test('keeps a trailing "merchant is" clause out of the description', () => {
+      const transcript = "Charge $25 to Amazon Visa. Description is towels. Merchant is Target";
+      expect(extractMerchant(transcript)).toBe("Target");
+      expect(extractDescription(transcript)).toBe("towels");
+    });
+
+    test('extracts service name before "ride"', () => {
+      const transcript = "Charge $18 to Chase Sapphire. Category is Commute. Description is Uber ride home";
+      expect(extractMerchant(transcript)).toBe("Uber");
+    });
+
+    test('ignores "from" followed by an account name', () => {
+      const transcript = "Charge $80 from Chase checking. Description is rent share";
+      expect(extractMerchant(transcript)).toBe("");
+    });
+
+    test('ignores "at" followed by a number or a non-merchant word', () => {
+      expect(extractMerchant("Charge 3 coffees at 4.50 each to Amex")).toBe("");
+      expect(extractMerchant("Description is dinner at home")).toBe("");
+    });
+
+    test('returns empty string when no merchant is spoken', () => {
+      expect(extractMerchant("Charge $30 to Chase Unlimited. Category is Gift purchase. Description is birthday")).toBe("");
+      expect(extractMerchant("")).toBe("");
+    });
+  });
+
+  describe('extractTags', () => {
+    test('extracts tags joined by "and", matched against the tag list', () => {
+      const transcript = "Charge $300 to Chase Sapphire. Category is Dining out. Description is team dinner. Tags reimbursable and Hawaii trip";
+      expect(extractTags(transcript)).toEqual(["Reimbursable", "Hawaii trip"]);
+      expect(extractDescription(transcript)).toBe("team dinner");
+    });
+
+    test('keeps tags that are not in the list as spoken and flags them for review', () => {
+      const transcript = "Charge $12 to Amex. Tag is business, conference. Category is Dining out";
+      expect(extractTags(transcript)).toEqual(["Business", "conference"]);
+      expect(extractExpenseCategory(transcript)).toBe("Dining out");
+
+      const record = buildExpenseRecordFromTranscript(transcript);
+      expect(record.confidence.tags_unmatched).toBe(true);
+      expect(isLowConfidenceField(record, "tags")).toBe(true);
+      expect(record.needs_review).toBe(true);
+    });
+
+    test('reads a tags keyword inside the description as part of it', () => {
+      const transcript = "Charge $4 to Amex. Category is Misc. Description is price tag sticker";
+      const record = buildExpenseRecordFromTranscript(transcript);
+
+      expect(record.description).toBe("price tag sticker");
+      expect(record.tags).toEqual([]);
+      expect(record.confidence.tags_unmatched).toBe(false);
+      expect(extractTags("Charge $4 to Amex. Description is lunch, tags business")).toEqual(["Business"]);
+      expect(extractTags("Charge $4 to Amex. Description is lunch. Tag business")).toEqual(["Business"]);
+    });
+
+    test('stops a category before a trailing tags clause', () => {
+      const transcript = "Charge $80 to Amex. Category is Grocery tags Hawaii trip";
+      expect(extractExpenseCategory(transcript)).toBe("Grocery");
+      expect(extractTags(transcript)).toEqual(["Hawaii trip"]);
+    });
+
+    test('returns an empty list when no tags are spoken', () => {
+      expect(extractTags("Charge $30 to Chase Sapphire. Category is Dining out")).toEqual([]);
+      expect(extractTags("")).toEqual([]);
+    });
+  });
+
   describe('extractDate', () => {
     test('extracts date from "Date is" format with month name', () => {
       const transcript = "Charge $30.50 to Chase Unlimited. Date is December 3rd. Category is Gift purchase. Description is parents visiting groceries";
-      const today = new Date();
-      const expectedYear = today.getFullYear();
+      const expectedYear = mostRecentYearFor(12, 3);
       expect(extractDate(transcript)).toBe(`${expectedYear}-12-03`);
     });
 
@@ -289,49 +930,376 @@ describe('parsingLogic', () => {
     });
   });
 
+  describe('extractDate with relative expressions', () => {
+    // Wednesday, January 15, 2025
+    const now = new Date(2025, 0, 15, 10, 30);
+
+    test('resolves "last Friday"', () => {
+      const transcript = "Charge $30 to Chase Sapphire last Friday. Category is Dining out. Description is lunch";
+      expect(extractDate(transcript, now)).toBe("2025-01-10");
+    });
+
+    test('resolves "this past Monday"', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is this past Monday. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-13");
+    });
+
+    test('"last" weekday on the same weekday goes back a full week', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is last Wednesday";
+      expect(extractDate(transcript, now)).toBe("2025-01-08");
+    });
+
+    test('bare weekday resolves to the most recent occurrence, including today', () => {
+      expect(extractDate("Charge $30 to Chase Sapphire on Wednesday", now)).toBe("2025-01-15");
+      expect(extractDate("Charge $30 to Chase Sapphire on Saturday", now)).toBe("2025-01-11");
+    });
+
+    test('resolves "two days ago" with number words', () => {
+      const transcript = "Charge $30 to Chase Sapphire two days ago. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-13");
+    });
+
+    test('resolves "N days ago" with digits', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is 3 days ago";
+      expect(extractDate(transcript, now)).toBe("2025-01-12");
+    });
+
+    test('resolves "a week ago"', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is a week ago";
+      expect(extractDate(transcript, now)).toBe("2025-01-08");
+    });
+
+    test('resolves "day before yesterday"', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is day before yesterday";
+      expect(extractDate(transcript, now)).toBe("2025-01-13");
+    });
+
+    test('resolves "yesterday" across a year boundary', () => {
+      const newYearsDay = new Date(2025, 0, 1, 9, 0);
+      expect(extractDate("Charge $30 to Chase Sapphire yesterday", newYearsDay)).toBe("2024-12-31");
+    });
+
+    test('resolves "on the 3rd" to this month when already past', () => {
+      const transcript = "Charge $30 to Chase Sapphire on the 3rd. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-03");
+    });
+
+    test('resolves "on the 20th" to last month (and year) when not reached yet', () => {
+      const transcript = "Charge $30 to Chase Sapphire on the 20th. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2024-12-20");
+    });
+
+    test('ignores weekdays and relative dates inside the description', () => {
+      expect(extractDate("Charge $5 to Chase Sapphire. Description Sunday brunch", now)).toBe("2025-01-15");
+      expect(extractDate("Charge $5 to Chase Sapphire. Description lunch yesterday", now)).toBe("2025-01-15");
+      expect(extractDate("Charge $5 to Chase Sapphire. Description Sunday brunch. Date is yesterday", now))
+        .toBe("2025-01-14");
+    });
+
+    test('skips months too short for the day', () => {
+      const marchFifteenth = new Date(2025, 2, 15, 10, 30);
+      const transcript = "Charge $30 to Chase Sapphire on the 31st. Category is Dining out";
+      expect(extractDate(transcript, marchFifteenth)).toBe("2025-01-31");
+      expect(extractDate("Charge $30 to Chase Sapphire on the 30th", marchFifteenth)).toBe("2025-01-30");
+    });
+
+    test('resolves spelled-out ordinals like "on the third"', () => {
+      const transcript = "Charge $30 to Chase Sapphire on the third. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-03");
+    });
+
+    test('rolls month names without a year back to the previous year', () => {
+      const januarySecond = new Date(2025, 0, 2, 8, 0);
+      const transcript = "Charge $30 to Chase Sapphire. Date is December 28. Category is Dining out";
+      expect(extractDate(transcript, januarySecond)).toBe("2024-12-28");
+    });
+
+    test('keeps month names without a year in the current year when already past', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is January 2nd. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-02");
+    });
+
+    test('keeps an explicitly spoken year', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Date is December 28, 2025";
+      expect(extractDate(transcript, now)).toBe("2025-12-28");
+    });
+
+    test('defaults to the injected today when no date is spoken', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is Dining out";
+      expect(extractDate(transcript, now)).toBe("2025-01-15");
+    });
+
+    test('resolveRelativeDate returns null when nothing relative is spoken', () => {
+      expect(resolveRelativeDate("charge $30 to chase sapphire", now)).toBeNull();
+    });
+  });
+
+  describe('locale conventions', () => {
+    // Wednesday, January 15, 2025
+    const now = new Date(2025, 0, 15, 10, 30);
+
+    describe('en-US', () => {
+      test('reads a comma as a thousands separator', () => {
+        expect(extractExpenseAmount("Charge 1,250 to Amex. Category is Misc")).toBe("1250.00");
+      });
+
+      test('reads numeric dates month first', () => {
+        expect(extractDate("Charge $30 to Amex on 03/04/2024", now)).toBe("2024-03-04");
+        expect(extractDate("Charge $30 to Amex on 12/28", now)).toBe("2024-12-28");
+      });
+
+      test('reads a date that is only valid day first the other way round', () => {
+        expect(extractDate("Charge $30 to Amex on 25/12/2024", now)).toBe("2024-12-25");
+      });
+
+      test('reads a day spoken before the month name', () => {
+        expect(extractDate("Charge $30 to Amex on the 3rd of January", now)).toBe("2025-01-03");
+      });
+
+      test('skips days the month does not have', () => {
+        expect(extractDate("Charge $30 to Amex. Description is 35 march madness tickets", now)).toBe("2025-01-15");
+        expect(extractDate("Charge $30 to Amex on 02/31/2025", now)).toBe("2025-01-15");
+        expect(extractDate("Charge $30 to Amex on April 31", now)).toBe("2025-01-15");
+        expect(extractDate("Charge $30 to Amex on 02/29/2024", now)).toBe("2024-02-29");
+        expect(extractDate("Charge $30 to Amex on 02/29/2023", now)).toBe("2025-01-15");
+      });
+    });
+
+    describe('de-DE', () => {
+      beforeAll(async () => {
+        getLocale.mockResolvedValueOnce("de-DE");
+        await loadConfigLists();
+      });
+
+      afterAll(async () => {
+        await loadConfigLists();
+      });
+
+      test('reads a decimal comma', () => {
+        expect(extractExpenseAmount("Charge 12,50 to Amex. Category is Dining out")).toBe("12.50");
+        expect(extractExpenseAmount("Charge €0,99 to Amex")).toBe("0.99");
+      });
+
+      test('reads dots as thousands separators', () => {
+        expect(extractExpenseAmount("Charge 1.234,56 euros to Amex. Category is Misc")).toBe("1234.56");
+        expect(extractExpenseAmount("Charge 4.500 to Amex. Category is Misc")).toBe("4500.00");
+      });
+
+      test('splits a charge with decimal-comma amounts', () => {
+        const transcript = "Charge 100 to CITI COSTCO, split 60,50 grocery and 39,50 household essentials";
+        expect(extractSplit(transcript)).toEqual([
+          { amount: "60.50", category: "Grocery" },
+          { amount: "39.50", category: "Household essentials" },
+        ]);
+      });
+
+      test('reads numeric dates day first', () => {
+        expect(extractDate("Charge 30 to Amex on 03/04/2024", now)).toBe("2024-04-03");
+        expect(extractDate("Charge 30 to Amex on 03.04.2024", now)).toBe("2024-04-03");
+        expect(extractDate("Charge 30 to Amex on 03/04", now)).toBe("2024-04-03");
+      });
+
+      test('builds a full record', () => {
+        const record = buildExpenseRecordFromTranscript(
+          "Charge 12,50 to Chase Sapphire on 10/01/2025. Category is Dining out. Description is lunch",
+          now
+        );
+        expect(record.expense_amount).toBe("12.50");
+        expect(record.date).toBe("2025-01-10");
+        expect(record.description).toBe("lunch");
+      });
+    });
+  });
+
+  describe('multilingual transcripts', () => {
+    // Wednesday, January 15, 2025
+    const now = new Date(2025, 0, 15, 10, 30);
+
+    test('parses a Spanish transcript', () => {
+      const record = buildExpenseRecordFromTranscript(
+        "Cargo treinta y cinco dólares a la tarjeta Chase Sapphire. Categoría es Dining out. Descripción es almuerzo con amigos ayer",
+        now
+      );
+      expect(record.expense_amount).toBe("35.00");
+      expect(record.card_name).toBe("Chase Sapphire");
+      expect(record.expense_category).toBe("Dining out");
+      expect(record.description).toBe("almuerzo con amigos ayer");
+      // Words in the description are kept as spoken, so "ayer" there is not read as a date
+      expect(record.date).toBe("2025-01-15");
+    });
+
+    test('parses a Spanish date', () => {
+      const record = buildExpenseRecordFromTranscript(
+        "Cargo doscientos dólares a Amex el 3 de enero. Categoría es Grocery",
+        now
+      );
+      expect(record.expense_amount).toBe("200.00");
+      expect(record.date).toBe("2025-01-03");
+      expect(record.expense_category).toBe("Grocery");
+    });
+
+    test('parses a Chinese transcript', () => {
+      const record = buildExpenseRecordFromTranscript(
+        "前天花了一百二十美元用Chase Sapphire，类别是Grocery，备注是买菜",
+        now
+      );
+      expect(record.expense_amount).toBe("120.00");
+      expect(record.card_name).toBe("Chase Sapphire");
+      expect(record.expense_category).toBe("Grocery");
+      expect(record.description).toBe("买菜");
+      expect(record.date).toBe("2025-01-13");
+    });
+
+    test('uses the configured language instead of detecting it', async () => {
+      getLanguage.mockResolvedValueOnce("en");
+      await loadConfigLists();
+      try {
+        const record = buildExpenseRecordFromTranscript("Cargo treinta dólares a Amex", now);
+        expect(record.expense_amount).toBe("");
+      } finally {
+        await loadConfigLists();
+      }
+    });
+  });
+
+  describe('configurable trigger keywords', () => {
+    const synonymKeywords = {
+      charge: ["charge", "paid", "spent", "bought"],
+      account: ["to", "on"],
+      category: ["category", "for", "under"],
+      description: ["description", "note"],
+      merchant: ["merchant"],
+    };
+
+    beforeEach(async () => {
+      getTriggerKeywords.mockResolvedValueOnce(synonymKeywords);
+      await loadConfigLists();
+    });
+
+    afterEach(async () => {
+      await loadConfigLists();
+    });
+
+    test('uses charge, category and description synonyms', () => {
+      const transcript = "Paid $45 on Chase Sapphire under Dining out. Note is team lunch";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.expense_amount).toBe("45.00");
+      expect(result.expense_category).toBe("Dining out");
+      expect(result.description).toBe("team lunch");
+    });
+
+    test('accepts "is" after a synonym', () => {
+      const transcript = "Spent 20 dollars to Amazon Visa. Category is Gift purchase. Note is birthday card";
+      expect(extractDescription(transcript)).toBe("birthday card");
+      expect(extractExpenseCategory(transcript)).toBe("Gift purchase");
+    });
+
+    test('splits clauses on every charge synonym', () => {
+      const transcript = "Bought $12 on Chase Sapphire for Dining out. Spent $40 on CITI COSTCO for Grocery";
+      const records = buildExpenseRecordsFromTranscript(transcript);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].card_name).toBe("Chase Sapphire");
+      expect(records[1].expense_category).toBe("Grocery");
+    });
+
+    test('only matches keywords as whole words', () => {
+      const transcript = "Spent $30 to Chase Sapphire. Description is unpaid invoice for formatting";
+      expect(extractDescription(transcript)).toBe("unpaid invoice for formatting");
+      expect(extractCardName(transcript)).toBe("Chase Sapphire");
+    });
+  });
+
   describe('buildExpenseRecordFromTranscript', () => {
+    // Every field spoken and matched exactly
+    const fullConfidence = {
+      card_name: 1,
+      transfer_to: null,
+      expense_amount: 1,
+      expense_category: 1,
+      date_inferred: false,
+      category_unmatched: false,
+      currency_unconverted: false,
+      category_suggested: false,
+      card_suggested: false,
+      custom_unmatched: false,
+      tags_unmatched: false,
+    };
+
     test('builds complete expense record from standard format', () => {
       const transcript = "Charge $30.50 to Chase Unlimited. Date is December 3rd. Category is Gift purchase. Description is parents visiting groceries";
       const result = buildExpenseRecordFromTranscript(transcript);
-      const today = new Date();
-      const expectedYear = today.getFullYear();
+      const expectedYear = mostRecentYearFor(12, 3);
       
       expect(result).toEqual({
         date: `${expectedYear}-12-03`,
         card_name: "Chase unlimited",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "30.50",
+        currency: "USD",
+        original_amount: "30.50",
         expense_category: "Gift purchase",
         description: "parents visiting groceries",
+        merchant: "",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
     test('builds expense record with large amount', () => {
       const transcript = "Charge $4,000.50 to CITI COSTCO. Date is November 30th. Category is Grocery. Description is regular weekend shopping";
       const result = buildExpenseRecordFromTranscript(transcript);
-      const today = new Date();
-      const expectedYear = today.getFullYear();
+      const expectedYear = mostRecentYearFor(11, 30);
       
       expect(result).toEqual({
         date: `${expectedYear}-11-30`,
         card_name: "CITI COSTCO",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "4000.50",
+        currency: "USD",
+        original_amount: "4000.50",
         expense_category: "Grocery",
         description: "regular weekend shopping",
+        merchant: "",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
     test('builds expense record when description contains account name', () => {
       const transcript = "Charge $50 to Wells Fargo 2%. Date is December 5th. Category is Dining out. Description is dinner at Chase restaurant";
       const result = buildExpenseRecordFromTranscript(transcript);
-      const today = new Date();
-      const expectedYear = today.getFullYear();
+      const expectedYear = mostRecentYearFor(12, 5);
       
       expect(result).toEqual({
         date: `${expectedYear}-12-05`,
         card_name: "Wells Fargo 2%",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "50.00",
+        currency: "USD",
+        original_amount: "50.00",
         expense_category: "Dining out",
         description: "dinner at Chase restaurant",
+        merchant: "Chase restaurant",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
@@ -344,24 +1312,45 @@ describe('parsingLogic', () => {
       expect(result).toEqual({
         date: expectedDate,
         card_name: "Discover it",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "100.00",
+        currency: "USD",
+        original_amount: "100.00",
         expense_category: "Gift purchase",
         description: "Grocery store gift card",
+        merchant: "",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
     test('builds expense record with verbal amount format', () => {
       const transcript = "Charge 325 dollars and 39 cents to Chase freedom. Date is December 1st. Category is Gift purchase. Description is birthday gift";
       const result = buildExpenseRecordFromTranscript(transcript);
-      const today = new Date();
-      const expectedYear = today.getFullYear();
+      const expectedYear = mostRecentYearFor(12, 1);
       
       expect(result).toEqual({
         date: `${expectedYear}-12-01`,
         card_name: "Chase freedom",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "325.39",
+        currency: "USD",
+        original_amount: "325.39",
         expense_category: "Gift purchase",
         description: "birthday gift",
+        merchant: "",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
@@ -374,9 +1363,20 @@ describe('parsingLogic', () => {
       expect(result).toEqual({
         date: expectedDate,
         card_name: "Amazon Visa",
+        transfer_to: "",
+        transaction_type: "expense",
         expense_amount: "0.99",
+        currency: "USD",
+        original_amount: "0.99",
         expense_category: "Misc",
         description: "small purchase",
+        merchant: "",
+        tags: [],
+        custom_fields: {},
+        card_candidates: [],
+        transaction_id: "",
+        confidence: fullConfidence,
+        needs_review: false,
       });
     });
 
@@ -392,6 +1392,399 @@ describe('parsingLogic', () => {
       expect(result.expense_category).toBe("Misc");
       expect(result.description).toBe("test");
     });
+
+    test('reports an inferred date when none is spoken', () => {
+      const transcript = "Charge $30 to Chase Unlimited. Category is Misc. Description is test";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.confidence.date_inferred).toBe(true);
+      expect(result.needs_review).toBe(false);
+    });
+
+    test('flags a partial account match for review', () => {
+      const transcript = "Charge $30 to Sapphire. Category is Dining out. Description is lunch";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.confidence.card_name).toBe(0.5);
+      expect(result.needs_review).toBe(true);
+      expect(isLowConfidenceField(result, "card_name")).toBe(true);
+      expect(isLowConfidenceField(result, "expense_category")).toBe(false);
+    });
+
+    test('flags an unmatched raw category for review', () => {
+      const transcript = "Charge $50 to Chase Unlimited. Category is New Category. Description is test";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.expense_category).toBe("New Category");
+      expect(result.confidence.category_unmatched).toBe(true);
+      expect(result.confidence.expense_category).toBe(0);
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('flags a missing amount for review', () => {
+      const transcript = "Charge to Chase Unlimited. Category is Misc. Description is no amount mentioned";
+      const result = buildExpenseRecordFromTranscript(transcript);
+
+      expect(result.confidence.expense_amount).toBe(0);
+      expect(result.needs_review).toBe(true);
+      expect(isLowConfidenceField(result, "expense_amount")).toBe(true);
+    });
   });
-});
 
+  describe('buildExpenseRecordsFromTranscript', () => {
+    test('returns a single record when only one charge is spoken', () => {
+      const transcript = "Charge $30 to Chase Unlimited. Category is Misc. Description is test";
+      const result = buildExpenseRecordsFromTranscript(transcript);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toEqual(buildExpenseRecordFromTranscript(transcript));
+    });
+
+    test('returns one record per charge clause', () => {
+      const transcript = "Charge $12 to Chase Sapphire, category dining out, description lunch. Charge $40 to CITI COSTCO, category grocery, description milk";
+      const result = buildExpenseRecordsFromTranscript(transcript);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({
+        card_name: "Chase Sapphire",
+        transfer_to: "",
+        transaction_type: "expense",
+        expense_amount: "12.00",
+        currency: "USD",
+        original_amount: "12.00",
+        expense_category: "Dining out",
+        description: "lunch",
+      });
+      expect(result[1]).toMatchObject({
+        card_name: "CITI COSTCO",
+        transfer_to: "",
+        transaction_type: "expense",
+        expense_amount: "40.00",
+        currency: "USD",
+        original_amount: "40.00",
+        expense_category: "Grocery",
+        description: "milk",
+      });
+    });
+
+    test('ignores a charge keyword inside the description', () => {
+      const result = buildExpenseRecordsFromTranscript("Charge $5 to Chase Sapphire. Description no charge fee");
+
+      expect(result).toHaveLength(1);
+      expect(result[0].expense_amount).toBe("5.00");
+      expect(result[0].description).toBe("no charge fee");
+    });
+
+    test('shares text spoken before the first charge with every clause', () => {
+      const transcript = "Date is 2024-12-05. Charge $12 to Chase Sapphire, description lunch. Charge $40 to CITI COSTCO, description milk";
+      const result = buildExpenseRecordsFromTranscript(transcript);
+
+      expect(result).toHaveLength(2);
+      expect(result[0].date).toBe("2024-12-05");
+      expect(result[1].date).toBe("2024-12-05");
+      expect(result[1].description).toBe("milk");
+    });
+
+    test('returns a single record for an empty transcript', () => {
+      const result = buildExpenseRecordsFromTranscript("");
+      expect(result).toHaveLength(1);
+      expect(result[0].expense_amount).toBe("");
+    });
+  });
+
+  describe('suggestions from past records', () => {
+    const NOW = new Date(2025, 0, 15);
+    const HISTORY = [
+      { description: "Uber ride home", merchant: "Uber", expense_category: "Commute", card_name: "Chase Sapphire" },
+      { description: "Uber to work", merchant: "Uber", expense_category: "Commute", card_name: "Chase Sapphire" },
+      { description: "Lyft to the airport", merchant: "", expense_category: "Commute", card_name: "Chase Sapphire" },
+      { description: "milk and eggs", merchant: "Costco", expense_category: "Grocery", card_name: "CITI COSTCO" },
+      { description: "bread and milk", merchant: "Costco", expense_category: "Grocery", card_name: "CITI COSTCO" },
+    ];
+
+    beforeAll(async () => {
+      getClassifierModel.mockResolvedValueOnce(trainClassifierFromRecords(HISTORY));
+      await loadConfigLists();
+    });
+
+    afterAll(async () => {
+      await loadConfigLists();
+    });
+
+    test('suggests a category when none was spoken', () => {
+      const result = buildExpenseRecordFromTranscript("Charge $18 to Chase Sapphire. Description is Lyft to work", NOW);
+
+      expect(result.expense_category).toBe("Commute");
+      expect(result.confidence.category_suggested).toBe(true);
+      expect(result.confidence.expense_category).toBeGreaterThan(0.6);
+      expect(result.confidence.card_suggested).toBe(false);
+    });
+
+    test('suggests an account when none was spoken', () => {
+      const result = buildExpenseRecordFromTranscript("Charge $40. Category is Grocery. Description is milk from Costco", NOW);
+
+      expect(result.card_name).toBe("CITI COSTCO");
+      expect(result.confidence.card_suggested).toBe(true);
+      expect(result.confidence.category_suggested).toBe(false);
+    });
+
+    test('keeps a spoken category and notes suggestions in the trace', () => {
+      const spoken = buildExpenseRecordFromTranscript(
+        "Charge $18 to Chase Sapphire. Category is Grocery. Description is Uber ride",
+        NOW
+      );
+      expect(spoken.expense_category).toBe("Grocery");
+
+      const { trace } = buildExpenseRecordFromTranscript("Charge $18 to Chase Sapphire. Description is Lyft to work", NOW, { trace: true });
+      expect(trace.fields.expense_category.branch).toBe("nothing spoken, suggested from past records");
+    });
+
+    test('makes no suggestion for income', () => {
+      const result = buildExpenseRecordFromTranscript("Received $18 into Chase Sapphire. Description is Uber driver pay", NOW);
+      expect(result.transaction_type).toBe("income");
+      expect(result.confidence.category_suggested).toBe(false);
+    });
+  });
+
+  describe('parse trace', () => {
+    const NOW = new Date(2025, 0, 15);
+
+    test('is only attached when requested', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is Dining out";
+      expect(buildExpenseRecordFromTranscript(transcript, NOW).trace).toBeUndefined();
+      expect(buildExpenseRecordFromTranscript(transcript, NOW, { trace: true }).trace).toBeDefined();
+    });
+
+    test('reports the segment, span and scores used for the account', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is Dining out. Description is lunch";
+      const { trace } = buildExpenseRecordFromTranscript(transcript, NOW, { trace: true });
+      const card = trace.fields.card_name;
+
+      expect(trace.transcript).toBe(transcript);
+      expect(card.branch).toBe("charge segment, up to the next keyword");
+      expect(card.segment).toBe("Chase Sapphire.");
+      expect(card.span.text).toBe(" $30 to Chase Sapphire. ");
+      expect(transcript.substring(card.span.start, card.span.end)).toBe(card.span.text);
+      expect(card.candidates[0]).toEqual({ name: "Chase Sapphire", score: 1 });
+      expect(card.value).toBe("Chase Sapphire");
+    });
+
+    test('reports the fallback branch when a keyword is missing', () => {
+      const transcript = "$12 on Chase Sapphire for groceries";
+      const { trace } = buildExpenseRecordFromTranscript(transcript, NOW, { trace: true });
+
+      expect(trace.fields.card_name.branch).toBe("no charge keyword, matched the whole transcript");
+      expect(trace.fields.expense_category.branch).toBe("no category keyword, matched the whole transcript");
+      expect(trace.fields.expense_amount.branch).toBe(
+        "no charge keyword, searched the whole transcript, amount pattern"
+      );
+      expect(trace.fields.description.branch).toBe("no description keyword");
+      expect(trace.fields.date.branch).toBe("no date spoken, defaulted to today");
+    });
+
+    test('reports a category kept as spoken text', () => {
+      const transcript = "Charge $30 to Chase Sapphire. Category is pottery classes. Description is wheel";
+      const { trace } = buildExpenseRecordFromTranscript(transcript, NOW, { trace: true });
+
+      expect(trace.fields.expense_category.branch).toBe(
+        "category segment, up to the next keyword, nothing matched so the spoken text was kept"
+      );
+      expect(trace.fields.expense_category.value).toBe("pottery classes");
+    });
+
+    test('reports which branch found the date and the merchant', () => {
+      const transcript = "Charge $18 to Chase Sapphire on March 3rd. Description is Uber ride home";
+      const { trace } = buildExpenseRecordFromTranscript(transcript, NOW, { trace: true });
+
+      expect(trace.fields.date.branch).toBe("month name before day");
+      expect(trace.fields.date.span.text).toBe("March 3rd");
+      expect(trace.fields.merchant.branch).toBe("service name (\"Uber ride\")");
+      expect(trace.fields.merchant.value).toBe("Uber");
+    });
+
+    test('is passed through to every clause', () => {
+      const transcript = "Charge $12 to Chase Sapphire. Charge $40 to CITI COSTCO";
+      const result = buildExpenseRecordsFromTranscript(transcript, NOW, { trace: true });
+
+      expect(result[0].trace.fields.card_name.value).toBe("Chase Sapphire");
+      expect(result[1].trace.fields.card_name.value).toBe("CITI COSTCO");
+    });
+  });
+
+  describe('custom fields', () => {
+    const NOW = new Date(2025, 0, 15);
+    const FIELDS = [
+      { name: "Project", keywords: ["project", "job"], values: ["Alpha", "Beta launch"], column: "O" },
+      { name: "Client", keywords: ["client"], values: [], column: "P" },
+    ];
+
+    beforeAll(async () => {
+      getCustomFields.mockResolvedValueOnce(FIELDS);
+      await loadConfigLists();
+    });
+
+    afterAll(async () => {
+      await loadConfigLists();
+    });
+
+    test('extracts each field after its keyword', () => {
+      expect(extractCustomFields("Charge $40 to Chase Sapphire, project alpha. Client is Acme Corp")).toEqual({
+        Project: "Alpha",
+        Client: "Acme Corp",
+      });
+      expect(extractCustomFields("Job is beta launch")).toEqual({ Project: "Beta launch" });
+      expect(extractCustomFields("Charge $40 to Chase Sapphire")).toEqual({});
+    });
+
+    test('ends the other fields at a custom field keyword', () => {
+      const transcript = "Charge $40 to Chase Sapphire project Alpha. Category is Grocery. Description is team snacks client Acme";
+      const result = buildExpenseRecordFromTranscript(transcript, NOW);
+
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.expense_amount).toBe("40.00");
+      expect(result.description).toBe("team snacks");
+      expect(result.custom_fields).toEqual({ Project: "Alpha", Client: "Acme" });
+      expect(result.needs_review).toBe(false);
+    });
+
+    test('keeps a value that is not allowed and flags it for review', () => {
+      const result = buildExpenseRecordFromTranscript(
+        "Charge $40 to Chase Sapphire. Category is Grocery. Project is Gamma",
+        NOW
+      );
+
+      expect(result.custom_fields).toEqual({ Project: "Gamma" });
+      expect(result.confidence.custom_unmatched).toBe(true);
+      expect(isLowConfidenceField(result, "custom_fields")).toBe(true);
+      expect(result.needs_review).toBe(true);
+    });
+
+    test('matches allowed values with a strict fuzzy threshold', () => {
+      const context = createParseContext({ customFields: FIELDS, fuzzyThreshold: 0.9 });
+      const result = buildExpenseRecordFromTranscript("Charge $40 to Chase Sapphire, project beta lunch", NOW, { context });
+
+      expect(result.custom_fields).toEqual({ Project: "Beta launch" });
+      expect(result.confidence.custom_unmatched).toBe(false);
+    });
+
+    test('traces each spoken field', () => {
+      const { trace } = buildExpenseRecordFromTranscript(
+        "Charge $40 to Chase Sapphire, project alpha",
+        NOW,
+        { trace: true }
+      );
+
+      expect(trace.fields["custom:Project"].branch).toBe("custom field keyword");
+      expect(trace.fields["custom:Project"].span.text).toBe("project alpha");
+      expect(trace.fields["custom:Project"].candidates[0]).toEqual({ name: "Alpha", score: 1 });
+      expect(trace.fields["custom:Client"]).toBeUndefined();
+    });
+  });
+
+  describe('extractor pipeline', () => {
+    const NOW = new Date(2025, 0, 15);
+    const context = createParseContext({
+      accountNames: ["Chase Sapphire", "CITI COSTCO"],
+      expenseCategories: ["Grocery", "Dining out"],
+    });
+
+    // Reads "receipt 1234" anywhere the earlier extractors did not already claim
+    const receiptExtractor = {
+      name: 'receipt',
+      segment: (transcript, state) => {
+        const match = transcript.match(/\breceipt\s+(\d+)/i);
+        if (!match || consumedBy(state, match.index, match.index + match[0].length)) return null;
+        return { start: match.index, end: match.index + match[0].length, text: match[1] };
+      },
+      parse: (segment) => (segment ? segment.text : ""),
+      confidence: (receipt) => (receipt ? 1 : 0.5),
+    };
+
+    test('parses with an explicit context and no loaded lists', () => {
+      const result = buildExpenseRecordFromTranscript(
+        "Charge $12 to Chase Sapphire. Category is dining out. Description is lunch",
+        NOW,
+        { context }
+      );
+
+      expect(result.card_name).toBe("Chase Sapphire");
+      expect(result.expense_category).toBe("Dining out");
+      expect(result.description).toBe("lunch");
+      expect(extractCardName("Charge $40 to Amazon Visa", context)).toBe("");
+    });
+
+    test('runs the built-in extractors in order and records what each consumed', () => {
+      const state = runExtractors("Charge $40 to CITI COSTCO. Category is grocery. Description is milk", {
+        now: NOW,
+        context,
+      });
+
+      expect(getExtractors(context).map((extractor) => extractor.name)).toEqual([
+        'date', 'transaction_type', 'transfer', 'card_name', 'expense_amount',
+        'expense_category', 'description', 'merchant', 'tags',
+      ]);
+      expect(state.results.card_name.value).toBe("CITI COSTCO");
+      expect(state.confidence.expense_amount).toBe(1);
+      expect(state.consumed.map((span) => span.name)).toEqual([
+        'card_name', 'expense_amount', 'expense_category', 'description',
+      ]);
+      expect(consumedBy(state, 46, 50)).toBe('expense_category');
+      expect(consumedBy(state, 0, 0)).toBeNull();
+    });
+
+    test('adds an extractor at runtime that sees what earlier extractors consumed', () => {
+      registerExtractor(receiptExtractor, { after: 'tags' });
+      try {
+        const spoken = buildExpenseRecordFromTranscript(
+          "Charge $40 to CITI COSTCO. Category is grocery. Receipt 1234",
+          NOW,
+          { context }
+        );
+        expect(spoken.receipt).toBe("");
+        expect(spoken.confidence.extractors).toEqual({ receipt: 0.5 });
+        expect(spoken.needs_review).toBe(true);
+
+        const separate = buildExpenseRecordFromTranscript(
+          "Receipt 1234. Charge $40 to CITI COSTCO. Category is grocery",
+          NOW,
+          { context, trace: true }
+        );
+        expect(separate.receipt).toBe("1234");
+        expect(separate.needs_review).toBe(false);
+        expect(separate.trace.fields.receipt.branch).toBe("registered extractor");
+        expect(separate.trace.fields.receipt.span.text).toBe("Receipt 1234");
+      } finally {
+        unregisterExtractor('receipt');
+      }
+      expect(buildExpenseRecordFromTranscript("Receipt 1234", NOW, { context }).receipt).toBeUndefined();
+    });
+
+    test('places a registered extractor before another one', () => {
+      registerExtractor({ name: 'first', parse: () => true }, { before: 'date' });
+      try {
+        expect(getExtractors(context)[0].name).toBe('first');
+      } finally {
+        unregisterExtractor('first');
+      }
+    });
+
+    test('inserts one extractor per custom field after the tags', () => {
+      const withFields = createParseContext({
+        ...context,
+        customFields: [{ name: "Project", keywords: ["project"], values: [], column: "O" }],
+      });
+      expect(getExtractors(withFields).slice(-2).map((extractor) => extractor.name)).toEqual([
+        'tags', 'custom:Project',
+      ]);
+    });
+
+    test('rejects malformed extractors and built-in names', () => {
+      expect(() => registerExtractor({ name: 'receipt' })).toThrow(/parse must be a function/);
+      expect(() => registerExtractor({ name: 'merchant', parse: () => "" })).toThrow(/built-in/);
+      expect(() => registerExtractor({ name: 'x', parse: () => "" }, { after: 'nope' })).toThrow(/no extractor/);
+      expect(() => unregisterExtractor('card_name')).toThrow(/cannot be removed/);
+      expect(unregisterExtractor('never-registered')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test cases for rules.js
+ */
+
+import { applyRules, describeRule, parseRule } from '../rules';
+import { buildExpenseRecordFromTranscript, loadConfigLists } from '../parsingLogic';
+
+// Mock the configService to return test data
+jest.mock('../configService', () => ({
+  getAccountNames: jest.fn(() => Promise.resolve([
+    "Chase checking",
+    "Chase Sapphire",
+    "Chase freedom",
+    "Amex blue cash preferred",
+    "CITI COSTCO",
+  ])),
+  getExpenseCategories: jest.fn(() => Promise.resolve([
+    "Dining out",
+    "Grocery",
+    "Commute",
+    "Misc",
+  ])),
+  getIncomeCategories: jest.fn(() => Promise.resolve(["Salary"])),
+  getAccountAliases: jest.fn(() => Promise.resolve({})),
+  getCategoryAliases: jest.fn(() => Promise.resolve({ "Grocery": ["groceries"] })),
+  getFuzzyMatchThreshold: jest.fn(() => Promise.resolve(0.7)),
+  getHomeCurrency: jest.fn(() => Promise.resolve("USD")),
+  getExchangeRates: jest.fn(() => Promise.resolve({})),
+  getSalesTaxRate: jest.fn(() => Promise.resolve(10)),
+  getLocale: jest.fn(() => Promise.resolve("en-US")),
+  getLanguage: jest.fn(() => Promise.resolve("auto")),
+  getClassifierModel: jest.fn(() => Promise.resolve(null)),
+  getCustomFields: jest.fn(() => Promise.resolve([])),
+  getTags: jest.fn(() => Promise.resolve(["Business"])),
+  getTriggerKeywords: jest.fn(() => Promise.resolve({
+    charge: ["charge"],
+    account: ["to"],
+    category: ["category"],
+    description: ["description"],
+    merchant: ["merchant"],
+    tags: ["tags", "tag"],
+  })),
+}));
+
+const NOW = new Date(2025, 0, 15);
+
+describe('rules', () => {
+  beforeAll(async () => {
+    await loadConfigLists();
+  });
+
+  describe('parseRule', () => {
+    test('parses conditions on several fields and values', () => {
+      expect(parseRule("if description or merchant contains Uber, Lyft then set category to Commute")).toEqual({
+        conditions: [{ fields: ["description", "merchant"], operator: "contains", values: ["Uber", "Lyft"] }],
+        actions: [{ type: "set", field: "expense_category", value: "Commute" }],
+      });
+    });
+
+    test('parses several conditions and a value-less comparison', () => {
+      expect(parseRule("If category is Grocery and account is empty then override account with CITI COSTCO")).toEqual({
+        conditions: [
+          { fields: ["expense_category"], operator: "is", values: ["Grocery"] },
+          { fields: ["card_name"], operator: "is empty", values: [] },
+        ],
+        actions: [{ type: "override", field: "card_name", value: "CITI COSTCO" }],
+      });
+    });
+
+    test('reads "or" between values and "to account" as a field', () => {
+      const rule = parseRule("if to account is not empty and merchant is Uber or Lyft then set tags to Business");
+      expect(rule.conditions).toEqual([
+        { fields: ["transfer_to"], operator: "is not empty", values: [] },
+        { fields: ["merchant"], operator: "is", values: ["Uber", "Lyft"] },
+      ]);
+    });
+
+    test('rejects malformed rules', () => {
+      expect(() => parseRule("category is Commute")).toThrow('"if <condition> then <action>"');
+      expect(() => parseRule("if vendor contains Uber then set category to Commute")).toThrow("Unknown field");
+      expect(() => parseRule("if merchant resembles Uber then set category to Commute")).toThrow("Unknown comparison");
+      expect(() => parseRule("if merchant contains then set category to Commute")).toThrow("Missing value");
+      expect(() => parseRule("if amount is over lots then set tags to Business")).toThrow("needs a number");
+      expect(() => parseRule("if merchant contains Uber then set date to today")).toThrow("Cannot set");
+      expect(() => parseRule("if merchant contains Uber then category Commute")).toThrow('"set" or "override"');
+    });
+  });
+
+  describe('describeRule', () => {
+    test('writes a rule back as text that parses to the same rule', () => {
+      const text = "if description or merchant contains Uber, Lyft and amount is under 50 then set category to Commute and override tags with Business";
+      expect(describeRule(parseRule(text))).toBe(text);
+    });
+  });
+
+  describe('applyRules', () => {
+    const uberRule = parseRule("if description or merchant contains Uber, Lyft then set category to Commute");
+    const costcoRule = parseRule("if category is Grocery and account is empty then set account to CITI COSTCO");
+
+    test('fills an empty field from a matching rule', () => {
+      const record = buildExpenseRecordFromTranscript("Charge $18. Description is Uber ride home", NOW);
+      const { record: result, applied } = applyRules(record, [uberRule, costcoRule]);
+
+      expect(result.expense_category).toBe("Commute");
+      expect(result.confidence.expense_category).toBe(1);
+      expect(applied).toEqual([describeRule(uberRule)]);
+      expect(record.expense_category).toBe(""); // the parsed record is left as it was
+    });
+
+    test('sets a missing account when the conditions hold', () => {
+      const record = buildExpenseRecordFromTranscript("Charge $40. Category is Grocery. Description is milk", NOW);
+      const { record: result } = applyRules(record, [costcoRule]);
+
+      expect(record.needs_review).toBe(true);
+      expect(result.card_name).toBe("CITI COSTCO");
+      expect(result.needs_review).toBe(false);
+    });
+
+    test('set keeps a spoken value, override replaces it', () => {
+      const record = buildExpenseRecordFromTranscript(
+        "Charge $18 to Chase Sapphire. Category is Misc. Description is Lyft to the airport",
+        NOW
+      );
+      expect(applyRules(record, [uberRule]).record.expense_category).toBe("Misc");
+
+      const override = parseRule("if description contains lyft then override category with Commute");
+      expect(applyRules(record, [override]).record.expense_category).toBe("Commute");
+    });
+
+    test('treats a value suggested from past records as not spoken', () => {
+      const parsed = buildExpenseRecordFromTranscript("Charge $40. Category is Grocery. Description is milk", NOW);
+      const record = {
+        ...parsed,
+        card_name: "Chase Sapphire",
+        confidence: { ...parsed.confidence, card_name: 0.7, card_suggested: true },
+      };
+      const { record: result } = applyRules(record, [costcoRule]);
+
+      expect(result.card_name).toBe("CITI COSTCO");
+      expect(result.confidence.card_suggested).toBe(false);
+      expect(result.confidence.card_name).toBe(1);
+    });
+
+    test('later rules see the changes of earlier ones', () => {
+      const record = buildExpenseRecordFromTranscript("Charge $18 to Chase Sapphire. Description is Uber home", NOW);
+      const tagRule = parseRule("if category is Commute and amount is under 20 then set tags to Business");
+      const { record: result, applied } = applyRules(record, [uberRule, tagRule]);
+
+      expect(result.tags).toEqual(["Business"]);
+      expect(applied).toHaveLength(2);
+    });
+
+    test('notes the rule in the parse trace', () => {
+      const record = buildExpenseRecordFromTranscript("Charge $18. Description is Uber ride", NOW, { trace: true });
+      const { record: result } = applyRules(record, [uberRule]);
+
+      expect(result.trace.fields.expense_category.branch).toBe(`rule "${describeRule(uberRule)}"`);
+      expect(record.trace.fields.expense_category.branch).not.toMatch(/^rule/);
+    });
+
+    test('leaves the record unchanged when no rule matches', () => {
+      const record = buildExpenseRecordFromTranscript("Charge $5 to Chase Sapphire. Description is coffee", NOW);
+      const { record: result, applied } = applyRules(record, [uberRule, costcoRule]);
+
+      expect(result).toEqual(record);
+      expect(applied).toEqual([]);
+    });
+  });
+});
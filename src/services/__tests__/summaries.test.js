@@ -0,0 +1,57 @@
+/**
+ * Test cases for summaries.js
+ */
+
+import { filterRecords, summarizeRecords } from '../summaries';
+
+const RECORDS = [
+  { date: "2025-03-01", card_name: "Chase Sapphire", expense_amount: "420.00", expense_category: "Travel", transaction_type: "expense", tags: ["Hawaii trip"] },
+  { date: "2025-03-02", card_name: "Amex blue cash preferred", expense_amount: "85.50", expense_category: "Dining out", transaction_type: "expense", tags: ["Hawaii trip", "Reimbursable"] },
+  { date: "2025-03-03", card_name: "Chase Sapphire", expense_amount: "-20.00", expense_category: "Dining out", transaction_type: "refund", tags: ["hawaii trip"] },
+  { date: "2025-03-04", card_name: "Chase Sapphire", expense_amount: "30.00", expense_category: "Grocery", transaction_type: "expense", tags: [] },
+  { date: "2025-03-05", card_name: "Chase checking", expense_amount: "500.00", expense_category: "Reimbursement", transaction_type: "income", tags: ["Hawaii trip"] },
+];
+
+describe('summaries', () => {
+  describe('filterRecords', () => {
+    test('keeps records carrying a tag, ignoring case', () => {
+      const result = filterRecords(RECORDS, { tag: "Hawaii Trip" });
+      expect(result.map((record) => record.date)).toEqual([
+        "2025-03-01",
+        "2025-03-02",
+        "2025-03-03",
+        "2025-03-05",
+      ]);
+    });
+
+    test('combines tag, category, account and date filters', () => {
+      expect(filterRecords(RECORDS, { tag: "Hawaii trip", category: "Dining out" })).toHaveLength(2);
+      expect(filterRecords(RECORDS, { account: "chase sapphire", from: "2025-03-02", to: "2025-03-03" })).toHaveLength(1);
+    });
+
+    test('returns every record without filters', () => {
+      expect(filterRecords(RECORDS)).toHaveLength(5);
+      expect(filterRecords(null)).toEqual([]);
+    });
+  });
+
+  describe('summarizeRecords', () => {
+    test('totals a trip across categories, netting refunds and skipping income', () => {
+      const summary = summarizeRecords(filterRecords(RECORDS, { tag: "Hawaii trip" }));
+      expect(summary).toEqual({
+        total: "485.50",
+        count: 3,
+        byCategory: { "Travel": "420.00", "Dining out": "65.50" },
+      });
+    });
+
+    test('totals records without a category as Uncategorized', () => {
+      const summary = summarizeRecords([{ expense_amount: "12.00", expense_category: "" }]);
+      expect(summary.byCategory).toEqual({ "Uncategorized": "12.00" });
+    });
+
+    test('returns a zero total for no records', () => {
+      expect(summarizeRecords([])).toEqual({ total: "0.00", count: 0, byCategory: {} });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Amount expressions - Evaluates simple spoken arithmetic in an amount.
+ * Restaurant bills and repeated items are often dictated as
+ * "48 dollars plus 20 percent tip" or "three coffees at 4.50 each"; the amount
+ * extractor uses this to store the computed total instead of the first figure.
+ */
+
+import { CURRENCY_SYMBOL_PATTERN, CURRENCY_WORD_PATTERN } from "./currency";
+
+// Sales tax added by "plus tax" when no rate is configured, in percent
+export const DEFAULT_SALES_TAX_RATE = 8;
+
+// A spoken figure: "$48", "48 dollars", "4.50", "€12", "25 dollars and 40 cents"
+const FIGURE_PATTERN =
+  `(?:(?:\\$|${CURRENCY_SYMBOL_PATTERN})\\s?|\\b(?:${CURRENCY_WORD_PATTERN})\\s+)?` +
+  "(\\d[\\d,]*(?:\\.\\d+)?)" +
+  `(?:\\s*(?:${CURRENCY_SYMBOL_PATTERN}|\\b(?:dollars?|bucks?|${CURRENCY_WORD_PATTERN})\\b)` +
+  "(?:\\s+and\\s+(\\d{1,2})\\s+cents?\\b)?)?";
+
+// Token kinds, tried in order at each position
+const TOKEN_PATTERNS = [
+  { kind: "figure", pattern: FIGURE_PATTERN },
+  { kind: "percent", pattern: "%|\\bper\\s?cent\\b" },
+  { kind: "plus", pattern: "\\bplus\\b|\\+" },
+  { kind: "minus", pattern: "\\bminus\\b|\\bless\\b" },
+  { kind: "times", pattern: "\\btimes\\b|×|\\bx\\b(?=\\s*\\$?\\d)" },
+  { kind: "each", pattern: "\\beach\\b|\\bapiece\\b|\\bper\\s+(?:item|person|piece)\\b" },
+  { kind: "at", pattern: "\\bat\\b|@|\\bfor\\b" },
+  { kind: "tax", pattern: "\\b(?:sales\\s+)?tax(?:es)?\\b" },
+  { kind: "break", pattern: "[.;!?](?=\\s|$)" },
+  { kind: "word", pattern: "[^\\s.,;!?]+" },
+];
+
+// Sticky versions of the token patterns, matched at the current position
+const TOKEN_REGEXES = TOKEN_PATTERNS.map((token) => ({
+  kind: token.kind,
+  regex: new RegExp(token.pattern, "iy"),
+}));
+
+// Words that may name what a percentage is for ("20 percent tip", "10 percent off")
+const PERCENT_LABELS = new Set(["tip", "tips", "gratuity", "discount", "off", "service"]);
+
+// Words skipped after an operator ("plus a 20 percent tip")
+const DETERMINERS = new Set(["a", "an", "the"]);
+
+// Label words allowed between the parts of an expression ("48 dollars for dinner plus ...")
+const MAX_LABEL_WORDS = 3;
+
+/**
+ * Splits text into expression tokens that remember their position.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+  while (position < text.length) {
+    // Skip spaces and commas between tokens
+    const gap = text.slice(position).match(/^[\s,]+/);
+    if (gap) {
+      position += gap[0].length;
+      continue;
+    }
+
+    let token = null;
+    for (const { kind, regex } of TOKEN_REGEXES) {
+      regex.lastIndex = position;
+      const match = regex.exec(text);
+      if (!match || !match[0]) continue;
+      token = { kind, text: match[0], start: position, end: position + match[0].length };
+      if (kind === "figure") {
+        token.value = Number(match[1].replace(/,/g, "")) + (match[2] ? Number(match[2]) / 100 : 0);
+      }
+      break;
+    }
+    if (!token) {
+      // A lone character no pattern accepts (e.g. a period inside "4.")
+      position += 1;
+      continue;
+    }
+    tokens.push(token);
+    position = token.end;
+  }
+
+  // Attach "percent" to the figure before it
+  return tokens.reduce((result, token) => {
+    const previous = result[result.length - 1];
+    if (token.kind === "percent" && previous && previous.kind === "figure" && !previous.percent) {
+      previous.percent = true;
+      previous.end = token.end;
+    } else {
+      result.push(token);
+    }
+    return result;
+  }, []);
+}
+
+function isFigure(token) {
+  return !!token && token.kind === "figure" && !token.percent;
+}
+
+/**
+ * Parses a figure, optionally multiplied: "3 times 4.50", "3 coffees at 4.50 each".
+ * @returns {{value: number, end: number, multiplied: boolean}|null} - end is the index
+ *   of the last token used
+ */
+function parseTerm(tokens, index) {
+  const first = tokens[index];
+  if (!isFigure(first)) return null;
+
+  // "3 times 4.50" / "4.50 x 3"
+  if (tokens[index + 1]?.kind === "times" && isFigure(tokens[index + 2])) {
+    let end = index + 2;
+    if (tokens[end + 1]?.kind === "each") end += 1;
+    return { value: first.value * tokens[index + 2].value, end, multiplied: true };
+  }
+
+  // "3 coffees at 4.50 each" / "2 for 6 dollars each"
+  let next = index + 1;
+  while (next - index <= MAX_LABEL_WORDS && tokens[next]?.kind === "word") next += 1;
+  if (
+    tokens[next]?.kind === "at" &&
+    isFigure(tokens[next + 1]) &&
+    tokens[next + 2]?.kind === "each"
+  ) {
+    return { value: first.value * tokens[next + 1].value, end: next + 2, multiplied: true };
+  }
+
+  return { value: first.value, end: index, multiplied: false };
+}
+
+/**
+ * Evaluates an expression starting at a figure token.
+ * @returns {{total: number, end: number, operations: number}|null}
+ */
+function evaluateFrom(tokens, startIndex, taxRate) {
+  const term = parseTerm(tokens, startIndex);
+  if (!term) return null;
+
+  let total = term.value;
+  let end = term.end;
+  let operations = term.multiplied ? 1 : 0;
+
+  for (;;) {
+    // Labels between the parts ("for dinner", "tip")
+    let next = end + 1;
+    while (
+      next - end <= MAX_LABEL_WORDS &&
+      (tokens[next]?.kind === "word" || tokens[next]?.kind === "at")
+    ) {
+      next += 1;
+    }
+
+    const operator = tokens[next];
+    if (!operator || (operator.kind !== "plus" && operator.kind !== "minus")) break;
+    const sign = operator.kind === "plus" ? 1 : -1;
+
+    let operand = next + 1;
+    while (tokens[operand]?.kind === "word" && DETERMINERS.has(tokens[operand].text.toLowerCase())) {
+      operand += 1;
+    }
+    const token = tokens[operand];
+
+    if (token?.kind === "tax") {
+      // "plus tax"
+      total *= 1 + (sign * taxRate) / 100;
+      end = operand;
+    } else if (token?.kind === "figure" && token.percent) {
+      // "plus 20 percent tip", "minus 10% discount", "plus 8 percent tax"
+      total *= 1 + (sign * token.value) / 100;
+      end = operand;
+      const label = tokens[operand + 1];
+      if (
+        label &&
+        (label.kind === "tax" ||
+          (label.kind === "word" && PERCENT_LABELS.has(label.text.toLowerCase())))
+      ) {
+        end = operand + 1;
+      }
+    } else {
+      // "plus 8.50", "minus 2 coffees at 3 each"
+      const operandTerm = parseTerm(tokens, operand);
+      if (!operandTerm) break;
+      total += sign * operandTerm.value;
+      end = operandTerm.end;
+    }
+    operations += 1;
+  }
+
+  return { total, end, operations };
+}
+
+/**
+ * Evaluates spoken arithmetic in an amount.
+ *
+ * SUPPORTED EXPRESSIONS:
+ * - Percentages: "48 dollars plus 20 percent tip" → 57.60, "$40 minus 10% discount" → 36.00
+ * - Tax: "$30 plus tax" → 30 plus the sales tax rate
+ * - Multiplication: "three coffees at 4.50 each" → 13.50, "3 times $4" → 12.00
+ * - Sums: "12 plus 8.50 plus 3 dollars" → 23.50
+ *
+ * Percentages and tax apply to the total so far. Number words should already be
+ * replaced with digits (see replaceNumberWords).
+ *
+ * @param {string} text - Text containing the amount
+ * @param {number} [taxRate] - Sales tax in percent used by "plus tax" (default 8)
+ * @returns {{value: string, expression: string}|null} - The total in "XX.XX" format and the
+ *   expression as spoken, or null when the text has no arithmetic (a single figure)
+ *
+ * @example
+ * evaluateAmountExpression("48 dollars plus 20 percent tip")
+ * // Returns: { value: "57.60", expression: "48 dollars plus 20 percent tip" }
+ */
+export function evaluateAmountExpression(text, taxRate = DEFAULT_SALES_TAX_RATE) {
+  if (!text) return null;
+  const tokens = tokenize(text);
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isFigure(tokens[i])) continue;
+
+    const result = evaluateFrom(tokens, i, taxRate);
+    if (!result || !result.operations) continue;
+
+    const total = Math.round(result.total * 100) / 100;
+    if (!(total > 0)) return null;
+    return {
+      value: total.toFixed(2),
+      expression: text.substring(tokens[i].start, tokens[result.end].end).trim(),
+    };
+  }
+  return null;
+}
@@ -0,0 +1,159 @@
+/**
+ * Classifier - Suggests a category (and an account) from past records.
+ * Most recordings skip the category ("Charge $18 to Chase Sapphire, description Uber home"),
+ * so a naive Bayes classifier over the description and merchant words of earlier rows
+ * suggests the category they were usually filed under. It runs on the device and is
+ * trained from the rows read back from the sheet, then updated as new rows are saved.
+ *
+ * A model is a plain object so it can be stored as JSON (see getClassifierModel):
+ * { examples, vocabulary: { word: count }, labels: { label: { examples, words, counts: { word: count } } } }
+ */
+
+// Examples a model must have seen, in total, before it suggests anything
+export const MIN_TRAINING_EXAMPLES = 5;
+
+// Suggestions less likely than this are not made
+export const MIN_SUGGESTION_PROBABILITY = 0.35;
+
+// Categories that mean "not filed yet", so they teach the classifier nothing
+const PLACEHOLDER_CATEGORIES = new Set(["misc", "uncategorized", "other"]);
+
+// Words too common in descriptions to say anything about the category
+const STOP_WORDS = new Set([
+  "a", "an", "and", "the", "for", "of", "to", "at", "from", "with", "on", "in", "my", "our",
+  "is", "it", "some", "this", "that", "dollars", "bucks", "plus", "tip", "tax", "percent",
+]);
+
+/**
+ * An empty model.
+ * @returns {Object}
+ */
+export function createModel() {
+  return { examples: 0, vocabulary: {}, labels: {} };
+}
+
+/**
+ * An empty classifier: one model for categories, one for accounts.
+ * @returns {{category: Object, account: Object}}
+ */
+export function createClassifier() {
+  return { category: createModel(), account: createModel() };
+}
+
+/**
+ * Splits text into the lowercase words the classifier counts (no numbers or stop words).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function classifierTokens(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}][\p{L}'&]*/gu) || [])
+    .map((token) => token.replace(/'s$/, ""))
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Adds one example to a model (in place).
+ * @param {Object} model - From createModel
+ * @param {string} text - Description and merchant of the record
+ * @param {string} label - The category or account it was filed under
+ * @returns {Object} - The same model
+ */
+export function trainModel(model, text, label) {
+  const tokens = classifierTokens(text);
+  if (!label || !tokens.length) return model;
+
+  const entry = model.labels[label] || (model.labels[label] = { examples: 0, words: 0, counts: {} });
+  entry.examples += 1;
+  model.examples += 1;
+  for (const token of tokens) {
+    entry.counts[token] = (entry.counts[token] || 0) + 1;
+    entry.words += 1;
+    model.vocabulary[token] = (model.vocabulary[token] || 0) + 1;
+  }
+  return model;
+}
+
+/**
+ * Picks the most likely label for a text (multinomial naive Bayes with add-one smoothing).
+ *
+ * @param {Object} model - A trained model
+ * @param {string} text - Description and merchant of the record
+ * @param {string[]} [allowed] - Only labels in this list are considered (e.g. the current
+ *   category list, so a deleted category is never suggested)
+ * @returns {{label: string, probability: number}|null} - null when the model has too few
+ *   examples, knows none of the words, or no label is likely enough
+ *
+ * @example
+ * classify(model, "Uber ride home")
+ * // Returns: { label: "Commute", probability: 0.93 }
+ */
+export function classify(model, text, allowed) {
+  if (!model || model.examples < MIN_TRAINING_EXAMPLES) return null;
+
+  const tokens = classifierTokens(text).filter((token) => model.vocabulary[token]);
+  if (!tokens.length) return null;
+
+  const allowedLabels = allowed ? new Set(allowed.map((label) => label.toLowerCase())) : null;
+  const vocabularySize = Object.keys(model.vocabulary).length;
+  const scores = Object.entries(model.labels)
+    .filter(([label]) => !allowedLabels || allowedLabels.has(label.toLowerCase()))
+    .map(([label, entry]) => {
+      let logProbability = Math.log(entry.examples / model.examples);
+      for (const token of tokens) {
+        logProbability += Math.log(((entry.counts[token] || 0) + 1) / (entry.words + vocabularySize));
+      }
+      return { label, logProbability };
+    });
+  if (!scores.length) return null;
+
+  // Normalize into probabilities (shifted by the best score to avoid underflow)
+  const best = scores.reduce((a, b) => (b.logProbability > a.logProbability ? b : a));
+  const total = scores.reduce((sum, score) => sum + Math.exp(score.logProbability - best.logProbability), 0);
+  const probability = Math.round((1 / total) * 100) / 100;
+  if (probability < MIN_SUGGESTION_PROBABILITY) return null;
+
+  const canonical = allowed
+    ? allowed.find((label) => label.toLowerCase() === best.label.toLowerCase())
+    : best.label;
+  return { label: canonical, probability };
+}
+
+/**
+ * Adds a saved record to a classifier (in place). The category model only learns from
+ * expenses, refunds and credits filed under a real category, and neither model learns
+ * from a value that was itself a suggestion.
+ *
+ * @param {{category: Object, account: Object}} classifier - From createClassifier
+ * @param {Object} record - A record, or a row read back from the sheet (see parseSheetRow)
+ * @returns {{category: Object, account: Object}} - The same classifier
+ */
+export function trainClassifier(classifier, record) {
+  const text = `${record.description || ""} ${record.merchant || ""}`;
+  const confidence = record.confidence || {};
+  const type = record.transaction_type || "expense";
+  const category = (record.expense_category || "").trim();
+
+  if (
+    category &&
+    !PLACEHOLDER_CATEGORIES.has(category.toLowerCase()) &&
+    type !== "income" &&
+    type !== "transfer" &&
+    !confidence.category_suggested
+  ) {
+    trainModel(classifier.category, text, category);
+  }
+  if (record.card_name && !confidence.card_suggested) {
+    trainModel(classifier.account, text, record.card_name);
+  }
+  return classifier;
+}
+
+/**
+ * Trains a new classifier from past records, e.g. every row read back from the sheet
+ * (see fetchExpenseRecords).
+ * @param {Object[]} records
+ * @returns {{category: Object, account: Object}}
+ */
+export function trainClassifierFromRecords(records) {
+  return records.reduce(trainClassifier, createClassifier());
+}
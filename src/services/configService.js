@@ -1,14 +1,38 @@
 /**
  * Configuration Service
- * Manages user-editable lists (account names and expense categories) in AsyncStorage
+ * Manages user-editable lists (account names, expense and income categories, tags), their
+ * spoken aliases, the spoken trigger keywords, auto-fill rules, custom fields, language model
+ * extraction and sheet settings in AsyncStorage
  */
 
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { DEFAULT_LOCALE, LOCALES } from "./locale";
+import { AUTO_LANGUAGE, LANGUAGE_PACKS } from "./languagePacks";
+import { DEFAULT_SALES_TAX_RATE } from "./amountExpressions";
+import { DEFAULT_FUZZY_THRESHOLD } from "./fuzzyMatching";
+import { DEFAULT_TRIGGER_KEYWORDS } from "./triggerKeywords";
 
 const STORAGE_KEYS = {
   ACCOUNT_NAMES: "@expense_recorder:account_names",
   EXPENSE_CATEGORIES: "@expense_recorder:expense_categories",
+  INCOME_CATEGORIES: "@expense_recorder:income_categories",
+  ACCOUNT_ALIASES: "@expense_recorder:account_aliases",
+  CATEGORY_ALIASES: "@expense_recorder:category_aliases",
   RECORDING_MODE: "@expense_recorder:recording_mode", // 'hold' or 'tap'
+  FUZZY_MATCH_THRESHOLD: "@expense_recorder:fuzzy_match_threshold",
+  TRIGGER_KEYWORDS: "@expense_recorder:trigger_keywords",
+  HOME_CURRENCY: "@expense_recorder:home_currency",
+  EXCHANGE_RATES: "@expense_recorder:exchange_rates",
+  INCOME_SHEET_NAME: "@expense_recorder:income_sheet_name",
+  TRANSFER_SHEET_NAME: "@expense_recorder:transfer_sheet_name",
+  SALES_TAX_RATE: "@expense_recorder:sales_tax_rate",
+  TAGS: "@expense_recorder:tags",
+  LOCALE: "@expense_recorder:locale", // Number and date conventions, e.g. "en-US" or "de-DE"
+  LANGUAGE: "@expense_recorder:language", // Transcript language, e.g. "es", or "auto"
+  RULES: "@expense_recorder:rules",
+  CLASSIFIER_MODEL: "@expense_recorder:classifier_model", // Trained from past rows, see classifier.js
+  CUSTOM_FIELDS: "@expense_recorder:custom_fields",
+  LLM_EXTRACTION: "@expense_recorder:llm_extraction", // See llmExtraction.js
 };
 
 // Default values (used on first launch)
@@ -56,14 +80,57 @@ const DEFAULT_EXPENSE_CATEGORIES = [
   "Rental related",
 ];
 
+const DEFAULT_INCOME_CATEGORIES = [
+  "Salary",
+  "Bonus",
+  "Reimbursement",
+  "Rental income",
+  "Interest or dividends",
+  "Gift received",
+  "Side income",
+  "Other income",
+];
+
+// Labels that can be attached to any record ("tags reimbursable and Hawaii trip")
+const DEFAULT_TAGS = ["Reimbursable", "Business", "Tax deductible"];
+
+// Default aliases: canonical name -> list of alternative spoken names
+const DEFAULT_ACCOUNT_ALIASES = {
+  "Chase Sapphire": ["sapphire"],
+  "CITI COSTCO": ["costco card"],
+  "Citi DoubleCash": ["double cash"],
+  "Amex blue cash preferred": ["amex", "blue cash"],
+};
+
+const DEFAULT_CATEGORY_ALIASES = {
+  "Dining out": ["restaurant", "takeout"],
+  "Grocery": ["groceries", "supermarket"],
+  "Salary": ["paycheck", "payroll", "wages"],
+  "Reimbursement": ["reimbursed", "paid me back", "paid back"],
+  "Interest or dividends": ["interest", "dividend", "dividends"],
+};
+
 /**
  * Initialize default values if they don't exist
  */
 export async function initializeDefaults() {
   try {
-    const [hasAccounts, hasCategories] = await Promise.all([
+    const [
+      hasAccounts,
+      hasCategories,
+      hasIncomeCategories,
+      hasAccountAliases,
+      hasCategoryAliases,
+      hasTriggerKeywords,
+      hasTags,
+    ] = await Promise.all([
       AsyncStorage.getItem(STORAGE_KEYS.ACCOUNT_NAMES),
       AsyncStorage.getItem(STORAGE_KEYS.EXPENSE_CATEGORIES),
+      AsyncStorage.getItem(STORAGE_KEYS.INCOME_CATEGORIES),
+      AsyncStorage.getItem(STORAGE_KEYS.ACCOUNT_ALIASES),
+      AsyncStorage.getItem(STORAGE_KEYS.CATEGORY_ALIASES),
+      AsyncStorage.getItem(STORAGE_KEYS.TRIGGER_KEYWORDS),
+      AsyncStorage.getItem(STORAGE_KEYS.TAGS),
     ]);
 
     if (!hasAccounts) {
@@ -73,6 +140,26 @@ export async function initializeDefaults() {
     if (!hasCategories) {
       await saveExpenseCategories(DEFAULT_EXPENSE_CATEGORIES);
     }
+
+    if (!hasIncomeCategories) {
+      await saveIncomeCategories(DEFAULT_INCOME_CATEGORIES);
+    }
+
+    if (!hasAccountAliases) {
+      await saveAccountAliases(DEFAULT_ACCOUNT_ALIASES);
+    }
+
+    if (!hasCategoryAliases) {
+      await saveCategoryAliases(DEFAULT_CATEGORY_ALIASES);
+    }
+
+    if (!hasTriggerKeywords) {
+      await saveTriggerKeywords(DEFAULT_TRIGGER_KEYWORDS);
+    }
+
+    if (!hasTags) {
+      await saveTags(DEFAULT_TAGS);
+    }
   } catch (error) {
     console.error("Error initializing defaults:", error);
   }
@@ -140,6 +227,213 @@ export async function saveExpenseCategories(categories) {
   }
 }
 
+/**
+ * Get income categories from storage
+ * Used instead of the expense categories for income ("Received $2,500 paycheck")
+ * @returns {Promise<string[]>}
+ */
+export async function getIncomeCategories() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.INCOME_CATEGORIES);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_INCOME_CATEGORIES;
+  } catch (error) {
+    console.error("Error getting income categories:", error);
+    return DEFAULT_INCOME_CATEGORIES;
+  }
+}
+
+/**
+ * Save income categories to storage
+ * @param {string[]} categories
+ */
+export async function saveIncomeCategories(categories) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.INCOME_CATEGORIES, JSON.stringify(categories));
+  } catch (error) {
+    console.error("Error saving income categories:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the managed tag list from storage
+ * Spoken tags are matched against it; tags not in the list are kept as spoken
+ * @returns {Promise<string[]>}
+ */
+export async function getTags() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.TAGS);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_TAGS;
+  } catch (error) {
+    console.error("Error getting tags:", error);
+    return DEFAULT_TAGS;
+  }
+}
+
+/**
+ * Save the managed tag list to storage
+ * @param {string[]} tags
+ */
+export async function saveTags(tags) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.TAGS, JSON.stringify(tags));
+  } catch (error) {
+    console.error("Error saving tags:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the category and account classifier trained from past rows (see classifier.js)
+ * @returns {Promise<{category: Object, account: Object}|null>} null until it has been trained
+ */
+export async function getClassifierModel() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.CLASSIFIER_MODEL);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Error getting classifier model:", error);
+    return null;
+  }
+}
+
+/**
+ * Save the trained classifier
+ * @param {{category: Object, account: Object}} model - From trainClassifierFromRecords
+ */
+export async function saveClassifierModel(model) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.CLASSIFIER_MODEL, JSON.stringify(model));
+  } catch (error) {
+    console.error("Error saving classifier model:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user-defined custom fields (see customFields.js)
+ * @returns {Promise<Object[]>} Fields as returned by parseCustomField, in Settings order
+ */
+export async function getCustomFields() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.CUSTOM_FIELDS);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("Error getting custom fields:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the custom fields
+ * @param {Object[]} fields - Fields as returned by parseCustomField
+ */
+export async function saveCustomFields(fields) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.CUSTOM_FIELDS, JSON.stringify(fields));
+  } catch (error) {
+    console.error("Error saving custom fields:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the auto-fill rules applied to parsed records (see applyRules)
+ * @returns {Promise<Object[]>} Rules as returned by parseRule, in the order they run
+ */
+export async function getRules() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.RULES);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("Error getting rules:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the auto-fill rules
+ * @param {Object[]} rules - Rules as returned by parseRule
+ */
+export async function saveRules(rules) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.RULES, JSON.stringify(rules));
+  } catch (error) {
+    console.error("Error saving rules:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get account aliases from storage
+ * @returns {Promise<Object<string, string[]>>} Map of canonical account name -> aliases
+ */
+export async function getAccountAliases() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.ACCOUNT_ALIASES);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_ACCOUNT_ALIASES;
+  } catch (error) {
+    console.error("Error getting account aliases:", error);
+    return DEFAULT_ACCOUNT_ALIASES;
+  }
+}
+
+/**
+ * Save account aliases to storage
+ * @param {Object<string, string[]>} aliases - Map of canonical account name -> aliases
+ */
+export async function saveAccountAliases(aliases) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.ACCOUNT_ALIASES, JSON.stringify(aliases));
+  } catch (error) {
+    console.error("Error saving account aliases:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get expense category aliases from storage
+ * @returns {Promise<Object<string, string[]>>} Map of canonical category -> aliases
+ */
+export async function getCategoryAliases() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.CATEGORY_ALIASES);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_CATEGORY_ALIASES;
+  } catch (error) {
+    console.error("Error getting category aliases:", error);
+    return DEFAULT_CATEGORY_ALIASES;
+  }
+}
+
+/**
+ * Save expense category aliases to storage
+ * @param {Object<string, string[]>} aliases - Map of canonical category -> aliases
+ */
+export async function saveCategoryAliases(aliases) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.CATEGORY_ALIASES, JSON.stringify(aliases));
+  } catch (error) {
+    console.error("Error saving category aliases:", error);
+    throw error;
+  }
+}
+
 /**
  * Get recording mode from storage
  * @returns {Promise<'hold'|'tap'>}
@@ -171,13 +465,393 @@ export async function saveRecordingMode(mode) {
 }
 
 /**
- * Reset to default values (only resets lists, not recording mode)
+ * Get fuzzy match threshold from storage
+ * Lower values accept more mis-transcribed names, higher values are stricter.
+ * @returns {Promise<number>} Value between 0.5 and 1
+ */
+export async function getFuzzyMatchThreshold() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.FUZZY_MATCH_THRESHOLD);
+    const value = stored !== null ? Number(stored) : NaN;
+    return Number.isFinite(value) ? value : DEFAULT_FUZZY_THRESHOLD;
+  } catch (error) {
+    console.error("Error getting fuzzy match threshold:", error);
+    return DEFAULT_FUZZY_THRESHOLD;
+  }
+}
+
+/**
+ * Save fuzzy match threshold to storage
+ * @param {number} threshold - Value between 0.5 and 1
+ */
+export async function saveFuzzyMatchThreshold(threshold) {
+  try {
+    if (typeof threshold !== 'number' || threshold < 0.5 || threshold > 1) {
+      throw new Error("Fuzzy match threshold must be a number between 0.5 and 1");
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.FUZZY_MATCH_THRESHOLD, String(threshold));
+  } catch (error) {
+    console.error("Error saving fuzzy match threshold:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get spoken trigger keywords from storage
+ * Groups missing from storage (e.g. added in a newer app version) fall back to their defaults.
+ * @returns {Promise<Object<string, string[]>>} Map of keyword group
+ *   (charge, account, category, description, merchant) -> spoken words
+ */
+export async function getTriggerKeywords() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.TRIGGER_KEYWORDS);
+    if (stored) {
+      return { ...DEFAULT_TRIGGER_KEYWORDS, ...JSON.parse(stored) };
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_TRIGGER_KEYWORDS;
+  } catch (error) {
+    console.error("Error getting trigger keywords:", error);
+    return DEFAULT_TRIGGER_KEYWORDS;
+  }
+}
+
+/**
+ * Save spoken trigger keywords to storage
+ * @param {Object<string, string[]>} keywords - Map of keyword group -> spoken words
+ */
+export async function saveTriggerKeywords(keywords) {
+  try {
+    for (const [group, words] of Object.entries(keywords)) {
+      if (!Array.isArray(words) || !words.some((word) => word && word.trim())) {
+        throw new Error(`At least one keyword is required for '${group}'`);
+      }
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.TRIGGER_KEYWORDS, JSON.stringify(keywords));
+  } catch (error) {
+    console.error("Error saving trigger keywords:", error);
+    throw error;
+  }
+}
+
+// Default home currency and offline exchange rates
+// (value of one unit of each currency in the home currency; edit them in Settings)
+const DEFAULT_HOME_CURRENCY = "USD";
+const DEFAULT_EXCHANGE_RATES = {
+  EUR: 1.08,
+  GBP: 1.27,
+  JPY: 0.0067,
+  CNY: 0.14,
+  CAD: 0.73,
+  AUD: 0.66,
+  MXN: 0.055,
+  INR: 0.012,
+  CHF: 1.13,
+};
+
+/**
+ * Get home currency from storage
+ * Amounts spoken in other currencies are converted into it.
+ * @returns {Promise<string>} ISO 4217 code, e.g. "USD"
+ */
+export async function getHomeCurrency() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.HOME_CURRENCY);
+    return stored || DEFAULT_HOME_CURRENCY;
+  } catch (error) {
+    console.error("Error getting home currency:", error);
+    return DEFAULT_HOME_CURRENCY;
+  }
+}
+
+/**
+ * Save home currency to storage
+ * @param {string} currency - ISO 4217 code, e.g. "USD"
+ */
+export async function saveHomeCurrency(currency) {
+  try {
+    if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency.trim())) {
+      throw new Error("Home currency must be a 3-letter currency code such as USD");
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.HOME_CURRENCY, currency.trim().toUpperCase());
+  } catch (error) {
+    console.error("Error saving home currency:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get exchange rates from storage
+ * @returns {Promise<Object<string, number>>} Map of currency code -> value of one unit in the home currency
+ */
+export async function getExchangeRates() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.EXCHANGE_RATES);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    // Return defaults if nothing stored
+    return DEFAULT_EXCHANGE_RATES;
+  } catch (error) {
+    console.error("Error getting exchange rates:", error);
+    return DEFAULT_EXCHANGE_RATES;
+  }
+}
+
+/**
+ * Save exchange rates to storage
+ * @param {Object<string, number>} rates - Map of currency code -> value of one unit in the home currency
+ */
+export async function saveExchangeRates(rates) {
+  try {
+    for (const [code, rate] of Object.entries(rates)) {
+      if (typeof rate !== 'number' || !(rate > 0)) {
+        throw new Error(`Exchange rate for ${code} must be a positive number`);
+      }
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.EXCHANGE_RATES, JSON.stringify(rates));
+  } catch (error) {
+    console.error("Error saving exchange rates:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the sales tax rate used for "plus tax" in spoken amounts
+ * @returns {Promise<number>} Rate in percent, e.g. 8.875
+ */
+export async function getSalesTaxRate() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.SALES_TAX_RATE);
+    const value = stored !== null ? Number(stored) : NaN;
+    return Number.isFinite(value) ? value : DEFAULT_SALES_TAX_RATE;
+  } catch (error) {
+    console.error("Error getting sales tax rate:", error);
+    return DEFAULT_SALES_TAX_RATE;
+  }
+}
+
+/**
+ * Save the sales tax rate used for "plus tax" in spoken amounts
+ * @param {number} rate - Rate in percent (0 to 30)
+ */
+export async function saveSalesTaxRate(rate) {
+  try {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > 30) {
+      throw new Error("Sales tax rate must be a percentage between 0 and 30");
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.SALES_TAX_RATE, String(rate));
+  } catch (error) {
+    console.error("Error saving sales tax rate:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the locale whose number and date conventions spoken amounts and dates follow
+ * ("12,50" and "03/04" mean 12.50 and 3 April in "de-DE")
+ * @returns {Promise<string>} Locale code, one of LOCALES
+ */
+export async function getLocale() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.LOCALE);
+    return stored && LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  } catch (error) {
+    console.error("Error getting locale:", error);
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Save the locale for number and date conventions
+ * @param {string} locale - Locale code, one of LOCALES
+ */
+export async function saveLocale(locale) {
+  try {
+    if (!LOCALES[locale]) {
+      throw new Error(`Unsupported locale: ${locale}`);
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.LOCALE, locale);
+  } catch (error) {
+    console.error("Error saving locale:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the language transcripts are parsed in
+ * @returns {Promise<string>} "auto" (detect from each transcript) or a LANGUAGE_PACKS code
+ */
+export async function getLanguage() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.LANGUAGE);
+    return stored && LANGUAGE_PACKS[stored] ? stored : AUTO_LANGUAGE;
+  } catch (error) {
+    console.error("Error getting language:", error);
+    return AUTO_LANGUAGE;
+  }
+}
+
+/**
+ * Save the language transcripts are parsed in
+ * @param {string} language - "auto" or a LANGUAGE_PACKS code
+ */
+export async function saveLanguage(language) {
+  try {
+    if (language !== AUTO_LANGUAGE && !LANGUAGE_PACKS[language]) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.LANGUAGE, language);
+  } catch (error) {
+    console.error("Error saving language:", error);
+    throw error;
+  }
+}
+
+// Sheet tab that income rows are appended to (expenses go to Sheet1)
+const DEFAULT_INCOME_SHEET_NAME = "Income";
+
+/**
+ * Get the name of the sheet tab income is recorded in
+ * @returns {Promise<string>}
+ */
+export async function getIncomeSheetName() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.INCOME_SHEET_NAME);
+    return stored || DEFAULT_INCOME_SHEET_NAME;
+  } catch (error) {
+    console.error("Error getting income sheet name:", error);
+    return DEFAULT_INCOME_SHEET_NAME;
+  }
+}
+
+/**
+ * Save the name of the sheet tab income is recorded in
+ * @param {string} name - Tab name as shown in Google Sheets
+ */
+export async function saveIncomeSheetName(name) {
+  try {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error("Income sheet name cannot be empty");
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.INCOME_SHEET_NAME, trimmed);
+  } catch (error) {
+    console.error("Error saving income sheet name:", error);
+    throw error;
+  }
+}
+
+// Sheet tab that transfers and card payments are appended to, so they are not
+// counted as spending
+const DEFAULT_TRANSFER_SHEET_NAME = "Transfers";
+
+/**
+ * Get the name of the sheet tab transfers are recorded in
+ * @returns {Promise<string>}
+ */
+export async function getTransferSheetName() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.TRANSFER_SHEET_NAME);
+    return stored || DEFAULT_TRANSFER_SHEET_NAME;
+  } catch (error) {
+    console.error("Error getting transfer sheet name:", error);
+    return DEFAULT_TRANSFER_SHEET_NAME;
+  }
+}
+
+/**
+ * Save the name of the sheet tab transfers are recorded in
+ * @param {string} name - Tab name as shown in Google Sheets
+ */
+export async function saveTransferSheetName(name) {
+  try {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error("Transfer sheet name cannot be empty");
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.TRANSFER_SHEET_NAME, trimmed);
+  } catch (error) {
+    console.error("Error saving transfer sheet name:", error);
+    throw error;
+  }
+}
+
+// Language model extraction is off until turned on in Settings; an empty endpoint or
+// model means the defaults from config.js (see llmExtraction.js)
+const DEFAULT_LLM_EXTRACTION = {
+  enabled: false,
+  endpoint: "",
+  model: "",
+  apiKey: "", // Sent to a custom endpoint only; the default endpoint uses the app's key
+  timeoutMs: 8000,
+};
+
+/**
+ * Get the language model extraction settings
+ * @returns {Promise<{enabled: boolean, endpoint: string, model: string, apiKey: string, timeoutMs: number}>}
+ */
+export async function getLlmExtraction() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.LLM_EXTRACTION);
+    return stored ? { ...DEFAULT_LLM_EXTRACTION, ...JSON.parse(stored) } : DEFAULT_LLM_EXTRACTION;
+  } catch (error) {
+    console.error("Error getting language model extraction settings:", error);
+    return DEFAULT_LLM_EXTRACTION;
+  }
+}
+
+/**
+ * Save the language model extraction settings
+ * @param {{enabled: boolean, endpoint: string, model: string, apiKey: string, timeoutMs: number}} settings
+ * @throws {Error} If the endpoint is not a URL, or an API key would be sent to a custom http:// endpoint
+ */
+export async function saveLlmExtraction(settings) {
+  try {
+    const merged = { ...DEFAULT_LLM_EXTRACTION, ...settings };
+    const endpoint = typeof merged.endpoint === 'string' ? merged.endpoint.trim() : '';
+    if (endpoint && !/^https?:\/\/\S+$/i.test(endpoint)) {
+      throw new Error("The endpoint must be an http:// or https:// URL");
+    }
+    // The default endpoint uses the app's key, so a stored key is dropped once the endpoint is cleared
+    const apiKey = endpoint && typeof merged.apiKey === "string" ? merged.apiKey.trim() : "";
+    if (apiKey && !/^https:\/\//i.test(endpoint)) {
+      throw new Error("An API key is only sent to a custom https:// endpoint");
+    }
+    const timeoutMs = Number(merged.timeoutMs);
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+      throw new Error("The timeout must be a positive number of milliseconds");
+    }
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.LLM_EXTRACTION,
+      JSON.stringify({
+        enabled: !!merged.enabled,
+        endpoint,
+        model: typeof merged.model === 'string' ? merged.model.trim() : '',
+        apiKey,
+        timeoutMs,
+      })
+    );
+  } catch (error) {
+    console.error("Error saving language model extraction settings:", error);
+    throw error;
+  }
+}
+
+/**
+ * Reset to default values (only resets lists, their aliases and the trigger keywords,
+ * not recording mode or sheet settings)
  */
 export async function resetToDefaults() {
   try {
     await Promise.all([
       saveAccountNames(DEFAULT_ACCOUNT_NAMES),
       saveExpenseCategories(DEFAULT_EXPENSE_CATEGORIES),
+      saveIncomeCategories(DEFAULT_INCOME_CATEGORIES),
+      saveTags(DEFAULT_TAGS),
+      saveAccountAliases(DEFAULT_ACCOUNT_ALIASES),
+      saveCategoryAliases(DEFAULT_CATEGORY_ALIASES),
+      saveTriggerKeywords(DEFAULT_TRIGGER_KEYWORDS),
       // Note: Recording mode is NOT reset - user preference is preserved
     ]);
   } catch (error) {
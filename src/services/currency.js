@@ -0,0 +1,179 @@
+/**
+ * Currency helpers - Detects the currency of a spoken amount and converts it
+ * into the home currency using an offline, user-editable rate table.
+ * "€30", "45 euros", "2000 yen" and "CAD 15" are all recognised.
+ */
+
+// Currency used when an amount is spoken without one
+export const DEFAULT_HOME_CURRENCY = "USD";
+
+// Known currencies with their symbols and spoken words (lowercase)
+const CURRENCIES = [
+  { code: "USD", symbols: ["us$"], words: ["usd", "us dollars", "us dollar"] },
+  { code: "EUR", symbols: ["€"], words: ["eur", "euros", "euro"] },
+  { code: "GBP", symbols: ["£"], words: ["gbp", "pounds", "pound", "quid"] },
+  { code: "JPY", symbols: ["¥"], words: ["jpy", "yen"] },
+  { code: "CNY", symbols: ["元"], words: ["cny", "rmb", "yuan", "renminbi"] },
+  { code: "CAD", symbols: ["ca$", "c$"], words: ["cad", "canadian dollars", "canadian dollar"] },
+  { code: "AUD", symbols: ["au$", "a$"], words: ["aud", "australian dollars", "australian dollar"] },
+  { code: "MXN", symbols: ["mx$"], words: ["mxn", "pesos", "peso"] },
+  { code: "INR", symbols: ["₹"], words: ["inr", "rupees", "rupee"] },
+  { code: "CHF", symbols: [], words: ["chf", "swiss francs", "francs", "franc"] },
+];
+
+// Plain "$", "dollars" and "bucks" mean "the local dollar": the home currency when that
+// is a dollar currency, USD otherwise
+const GENERIC_DOLLAR = { symbols: ["$"], words: ["dollars", "dollar", "bucks", "buck"] };
+
+// Currencies whose "dollar" is what a plain "$" or "dollars" means at home
+const DOLLAR_CURRENCIES = ["USD", "CAD", "AUD"];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function alternation(markers) {
+  return [...markers]
+    .sort((a, b) => b.length - a.length) // Longest first so "ca$" wins over "a$"
+    .map(escapeRegExp)
+    .join("|");
+}
+
+// Regex alternations of every foreign currency symbol and spoken word (for building patterns)
+export const CURRENCY_SYMBOL_PATTERN = alternation(CURRENCIES.flatMap((currency) => currency.symbols));
+export const CURRENCY_WORD_PATTERN = alternation(CURRENCIES.flatMap((currency) => currency.words));
+
+/**
+ * Earliest occurrence of any marker in the text (longest marker wins a tie).
+ * @returns {{index: number, length: number}|null}
+ */
+function findMarker(lower, symbols, words) {
+  let found = null;
+  const consider = (index, length) => {
+    if (index === -1) return;
+    if (!found || index < found.index || (index === found.index && length > found.length)) {
+      found = { index, length };
+    }
+  };
+  for (const symbol of symbols) {
+    consider(lower.indexOf(symbol), symbol.length);
+  }
+  for (const word of words) {
+    const match = lower.match(new RegExp(`\\b${escapeRegExp(word)}\\b`));
+    if (match) consider(match.index, word.length);
+  }
+  return found;
+}
+
+/**
+ * Detects the currency of a spoken amount from symbols ("€"), ISO codes ("CAD")
+ * or spoken names ("euros", "yen"). The earliest marker in the text wins.
+ *
+ * @param {string} text - The text around the amount
+ * @param {string} [homeCurrency] - Home currency code (default "USD")
+ * @returns {string|null} - ISO currency code, or null if no currency was spoken
+ *
+ * @example
+ * detectCurrency("charge 45 euros to chase sapphire")
+ * // Returns: "EUR"
+ */
+export function detectCurrency(text, homeCurrency = DEFAULT_HOME_CURRENCY) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+
+  let best = null;
+  for (const currency of CURRENCIES) {
+    const marker = findMarker(lower, currency.symbols, currency.words);
+    if (marker && (!best || marker.index < best.index || (marker.index === best.index && marker.length > best.length))) {
+      best = { ...marker, code: currency.code };
+    }
+  }
+
+  const generic = findMarker(lower, GENERIC_DOLLAR.symbols, GENERIC_DOLLAR.words);
+  if (generic && (!best || generic.index < best.index)) {
+    return DOLLAR_CURRENCIES.includes(homeCurrency) ? homeCurrency : "USD";
+  }
+  return best ? best.code : null;
+}
+
+/**
+ * Rewrites foreign currency markers into the dollar forms the amount patterns understand,
+ * so "€30" becomes "$30", "12.50 euros" becomes "$12.50" and
+ * "15 euros and 50 cents" becomes "15 dollars and 50 cents".
+ *
+ * @param {string} text - Text containing an amount
+ * @returns {string}
+ */
+export function normalizeCurrencyMarkers(text) {
+  if (!text) return "";
+  const symbols = CURRENCY_SYMBOL_PATTERN;
+  const words = CURRENCY_WORD_PATTERN;
+
+  return text
+    // Prefixed: "€30", "CAD 15", "US$ 20"
+    .replace(new RegExp(`(?:${symbols})\\s?(?=\\d)`, "gi"), "$")
+    .replace(new RegExp(`\\b(?:${words})\\s+(?=\\d)`, "gi"), "$")
+    // Suffixed: "30€", "45 euros", "2000 yen", "15 euros and 50 cents"
+    .replace(
+      new RegExp(`(\\d[\\d,]*(?:\\.\\d+)?)\\s*(?:${symbols}|\\b(?:${words})\\b)(\\s+and\\s+\\d+\\s+cents?)?`, "gi"),
+      (match, amount, cents) => (cents ? `${amount} dollars${cents}` : `$${amount}`)
+    );
+}
+
+/**
+ * Converts an amount into the home currency.
+ *
+ * @param {string} amount - Amount in "XX.XX" format
+ * @param {string} currency - ISO code of the amount
+ * @param {string} homeCurrency - ISO code of the home currency
+ * @param {Object<string, number>} rates - Value of one unit of each currency in the home currency
+ * @returns {string|null} - Converted amount in "XX.XX" format, or null when no rate is known
+ *
+ * @example
+ * convertAmount("30.00", "EUR", "USD", { EUR: 1.08 })
+ * // Returns: "32.40"
+ */
+export function convertAmount(amount, currency, homeCurrency, rates) {
+  if (!amount) return "";
+  if (!currency || currency === homeCurrency) return amount;
+  const rate = rates && rates[currency];
+  if (typeof rate !== "number" || !(rate > 0)) return null;
+  return (Number(amount) * rate).toFixed(2);
+}
+
+/**
+ * Parses a rate table typed or pasted into Settings.
+ * One currency per line, as "EUR 1.08", "EUR=1.08" or "EUR,1.08"; blank lines are ignored.
+ *
+ * @param {string} text - The rate table text
+ * @returns {Object<string, number>} - Map of ISO code -> value in the home currency
+ * @throws {Error} If a line cannot be read
+ *
+ * @example
+ * parseRateTable("EUR 1.08\nJPY=0.0067")
+ * // Returns: { EUR: 1.08, JPY: 0.0067 }
+ */
+export function parseRateTable(text) {
+  const rates = {};
+  (text || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const match = trimmed.match(/^([A-Za-z]{3})\s*[\s=,:]\s*(\d+(?:\.\d+)?)$/);
+    if (!match || !(Number(match[2]) > 0)) {
+      throw new Error(`Line ${index + 1} is not a valid rate (expected e.g. "EUR 1.08"): ${trimmed}`);
+    }
+    rates[match[1].toUpperCase()] = Number(match[2]);
+  });
+  return rates;
+}
+
+/**
+ * Formats a rate table for editing (inverse of parseRateTable).
+ * @param {Object<string, number>} rates
+ * @returns {string}
+ */
+export function formatRateTable(rates) {
+  return Object.entries(rates || {})
+    .map(([code, rate]) => `${code} ${rate}`)
+    .join("\n");
+}
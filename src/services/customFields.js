@@ -0,0 +1,144 @@
+/**
+ * Custom fields - User-defined fields spoken with their own keyword.
+ * A field such as "Project" (keyword "project", allowed values Alpha and Beta, column O)
+ * lets "Charge $40 to Chase Sapphire, project Alpha" fill column O of the sheet.
+ * The parser extracts every field the same way (see extractCustomFields) and
+ * appendExpenseRecordToSheet writes each value into the field's column. Fields are
+ * edited in Settings as text and stored through configService (see getCustomFields).
+ *
+ * A field is a plain object: { name, keywords: string[], values: string[], column }
+ * where an empty `values` list accepts anything that was spoken.
+ */
+
+import { DEFAULT_TRIGGER_KEYWORDS } from "./triggerKeywords";
+
+// Columns A..N hold the built-in fields (see buildSheetRow), so custom fields start at O
+export const FIRST_CUSTOM_COLUMN = "O";
+
+/**
+ * Converts a sheet column letter into its 1-based number (A → 1, O → 15, AA → 27).
+ * @param {string} column
+ * @returns {number}
+ */
+export function columnNumber(column) {
+  return String(column)
+    .toUpperCase()
+    .split("")
+    .reduce((number, letter) => number * 26 + (letter.charCodeAt(0) - 64), 0);
+}
+
+// Setting names accepted in the text form, by the field property they set
+const SETTING_NAMES = {
+  name: "name",
+  keyword: "keywords",
+  keywords: "keywords",
+  value: "values",
+  values: "values",
+  column: "column",
+};
+
+/**
+ * Parses a custom field written as text, one "setting: value" per line.
+ *
+ * SYNTAX:
+ * - "name: <field name>" (required) - shown in the app and used as the field's key
+ * - "keyword: <word>[, <word> ...]" - spoken before the value; defaults to the name
+ * - "values: <value>[, <value> ...]" - optional allowed values; spoken text is matched
+ *   against them like categories, and a value not in the list is kept but flagged for review
+ * - "column: <letter>" (required) - the sheet column the value is written to, O or later
+ *
+ * @param {string} text - The field as text
+ * @param {Object[]} [others] - The other custom fields, which must not share its name,
+ *   keywords or column
+ * @param {Object<string, string[]>} [triggerKeywords] - The built-in trigger keywords by
+ *   group, which its keywords must not reuse (a field keyword "to" would cut off the account)
+ * @returns {{name: string, keywords: string[], values: string[], column: string}}
+ * @throws {Error} If the text is not a valid field
+ *
+ * @example
+ * parseCustomField("name: Project\nkeyword: project, job\nvalues: Alpha, Beta\ncolumn: O")
+ * // Returns: { name: "Project", keywords: ["project", "job"], values: ["Alpha", "Beta"], column: "O" }
+ */
+export function parseCustomField(text, others = [], triggerKeywords = DEFAULT_TRIGGER_KEYWORDS) {
+  const settings = {};
+  for (const line of (text || "").split("\n")) {
+    if (!line.trim()) continue;
+    const match = line.match(/^\s*([a-z]+)\s*:\s*(.*)$/i);
+    const property = match && SETTING_NAMES[match[1].toLowerCase()];
+    if (!property) {
+      throw new Error(`Unknown setting "${line.trim()}". Use name, keyword, values and column`);
+    }
+    settings[property] = match[2].trim();
+  }
+
+  const name = settings.name || "";
+  if (!name) {
+    throw new Error('A custom field needs a name, e.g. "name: Project"');
+  }
+  const keywords = splitList(settings.keywords || name).map((keyword) => keyword.toLowerCase());
+  const values = splitList(settings.values || "");
+
+  const column = (settings.column || "").toUpperCase();
+  if (!/^[A-Z]{1,2}$/.test(column)) {
+    throw new Error(`A custom field needs a column letter, e.g. "column: ${FIRST_CUSTOM_COLUMN}"`);
+  }
+  if (columnNumber(column) < columnNumber(FIRST_CUSTOM_COLUMN)) {
+    throw new Error(`Columns A to N are used by the app. Use column ${FIRST_CUSTOM_COLUMN} or later`);
+  }
+
+  for (const [group, groupKeywords] of Object.entries({ ...DEFAULT_TRIGGER_KEYWORDS, ...triggerKeywords })) {
+    const shared = keywords.find((keyword) =>
+      (groupKeywords || []).some((builtIn) => builtIn.trim().toLowerCase() === keyword)
+    );
+    if (shared) {
+      throw new Error(`The keyword "${shared}" is already used for the ${group}`);
+    }
+  }
+  for (const other of others) {
+    if (other.name.toLowerCase() === name.toLowerCase()) {
+      throw new Error(`There is already a custom field named "${other.name}"`);
+    }
+    if (other.column === column) {
+      throw new Error(`Column ${column} is already used by "${other.name}"`);
+    }
+    const shared = keywords.find((keyword) => other.keywords.includes(keyword));
+    if (shared) {
+      throw new Error(`The keyword "${shared}" is already used by "${other.name}"`);
+    }
+  }
+  return { name, keywords, values, column };
+}
+
+function splitList(text) {
+  return text
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Writes a custom field back as text (the inverse of parseCustomField), for editing.
+ * @param {{name: string, keywords: string[], values: string[], column: string}} field
+ * @returns {string}
+ */
+export function formatCustomField(field) {
+  const lines = [`name: ${field.name}`, `keyword: ${field.keywords.join(", ")}`];
+  if (field.values.length) lines.push(`values: ${field.values.join(", ")}`);
+  lines.push(`column: ${field.column}`);
+  return lines.join("\n");
+}
+
+/**
+ * One-line summary of a custom field for the Settings list.
+ * @param {{name: string, keywords: string[], values: string[], column: string}} field
+ * @returns {string}
+ *
+ * @example
+ * describeCustomField({ name: "Project", keywords: ["project"], values: ["Alpha", "Beta"], column: "O" })
+ * // Returns: 'Project (column O) - say "project", one of Alpha, Beta'
+ */
+export function describeCustomField(field) {
+  const spoken = field.keywords.map((keyword) => `"${keyword}"`).join(" or ");
+  const values = field.values.length ? `, one of ${field.values.join(", ")}` : "";
+  return `${field.name} (column ${field.column}) - say ${spoken}${values}`;
+}
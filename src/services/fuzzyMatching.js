@@ -0,0 +1,234 @@
+/**
+ * Fuzzy matching helpers - Edit distance and phonetic keys
+ * Used by parsingLogic to match mis-transcribed account and category names
+ * ("Chase Saffire", "Wayfare", "discovered") against the configured lists.
+ */
+
+// Token similarity needed for a fuzzy (non-exact) token match to count
+export const DEFAULT_FUZZY_THRESHOLD = 0.7;
+
+// Score given to two tokens that sound alike (same phonetic key) but are spelled differently
+const PHONETIC_MATCH_SCORE = 0.85;
+
+/**
+ * Levenshtein edit distance between two strings
+ * (number of single-character insertions, deletions or substitutions).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + cost // substitution
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity normalized to 0..1 (1 = identical).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+const VOWELS = "AEIOU";
+
+function isVowel(ch) {
+  return !!ch && VOWELS.includes(ch);
+}
+
+/**
+ * Computes a Metaphone-style phonetic key for a single word, so that words that
+ * sound alike get the same key ("sapphire" / "saffire" → "SFR").
+ *
+ * This is a compact version of Lawrence Philips' original Metaphone rules,
+ * which is enough for the short brand and card names we match against.
+ *
+ * @param {string} word
+ * @returns {string} - Uppercase phonetic key (empty for non-alphabetic input)
+ */
+export function metaphone(word) {
+  let w = (word || "").toUpperCase().replace(/[^A-Z]/g, "");
+  if (!w) return "";
+
+  // Initial letter exceptions
+  if (/^(KN|GN|PN|AE|WR)/.test(w)) w = w.slice(1);
+  if (w[0] === "X") w = "S" + w.slice(1);
+  if (w.startsWith("WH")) w = "W" + w.slice(2);
+
+  // Collapse duplicate adjacent letters, except C ("sapphire" → "saphire")
+  w = w.replace(/([A-BD-Z])\1+/g, "$1");
+
+  let key = "";
+  for (let i = 0; i < w.length; i++) {
+    const ch = w[i];
+    const prev = w[i - 1];
+    const next = w[i + 1];
+    const next2 = w[i + 2];
+
+    switch (ch) {
+      case "A":
+      case "E":
+      case "I":
+      case "O":
+      case "U":
+        if (i === 0) key += ch;
+        break;
+      case "B":
+        // Silent in a trailing "MB" ("plumb")
+        if (!(prev === "M" && i === w.length - 1)) key += "B";
+        break;
+      case "C":
+        if (next === "I" && next2 === "A") key += "X";
+        else if (next === "H") key += prev === "S" ? "K" : "X";
+        else if ("IEY".includes(next || "_")) {
+          if (prev !== "S") key += "S";
+        } else key += "K";
+        break;
+      case "D":
+        key += next === "G" && "EIY".includes(next2 || "_") ? "J" : "T";
+        break;
+      case "G":
+        if (next === "H" && !(i + 2 >= w.length || isVowel(next2))) break;
+        if (next === "N" && (i + 2 === w.length || w.slice(i + 1) === "NED")) break;
+        key += "EIY".includes(next || "_") && prev !== "G" ? "J" : "K";
+        break;
+      case "H":
+        if ("CSPTG".includes(prev || "_")) break;
+        if (isVowel(prev) && !isVowel(next)) break;
+        key += "H";
+        break;
+      case "K":
+        if (prev !== "C") key += "K";
+        break;
+      case "P":
+        key += next === "H" ? "F" : "P";
+        break;
+      case "Q":
+        key += "K";
+        break;
+      case "S":
+        if (next === "H") key += "X";
+        else if (next === "I" && (next2 === "O" || next2 === "A")) key += "X";
+        else key += "S";
+        break;
+      case "T":
+        if (next === "I" && (next2 === "O" || next2 === "A")) key += "X";
+        else if (next === "H") key += "0";
+        else if (!(next === "C" && next2 === "H")) key += "T";
+        break;
+      case "V":
+        key += "F";
+        break;
+      case "W":
+      case "Y":
+        if (isVowel(next)) key += ch;
+        break;
+      case "X":
+        key += "KS";
+        break;
+      case "Z":
+        key += "S";
+        break;
+      default:
+        // F, J, L, M, N, R
+        key += ch;
+    }
+  }
+  return key;
+}
+
+/**
+ * Similarity between two single (normalized, lowercase) tokens, combining
+ * character edit distance and phonetic keys.
+ *
+ * Numbers and very short tokens ("2", "it") only match exactly, since a
+ * one-letter difference there usually means a different word.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0..1 (1 = identical)
+ */
+export function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 3 || b.length < 3 || /\d/.test(a) || /\d/.test(b)) return 0;
+
+  let score = editSimilarity(a, b);
+  const keyA = metaphone(a);
+  if (keyA.length >= 2 && keyA === metaphone(b)) {
+    score = Math.max(score, PHONETIC_MATCH_SCORE);
+  }
+  return score;
+}
+
+/**
+ * Fuzzy score of a candidate's tokens against the transcript's tokens.
+ * Each candidate token takes its best similarity with any transcript token; tokens
+ * below the threshold count as missing. The result is the average over candidate tokens.
+ *
+ * @param {string[]} candidateTokens - Normalized tokens of the candidate name
+ * @param {string[]} transcriptTokens - Normalized tokens of the spoken text
+ * @param {number} [threshold] - Minimum token similarity to count (default 0.7)
+ * @returns {number} - 0..1
+ */
+export function fuzzyTokenScore(candidateTokens, transcriptTokens, threshold) {
+  if (!candidateTokens.length || !transcriptTokens.length) return 0;
+  const minSimilarity = threshold ?? DEFAULT_FUZZY_THRESHOLD;
+
+  let total = 0;
+  for (const cToken of candidateTokens) {
+    let best = 0;
+    for (const tToken of transcriptTokens) {
+      best = Math.max(best, tokenSimilarity(cToken, tToken));
+      if (best === 1) break;
+    }
+    if (best >= minSimilarity) total += best;
+  }
+  return total / candidateTokens.length;
+}
+
+/**
+ * Fuzzy score of a candidate written as one word against runs of spoken words,
+ * so that spacing differences still match: "discovered" ≈ "discover it",
+ * "double cash" ≈ "DoubleCash".
+ *
+ * @param {string[]} candidateTokens - Normalized tokens of the candidate name
+ * @param {string[]} transcriptTokens - Normalized tokens of the spoken text
+ * @param {number} [threshold] - Minimum similarity to count (default 0.7)
+ * @returns {number} - 0..1
+ */
+export function compactPhraseScore(candidateTokens, transcriptTokens, threshold) {
+  const compact = candidateTokens.join("");
+  if (compact.length < 4) return 0;
+  const minSimilarity = threshold ?? DEFAULT_FUZZY_THRESHOLD;
+  const maxWindow = candidateTokens.length + 1;
+
+  let best = 0;
+  for (let start = 0; start < transcriptTokens.length; start++) {
+    let joined = "";
+    for (let size = 1; size <= maxWindow && start + size <= transcriptTokens.length; size++) {
+      joined += transcriptTokens[start + size - 1];
+      best = Math.max(best, editSimilarity(compact, joined));
+    }
+  }
+  return best >= minSimilarity ? best : 0;
+}
@@ -5,6 +5,8 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { GoogleSignin } from '@react-native-google-signin/google-signin';
+import { getCustomFields, getIncomeSheetName, getTransferSheetName } from './configService';
+import { columnNumber } from './customFields';
 
 // Storage keys for tokens
 const STORAGE_KEYS = {
@@ -276,9 +278,129 @@ export async function getSpreadsheetId() {
   }
 }
 
+// Value written to the review column for low-confidence records
+export const NEEDS_REVIEW_MARKER = 'NEEDS REVIEW';
+
+/**
+ * Builds the sheet row for an expense record.
+ * Columns: A date, B card, C amount, D category, E description, F saved-at timestamp,
+ * G review flag, H merchant, I currency spoken, J amount as spoken (column C is always
+ * in the home currency), K transaction type (refunds and credits have negative amounts;
+ * income and transfer rows use the same columns on their own tabs), L account a transfer
+ * went to (column B is the account it came from), M transaction ID shared by the rows of
+ * a charge split across categories, N tags (comma-separated).
+ * New columns are only ever added at the end so that rows written by
+ * earlier versions of the app stay aligned.
+ * Custom fields (see customFields.js) are written to the columns set for them, O or later;
+ * the row is padded with empty cells up to the last of them.
+ * @param {Object} record - Expense record from parsingLogic
+ * @param {Object[]} [customFields] - The custom field definitions (see getCustomFields)
+ * @returns {string[]} Row values
+ */
+function buildSheetRow(record, customFields = []) {
+  const row = [
+    record.date || '',
+    record.card_name || '',
+    record.expense_amount || '',
+    record.expense_category || '',
+    record.description || '',
+    new Date().toISOString(),
+    record.needs_review ? NEEDS_REVIEW_MARKER : '',
+    record.merchant || '',
+    record.currency || '',
+    record.original_amount || '',
+    record.transaction_type || '',
+    record.transfer_to || '',
+    record.transaction_id || '',
+    (record.tags || []).join(', '),
+  ];
+  for (const field of customFields) {
+    const index = columnNumber(field.column) - 1;
+    while (row.length <= index) row.push('');
+    row[index] = (record.custom_fields && record.custom_fields[field.name]) || '';
+  }
+  return row;
+}
+
+/**
+ * Reads a sheet row back into a record (inverse of buildSheetRow).
+ * Rows written by earlier versions of the app simply leave the later fields empty.
+ * @param {string[]} row - Row values as returned by the Sheets API
+ * @param {Object[]} [customFields] - The custom field definitions (see getCustomFields)
+ * @returns {Object} Record with the fields stored in the sheet
+ */
+export function parseSheetRow(row, customFields = []) {
+  const cell = (index) => (row[index] === undefined || row[index] === null ? '' : String(row[index]).trim());
+  // Amounts come back as displayed, e.g. "$1,200.00" when the column has a currency format
+  const amount = (index) => cell(index).replace(/[^\d.-]/g, '');
+  return {
+    date: cell(0),
+    card_name: cell(1),
+    expense_amount: amount(2),
+    expense_category: cell(3),
+    description: cell(4),
+    saved_at: cell(5),
+    needs_review: cell(6) === NEEDS_REVIEW_MARKER,
+    merchant: cell(7),
+    currency: cell(8),
+    original_amount: amount(9),
+    transaction_type: cell(10) || 'expense',
+    transfer_to: cell(11),
+    transaction_id: cell(12),
+    tags: cell(13) ? cell(13).split(',').map((tag) => tag.trim()).filter(Boolean) : [],
+    custom_fields: customFields.reduce((values, field) => {
+      const value = cell(columnNumber(field.column) - 1);
+      return value ? { ...values, [field.name]: value } : values;
+    }, {}),
+  };
+}
+
+/**
+ * Converts a 1-based column count into a sheet column letter (1 → A, 27 → AA)
+ */
+function columnLetter(columnNumber) {
+  let letters = '';
+  let n = columnNumber;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// Sheet tab that expenses, refunds and credits are appended to
+const EXPENSE_SHEET_NAME = 'Sheet1';
+
+/**
+ * Name of the sheet tab a record belongs in: income and transfers go to the tabs
+ * configured in Settings (so neither counts as spending), everything else to Sheet1
+ */
+async function sheetNameForRecord(record) {
+  if (record.transaction_type === 'income') return getIncomeSheetName();
+  if (record.transaction_type === 'transfer') return getTransferSheetName();
+  return EXPENSE_SHEET_NAME;
+}
+
+/**
+ * Builds a URL-encoded A1 range covering columns A..lastColumn of a tab
+ * (tab names with spaces or quotes are quoted as Sheets requires)
+ */
+function sheetRange(sheetName, lastColumn) {
+  const quoted = /^[A-Za-z0-9_]+$/.test(sheetName)
+    ? sheetName
+    : `'${sheetName.replace(/'/g, "''")}'`;
+  return encodeURIComponent(`${quoted}!A:${lastColumn}`);
+}
+
 /**
  * Appends an expense record to Google Sheet
- * @param {Object} record - Expense record with date, card_name, expense_amount, expense_category, description
+ * Low-confidence records (record.needs_review) are marked in the review column
+ * so they can be filtered and double-checked later. Custom field values
+ * (record.custom_fields) go to the columns configured for them in Settings.
+ * Income and transfer records are appended to their own tabs (see
+ * getIncomeSheetName and getTransferSheetName), which must exist in the spreadsheet.
+ * @param {Object} record - Expense record with date, card_name, expense_amount, expense_category, description, merchant
  * @returns {Promise<Object>} Returns the saved row data including the range where it was saved
  */
 export async function appendExpenseRecordToSheet(record) {
@@ -298,19 +420,12 @@ export async function appendExpenseRecordToSheet(record) {
     }
 
     // Prepare the data
-    const values = [
-      [
-        record.date || "",
-        record.card_name || "",
-        record.expense_amount || "",
-        record.expense_category || "",
-        record.description || "",
-        new Date().toISOString(),
-      ],
-    ];
+    const values = [buildSheetRow(record, await getCustomFields())];
+    const lastColumn = columnLetter(values[0].length);
+    const range = sheetRange(await sheetNameForRecord(record), lastColumn);
 
     // Make the API call
-    const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/Sheet1!A:F:append?valueInputOption=USER_ENTERED`;
+    const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}:append?valueInputOption=USER_ENTERED`;
     
     const response = await fetch(url, {
       method: 'POST',
@@ -347,6 +462,10 @@ export async function appendExpenseRecordToSheet(record) {
         throw new Error('Permission denied. Make sure you have access to the spreadsheet.');
       } else if (response.status === 404) {
         throw new Error('Spreadsheet not found. Please check the spreadsheet ID.');
+      } else if (response.status === 400 && /Unable to parse range/i.test(errorMessage)) {
+        throw new Error(
+          `Sheet tab "${await sheetNameForRecord(record)}" not found. Please add it to the spreadsheet or change it in settings.`
+        );
       }
 
       throw new Error(`Failed to append to Google Sheet: ${errorMessage}`);
@@ -370,6 +489,57 @@ export async function appendExpenseRecordToSheet(record) {
   }
 }
 
+/**
+ * Reads the records saved to the expense tab back from Google Sheet
+ * Rows without a numeric amount (such as a header row) are skipped.
+ * @returns {Promise<Object[]>} Records in sheet order (see parseSheetRow)
+ */
+export async function fetchExpenseRecords() {
+  try {
+    const spreadsheetId = await getSpreadsheetId();
+    if (!spreadsheetId) {
+      throw new Error(
+        'Google Sheets spreadsheet ID not configured. Please set it in settings.'
+      );
+    }
+
+    const accessToken = await getAccessToken();
+    if (!accessToken) {
+      throw new Error('Not signed in. Please sign in with Google first.');
+    }
+
+    const customFields = await getCustomFields();
+    const lastColumn = columnLetter(buildSheetRow({}, customFields).length);
+    const range = sheetRange(EXPENSE_SHEET_NAME, lastColumn);
+    const url = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`;
+
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+      },
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        throw new Error('Authentication failed. Please sign in again.');
+      } else if (response.status === 403) {
+        throw new Error('Permission denied. Make sure you have access to the spreadsheet.');
+      } else if (response.status === 404) {
+        throw new Error('Spreadsheet not found. Please check the spreadsheet ID.');
+      }
+      throw new Error(`Failed to read Google Sheet: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    return (result.values || [])
+      .map((row) => parseSheetRow(row, customFields))
+      .filter((record) => record.expense_amount !== '' && Number.isFinite(Number(record.expense_amount)));
+  } catch (error) {
+    console.error('Failed to read expense records from Google Sheet:', error);
+    throw error;
+  }
+}
+
 /**
  * Load configuration from AsyncStorage (for compatibility)
  * Note: With OAuth, we only need to store the spreadsheet ID
@@ -0,0 +1,566 @@
+/**
+ * Language packs - Lets the parser read transcripts in languages other than English.
+ * The extractors key off English vocabulary ("charge", "dollars", "today", month names),
+ * so each pack rewrites its language's number words, month and weekday names, relative
+ * dates, currency words and cues into that vocabulary before parsing. Everything else
+ * (account names, descriptions) is left as spoken.
+ *
+ * A pack is plain data plus an optional number-word parser; add one to LANGUAGE_PACKS
+ * to support another language.
+ */
+
+// Language assumed when detection finds nothing better
+export const DEFAULT_LANGUAGE = "en";
+
+// Language setting value that picks the pack from each transcript (see detectLanguage)
+export const AUTO_LANGUAGE = "auto";
+
+const ENGLISH_MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const ENGLISH_WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const ENGLISH_MONTH_PATTERN = ENGLISH_MONTHS.join("|");
+const ENGLISH_WEEKDAY_PATTERN = ENGLISH_WEEKDAYS.join("|");
+
+/**
+ * Builds a case-insensitive pattern that only matches whole words, including words with
+ * accented letters (where \b does not work)
+ */
+function word(pattern) {
+  return new RegExp(`(?<![\\p{L}\\d])(?:${pattern})(?![\\p{L}\\d])`, "giu");
+}
+
+// ---------------------------------------------------------------------------
+// Spanish
+// ---------------------------------------------------------------------------
+
+const SPANISH_NUMBER_WORDS = {
+  cero: { kind: "unit", value: 0 },
+  uno: { kind: "unit", value: 1 },
+  un: { kind: "unit", value: 1 },
+  una: { kind: "unit", value: 1 },
+  dos: { kind: "unit", value: 2 },
+  tres: { kind: "unit", value: 3 },
+  cuatro: { kind: "unit", value: 4 },
+  cinco: { kind: "unit", value: 5 },
+  seis: { kind: "unit", value: 6 },
+  siete: { kind: "unit", value: 7 },
+  ocho: { kind: "unit", value: 8 },
+  nueve: { kind: "unit", value: 9 },
+  diez: { kind: "teen", value: 10 },
+  once: { kind: "teen", value: 11 },
+  doce: { kind: "teen", value: 12 },
+  trece: { kind: "teen", value: 13 },
+  catorce: { kind: "teen", value: 14 },
+  quince: { kind: "teen", value: 15 },
+  dieciséis: { kind: "teen", value: 16 },
+  dieciseis: { kind: "teen", value: 16 },
+  diecisiete: { kind: "teen", value: 17 },
+  dieciocho: { kind: "teen", value: 18 },
+  diecinueve: { kind: "teen", value: 19 },
+  veintiuno: { kind: "teen", value: 21 },
+  veintiún: { kind: "teen", value: 21 },
+  veintiuna: { kind: "teen", value: 21 },
+  veintidós: { kind: "teen", value: 22 },
+  veintidos: { kind: "teen", value: 22 },
+  veintitrés: { kind: "teen", value: 23 },
+  veintitres: { kind: "teen", value: 23 },
+  veinticuatro: { kind: "teen", value: 24 },
+  veinticinco: { kind: "teen", value: 25 },
+  veintiséis: { kind: "teen", value: 26 },
+  veintiseis: { kind: "teen", value: 26 },
+  veintisiete: { kind: "teen", value: 27 },
+  veintiocho: { kind: "teen", value: 28 },
+  veintinueve: { kind: "teen", value: 29 },
+  veinte: { kind: "tens", value: 20 },
+  treinta: { kind: "tens", value: 30 },
+  cuarenta: { kind: "tens", value: 40 },
+  cincuenta: { kind: "tens", value: 50 },
+  sesenta: { kind: "tens", value: 60 },
+  setenta: { kind: "tens", value: 70 },
+  ochenta: { kind: "tens", value: 80 },
+  noventa: { kind: "tens", value: 90 },
+  cien: { kind: "hundreds", value: 100 },
+  ciento: { kind: "hundreds", value: 100 },
+  doscientos: { kind: "hundreds", value: 200 },
+  doscientas: { kind: "hundreds", value: 200 },
+  trescientos: { kind: "hundreds", value: 300 },
+  trescientas: { kind: "hundreds", value: 300 },
+  cuatrocientos: { kind: "hundreds", value: 400 },
+  cuatrocientas: { kind: "hundreds", value: 400 },
+  quinientos: { kind: "hundreds", value: 500 },
+  quinientas: { kind: "hundreds", value: 500 },
+  seiscientos: { kind: "hundreds", value: 600 },
+  seiscientas: { kind: "hundreds", value: 600 },
+  setecientos: { kind: "hundreds", value: 700 },
+  setecientas: { kind: "hundreds", value: 700 },
+  ochocientos: { kind: "hundreds", value: 800 },
+  ochocientas: { kind: "hundreds", value: 800 },
+  novecientos: { kind: "hundreds", value: 900 },
+  novecientas: { kind: "hundreds", value: 900 },
+  mil: { kind: "scale", value: 1000 },
+  millón: { kind: "scale", value: 1000000 },
+  millon: { kind: "scale", value: 1000000 },
+  millones: { kind: "scale", value: 1000000 },
+};
+
+// Words after which "un"/"una" is the number one rather than the article ("un euro")
+const SPANISH_COUNTED_WORDS = /^(?:mil|mill[oó]n|millones|d[oó]lar|euro|peso|centavo|c[eé]ntimo)$/;
+
+// Which kinds of number word may follow each other within one number
+const SPANISH_FOLLOWERS = {
+  unit: ["scale"],
+  teen: ["scale"],
+  tens: ["unit", "scale"],
+  hundreds: ["unit", "teen", "tens", "scale"],
+  scale: ["unit", "teen", "tens", "hundreds"],
+};
+
+function isSpanishNumberWord(words, i) {
+  const info = SPANISH_NUMBER_WORDS[words[i]];
+  if (!info) return false;
+  if (words[i] === "un" || words[i] === "una") {
+    return SPANISH_COUNTED_WORDS.test(words[i + 1] || "");
+  }
+  return true;
+}
+
+/**
+ * Replaces runs of Spanish number words with digits:
+ * "treinta y cinco" → "35", "dos mil quinientos" → "2500", "un euro" → "1 euro".
+ */
+function replaceSpanishNumberWords(text) {
+  const tokens = text.match(/[\p{L}]+|[^\p{L}]+/gu) || [];
+  const wordPositions = [];
+  tokens.forEach((token, index) => {
+    if (/^\p{L}/u.test(token)) wordPositions.push(index);
+  });
+  const words = wordPositions.map((index) => tokens[index].toLowerCase());
+
+  const output = [];
+  let tokenCursor = 0;
+  let w = 0;
+  while (w < words.length) {
+    if (!isSpanishNumberWord(words, w)) {
+      w += 1;
+      continue;
+    }
+
+    let total = 0;
+    let current = 0;
+    let lastKind = null;
+    let end = w;
+    for (let i = w; i < words.length; i++) {
+      const separator = i > w ? tokens[wordPositions[i] - 1] : " ";
+      if (!/^\s+$/.test(separator)) break;
+
+      // "treinta y cinco": "y" only joins tens to a unit
+      if (words[i] === "y" && lastKind === "tens") {
+        const next = SPANISH_NUMBER_WORDS[words[i + 1]];
+        if (next && next.kind === "unit" && /^\s+$/.test(tokens[wordPositions[i + 1] - 1])) continue;
+        break;
+      }
+      if (!isSpanishNumberWord(words, i)) break;
+
+      const info = SPANISH_NUMBER_WORDS[words[i]];
+      if (lastKind && !SPANISH_FOLLOWERS[lastKind].includes(info.kind)) break;
+      if (info.kind === "scale") {
+        total = info.value === 1000 ? total + (current || 1) * 1000 : (total + (current || 1)) * info.value;
+        current = 0;
+      } else {
+        current += info.value;
+      }
+      lastKind = info.kind;
+      end = i;
+    }
+
+    output.push(tokens.slice(tokenCursor, wordPositions[w]).join(""));
+    output.push(String(total + current));
+    tokenCursor = wordPositions[end] + 1;
+    w = end + 1;
+  }
+
+  output.push(tokens.slice(tokenCursor).join(""));
+  return output.join("");
+}
+
+const SPANISH = {
+  code: "es",
+  label: "Español",
+  // Common words that suggest a transcript is Spanish
+  markers: word(
+    "el|la|los|las|de|del|con|para|en|es|y|un|una|mi|por|hoy|ayer|tarjeta|d[oó]lares|pesos|" +
+      "cargo|gast[eé]|pagu[eé]|compr[eé]|categor[ií]a|descripci[oó]n|comercio|etiquetas?"
+  ),
+  months: [
+    "enero",
+    "febrero",
+    "marzo",
+    "abril",
+    "mayo",
+    "junio",
+    "julio",
+    "agosto",
+    "septiembre|setiembre",
+    "octubre",
+    "noviembre",
+    "diciembre",
+  ],
+  weekdays: ["domingo", "lunes", "martes", "mi[eé]rcoles", "jueves", "viernes", "s[aá]bado"],
+  numberWords: replaceSpanishNumberWords,
+  // Applied to the whole transcript except the description
+  vocabulary: [
+    // Currency words and cents: "30 dólares con 50 centavos" → "30 dollars and 50 cents"
+    [word("d[oó]lares"), "dollars"],
+    [word("d[oó]lar"), "dollar"],
+    [word("centavos?|c[eé]ntimos?"), "cents"],
+    [/(\d+)\s+(dollars?|euros?|pesos?)\s+con\s+(\d{1,2})(?:\s+cents)?(?![\p{L}\d])/giu, "$1 $2 and $3 cents"],
+    // Keywords
+    [word("cargo|cargar|carga|cargu[eé]"), "{charge}"],
+    [word("categor[ií]a(?:\\s+es)?"), "{category}"],
+    [word("descripci[oó]n(?:\\s+es)?|nota(?:\\s+es)?"), "{description}"],
+    [word("comercio(?:\\s+es)?"), "{merchant}"],
+    [word("etiquetas?(?:\\s+(?:es|son))?"), "{tags}"],
+    // The account after the amount: "30 dólares a la tarjeta Amex", "30 euros con Amex"
+    [
+      /(\d(?:[\d.,]*\d)?(?:\s*(?:dollars?|euros?|pesos?|cents?))?)\s+(?:a|con)\s+(?:(?:la|mi)\s+)?(?:(?:tarjeta|cuenta)\s+)?/giu,
+      "$1 {account} ",
+    ],
+    // Dates: "5 de marzo de 2025", "el primero de marzo"
+    [word(`primero(?=\\s+de\\s+(?:${ENGLISH_MONTH_PATTERN}))`), "1"],
+    [
+      new RegExp(`(?:el\\s+)?(\\d{1,2})\\s+de\\s+(${ENGLISH_MONTH_PATTERN})(?:\\s+del?\\s+(\\d{4}))?`, "giu"),
+      (match, day, month, year) => `on ${day} of ${month}${year ? ` ${year}` : ""}`,
+    ],
+    // Relative dates
+    [word("anteayer|antier"), "the day before yesterday"],
+    [word("ayer"), "yesterday"],
+    [word("hoy"), "today"],
+    [word("hace\\s+(\\d+)\\s+d[ií]as"), "$1 days ago"],
+    [word("hace\\s+(\\d+)\\s+semanas?"), "$1 weeks ago"],
+    [word("hace\\s+una\\s+semana"), "a week ago"],
+    [word(`el\\s+(${ENGLISH_WEEKDAY_PATTERN})\\s+pasado`), "last $1"],
+    [word(`el\\s+pasado\\s+(${ENGLISH_WEEKDAY_PATTERN})`), "last $1"],
+    // Transaction types
+    [word("recib[ií]"), "received"],
+    [word("reembolso|devoluci[oó]n"), "refund"],
+    [word("transfer[ií]|transferencia"), "transfer"],
+  ],
+  // Applied before the description only, so the description stays as spoken
+  phrases: [
+    [word("gast[eé]"), "spent"],
+    [word("pagu[eé]"), "paid"],
+    [word("compr[eé]"), "bought"],
+    [word("con"), "with"],
+    [word("para"), "for"],
+    [word("en"), "on"],
+    [word("desde"), "from"],
+    [word("mis?"), "my"],
+  ],
+};
+
+// ---------------------------------------------------------------------------
+// Simplified Chinese
+// ---------------------------------------------------------------------------
+
+const CHINESE_DIGITS = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+
+const CHINESE_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+const CHINESE_WEEKDAYS = { 日: 0, 天: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6 };
+
+// Characters after which a lone "一" is the number one ("一块", "一月") rather than part of a word
+const CHINESE_COUNTED_CHARACTERS = /^[块元毛角分天周个月号日点百千万]/;
+
+/**
+ * Parses a run of Chinese numerals: "三十五" → 35, "一百零五" → 105, "三千五" → 3500,
+ * "十二点五" → 12.5.
+ */
+function parseChineseNumber(run) {
+  const [integerPart, fractionPart] = run.split("点");
+  let total = 0;
+  let section = 0;
+  let number = 0;
+  let previous = null;
+  let lastUnit = 1;
+
+  for (const character of integerPart) {
+    if (character in CHINESE_DIGITS) {
+      number = CHINESE_DIGITS[character];
+    } else if (character in CHINESE_UNITS) {
+      section += (number || 1) * CHINESE_UNITS[character];
+      number = 0;
+      lastUnit = CHINESE_UNITS[character];
+    } else if (character === "万") {
+      total += (section + number || 1) * 10000;
+      section = 0;
+      number = 0;
+      lastUnit = 10000;
+    }
+    previous = character;
+  }
+  // Shorthand: "三千五" is 3500 and "两万五" is 25000
+  const secondLast = integerPart[integerPart.length - 2];
+  if (number && lastUnit >= 100 && previous in CHINESE_DIGITS && !(secondLast in CHINESE_DIGITS)) {
+    number *= lastUnit / 10;
+  }
+
+  const integer = total + section + number;
+  if (!fractionPart) return String(integer);
+  const fraction = [...fractionPart].map((character) => CHINESE_DIGITS[character]).join("");
+  return `${integer}.${fraction}`;
+}
+
+/**
+ * Replaces runs of Chinese numerals with digits.
+ */
+function replaceChineseNumberWords(text) {
+  return text.replace(
+    /[零〇一二两三四五六七八九十百千万]+(?:点[零〇一二三四五六七八九]+)?/g,
+    (run, offset, whole) => {
+      if (run === "一" && !CHINESE_COUNTED_CHARACTERS.test(whole.slice(offset + 1))) return run;
+      return ` ${parseChineseNumber(run)} `;
+    }
+  );
+}
+
+const CHINESE = {
+  code: "zh-Hans",
+  label: "中文（简体）",
+  // Common words and particles that suggest a transcript is Chinese
+  markers: /花了|花费|消费|支付|付了|块|元|今天|昨天|前天|类别|分类|描述|备注|商家|标签|用|刷|的|了|是|在|号|月/g,
+  // Applied before number words are replaced, so "星期一" is not read as a number
+  prepare: [
+    // Full-width punctuation and digits
+    [/，|、/g, ", "],
+    [/。/g, ". "],
+    [/；/g, "; "],
+    [/！/g, "! "],
+    [/？/g, "? "],
+    [/：/g, ": "],
+    [/[０-９]/g, (digit) => String.fromCharCode(digit.charCodeAt(0) - 0xfee0)],
+    // "¥30" in Chinese is renminbi
+    [/[¥￥]\s?(\d+(?:\.\d+)?)/g, "$1元"],
+    // Weekdays and relative dates
+    [
+      /(上)?(?:个)?(?:星期|礼拜|周)([一二三四五六日天])/g,
+      (match, last, day) => ` ${last ? "last " : ""}${ENGLISH_WEEKDAYS[CHINESE_WEEKDAYS[day]]} `,
+    ],
+    [/前天/g, " the day before yesterday "],
+    [/昨天|昨日/g, " yesterday "],
+    [/今天|今日/g, " today "],
+  ],
+  numberWords: replaceChineseNumberWords,
+  vocabulary: [
+    // Dates: "2025年3月5日", "3月5号"
+    [
+      /(?:(\d{4})\s*年\s*)?(\d{1,2})\s*月\s*(\d{1,2})\s*[日号]/g,
+      (match, year, month, day) =>
+        ` ${ENGLISH_MONTHS[Number(month) - 1] || month} ${day}${year ? `, ${year}` : ""} `,
+    ],
+    [/(\d+)\s*天前/g, " $1 days ago "],
+    [/(\d+)\s*(?:个)?(?:星期|礼拜|周)前/g, " $1 weeks ago "],
+    // Currency words and cents: "三十块五毛" → "30.50元"
+    [/美元|美金/g, " dollars "],
+    [/欧元/g, " euros "],
+    [/日元/g, " yen "],
+    [/人民币|块钱|块/g, "元"],
+    [
+      /(\d+)\s*元\s*(\d)\s*[毛角](?:\s*(\d)\s*分)?/g,
+      (match, whole, tenths, hundredths) => `${whole}.${tenths}${hundredths || 0}元`,
+    ],
+    // Keywords
+    [/花了|花费了?|消费了?|支付了?|付了|付款/g, " {charge} "],
+    [/(?:类别|分类|类型)(?:是|为)?/g, " {category} "],
+    [/(?:描述|备注|说明)(?:是|为)?/g, " {description} "],
+    [/(?:商家|商户)(?:是|为)?/g, " {merchant} "],
+    [/标签(?:是|为)?/g, " {tags} "],
+    // Transaction types
+    [/退款/g, " refund "],
+    [/收到/g, " received "],
+    [/转账/g, " transfer "],
+  ],
+  phrases: [
+    // "用招商银行卡" / "刷Amex": the account ("用餐" is dining, not an account)
+    [/(?:用|刷)(?!餐|品|于|来)/g, " {account} "],
+  ],
+};
+
+const ENGLISH = {
+  code: "en",
+  label: "English",
+  // The parser's own vocabulary; the pack only needs to be recognised
+  markers: word(
+    "the|to|on|for|with|at|and|is|my|charge|spent|paid|bought|dollars?|bucks?|cents?|" +
+      "category|description|merchant|today|yesterday|card"
+  ),
+};
+
+// Supported languages, in detection order (ties go to the earlier pack)
+export const LANGUAGE_PACKS = {
+  en: ENGLISH,
+  es: SPANISH,
+  "zh-Hans": CHINESE,
+};
+
+/**
+ * Guesses the language of a transcript from the pack markers it contains.
+ *
+ * @param {string} text - The transcript
+ * @returns {string} - A LANGUAGE_PACKS code (DEFAULT_LANGUAGE when nothing stands out)
+ *
+ * @example
+ * detectLanguage("Cargo treinta dólares a Amex. Categoría es comida")
+ * // Returns: "es"
+ */
+export function detectLanguage(text) {
+  if (!text) return DEFAULT_LANGUAGE;
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+  for (const pack of Object.values(LANGUAGE_PACKS)) {
+    const score = (text.match(pack.markers) || []).length;
+    if (score > bestScore) {
+      best = pack.code;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function applyRewrites(text, rewrites, keywords) {
+  return (rewrites || []).reduce((result, [pattern, replacement]) => {
+    const filled =
+      typeof replacement === "string"
+        ? replacement.replace(/\{(\w+)\}/g, (placeholder, group) => keywords[group] || placeholder)
+        : replacement;
+    return result.replace(pattern, filled);
+  }, text);
+}
+
+// Stands in for the description while the rest of the transcript is rewritten
+const DESCRIPTION_PLACEHOLDER = "\uE000";
+
+// Patterns for a keyword group: the pack's keyword rewrites plus the configured keyword
+function keywordPatterns(pack, group, groups) {
+  const placeholder = `{${group}}`;
+  return (pack.vocabulary || [])
+    .filter(([, replacement]) => typeof replacement === "string" && replacement.includes(placeholder))
+    .map(([pattern]) => pattern)
+    .concat(word(groups[group]));
+}
+
+function firstMatch(text, patterns, fromIndex = 0) {
+  return patterns.reduce((first, pattern) => {
+    const match = new RegExp(pattern.source, pattern.flags.replace("g", "")).exec(text.slice(fromIndex));
+    if (!match) return first;
+    const found = { start: fromIndex + match.index, end: fromIndex + match.index + match[0].length };
+    return !first || found.start < first.start ? found : first;
+  }, null);
+}
+
+/**
+ * Finds the spoken description: the text after the pack's description keyword, up to a
+ * merchant or tags keyword or the end of the sentence.
+ * @returns {{start: number, end: number}|null}
+ */
+function spokenDescriptionSpan(text, pack, groups) {
+  const keyword = firstMatch(text, keywordPatterns(pack, "description", groups));
+  if (!keyword) return null;
+  const nextKeyword = firstMatch(
+    text,
+    [...keywordPatterns(pack, "merchant", groups), ...keywordPatterns(pack, "tags", groups)],
+    keyword.end
+  );
+  let end = nextKeyword ? nextKeyword.start : text.length;
+  const sentenceBreak = text.slice(keyword.end, end).search(/[.;!?](?:\s|$)|[。；！？]/);
+  if (sentenceBreak !== -1) end = keyword.end + sentenceBreak;
+  return { start: keyword.end, end };
+}
+
+/**
+ * Rewrites a transcript's vocabulary into the English words the extractors understand.
+ *
+ * The description (see spokenDescriptionSpan) is set aside first and put back as spoken.
+ * Then, in order, a pack's `prepare` rewrites run, its month and weekday names become
+ * English, its number words become digits (`numberWords`), its `vocabulary` rewrites run
+ * (currency words, dates, keywords) and finally its `phrases` rewrites run on the part
+ * before the description. Keyword placeholders such as "{charge}" become the first
+ * configured keyword of that group.
+ *
+ * English text is returned unchanged.
+ *
+ * @param {string} text - The transcript
+ * @param {string} language - A LANGUAGE_PACKS code
+ * @param {Object<string, string>} [keywords] - Keyword used for each group, e.g.
+ *   { charge: "charge", account: "to", category: "category", ... }
+ * @returns {string}
+ *
+ * @example
+ * normalizeVocabulary("Cargo treinta dólares a Amex. Categoría es comida. Descripción es almuerzo ayer", "es")
+ * // Returns: "charge 30 dollars to Amex. category comida. description almuerzo ayer"
+ */
+export function normalizeVocabulary(text, language, keywords = {}) {
+  const pack = LANGUAGE_PACKS[language];
+  if (!text || !pack || pack.code === DEFAULT_LANGUAGE) return text || "";
+  const groups = {
+    charge: "charge",
+    account: "to",
+    category: "category",
+    description: "description",
+    merchant: "merchant",
+    tags: "tags",
+    ...keywords,
+  };
+
+  const span = spokenDescriptionSpan(text, pack, groups);
+  const spoken = span ? text.slice(span.start, span.end) : "";
+  let result = span
+    ? text.slice(0, span.start) + ` ${DESCRIPTION_PLACEHOLDER} ` + text.slice(span.end)
+    : text;
+
+  result = applyRewrites(result, pack.prepare, groups);
+  (pack.months || []).forEach((names, index) => {
+    result = result.replace(word(names), ENGLISH_MONTHS[index]);
+  });
+  (pack.weekdays || []).forEach((names, index) => {
+    result = result.replace(word(names), ENGLISH_WEEKDAYS[index]);
+  });
+  if (pack.numberWords) result = pack.numberWords(result);
+  result = applyRewrites(result, pack.vocabulary, groups);
+
+  if (pack.phrases) {
+    const description = result.search(word(groups.description));
+    const head = description === -1 ? result : result.slice(0, description);
+    const tail = description === -1 ? "" : result.slice(description);
+    result = applyRewrites(head, pack.phrases, groups) + tail;
+  }
+
+  result = result.replace(/[ \t]{2,}/g, " ").replace(/\s+([.,;!?])/g, "$1");
+  return result.replace(DESCRIPTION_PLACEHOLDER, spoken.trim()).trim();
+}
@@ -0,0 +1,348 @@
+/**
+ * Language model extraction - An optional alternative to the keyword parser for messy speech.
+ * The transcript is sent with the account, category, tag and custom field lists to a
+ * chat-completions-style endpoint (by default the AI backend that transcribes the audio),
+ * which is asked for the record as JSON. Its answer is checked against the lists before it
+ * is used, and any failure - a network error, a timeout, an answer that is not JSON - falls
+ * back to the keyword parser (see buildExpenseRecordFromTranscript), so a record is always
+ * produced. Turned on and pointed at an endpoint in Settings (see getLlmExtraction).
+ */
+
+import {
+  buildExpenseRecordFromTranscript,
+  computeNeedsReview,
+  convertToHomeCurrency,
+  getParseContext,
+  matchAgainstAccounts,
+  matchAgainstCategories,
+  signAmount,
+  traceStep,
+  TRANSACTION_TYPES,
+} from "./parsingLogic";
+
+// Path of the chat completions endpoint on the transcription host, used when
+// config.js does not set LLM_API_PATH
+export const DEFAULT_LLM_API_PATH = "/backend/v1/chat/completions";
+
+// How long to wait for the model before falling back to the keyword parser
+export const DEFAULT_LLM_TIMEOUT_MS = 8000;
+
+/**
+ * Builds the chat completions request body for a transcript: a system message describing
+ * the record schema and the lists to choose from, and the transcript as the user message.
+ *
+ * @param {string} transcript - The transcript, in any language
+ * @param {Date} now - Reference "current" date, so the model can resolve "yesterday"
+ * @param {Object} context - Parse context with the lists (see createParseContext)
+ * @param {string} [model] - Model name; left out of the request when empty
+ * @returns {Object} - The request body
+ */
+export function buildExtractionRequest(transcript, now, context, model) {
+  const customFields = context.customFields.map((field) =>
+    field.values.length ? `${field.name} (one of: ${field.values.join(", ")})` : field.name
+  );
+  const instructions = [
+    "You turn a spoken expense note into one JSON object, with no other text.",
+    "Keys:",
+    `- date: "YYYY-MM-DD" (today is ${isoDate(now)}), or "" if no date was spoken`,
+    `- transaction_type: one of ${Object.values(TRANSACTION_TYPES).join(", ")}`,
+    "- card_name: the account paid with (for a transfer, the account money left), from the accounts list, or \"\"",
+    "- transfer_to: for a transfer only, the account money went to, from the accounts list, or \"\"",
+    "- expense_amount: the amount as a positive number, or null",
+    `- currency: ISO code of the spoken currency, or "" for ${context.homeCurrency}`,
+    "- expense_category: from the expense categories list (income categories for income), or \"\"",
+    "- description: what the money was for, in a few words",
+    "- merchant: the store, restaurant or service, or \"\"",
+    "- tags: tags from the tags list that were spoken",
+    "- custom_fields: an object with the custom fields that were spoken, by name",
+    "Only use names that appear in the lists, spelled exactly as listed.",
+    `Accounts: ${context.accountNames.join("; ")}`,
+    `Expense categories: ${context.expenseCategories.join("; ")}`,
+    `Income categories: ${context.incomeCategories.join("; ")}`,
+    `Tags: ${context.tags.join("; ")}`,
+    `Custom fields: ${customFields.join("; ") || "none"}`,
+  ];
+
+  const body = {
+    messages: [
+      { role: "system", content: instructions.join("\n") },
+      { role: "user", content: transcript },
+    ],
+    temperature: 0,
+    response_format: { type: "json_object" },
+  };
+  if (model) body.model = model;
+  return body;
+}
+
+/**
+ * Reads the extracted record out of a chat completions response.
+ * @param {Object} data - The response body
+ * @returns {Object} - The JSON object the model answered with
+ * @throws {Error} If the response holds no JSON object
+ */
+export function parseExtractionResponse(data) {
+  const message = data && data.choices && data.choices[0] && data.choices[0].message;
+  const content = message && typeof message.content === "string" ? message.content : "";
+  // Some models wrap the JSON in a ```json code fence despite the instructions
+  const json = content.trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+
+  let extracted;
+  try {
+    extracted = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The language model did not answer with JSON: ${content.slice(0, 200)}`);
+  }
+  if (!extracted || typeof extracted !== "object" || Array.isArray(extracted)) {
+    throw new Error("The language model did not answer with a JSON object");
+  }
+  return extracted;
+}
+
+/**
+ * Fills a record with the values a language model extracted, keeping only values that pass
+ * validation: account and category names must be on the lists (or their aliases), tags on
+ * the tag list, custom field values among the field's allowed values, the date a real
+ * "YYYY-MM-DD" date and the amount a positive number. Every other field keeps the value of
+ * `base`. Values taken from the model count as fully confident, and are noted in the
+ * record's parse trace, if it has one.
+ *
+ * @param {Object} base - The keyword parser's record for the same transcript
+ * @param {Object} extracted - The model's answer (see parseExtractionResponse)
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {Object} - A new record
+ */
+export function mergeExtraction(base, extracted, context = getParseContext()) {
+  const record = {
+    ...base,
+    tags: [...base.tags],
+    custom_fields: { ...base.custom_fields },
+    card_candidates: [...base.card_candidates],
+    confidence: { ...base.confidence },
+  };
+  if (base.trace) {
+    record.trace = { ...base.trace, fields: { ...base.trace.fields } };
+  }
+  const take = (field, value) => {
+    record[field] = value;
+    if (record.trace) {
+      traceStep(record.trace.fields, field, {
+        branch: "language model",
+        span: null,
+        segment: "",
+        candidates: [],
+        value: Array.isArray(value) ? value.join(", ") : value,
+      });
+    }
+  };
+
+  const transactionType = Object.values(TRANSACTION_TYPES).includes(extracted.transaction_type)
+    ? extracted.transaction_type
+    : base.transaction_type;
+  record.transaction_type = transactionType;
+  const isTransfer = transactionType === TRANSACTION_TYPES.TRANSFER;
+
+  const date = spokenText(extracted.date);
+  if (isValidDate(date)) {
+    take("date", date);
+    record.confidence.date_inferred = false;
+  }
+
+  const cardName = listedName(extracted.card_name, (text) => matchAgainstAccounts(text, context));
+  if (cardName) {
+    take("card_name", cardName);
+    record.card_candidates = [];
+    record.confidence.card_name = 1;
+    record.confidence.card_suggested = false;
+  }
+
+  if (isTransfer) {
+    const transferTo = listedName(extracted.transfer_to, (text) =>
+      matchAgainstAccounts(text, context)
+    );
+    if (transferTo) {
+      take("transfer_to", transferTo);
+      record.confidence.transfer_to = 1;
+    }
+    record.expense_category = "";
+    record.merchant = "";
+  } else {
+    record.transfer_to = "";
+    record.confidence.transfer_to = null;
+    const category = listedName(extracted.expense_category, (text) =>
+      matchAgainstCategories(text, transactionType, context)
+    );
+    if (category) {
+      take("expense_category", category);
+      record.confidence.expense_category = 1;
+      record.confidence.category_unmatched = false;
+      record.confidence.category_suggested = false;
+    }
+    const merchant = spokenText(extracted.merchant);
+    if (merchant) take("merchant", merchant);
+  }
+
+  const description = spokenText(extracted.description);
+  if (description) take("description", description);
+
+  // The amount is stored unsigned here and signed again below, since the model may have
+  // changed the transaction type
+  const amount = Number(extracted.expense_amount);
+  const spokenCurrency = spokenText(extracted.currency).toUpperCase();
+  const original =
+    extracted.expense_amount !== null && extracted.expense_amount !== "" && amount > 0
+      ? { value: amount.toFixed(2), currency: /^[A-Z]{3}$/.test(spokenCurrency) ? spokenCurrency : null }
+      : { value: base.original_amount.replace(/^-/, ""), currency: base.currency };
+  const money = convertToHomeCurrency(original.value, original.currency, context);
+  record.expense_amount = signAmount(money.expense_amount, transactionType);
+  record.currency = money.currency;
+  record.original_amount = signAmount(money.original_amount, transactionType);
+  record.confidence.expense_amount = money.expense_amount ? 1 : 0;
+  record.confidence.currency_unconverted = !money.converted;
+  if (original.value !== base.original_amount.replace(/^-/, "") && record.trace) {
+    traceStep(record.trace.fields, "expense_amount", {
+      branch: "language model",
+      span: null,
+      segment: "",
+      candidates: [],
+      value: record.expense_amount,
+    });
+  }
+
+  if (Array.isArray(extracted.tags)) {
+    const tags = [];
+    for (const spoken of extracted.tags) {
+      const tag = context.tags.find((name) => name.toLowerCase() === spokenText(spoken).toLowerCase());
+      if (tag && !tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length) take("tags", tags);
+  }
+  record.confidence.tags_unmatched = record.tags.some((tag) => !context.tags.includes(tag));
+
+  const customValues =
+    extracted.custom_fields && typeof extracted.custom_fields === "object"
+      ? extracted.custom_fields
+      : {};
+  for (const field of context.customFields) {
+    const spoken = spokenText(customValues[field.name]);
+    if (!spoken) continue;
+    const value = field.values.length
+      ? field.values.find((allowed) => allowed.toLowerCase() === spoken.toLowerCase())
+      : spoken;
+    if (!value) continue;
+    record.custom_fields[field.name] = value;
+    if (record.trace) {
+      traceStep(record.trace.fields, `custom:${field.name}`, {
+        branch: "language model",
+        span: null,
+        segment: "",
+        candidates: [],
+        value,
+      });
+    }
+  }
+  record.confidence.custom_unmatched = context.customFields.some(
+    (field) =>
+      field.values.length &&
+      record.custom_fields[field.name] !== undefined &&
+      !field.values.includes(record.custom_fields[field.name])
+  );
+
+  record.needs_review = computeNeedsReview(record);
+  return record;
+}
+
+/**
+ * Builds an expense record by asking a language model, falling back to the keyword parser.
+ *
+ * The request is a POST of buildExtractionRequest's body, with the API key as a bearer
+ * token. The answer is validated against the lists (see mergeExtraction), so a value the
+ * model made up is replaced by the keyword parser's. When the endpoint cannot be reached,
+ * answers with an error or something other than JSON, or takes longer than the timeout,
+ * the keyword parser's record is returned unchanged and the error is logged.
+ *
+ * @param {string} transcript - The full transcript text, in any supported language
+ * @param {Date} [now] - Reference "current" date for relative dates
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - URL of the chat completions endpoint; without one
+ *   the keyword parser's record is returned
+ * @param {string} [options.apiKey] - Sent as "Authorization: Bearer <key>"
+ * @param {string} [options.model] - Model name sent with the request
+ * @param {number} [options.timeoutMs] - How long to wait for the answer
+ * @param {Object} [options.context] - Parse context (see createParseContext)
+ * @param {boolean} [options.trace] - Attach a parse trace to the fallback record
+ * @param {Object} [options.fallback] - Record to return on failure, and to fill from the
+ *   model's answer (default: buildExpenseRecordFromTranscript's)
+ * @returns {Promise<Object>} - The expense record
+ *
+ * @example
+ * await buildExpenseRecordWithLLM("uh so the Costco run was like 80 bucks on the citi card", new Date(), {
+ *   endpoint: "https://space.ai-builders.com/backend/v1/chat/completions",
+ *   apiKey: Config.TRANSCRIPTION_API_KEY,
+ * })
+ * // Returns: { card_name: "CITI COSTCO", expense_amount: "80.00", expense_category: "Grocery",
+ * //            merchant: "Costco", ... }
+ */
+export async function buildExpenseRecordWithLLM(transcript, now = new Date(), options = {}) {
+  const context = options.context || getParseContext();
+  const base =
+    options.fallback ||
+    buildExpenseRecordFromTranscript(transcript, now, { context, trace: options.trace });
+  if (!options.endpoint) return base;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs || DEFAULT_LLM_TIMEOUT_MS);
+  try {
+    const response = await fetch(options.endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}),
+      },
+      body: JSON.stringify(buildExtractionRequest(transcript, now, context, options.model)),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Language model API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    return mergeExtraction(base, parseExtractionResponse(data), context);
+  } catch (error) {
+    console.error("Language model extraction failed, using the keyword parser:", error);
+    return base;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * A trimmed string, or "" for anything that is not a string.
+ */
+function spokenText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * The list entry a name stands for, when it names one entry exactly (alias included).
+ */
+function listedName(value, matcher) {
+  const name = spokenText(value);
+  if (!name) return "";
+  const match = matcher(name);
+  return match.score >= 1 && match.candidates.length <= 1 ? match.value : "";
+}
+
+function isValidDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return false;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+}
+
+function isoDate(date) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Locale helpers - Number and date conventions that differ by region.
+ * In much of Europe "12,50" is twelve euros fifty, "1.234,56" is over a thousand and
+ * "03/04" is 3 April; the extractors use these helpers to read them correctly.
+ */
+
+// Locale used when none is configured
+export const DEFAULT_LOCALE = "en-US";
+
+// Supported locales and their conventions
+export const LOCALES = {
+  "en-US": { label: "United States", example: "1,234.56 · 04/03 = April 3", decimalComma: false, dayFirst: false },
+  "en-GB": { label: "United Kingdom", example: "1,234.56 · 03/04 = 3 April", decimalComma: false, dayFirst: true },
+  "de-DE": { label: "Germany", example: "1.234,56 · 03.04.2025 = 3 April 2025", decimalComma: true, dayFirst: true },
+  "fr-FR": { label: "France", example: "1 234,56 · 03/04 = 3 April", decimalComma: true, dayFirst: true },
+  "es-ES": { label: "Spain", example: "1.234,56 · 03/04 = 3 April", decimalComma: true, dayFirst: true },
+};
+
+/**
+ * Conventions of a locale, falling back to the default for unknown codes.
+ * @param {string} locale - Locale code, e.g. "de-DE"
+ * @returns {{label: string, example: string, decimalComma: boolean, dayFirst: boolean}}
+ */
+export function localeConventions(locale) {
+  return LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Rewrites numbers written with a decimal comma into the decimal-point form the amount
+ * patterns understand, so "12,50" becomes "12.50" and "1.234,56" (or "1 234,56" with
+ * a non-breaking space) becomes "1234.56". Text in a decimal-point locale is returned unchanged.
+ *
+ * A comma followed by a space ("12, 50") separates two numbers and is left alone.
+ *
+ * @param {string} text - Text containing amounts
+ * @param {string} locale - Locale code
+ * @returns {string}
+ *
+ * @example
+ * normalizeDecimalSeparators("charge 12,50 euros", "de-DE")
+ * // Returns: "charge 12.50 euros"
+ */
+export function normalizeDecimalSeparators(text, locale) {
+  if (!text) return "";
+  if (!localeConventions(locale).decimalComma) return text;
+
+  return text
+    // Grouped thousands, optionally with decimals: "1.234,56", "1 234", "12.000"
+    .replace(/\b\d{1,3}(?:[.\u00a0\u202f]\d{3})+(?:,\d+)?\b/g, (match) =>
+      // A single dot group with no comma ("4.500") is still thousands in these locales
+      match.replace(/[.\u00a0\u202f]/g, "").replace(",", ".")
+    )
+    // Plain decimal comma: "12,50", "0,99"
+    .replace(/\b(\d+),(\d+)\b/g, "$1.$2");
+}
@@ -0,0 +1,410 @@
+/**
+ * Natural language parsing - A keyword-free fallback for parsingLogic.
+ * The keyword grammar expects "charge ... category ... description ..." in that order;
+ * this parser instead finds the amount, account, category, date and merchant anywhere
+ * in a free-form sentence such as
+ * "I spent 30 bucks at Target on my Amex for household stuff yesterday".
+ */
+
+import {
+  buildExpenseRecordFromTranscript,
+  computeNeedsReview,
+  containsTriggerKeyword,
+  convertToHomeCurrency,
+  getParseContext,
+  localizeNumbers,
+  normalizeLanguage,
+  matchAgainstAccounts,
+  matchAgainstCategories,
+  matchCustomFieldClauses,
+  matchExpenseAmount,
+  matchTagsClause,
+  signAmount,
+  suggestFromHistory,
+  textSpan,
+  traceStep,
+  TRANSACTION_TYPES,
+  withAmountExpression,
+} from "./parsingLogic";
+import { replaceNumberWords } from "./numberWords";
+import { CURRENCY_SYMBOL_PATTERN, CURRENCY_WORD_PATTERN } from "./currency";
+
+// Words that introduce an account or category phrase ("on my Amex", "for groceries")
+const CUE_WORDS = new Set(["on", "with", "using", "to", "via", "for", "under", "into"]);
+
+// Words skipped between a cue and the phrase it introduces
+const DETERMINERS = new Set(["my", "the", "our", "a", "an", "some"]);
+
+// Words that end a cued phrase
+const BOUNDARY_WORDS = new Set(["at", "from", "and", "i", "we"]);
+
+// Spoken filler that never belongs in the description
+const FILLER_WORDS = new Set([
+  "i", "we", "just", "spent", "paid", "bought", "charged", "put", "got", "received", "it", "so",
+  "um", "uh",
+]);
+
+// Maximum number of words in a cued phrase
+const MAX_PHRASE_WORDS = 4;
+
+const WEEKDAYS = "monday|tuesday|wednesday|thursday|friday|saturday|sunday";
+const MONTHS =
+  "january|february|march|april|may|june|july|august|september|october|november|december|" +
+  "jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec";
+
+// Date phrases, removed before looking for the amount so "March 15" is not read as $15
+const DATE_PATTERNS = [
+  /\b(?:the\s+)?day\s+before\s+yesterday\b/gi,
+  /\b(?:yesterday|today)\b/gi,
+  /\b(?:\d+|a)\s+(?:days?|weeks?)\s+ago\b/gi,
+  new RegExp(`\\b(?:(?:on\\s+)?(?:last|this\\s+past|past)\\s+|on\\s+)?(?:${WEEKDAYS})\\b`, "gi"),
+  /\bon\s+the\s+(?:\d{1,2}(?:st|nd|rd|th)|first|second|third|[a-z]+th)\b/gi,
+  new RegExp(
+    `\\b(?:on\\s+)?(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`,
+    "gi"
+  ),
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})\\b(?:,?\\s+\\d{4})?`, "gi"),
+  /\b\d{4}-\d{1,2}-\d{1,2}\b/g,
+  /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
+  /\b\d{1,2}([-.])\d{1,2}\1\d{4}\b/g,
+];
+
+// Spoken money amounts ("$30", "30 bucks", "25 dollars and 40 cents", "99 cents", "€30", "45 euros")
+const NUMBER = "[\\d,]*\\d(?:\\.\\d{1,2})?";
+const AMOUNT_PATTERN = new RegExp(
+  [
+    `(?:\\$|${CURRENCY_SYMBOL_PATTERN})\\s?${NUMBER}`,
+    `\\b(?:${CURRENCY_WORD_PATTERN})\\s+${NUMBER}`,
+    `\\b${NUMBER}\\s*(?:${CURRENCY_SYMBOL_PATTERN}|\\b(?:dollars?|bucks?|${CURRENCY_WORD_PATTERN})\\b)(?:\\s+and\\s+\\d+\\s+cents?)?`,
+    "\\b\\d+\\s+cents?\\b",
+  ].join("|"),
+  "gi"
+);
+
+/**
+ * Whether a transcript uses the keyword grammar ("charge", "category", "description",
+ * or the synonyms configured for them in Settings).
+ * When it does not, the keyword extractors have nothing to anchor on and
+ * buildExpenseRecordFromNaturalSpeech should be used instead.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {boolean}
+ */
+export function usesKeywordGrammar(transcript, context = getParseContext()) {
+  return containsTriggerKeyword(transcript, context);
+}
+
+/**
+ * Builds an expense record from free-form speech, without relying on keywords.
+ *
+ * LOGIC OVERVIEW:
+ * 1. Date phrases ("yesterday", "last Friday", "on March 3rd") are found and set aside
+ * 2. The amount is taken from the remaining text (any format extractExpenseAmount accepts,
+ *    including other currencies, which are converted like in the keyword parser, and
+ *    arithmetic such as "plus 20 percent tip", which is also kept in the description)
+ * 3. The merchant (or, for income, the payer) is taken from "at/from X" phrases
+ *    (see extractMerchant)
+ * 4. Every phrase introduced by a cue word ("on my Amex", "with Chase Sapphire",
+ *    "for household stuff") is scored against the account list and the category list;
+ *    the best-scoring phrase wins each field. Income ("Received $2,500 paycheck into
+ *    Chase checking") is scored against the income categories instead
+ * 5. Whatever words are left over, minus filler ("I spent"), a spoken tags clause
+ *    (see extractTags) and spoken custom fields (see extractCustomFields), become the description
+ *
+ * The record has the same shape as buildExpenseRecordFromTranscript, including
+ * confidence scores and the needs_review flag, and the same optional parse trace; the
+ * spans of the account, category and amount steps refer to the transcript with number
+ * words written as digits.
+ *
+ * @param {string} rawTranscript - The full transcript text, in any supported language
+ * @param {Date} [now] - Reference "current" date for relative dates
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Attach a parse trace to the record (default false)
+ * @param {Object} [options.context] - Parse context (see createParseContext); defaults to
+ *   the one loaded by loadConfigLists
+ * @returns {Object} - The expense record
+ *
+ * @example
+ * buildExpenseRecordFromNaturalSpeech("I spent 30 bucks at Target on my Amex for household stuff yesterday")
+ * // Returns: { date: <yesterday>, card_name: "Amex blue cash preferred", expense_amount: "30.00",
+ * //            expense_category: "Household essentials", description: "household stuff",
+ * //            merchant: "Target", ... }
+ */
+export function buildExpenseRecordFromNaturalSpeech(rawTranscript, now = new Date(), options = {}) {
+  // Spanish or Chinese vocabulary is rewritten into English first (see normalizeLanguage)
+  const context = options.context || getParseContext();
+  const transcript = normalizeLanguage(rawTranscript, context);
+
+  // Date, merchant and transaction type do not depend on keywords, so the keyword
+  // parser's values are reused
+  const base = buildExpenseRecordFromTranscript(transcript || "", now, { ...options, context });
+  const trace = base.trace ? base.trace.fields : null;
+
+  // Transfers name both accounts with "from" and "to", which the keyword parser
+  // already reads without keywords (see extractTransferAccounts)
+  if (base.transaction_type === TRANSACTION_TYPES.TRANSFER) return base;
+  const text = localizeNumbers(replaceNumberWords(transcript || ""), context);
+  const tokens = tokenize(text);
+
+  for (const pattern of DATE_PATTERNS) {
+    consumeMatches(tokens, text, pattern);
+  }
+
+  // "tags reimbursable and Hawaii trip" labels the record; base.tags already has them
+  const tagsClause = matchTagsClause(text, context);
+  if (tagsClause) {
+    consumeTextRange(tokens, tagsClause.start, tagsClause.end);
+  }
+  // Likewise "project Alpha" fills a custom field (base.custom_fields)
+  for (const clause of matchCustomFieldClauses(text, context)) {
+    consumeTextRange(tokens, clause.start, clause.end);
+  }
+
+  // The text's numbers are already in decimal-point form (localizeNumbers above)
+  const amount = matchExpenseAmount(unconsumedText(tokens), trace, context, true);
+  const money = convertToHomeCurrency(amount.value, amount.currency, context);
+  if (amount.expression) {
+    consumeMatches(tokens, text, phrasePattern(amount.expression));
+  }
+  if (money.expense_amount) {
+    consumeMatches(tokens, text, AMOUNT_PATTERN);
+  }
+
+  if (base.merchant) {
+    consumeMatches(tokens, text, merchantPhrasePattern(base.merchant));
+  }
+
+  const phrases = cuedPhrases(tokens);
+
+  const matchAccount = (phraseText) => matchAgainstAccounts(phraseText, context);
+  const cardPhrase = bestPhrase(phrases, matchAccount);
+  const cardName = cardPhrase ? cardPhrase.match : matchAccount(transcript || "");
+  tracePhrase(trace, "card_name", tokens, text, cardPhrase, cardName);
+  if (cardPhrase) {
+    consumeRange(tokens, cardPhrase.cueIndex, cardPhrase.end);
+  }
+
+  const matchCategory = (phraseText) =>
+    matchAgainstCategories(phraseText, base.transaction_type, context);
+  const categoryPhrase = bestPhrase(
+    phrases.filter((phrase) => phrase !== cardPhrase),
+    matchCategory
+  );
+  const expenseCategory = categoryPhrase
+    ? categoryPhrase.match
+    : matchCategory(transcript || "");
+  tracePhrase(trace, "expense_category", tokens, text, categoryPhrase, expenseCategory);
+  if (categoryPhrase) {
+    // Only the cue is consumed; "household stuff" still describes the purchase
+    consumeRange(tokens, categoryPhrase.cueIndex, categoryPhrase.cueIndex);
+  }
+
+  const leftover = leftoverDescription(tokens);
+  traceStep(trace, "description", {
+    branch: "words no other field claimed",
+    span: null,
+    segment: leftover,
+    candidates: [],
+    value: leftover,
+  });
+
+  const record = {
+    ...base,
+    card_name: cardName.value || "",
+    expense_amount: signAmount(money.expense_amount, base.transaction_type),
+    currency: money.currency,
+    original_amount: signAmount(money.original_amount, base.transaction_type),
+    expense_category: expenseCategory.value || "",
+    description: withAmountExpression(leftover, amount.expression),
+    card_candidates: cardName.candidates.length > 1 ? cardName.candidates : [],
+    confidence: {
+      ...base.confidence,
+      card_name: cardName.score,
+      expense_amount: money.expense_amount ? 1 : 0,
+      expense_category: expenseCategory.score,
+      category_unmatched: false,
+      currency_unconverted: !money.converted,
+      category_suggested: false,
+      card_suggested: false,
+    },
+  };
+  suggestFromHistory(
+    record,
+    trace,
+    { card_name: !cardPhrase, expense_category: !categoryPhrase },
+    context
+  );
+  record.needs_review = computeNeedsReview(record);
+  return record;
+}
+
+/**
+ * Splits text into word tokens that remember their position in the text.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const wordRegex = /\S+/g;
+  let match;
+  while ((match = wordRegex.exec(text)) !== null) {
+    tokens.push({
+      raw: match[0].replace(/^[^\w$]+|[^\w%'$]+$/g, ""),
+      word: match[0].toLowerCase().replace(/^[^\w$]+|[^\w%'$]+$/g, ""),
+      start: match.index,
+      end: match.index + match[0].length,
+      endsClause: /[.,;!?]$/.test(match[0]),
+      consumed: false,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Marks every token overlapping a match of the pattern as consumed.
+ */
+function consumeMatches(tokens, text, pattern) {
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    for (const token of tokens) {
+      if (token.start < end && token.end > start) token.consumed = true;
+    }
+    if (!pattern.global) break;
+  }
+}
+
+/**
+ * Marks every token overlapping text[start, end) as consumed.
+ */
+function consumeTextRange(tokens, start, end) {
+  for (const token of tokens) {
+    if (token.start < end && token.end > start) token.consumed = true;
+  }
+}
+
+function consumeRange(tokens, from, to) {
+  for (let i = from; i <= to; i++) tokens[i].consumed = true;
+}
+
+function unconsumedText(tokens) {
+  return tokens
+    .filter((token) => !token.consumed)
+    .map((token) => token.raw)
+    .join(" ");
+}
+
+/**
+ * Matches a phrase taken from the text, whatever punctuation separates its words.
+ */
+function phrasePattern(phrase) {
+  const words = phrase.split(/\s+/).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(words.join("[\\s,]+"), "gi");
+}
+
+function merchantPhrasePattern(merchant) {
+  const escaped = merchant.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`\\b(?:at|from)\\s+(?:the\\s+)?${escaped}`, "gi");
+}
+
+/**
+ * Collects the phrases introduced by cue words ("on my Amex" → "Amex").
+ * A phrase ends at another cue, an already consumed word, a clause break or
+ * after MAX_PHRASE_WORDS words.
+ * @returns {{cueIndex: number, end: number, text: string}[]}
+ */
+function cuedPhrases(tokens) {
+  const phrases = [];
+  tokens.forEach((token, cueIndex) => {
+    if (token.consumed || token.endsClause || !CUE_WORDS.has(token.word)) return;
+
+    let start = cueIndex + 1;
+    while (start < tokens.length && !tokens[start].consumed && DETERMINERS.has(tokens[start].word)) {
+      start += 1;
+    }
+
+    const words = [];
+    let end = cueIndex;
+    for (let i = start; i < tokens.length && words.length < MAX_PHRASE_WORDS; i++) {
+      const next = tokens[i];
+      if (next.consumed || CUE_WORDS.has(next.word) || BOUNDARY_WORDS.has(next.word)) break;
+      words.push(next.raw);
+      end = i;
+      if (next.endsClause) break;
+    }
+
+    if (words.length) {
+      phrases.push({ cueIndex, end, text: words.join(" ") });
+    }
+  });
+  return phrases;
+}
+
+/**
+ * Scores each phrase with the given matcher and returns the best match (first wins ties).
+ * @returns {{cueIndex: number, end: number, text: string, match: Object}|null}
+ */
+function bestPhrase(phrases, matcher) {
+  let best = null;
+  for (const phrase of phrases) {
+    const match = matcher(phrase.text);
+    if (match.value && (!best || match.score > best.match.score)) {
+      best = { ...phrase, match };
+    }
+  }
+  return best;
+}
+
+/**
+ * Records in the parse trace which cued phrase a field was matched from, or that
+ * no phrase matched and the whole transcript was scored instead.
+ */
+function tracePhrase(trace, field, tokens, text, phrase, match) {
+  if (!trace) return;
+  const span = phrase
+    ? textSpan(text, tokens[phrase.cueIndex].start, tokens[phrase.end].end)
+    : textSpan(text, 0, text.length);
+  traceStep(trace, field, {
+    branch: phrase ? "cued phrase" : "no cued phrase matched, scored the whole transcript",
+    span,
+    segment: phrase ? phrase.text : text,
+    candidates: match.scores || [],
+    value: match.value,
+  });
+}
+
+/**
+ * Joins the words no field claimed into a description, dropping filler words
+ * and cue words left dangling at the edges of each fragment.
+ */
+function leftoverDescription(tokens) {
+  const fragments = [];
+  let current = [];
+  const closeFragment = () => {
+    while (current.length && isEdgeWord(current[0])) current.shift();
+    while (current.length && isEdgeWord(current[current.length - 1])) current.pop();
+    if (current.length) fragments.push(current.map((token) => token.raw).join(" "));
+    current = [];
+  };
+
+  for (const token of tokens) {
+    if (token.consumed) {
+      closeFragment();
+      continue;
+    }
+    if (!token.raw || FILLER_WORDS.has(token.word)) continue;
+    current.push(token);
+  }
+  closeFragment();
+
+  return fragments.join(" ");
+}
+
+function isEdgeWord(token) {
+  return (
+    CUE_WORDS.has(token.word) ||
+    DETERMINERS.has(token.word) ||
+    BOUNDARY_WORDS.has(token.word)
+  );
+}
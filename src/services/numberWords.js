@@ -0,0 +1,290 @@
+/**
+ * Number word parsing - Converts spelled-out English numbers into digits.
+ * Speech engines often return "twenty five dollars and forty cents" instead of
+ * "$25.40", so the amount extractor rewrites number words before matching.
+ */
+
+const UNITS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+};
+
+const TEENS = {
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+};
+
+const TENS = {
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+};
+
+const SCALES = {
+  thousand: 1000,
+  million: 1000000,
+};
+
+// Words that, when they follow a number, mark it as a whole-dollar amount
+const DOLLAR_WORDS = ["dollar", "dollars", "buck", "bucks"];
+
+/**
+ * Classifies a single lowercase word.
+ * @returns {{kind: string, value: number}|null}
+ */
+function classifyWord(word) {
+  if (word in UNITS) return { kind: "unit", value: UNITS[word] };
+  if (word in TEENS) return { kind: "teen", value: TEENS[word] };
+  if (word in TENS) return { kind: "tens", value: TENS[word] };
+  if (word === "hundred") return { kind: "hundred", value: 100 };
+  if (word in SCALES) return { kind: "scale", value: SCALES[word] };
+  return null;
+}
+
+/**
+ * Whether a word of the given kind can continue the number built so far.
+ * "twenty five" continues, but "one fifty" or "twelve ninety nine" start a
+ * new group (informal price reading).
+ */
+function continuesNumber(lastKind, kind) {
+  if (lastKind === null || lastKind === "hundred" || lastKind === "scale") {
+    return true;
+  }
+  if (kind === "hundred" || kind === "scale") return true;
+  if (lastKind === "tens") return kind === "unit";
+  // After a unit or a teen, only a multiplier can follow
+  return false;
+}
+
+/**
+ * Parses a list of number words into groups of values.
+ * A standard compound ("two thousand five hundred and six") produces one group;
+ * an informal reading ("one fifty") produces one group per spoken part.
+ * @param {string[]} words - Lowercase number words ("and" / "a" already validated)
+ * @returns {number[]}
+ */
+function parseWordGroups(words) {
+  const groups = [];
+  let total = 0;
+  let current = 0;
+  let lastKind = null;
+
+  const closeGroup = () => {
+    if (lastKind !== null) groups.push(total + current);
+    total = 0;
+    current = 0;
+    lastKind = null;
+  };
+
+  for (const word of words) {
+    if (word === "and") continue;
+    const info = word === "a" ? { kind: "unit", value: 1 } : classifyWord(word);
+    if (!info) continue;
+
+    if (!continuesNumber(lastKind, info.kind)) {
+      closeGroup();
+    }
+
+    if (info.kind === "hundred") {
+      current = (current || 1) * 100;
+    } else if (info.kind === "scale") {
+      total += (current || 1) * info.value;
+      current = 0;
+    } else {
+      current += info.value;
+    }
+    lastKind = info.kind;
+  }
+  closeGroup();
+
+  return groups;
+}
+
+/**
+ * Turns parsed groups into a single numeric value.
+ *
+ * Two groups where the second is two digits are read informally:
+ * - followed by a dollar word: "one fifty dollars" → 150
+ * - otherwise as dollars and cents: "one fifty" → 1.50, "twelve ninety nine" → 12.99
+ *
+ * @returns {{value: number, isPrice: boolean}|null}
+ */
+function combineGroups(groups, followedByDollarWord) {
+  if (groups.length === 1) {
+    return { value: groups[0], isPrice: false };
+  }
+  if (groups.length === 2 && groups[0] > 0 && groups[1] >= 10 && groups[1] <= 99) {
+    if (followedByDollarWord) {
+      return { value: groups[0] * 100 + groups[1], isPrice: false };
+    }
+    return { value: groups[0] + groups[1] / 100, isPrice: true };
+  }
+  return null;
+}
+
+/**
+ * Parses a phrase made up entirely of English number words.
+ *
+ * SUPPORTED FORMS:
+ * - Compounds: "twenty five" → 25, "two thousand five hundred" → 2500
+ * - "and" / "a": "a hundred and five" → 105
+ * - Hyphens: "forty-two" → 42
+ * - Informal prices: "one fifty" → 1.5, "twelve ninety nine" → 12.99
+ *
+ * @param {string} text - The phrase to parse
+ * @returns {number|null} - The numeric value, or null if the phrase is not a number
+ *
+ * @example
+ * parseNumberWords("a hundred and five")
+ * // Returns: 105
+ */
+export function parseNumberWords(text) {
+  if (!text) return null;
+  const words = text.toLowerCase().split(/[\s-]+/).filter(Boolean);
+  if (!words.length) return null;
+
+  for (let i = 0; i < words.length; i++) {
+    if (!isNumberWordAt(words, i)) return null;
+  }
+
+  const combined = combineGroups(parseWordGroups(words), false);
+  return combined ? combined.value : null;
+}
+
+/**
+ * Whether words[i] belongs to a run of number words.
+ * "a" only counts before "hundred"/"thousand"/"million" ("a hundred"),
+ * and "and" only joins a multiplier to a following number ("hundred and five").
+ */
+function isNumberWordAt(words, i) {
+  const word = words[i];
+  if (word === "a") {
+    const next = words[i + 1];
+    return next === "hundred" || next in SCALES;
+  }
+  if (word === "and") {
+    const prev = words[i - 1];
+    const next = words[i + 1];
+    const prevIsMultiplier = prev === "hundred" || prev in SCALES;
+    return prevIsMultiplier && !!next && classifyWord(next) !== null;
+  }
+  return classifyWord(word) !== null;
+}
+
+/**
+ * Whether the word at w belongs to a capitalised name such as "Capital One": it is
+ * capitalised and follows a capitalised word, so it is not read as a number (otherwise
+ * "Capital One thirty dollars" would become "Capital 130 dollars").
+ */
+function isPartOfName(tokens, wordPositions, w) {
+  if (w === 0) return false;
+  const word = tokens[wordPositions[w]];
+  const previous = tokens[wordPositions[w - 1]];
+  return (
+    /^[A-Z]/.test(word) &&
+    /^[A-Z]/.test(previous) &&
+    /^[ \t]+$/.test(tokens[wordPositions[w] - 1])
+  );
+}
+
+function formatNumber(value, isPrice) {
+  if (isPrice) {
+    // Emitted with "$" so the amount extractor reads it as a price
+    return `$${value.toFixed(2)}`;
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Replaces every run of English number words in a text with digits,
+ * leaving all other text untouched.
+ *
+ * @param {string} text - Text that may contain spelled-out numbers
+ * @returns {string} - The same text with numbers written as digits
+ *
+ * @example
+ * replaceNumberWords("twenty five dollars and forty cents")
+ * // Returns: "25 dollars and 40 cents"
+ *
+ * @example
+ * replaceNumberWords("a hundred and five bucks")
+ * // Returns: "105 bucks"
+ *
+ * @example
+ * replaceNumberWords("coffee was one fifty")
+ * // Returns: "coffee was $1.50"
+ */
+export function replaceNumberWords(text) {
+  if (!text) return "";
+
+  // Split into word tokens and the separators between them (kept verbatim)
+  const tokens = text.match(/[A-Za-z]+|[^A-Za-z]+/g) || [];
+  const wordPositions = [];
+  tokens.forEach((token, index) => {
+    if (/^[A-Za-z]/.test(token)) wordPositions.push(index);
+  });
+  const lowerWords = wordPositions.map((index) => tokens[index].toLowerCase());
+
+  const output = [];
+  let tokenCursor = 0;
+  let w = 0;
+
+  while (w < lowerWords.length) {
+    if (!isNumberWordAt(lowerWords, w) || lowerWords[w] === "and" || isPartOfName(tokens, wordPositions, w)) {
+      w += 1;
+      continue;
+    }
+
+    // Collect a run of number words joined only by spaces or hyphens
+    let end = w;
+    while (
+      end + 1 < lowerWords.length &&
+      /^[\s-]+$/.test(tokens[wordPositions[end] + 1] || "") &&
+      isNumberWordAt(lowerWords, end + 1)
+    ) {
+      end += 1;
+    }
+    // A run never ends on a dangling "and"
+    while (end > w && lowerWords[end] === "and") end -= 1;
+
+    const runWords = lowerWords.slice(w, end + 1);
+    const nextWord = lowerWords[end + 1];
+    const combined = combineGroups(
+      parseWordGroups(runWords),
+      DOLLAR_WORDS.includes(nextWord)
+    );
+
+    if (combined) {
+      const runStart = wordPositions[w];
+      const runEnd = wordPositions[end];
+      output.push(tokens.slice(tokenCursor, runStart).join(""));
+      output.push(formatNumber(combined.value, combined.isPrice));
+      tokenCursor = runEnd + 1;
+    }
+    w = end + 1;
+  }
+
+  output.push(tokens.slice(tokenCursor).join(""));
+  return output.join("");
+}
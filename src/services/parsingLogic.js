@@ -3,133 +3,1677 @@
  * These functions extract structured data from transcribed text.
  */
 
-import { getAccountNames, getExpenseCategories } from "./configService";
+import {
+  getAccountNames,
+  getExpenseCategories,
+  getIncomeCategories,
+  getAccountAliases,
+  getCategoryAliases,
+  getFuzzyMatchThreshold,
+  getTriggerKeywords,
+  getHomeCurrency,
+  getExchangeRates,
+  getSalesTaxRate,
+  getTags,
+  getLocale,
+  getLanguage,
+  getClassifierModel,
+  getCustomFields,
+} from "./configService";
+import { parseNumberWords, replaceNumberWords } from "./numberWords";
+import {
+  DEFAULT_FUZZY_THRESHOLD,
+  compactPhraseScore,
+  fuzzyTokenScore,
+} from "./fuzzyMatching";
+import {
+  DEFAULT_HOME_CURRENCY,
+  convertAmount,
+  detectCurrency,
+  normalizeCurrencyMarkers,
+} from "./currency";
+import { DEFAULT_SALES_TAX_RATE, evaluateAmountExpression } from "./amountExpressions";
+import { DEFAULT_LOCALE, localeConventions, normalizeDecimalSeparators } from "./locale";
+import { AUTO_LANGUAGE, detectLanguage, normalizeVocabulary } from "./languagePacks";
+import { DEFAULT_TRIGGER_KEYWORDS } from "./triggerKeywords";
+import { classify } from "./classifier";
 
-// Cached lists (loaded from AsyncStorage)
-let cachedAccountNames = null;
-let cachedExpenseCategories = null;
+// The configuration the extractors read, loaded from AsyncStorage (see getParseContext)
+let cachedContext = null;
 
 /**
- * Load account names and expense categories from storage
- * Call this at app startup to cache the lists
+ * Builds a parse context: everything the extractors read besides the transcript itself.
+ * Any setting left out gets its default (empty lists, the default keywords, currency,
+ * sales tax rate, locale and language, no classifier and no custom fields), so tests and
+ * callers can pass just what they need:
+ *
+ * - accountNames, expenseCategories, incomeCategories, tags: string[]
+ * - accountAliases, categoryAliases: { canonical name: spoken aliases }
+ * - fuzzyThreshold: number (see fuzzyMatching.js)
+ * - triggerKeywords: { group: words } (groups not given keep their default words)
+ * - homeCurrency: string, exchangeRates: { code: value in the home currency }
+ * - salesTaxRate: number (percent), locale: string, language: string
+ * - classifier: { category, account } models (see classifier.js), or null
+ * - customFields: custom field definitions (see customFields.js)
+ *
+ * @param {Object} [config] - Settings to use
+ * @returns {Object} - The parse context
+ *
+ * @example
+ * buildExpenseRecordFromTranscript("Charge $12 to Chase Sapphire", new Date(), {
+ *   context: createParseContext({ accountNames: ["Chase Sapphire"] }),
+ * })
+ */
+export function createParseContext(config = {}) {
+  return {
+    accountNames: config.accountNames || [],
+    expenseCategories: config.expenseCategories || [],
+    incomeCategories: config.incomeCategories || [],
+    accountAliases: config.accountAliases || {},
+    categoryAliases: config.categoryAliases || {},
+    fuzzyThreshold: config.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD,
+    triggerKeywords: { ...DEFAULT_TRIGGER_KEYWORDS, ...(config.triggerKeywords || {}) },
+    homeCurrency: config.homeCurrency || DEFAULT_HOME_CURRENCY,
+    exchangeRates: config.exchangeRates || {},
+    salesTaxRate: config.salesTaxRate ?? DEFAULT_SALES_TAX_RATE,
+    tags: config.tags || [],
+    locale: config.locale || DEFAULT_LOCALE,
+    language: config.language || AUTO_LANGUAGE,
+    classifier: config.classifier || null,
+    customFields: config.customFields || [],
+  };
+}
+
+/**
+ * Load account names, expense and income categories, their aliases, matching settings,
+ * trigger keywords, currency settings, the sales tax rate, tags, the locale, the
+ * transcript language, the classifier and the custom fields from storage
+ * Call this at app startup to cache them as the parse context (see getParseContext)
  */
 export async function loadConfigLists() {
   try {
-    [cachedAccountNames, cachedExpenseCategories] = await Promise.all([
+    const [
+      accountNames,
+      expenseCategories,
+      incomeCategories,
+      accountAliases,
+      categoryAliases,
+      fuzzyThreshold,
+      triggerKeywords,
+      homeCurrency,
+      exchangeRates,
+      salesTaxRate,
+      tags,
+      locale,
+      language,
+      classifier,
+      customFields,
+    ] = await Promise.all([
       getAccountNames(),
       getExpenseCategories(),
+      getIncomeCategories(),
+      getAccountAliases(),
+      getCategoryAliases(),
+      getFuzzyMatchThreshold(),
+      getTriggerKeywords(),
+      getHomeCurrency(),
+      getExchangeRates(),
+      getSalesTaxRate(),
+      getTags(),
+      getLocale(),
+      getLanguage(),
+      getClassifierModel(),
+      getCustomFields(),
     ]);
+    cachedContext = createParseContext({
+      accountNames,
+      expenseCategories,
+      incomeCategories,
+      accountAliases,
+      categoryAliases,
+      fuzzyThreshold,
+      triggerKeywords,
+      homeCurrency,
+      exchangeRates,
+      salesTaxRate,
+      tags,
+      locale,
+      language,
+      classifier,
+      customFields,
+    });
   } catch (error) {
     console.error("Error loading config lists:", error);
-    // Fallback to empty arrays if loading fails
-    cachedAccountNames = [];
-    cachedExpenseCategories = [];
+    // Fallback to empty lists and default settings if loading fails
+    cachedContext = createParseContext();
   }
 }
 
 /**
- * Get cached account names (synchronous)
- * Returns empty array if not loaded yet
+ * The parse context loaded by loadConfigLists (synchronous), used by every extractor
+ * that is not given a context of its own. Returns the defaults if not loaded yet.
+ * @returns {Object}
  */
-function getCachedAccountNames() {
-  return cachedAccountNames || [];
+export function getParseContext() {
+  return cachedContext || createParseContext();
 }
 
 /**
- * Get cached expense categories (synchronous)
- * Returns empty array if not loaded yet
+ * Rewrites amounts written in the configured locale's number format ("12,50" with a
+ * decimal comma) into the decimal-point form the amount patterns expect.
+ * @param {string} text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string}
  */
-function getCachedExpenseCategories() {
-  return cachedExpenseCategories || [];
+export function localizeNumbers(text, context = getParseContext()) {
+  return normalizeDecimalSeparators(text, context.locale);
 }
 
 /**
- * Refresh the cached lists from storage
+ * Rewrites a transcript in another language into the English vocabulary the extractors
+ * understand (see normalizeVocabulary). The language comes from the language setting, or
+ * is detected from the transcript when set to "auto"; English text is returned unchanged.
+ * @param {string} transcript
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string}
+ */
+export function normalizeLanguage(transcript, context = getParseContext()) {
+  if (!transcript) return "";
+  const setting = context.language;
+  const language = setting === AUTO_LANGUAGE ? detectLanguage(transcript) : setting;
+  const keywords = {};
+  for (const [group, words] of Object.entries(context.triggerKeywords)) {
+    const first = words.find((keyword) => keyword && keyword.trim());
+    if (first) keywords[group] = first.trim();
+  }
+  return normalizeVocabulary(transcript, language, keywords);
+}
+
+/**
+ * Keyword group of a custom field, next to the trigger keyword groups (see findKeyword)
+ */
+function customFieldGroup(field) {
+  return `custom:${field.name}`;
+}
+
+/**
+ * The trigger keyword groups plus one group per custom field
+ */
+function keywordGroups(context) {
+  const groups = { ...context.triggerKeywords };
+  for (const field of context.customFields) {
+    groups[customFieldGroup(field)] = field.keywords;
+  }
+  return groups;
+}
+
+/**
+ * Adds the custom field groups to a list of keyword groups, so that a spoken custom
+ * field ends the clause before it like any other keyword.
+ */
+function withCustomFieldGroups(groups, context) {
+  return [...groups, ...context.customFields.map(customFieldGroup)];
+}
+
+/**
+ * Refresh the cached parse context from storage
  */
 export async function refreshConfigLists() {
   await loadConfigLists();
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Finds the first spoken trigger keyword of a group at or after fromIndex.
+ * Keywords match whole words, case-insensitively; a following "is" belongs to the
+ * keyword ("category is", "description is"). A tags keyword inside the sentence of a
+ * description or merchant clause is part of it ("Description is price tag sticker")
+ * unless a comma comes right before it ("Description is lunch, tags business").
+ *
+ * @param {string} text - The transcript
+ * @param {string} group - "charge", "account", "category", "description", "merchant", "tags"
+ *   or a custom field's group (see customFieldGroup)
+ * @param {Object} context - Parse context (see createParseContext)
+ * @param {number} [fromIndex] - Where to start searching
+ * @returns {{start: number, end: number}|null} - Offsets of the keyword, or null if not spoken
+ */
+function findKeyword(text, group, context, fromIndex = 0) {
+  let found = null;
+  for (const keyword of keywordGroups(context)[group] || []) {
+    if (!keyword || !keyword.trim()) continue;
+    const regex = new RegExp(`\\b${escapeRegExp(keyword.trim())}\\b(?:\\s+is\\b)?`, "gi");
+    regex.lastIndex = fromIndex;
+    let match = regex.exec(text);
+    while (match && group === "tags" && isTagsKeywordInFreeText(text, match.index, context)) {
+      match = regex.exec(text);
+    }
+    if (match && (!found || match.index < found.start)) {
+      found = { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return found;
+}
+
+function isTagsKeywordInFreeText(text, index, context) {
+  return (
+    !/,\s*$/.test(text.substring(0, index)) &&
+    isInFreeTextClause(text, index, context, ["description", "merchant"])
+  );
+}
+
+/**
+ * Finds the earliest keyword of any of the given groups at or after fromIndex.
+ * @returns {{start: number, end: number}|null}
+ */
+function findFirstKeyword(text, groups, context, fromIndex = 0) {
+  let found = null;
+  for (const group of groups) {
+    const match = findKeyword(text, group, context, fromIndex);
+    if (match && (!found || match.start < found.start)) found = match;
+  }
+  return found;
+}
+
+/**
+ * Whether a transcript contains any charge, category or description keyword,
+ * i.e. whether the keyword grammar has anything to anchor on.
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {boolean}
+ */
+export function containsTriggerKeyword(transcript, context = getParseContext()) {
+  return !!findFirstKeyword(
+    normalizeLanguage(transcript, context),
+    ["charge", "category", "description"],
+    context
+  );
+}
+
+/**
+ * Whether a word is one of the configured trigger keywords (any group, custom fields included).
+ */
+function isTriggerKeyword(word, context) {
+  const lower = word.toLowerCase();
+  return Object.values(keywordGroups(context)).some((keywords) =>
+    keywords.some((keyword) => keyword && keyword.trim().toLowerCase() === lower)
+  );
+}
+
+// Records with a field scored below this are flagged for review
+export const REVIEW_CONFIDENCE_THRESHOLD = 0.6;
+
+/*
+ * EXTRACTORS
+ * A record is parsed by a pipeline of extractors run in order (see runExtractors).
+ * Each extractor is an object:
+ * - name: the key of its result, and the record field a registered extractor fills
+ * - segment(transcript, state): the part of the transcript it reads,
+ *   `{ start, end, text, keyword? }` (keyword = `{ start, end }` of the word that anchored it),
+ *   or null when nothing anchors it (optional)
+ * - parse(segment, state): its result
+ * - confidence(result, state): a 0..1 score for the result, or null when it has none (optional)
+ *
+ * `state` is shared by the whole run: `{ transcript, now, context, trace, results,
+ * confidence, consumed }`. `results` and `confidence` hold what the earlier extractors
+ * produced, by name, and `consumed` lists the span (keyword included) of every segment
+ * found so far as `{ name, start, end }` (see consumedBy).
+ */
+
+const BUILT_IN_EXTRACTORS = [
+  {
+    name: "date",
+    parse: (segment, state) => matchDate(state.transcript, state.now, state.trace, state.context),
+  },
+  {
+    name: "transaction_type",
+    parse: (segment, state) => extractTransactionType(state.transcript, state.context),
+  },
+  {
+    // The two accounts of a transfer or card payment; null for any other type
+    name: "transfer",
+    parse: (segment, state) => {
+      if (state.results.transaction_type !== TRANSACTION_TYPES.TRANSFER) return null;
+      const transfer = matchTransferAccounts(state.transcript, state.context);
+      traceMatch(state.trace, "card_name", "transfer, account after \"from\"", null, "", transfer.from);
+      traceMatch(state.trace, "transfer_to", "transfer, account after \"to\"", null, "", transfer.to);
+      return transfer;
+    },
+    confidence: (transfer) => (transfer ? transfer.to.score : null),
+  },
+  {
+    name: "card_name",
+    segment: (transcript, state) => chargeSegment(transcript, state.context),
+    parse: (segment, state) =>
+      state.results.transfer
+        ? state.results.transfer.from
+        : matchCardName(state.transcript, segment, state.trace, state.context),
+    confidence: (cardName) => cardName.score,
+  },
+  {
+    // The amount as spoken, plus `money`: the amount in the home currency
+    // (see convertToHomeCurrency)
+    name: "expense_amount",
+    segment: (transcript, state) => chargeSegment(transcript, state.context),
+    parse: (segment, state) => {
+      const amount = matchAmountInSegment(state.transcript, segment, state.trace, state.context);
+      return { ...amount, money: convertToHomeCurrency(amount.value, amount.currency, state.context) };
+    },
+    confidence: (amount) => (amount.money.expense_amount ? 1 : 0),
+  },
+  {
+    name: "expense_category",
+    segment: (transcript, state) => categorySegment(transcript, state.context),
+    parse: (segment, state) =>
+      state.results.transfer
+        ? { value: "", score: 0, unmatched: false }
+        : matchExpenseCategory(
+            state.transcript,
+            segment,
+            state.results.transaction_type,
+            state.trace,
+            state.context
+          ),
+    confidence: (category) => category.score,
+  },
+  {
+    // The spoken description, followed by the arithmetic of the amount if it had any
+    name: "description",
+    segment: (transcript, state) => descriptionSegment(transcript, state.context),
+    parse: (segment, state) =>
+      withAmountExpression(
+        matchDescription(state.transcript, segment, state.trace) || "",
+        state.results.expense_amount.expression
+      ),
+  },
+  {
+    name: "merchant",
+    segment: (transcript, state) => merchantSegment(transcript, state.context),
+    parse: (segment, state) =>
+      state.results.transfer ? "" : matchMerchant(state.transcript, segment, state.trace, state.context),
+  },
+  {
+    name: "tags",
+    segment: (transcript, state) => tagsSegment(transcript, state.context),
+    parse: (segment, state) => {
+      const tags = segment ? parseTags(segment.text, state.context) : [];
+      traceStep(state.trace, "tags", {
+        branch: segment ? "tags keyword" : "no tags keyword",
+        span: segment ? textSpan(state.transcript, segment.keyword.start, segment.end) : null,
+        segment: segment ? state.transcript.substring(segment.keyword.start, segment.end) : "",
+        candidates: [],
+        value: tags.join(", "),
+      });
+      return tags;
+    },
+  },
+];
+
+// Names of the built-in extractors and of the record fields they fill, which a
+// registered extractor cannot take
+const RESERVED_EXTRACTOR_NAMES = new Set([
+  ...BUILT_IN_EXTRACTORS.map((extractor) => extractor.name),
+  "transfer_to",
+  "currency",
+  "original_amount",
+  "custom_fields",
+  "card_candidates",
+  "transaction_id",
+  "confidence",
+  "needs_review",
+  "trace",
+]);
+
+// The registered pipeline, built-ins first (see registerExtractor)
+let registeredExtractors = [...BUILT_IN_EXTRACTORS];
+
+/**
+ * The extractor of one custom field (see customFields.js); its result is the clause from
+ * matchCustomFieldClauses, or null when the field was not spoken.
+ */
+function customFieldExtractor(field) {
+  const name = customFieldGroup(field);
+  return {
+    name,
+    segment: (transcript, state) => customFieldSegment(transcript, field, state.context),
+    parse: (segment, state) => {
+      const clause = matchCustomField(segment, field, state.context);
+      if (clause) {
+        traceStep(state.trace, name, {
+          branch: clause.unmatched
+            ? "custom field keyword, not an allowed value so the spoken text was kept"
+            : "custom field keyword",
+          span: textSpan(state.transcript, clause.start, clause.end),
+          segment: clause.segment,
+          candidates: clause.scores,
+          value: clause.value,
+        });
+      }
+      return clause;
+    },
+  };
+}
+
+/**
+ * Adds an extractor to the pipeline, or replaces the registered extractor with the same
+ * name. It runs after the built-in extractors (and the custom fields) unless placed
+ * before or after another one, and its result becomes the record field of its name.
+ *
+ * @param {{name: string, segment?: Function, parse: Function, confidence?: Function}} extractor
+ * @param {{before?: string, after?: string}} [position] - Name of the extractor to run
+ *   it before or after
+ * @throws {Error} If the extractor is malformed, takes a built-in name or the position
+ *   names no extractor
+ *
+ * @example
+ * registerExtractor({
+ *   name: "receipt",
+ *   segment: (transcript) => { ... },
+ *   parse: (segment) => !!segment,
+ * }, { after: "description" })
+ */
+export function registerExtractor(extractor, position = {}) {
+  if (!extractor || typeof extractor.name !== "string" || !extractor.name) {
+    throw new Error("An extractor needs a name");
+  }
+  const { name } = extractor;
+  if (RESERVED_EXTRACTOR_NAMES.has(name) || name.startsWith("custom:")) {
+    throw new Error(`"${name}" is a built-in extractor name`);
+  }
+  for (const method of ["segment", "parse", "confidence"]) {
+    const fn = extractor[method];
+    if ((method === "parse" || fn !== undefined) && typeof fn !== "function") {
+      throw new Error(`The "${name}" extractor's ${method} must be a function`);
+    }
+  }
+
+  const pipeline = registeredExtractors.filter((existing) => existing.name !== name);
+  const anchor = position.before || position.after;
+  let index = pipeline.length;
+  if (anchor) {
+    const at = pipeline.findIndex((existing) => existing.name === anchor);
+    if (at === -1) throw new Error(`There is no extractor named "${anchor}"`);
+    index = position.before ? at : at + 1;
+  }
+  pipeline.splice(index, 0, extractor);
+  registeredExtractors = pipeline;
+}
+
+/**
+ * Removes an extractor added with registerExtractor.
+ * @param {string} name
+ * @returns {boolean} - Whether it was registered
+ * @throws {Error} For a built-in extractor
+ */
+export function unregisterExtractor(name) {
+  if (RESERVED_EXTRACTOR_NAMES.has(name)) {
+    throw new Error(`"${name}" is a built-in extractor and cannot be removed`);
+  }
+  const before = registeredExtractors.length;
+  registeredExtractors = registeredExtractors.filter((extractor) => extractor.name !== name);
+  return registeredExtractors.length < before;
+}
+
+/**
+ * The pipeline in run order: the registered extractors with one extractor per custom
+ * field of the context inserted after the tags.
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {Object[]}
+ */
+export function getExtractors(context = getParseContext()) {
+  const tagsIndex = registeredExtractors.findIndex((extractor) => extractor.name === "tags");
+  return [
+    ...registeredExtractors.slice(0, tagsIndex + 1),
+    ...context.customFields.map(customFieldExtractor),
+    ...registeredExtractors.slice(tagsIndex + 1),
+  ];
+}
+
+/**
+ * Runs extractors over a transcript, in order.
+ *
+ * @param {string} transcript - The transcript, already normalized (see normalizeLanguage)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference "current" date for relative dates
+ * @param {Object} [options.context] - Parse context (default: the loaded one)
+ * @param {Object} [options.trace] - Parse trace fields to record the steps in
+ * @param {Object[]} [options.extractors] - The pipeline (default: getExtractors)
+ * @returns {Object} - The final state (see EXTRACTORS above)
+ */
+export function runExtractors(transcript, options = {}) {
+  const context = options.context || getParseContext();
+  const state = {
+    transcript,
+    now: options.now || new Date(),
+    context,
+    trace: options.trace || null,
+    results: {},
+    confidence: {},
+    consumed: [],
+  };
+  for (const extractor of options.extractors || getExtractors(context)) {
+    const segment = extractor.segment ? extractor.segment(transcript, state) : null;
+    if (segment) {
+      state.consumed.push({
+        name: extractor.name,
+        start: segment.keyword ? segment.keyword.start : segment.start,
+        end: segment.end,
+      });
+    }
+    const result = extractor.parse(segment, state);
+    state.results[extractor.name] = result;
+    state.confidence[extractor.name] = extractor.confidence
+      ? extractor.confidence(result, state)
+      : null;
+  }
+  return state;
+}
+
+/**
+ * Which earlier extractor consumed text overlapping start..end, if any.
+ * @param {Object} state - The state passed to an extractor (see runExtractors)
+ * @param {number} start
+ * @param {number} end
+ * @returns {string|null} - The extractor's name
+ */
+export function consumedBy(state, start, end) {
+  const span = state.consumed.find((consumed) => consumed.start < end && start < consumed.end);
+  return span ? span.name : null;
+}
+
 /**
  * Builds an expense record object from a transcript string.
+ *
+ * Besides the parsed fields, the record carries a `confidence` object:
+ * - card_name / expense_category: fuzzy match score (0..1, 1 = exact phrase match)
+ * - expense_amount: 1 if an amount pattern was found, otherwise 0
+ * - date_inferred: true when no date was spoken and it defaulted to today
+ * - category_unmatched: true when the category is raw spoken text not in the list
+ * - currency_unconverted: true when the amount is in a currency with no exchange rate
+ * - category_suggested / card_suggested: true when nothing was spoken for the field and it
+ *   was suggested from past records (see suggestFromHistory)
+ * - custom_unmatched: true when a custom field value is not one of its allowed values
+ * - tags_unmatched: true when a spoken tag is not in the managed tag list
+ * - extractors: scores of the registered extractors that have one (see registerExtractor),
+ *   present only when any were registered
+ * and a `needs_review` flag that is set when any field is low-confidence.
+ *
+ * Amounts spoken in another currency ("45 euros") keep their spoken value in
+ * `original_amount` and `currency`; `expense_amount` is converted to the home currency
+ * (see convertToHomeCurrency).
+ *
+ * `transaction_type` is "expense", "refund", "credit", "income" or "transfer" (see
+ * extractTransactionType); refunds and credits have negative amounts so that sheet totals
+ * stay correct. Income keeps a positive amount and its category is matched against the
+ * income categories instead. A transfer or card payment moves money from `card_name` to
+ * `transfer_to` (see extractTransferAccounts) and has no category or merchant.
+ *
+ * When several accounts tie ("Chase" → four Chase accounts), `card_candidates` lists
+ * them so the app can ask which one was meant (see resolveCardChoice); `card_name`
+ * then holds the first of them and the record is flagged for review.
+ *
+ * `tags` lists the labels spoken after the tags keyword ("tags reimbursable and Hawaii trip"),
+ * see extractTags.
+ *
+ * `custom_fields` holds the values of the user-defined fields that were spoken, by field
+ * name (see extractCustomFields).
+ *
+ * An amount spoken as arithmetic ("48 dollars plus 20 percent tip") is stored as its
+ * computed total, and the spoken expression is added to the description.
+ *
+ * `transaction_id` is empty here; it links the records of a split charge
+ * (see splitExpenseRecord).
+ *
+ * Spanish and Chinese transcripts are rewritten into English vocabulary first
+ * (see normalizeLanguage). The fields are then read by the extractor pipeline (see
+ * runExtractors); each registered extractor adds the field of its name.
+ *
+ * With `options.trace`, the record also carries a `trace` explaining how each field was
+ * found: `{ transcript, fields }`, where `transcript` is the text the extractors read
+ * (after language normalization) and each entry of `fields` is
+ * `{ branch, span, segment, candidates, value }` - which extraction or fallback branch ran,
+ * the part of the transcript it used (`{start, end, text}`, or null), the cleaned segment,
+ * the best-scoring list entries (`{name, score}`) and the value it produced.
+ * The trace is for display only and is never written to the sheet.
+ *
+ * @param {string} rawTranscript - The full transcript text, in any supported language
+ * @param {Date} [now] - Reference "current" date for relative dates
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Attach a parse trace to the record (default false)
+ * @param {Object} [options.context] - Parse context to read the lists and settings from
+ *   (see createParseContext); defaults to the one loaded by loadConfigLists
  */
-export function buildExpenseRecordFromTranscript(transcript) {
-  const date = extractDate(transcript) || "";
-  const cardName = extractCardName(transcript) || "";
-  const expenseAmount = extractExpenseAmount(transcript) || "";
-  const expenseCategory = extractExpenseCategory(transcript) || "";
-  const description = extractDescription(transcript) || "";
+export function buildExpenseRecordFromTranscript(rawTranscript, now = new Date(), options = {}) {
+  const context = options.context || getParseContext();
+  const transcript = normalizeLanguage(rawTranscript, context);
+  const trace = options.trace ? {} : null;
+  const state = runExtractors(transcript, { now, context, trace });
+  const { results } = state;
+  const date = results.date;
+  const transactionType = results.transaction_type;
+  const transfer = results.transfer;
+  const cardName = results.card_name;
+  const money = results.expense_amount.money;
+  const expenseCategory = results.expense_category;
+  const customClauses = context.customFields
+    .map((field) => results[customFieldGroup(field)])
+    .filter(Boolean);
+  const customFields = {};
+  for (const clause of customClauses) {
+    customFields[clause.name] = clause.value;
+  }
+
+  const confidence = {
+    card_name: state.confidence.card_name,
+    transfer_to: state.confidence.transfer,
+    expense_amount: state.confidence.expense_amount,
+    expense_category: state.confidence.expense_category,
+    date_inferred: date.inferred,
+    category_unmatched: expenseCategory.unmatched,
+    currency_unconverted: !money.converted,
+    category_suggested: false,
+    card_suggested: false,
+    custom_unmatched: customClauses.some((clause) => clause.unmatched),
+    tags_unmatched: results.tags.some((tag) => !context.tags.includes(tag)),
+  };
 
+  const record = {
+    date: date.value || "",
+    card_name: cardName.value || "",
+    transfer_to: transfer ? transfer.to.value : "",
+    transaction_type: transactionType,
+    expense_amount: signAmount(money.expense_amount, transactionType),
+    currency: money.currency,
+    original_amount: signAmount(money.original_amount, transactionType),
+    expense_category: expenseCategory.value || "",
+    description: results.description,
+    merchant: results.merchant,
+    tags: results.tags,
+    custom_fields: customFields,
+    card_candidates: cardName.candidates.length > 1 ? cardName.candidates : [],
+    transaction_id: "",
+    confidence,
+  };
+
+  // Registered extractors fill the record field of their name
+  for (const extractor of registeredExtractors) {
+    if (RESERVED_EXTRACTOR_NAMES.has(extractor.name)) continue;
+    record[extractor.name] = results[extractor.name];
+    const score = state.confidence[extractor.name];
+    if (typeof score === "number") {
+      confidence.extractors = { ...confidence.extractors, [extractor.name]: score };
+    }
+    if (trace && !trace[extractor.name]) {
+      const consumed = state.consumed.find((span) => span.name === extractor.name);
+      traceStep(trace, extractor.name, {
+        branch: "registered extractor",
+        span: consumed ? textSpan(transcript, consumed.start, consumed.end) : null,
+        segment: consumed ? transcript.substring(consumed.start, consumed.end) : "",
+        candidates: [],
+        value: String(results[extractor.name] ?? ""),
+      });
+    }
+  }
+
+  suggestFromHistory(
+    record,
+    trace,
+    {
+      card_name: !!cardName.guessed,
+      expense_category: !!expenseCategory.guessed,
+    },
+    context
+  );
+  record.needs_review = computeNeedsReview(record);
+  if (trace) {
+    record.trace = { transcript, fields: trace };
+  }
+  return record;
+}
+
+/**
+ * Fills an empty category and account, in place, with the classifier's suggestion from
+ * past records (see classifier.js and getClassifierModel). A field that was not spoken but
+ * guessed from the whole transcript is replaced too when the suggestion is more likely than
+ * the guess was. The suggestion's probability becomes the field's confidence, so an unsure
+ * suggestion is flagged for review like a weak fuzzy match. Income and transfers get no
+ * category suggestion, transfers no account.
+ *
+ * @param {Object} record - A record being built, before needs_review is computed
+ * @param {Object} [trace] - Parse trace to record the suggestions in
+ * @param {{card_name?: boolean, expense_category?: boolean}} [guessed] - Fields whose value
+ *   was only guessed from the whole transcript
+ * @param {Object} [context] - Parse context (see createParseContext)
+ */
+export function suggestFromHistory(record, trace, guessed = {}, context = getParseContext()) {
+  const classifier = context.classifier;
+  if (!classifier || record.transaction_type === TRANSACTION_TYPES.TRANSFER) return;
+  const replaceable = (field) =>
+    !record[field] || (guessed[field] && record.confidence[field] < REVIEW_CONFIDENCE_THRESHOLD);
+  const text = `${record.description} ${record.merchant}`;
+  const suggested = (field, suggestion) =>
+    traceStep(trace, field, {
+      branch: "nothing spoken, suggested from past records",
+      span: null,
+      segment: text.trim(),
+      candidates: [{ name: suggestion.label, score: suggestion.probability }],
+      value: suggestion.label,
+    });
+
+  if (replaceable("expense_category") && record.transaction_type !== TRANSACTION_TYPES.INCOME) {
+    const suggestion = classify(classifier.category, text, context.expenseCategories);
+    if (suggestion && suggestion.probability > record.confidence.expense_category) {
+      record.expense_category = suggestion.label;
+      record.confidence.expense_category = suggestion.probability;
+      record.confidence.category_suggested = true;
+      suggested("expense_category", suggestion);
+    }
+  }
+
+  if (replaceable("card_name")) {
+    const suggestion = classify(classifier.account, text, context.accountNames);
+    if (suggestion && suggestion.probability > record.confidence.card_name) {
+      record.card_name = suggestion.label;
+      record.card_candidates = [];
+      record.confidence.card_name = suggestion.probability;
+      record.confidence.card_suggested = true;
+      suggested("card_name", suggestion);
+    }
+  }
+}
+
+/**
+ * Records one field's step in a parse trace; does nothing when no trace is being
+ * collected (see buildExpenseRecordFromTranscript).
+ * @param {Object|null} trace - The trace being collected, keyed by field
+ * @param {string} field - Record field name
+ * @param {{branch: string, span: Object|null, segment: string, candidates: Object[], value: string}} step
+ */
+export function traceStep(trace, field, step) {
+  if (trace) trace[field] = step;
+}
+
+/**
+ * Records a fuzzy list match (see scoreBestMatch) in a parse trace and returns it unchanged.
+ */
+function traceMatch(trace, field, branch, span, segment, match) {
+  traceStep(trace, field, { branch, span, segment, candidates: match.scores || [], value: match.value });
+  return match;
+}
+
+/**
+ * The part of a text between two offsets, as shown in a parse trace.
+ * @returns {{start: number, end: number, text: string}}
+ */
+export function textSpan(text, start, end) {
+  return { start, end, text: text.substring(start, end) };
+}
+
+/**
+ * Keeps a spoken amount expression in the description: "lunch (48 dollars plus 20 percent tip)".
+ * @param {string} description - The spoken description (may be empty)
+ * @param {string} [expression] - The amount expression, if the amount was one
+ * @returns {string}
+ */
+export function withAmountExpression(description, expression) {
+  if (!expression) return description;
+  return description ? `${description} (${expression})` : expression;
+}
+
+/**
+ * Whether a record should be flagged for review: an ambiguous account, any
+ * low-confidence field (see isLowConfidenceField) or a low score from a registered extractor.
+ * @param {Object} record - A record with card_candidates and confidence
+ * @returns {boolean}
+ */
+export function computeNeedsReview(record) {
+  const extractorScores = Object.values((record.confidence && record.confidence.extractors) || {});
+  return (
+    record.card_candidates.length > 1 ||
+    LOW_CONFIDENCE_FIELDS.some((field) => isLowConfidenceField(record, field)) ||
+    extractorScores.some((score) => score < REVIEW_CONFIDENCE_THRESHOLD)
+  );
+}
+
+/**
+ * Applies the user's answer to an ambiguous account match.
+ *
+ * @param {Object} record - A record whose card_candidates has several entries
+ * @param {string|null} cardName - The chosen account, or null to leave it blank
+ * @returns {Object} - A new record with the choice applied; a chosen account counts
+ *   as fully confident, a skipped one stays flagged for review
+ *
+ * @example
+ * resolveCardChoice(record, "Chase Sapphire")
+ * // Returns: { ...record, card_name: "Chase Sapphire", card_candidates: [], ... }
+ */
+export function resolveCardChoice(record, cardName) {
+  const resolved = {
+    ...record,
+    card_name: cardName || "",
+    card_candidates: [],
+    confidence: { ...record.confidence, card_name: cardName ? 1 : 0 },
+  };
+  resolved.needs_review = computeNeedsReview(resolved);
+  return resolved;
+}
+
+/**
+ * Converts a spoken amount into the home currency using the configured exchange rates.
+ *
+ * @param {string} originalAmount - Amount as spoken, in "XX.XX" format (may be empty)
+ * @param {string|null} currency - ISO code of the spoken currency; null means the home currency
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{expense_amount: string, currency: string, original_amount: string, converted: boolean}}
+ *   - expense_amount is the spoken amount unchanged (and converted is false) when no rate is known
+ *
+ * @example
+ * convertToHomeCurrency("30.00", "EUR")
+ * // Returns: { expense_amount: "32.40", currency: "EUR", original_amount: "30.00", converted: true }
+ */
+export function convertToHomeCurrency(originalAmount, currency, context = getParseContext()) {
+  const homeCurrency = context.homeCurrency;
+  const spokenCurrency = currency || homeCurrency;
+  const converted = convertAmount(
+    originalAmount,
+    spokenCurrency,
+    homeCurrency,
+    context.exchangeRates
+  );
   return {
-    date,
-    card_name: cardName,
-    expense_amount: expenseAmount,
-    expense_category: expenseCategory,
-    description,
+    expense_amount: converted ?? originalAmount,
+    currency: spokenCurrency,
+    original_amount: originalAmount,
+    converted: converted !== null,
   };
 }
 
+export const TRANSACTION_TYPES = {
+  EXPENSE: "expense",
+  REFUND: "refund",
+  CREDIT: "credit",
+  INCOME: "income",
+  TRANSFER: "transfer",
+};
+
+// Types whose amounts are stored as negative numbers (money coming back from a purchase)
+const NEGATIVE_TRANSACTION_TYPES = [TRANSACTION_TYPES.REFUND, TRANSACTION_TYPES.CREDIT];
+
+// Spoken cues for money coming back to an account. "Return" and "credit" only count in
+// their transaction sense ("return of the shoes", "credit 60 dollars"), not in
+// "return flight" or "credit card".
+const TRANSACTION_TYPE_CUES = [
+  { type: TRANSACTION_TYPES.REFUND, pattern: /\brefund(?:s|ed)?\b/i },
+  { type: TRANSACTION_TYPES.REFUND, pattern: /\breturn(?:ed)?\s+(?:of|for)\b|\breturned\b/i },
+  { type: TRANSACTION_TYPES.CREDIT, pattern: /\bcredit(?:ed)?\s+(?:back\b|of\b|\$|\d)/i },
+  { type: TRANSACTION_TYPES.CREDIT, pattern: /\bcredited\b/i },
+  { type: TRANSACTION_TYPES.CREDIT, pattern: /\brevers(?:al|ed)\b/i },
+];
+
+// Spoken cues for money moved between the user's own accounts, including paying a card
+// off from a bank account. "Paid" alone stays an expense ("paid $30 for lunch").
+const TRANSFER_CUES = [
+  /\btransfer(?:s|red)?\b/i,
+  /\bmoved?\s+[^.;]*?\bfrom\b[^.;]*?\b(?:to|into)\b/i,
+  /\bpa(?:y|id)\s+off\b/i,
+  /\b(?:card|credit\s+card|statement)\s+payment\b/i,
+  /\bpa(?:y|id)\s+(?:the\s+)?(?:card|statement|balance)\b/i,
+];
+
+// Spoken cues for money received. "Got" only counts with an amount and a payer
+// ("got 40 dollars from Donna"), not in "got groceries at Costco", and "received" with an
+// amount or a payer ("received $500", "received a check from Donna"), not in
+// "received the package".
+const INCOME_CUES = [
+  /\breceived?\s+\$?\d/i,
+  /\breceived?\b[^.;]*?\bfrom\b/i,
+  /\bgot\s+paid\b/i,
+  /\bpaid\s+me\b/i,
+  /\bgot\s+\$?\d[^.;]*?\bfrom\b/i,
+  /\b(?:paycheck|payday|salary|deposited|direct\s+deposit)\b/i,
+];
+
+// Spending verbs; with one of them spoken, income cues don't count
+// ("I received the package, spent 30 dollars"). "Paid" stays an income cue in "got paid"
+// and "paid me".
+const SPENDING_CUE = /\b(?:spent|spend|bought|buy)\b|(?<!\bgot\s)\bpaid\b(?!\s+me\b)/i;
+
+/**
+ * Blanks out the description, merchant and tags clauses (keyword included, up to the end
+ * of their sentence) so words spoken there ("balance transfer fee", "Sunday brunch") don't
+ * change the transaction type or the date. Offsets are kept, since blanked characters
+ * become spaces.
+ * @param {string} transcript - The full transcript text
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {string}
+ */
+function withoutFreeTextClauses(transcript, context) {
+  const spans = [
+    descriptionSegment(transcript, context),
+    merchantSegment(transcript, context),
+    tagsSegment(transcript, context),
+  ]
+    .filter(Boolean)
+    .map((segment) => {
+      const sentenceBreak = segment.text.search(/[.;!?](?:\s|$)/);
+      return {
+        start: segment.keyword.start,
+        end: sentenceBreak === -1 ? segment.end : segment.start + sentenceBreak,
+      };
+    });
+  if (spans.length === 0) return transcript;
+  return Array.from(transcript, (char, index) =>
+    spans.some((span) => index >= span.start && index < span.end) ? " " : char
+  ).join("");
+}
+
+/**
+ * Extracts the transaction type from a transcript.
+ *
+ * SUPPORTED CUES:
+ * - transfer: "transfer", "move ... from ... to", "paid off", "card payment", "pay the balance"
+ *   (checked first, since a transfer may mention "credit card" or "paid"; cues inside the
+ *   description, merchant or tags clause don't count)
+ *
+ * Then the earliest refund or credit cue in the transcript wins:
+ * - refund: "refund", "refunded", "return of ...", "returned"
+ * - credit: "credit back", "credit 60 dollars", "credited", "reversal", "reversed"
+ * - income: "received $500", "received ... from", "got 40 dollars ... from", "got paid",
+ *   "paycheck", "deposited" (only when there is no refund or credit cue, so "received a
+ *   refund" stays a refund, neither the charge keyword nor a spending verb such as "spent"
+ *   was spoken, and the cue is outside the description, merchant and tags clauses)
+ * - expense: anything else
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string} - One of TRANSACTION_TYPES
+ *
+ * @example
+ * extractTransactionType("Return of the shoes, credit 60 dollars to Discover it")
+ * // Returns: "refund"
+ */
+export function extractTransactionType(transcript, context = getParseContext()) {
+  if (!transcript) return TRANSACTION_TYPES.EXPENSE;
+  const text = replaceNumberWords(transcript);
+  const spokenCues = replaceNumberWords(withoutFreeTextClauses(transcript, context));
+
+  if (TRANSFER_CUES.some((pattern) => pattern.test(spokenCues))) {
+    return TRANSACTION_TYPES.TRANSFER;
+  }
+
+  let found = null;
+  for (const cue of TRANSACTION_TYPE_CUES) {
+    const match = text.match(cue.pattern);
+    if (match && (!found || match.index < found.index)) {
+      found = { type: cue.type, index: match.index };
+    }
+  }
+  if (found) return found.type;
+
+  // "Charge" or a spending verb is an explicit expense; income cues elsewhere don't override it
+  if (findKeyword(transcript, "charge", context) || SPENDING_CUE.test(spokenCues)) {
+    return TRANSACTION_TYPES.EXPENSE;
+  }
+  return INCOME_CUES.some((pattern) => pattern.test(spokenCues))
+    ? TRANSACTION_TYPES.INCOME
+    : TRANSACTION_TYPES.EXPENSE;
+}
+
+/**
+ * Signs an amount for its transaction type: refunds and credits are negative,
+ * expenses and income positive.
+ * @param {string} amount - Amount in "XX.XX" format (may be empty)
+ * @param {string} transactionType - One of TRANSACTION_TYPES
+ * @returns {string}
+ */
+export function signAmount(amount, transactionType) {
+  if (!amount || !NEGATIVE_TRANSACTION_TYPES.includes(transactionType)) return amount;
+  return amount.startsWith("-") ? amount : `-${amount}`;
+}
+
+const LOW_CONFIDENCE_FIELDS = [
+  "card_name",
+  "transfer_to",
+  "expense_amount",
+  "expense_category",
+  "tags",
+  "custom_fields",
+];
+
+/**
+ * Whether a parsed field should be double-checked by the user.
+ * A spoken date is trusted; an inferred one (defaulted to today) is not flagged
+ * because leaving the date out is the normal way to record today's expenses.
+ * Transfers have no category, so only their two accounts and the amount are checked.
+ *
+ * @param {Object} record - A record from buildExpenseRecordFromTranscript
+ * @param {string} field - "card_name", "transfer_to", "expense_amount", "expense_category",
+ *   "tags" (any tag not in the managed list), "custom_fields" (any custom field value not
+ *   in its allowed values) or "date"
+ * @returns {boolean}
+ */
+export function isLowConfidenceField(record, field) {
+  const confidence = record && record.confidence;
+  if (!confidence) return false;
+
+  if (field === "date") return false;
+  if (field === "expense_category" && record.transaction_type === TRANSACTION_TYPES.TRANSFER) {
+    return false;
+  }
+  if (field === "expense_category" && confidence.category_unmatched) return true;
+  if (field === "expense_amount" && confidence.currency_unconverted) return true;
+  if (field === "tags") return !!confidence.tags_unmatched;
+  if (field === "custom_fields") return !!confidence.custom_unmatched;
+  if (typeof confidence[field] !== "number") return false;
+  return confidence[field] < REVIEW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Builds one expense record per "charge" clause in a transcript.
+ *
+ * A single recording may dictate several expenses back to back:
+ * "Charge $12 to Chase Sapphire, category dining out, description lunch.
+ *  Charge $40 to CITI COSTCO, category grocery, description milk"
+ *
+ * The transcript is split at every occurrence of the word "charge" and each
+ * clause is parsed with buildExpenseRecordFromTranscript. Any text before the
+ * first "charge" (e.g. a spoken date like "Yesterday,") is shared by every clause.
+ *
+ * A clause that splits its charge across categories
+ * ("Charge $100 to CITI COSTCO, split 60 grocery and 40 household essentials")
+ * becomes one record per split line (see splitExpenseRecord).
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Date} [now] - Reference "current" date for relative dates
+ * @param {Object} [options] - Passed to buildExpenseRecordFromTranscript (e.g. `trace`, `context`)
+ * @returns {Object[]} - One expense record per clause or split line (always at least one)
+ * @throws {Error} If the split amounts do not add up to the charge
+ *
+ * @example
+ * buildExpenseRecordsFromTranscript("Charge $12 to Chase Sapphire. Charge $40 to CITI COSTCO")
+ * // Returns: [{ card_name: "Chase Sapphire", expense_amount: "12.00", ... },
+ * //           { card_name: "CITI COSTCO", expense_amount: "40.00", ... }]
+ */
+export function buildExpenseRecordsFromTranscript(transcript, now = new Date(), options = {}) {
+  const context = options.context || getParseContext();
+  const clauses = splitChargeClauses(normalizeLanguage(transcript, context), context);
+  return clauses.flatMap((clause) => {
+    const split = matchSplit(clause, context);
+    if (!split) return [buildExpenseRecordFromTranscript(clause, now, options)];
+
+    // The split lines are parsed separately so their amounts are not read as the total
+    const rest = `${clause.substring(0, split.start)} ${clause.substring(split.end)}`.trim();
+    return splitExpenseRecord(
+      buildExpenseRecordFromTranscript(rest, now, options),
+      split.parts,
+      createTransactionId(),
+      context
+    );
+  });
+}
+
+/**
+ * Whether a position falls in a description, merchant or tags clause of its sentence, as
+ * "charge" does in "Description no charge fee".
+ */
+function isInFreeTextClause(transcript, index, context, groups = ["description", "merchant", "tags"]) {
+  let last = null;
+  let keyword = findFirstKeyword(transcript, groups, context);
+  while (keyword && keyword.end <= index) {
+    last = keyword;
+    keyword = findFirstKeyword(transcript, groups, context, keyword.end);
+  }
+  return !!last && !/[.;!?](?:\s|$)/.test(transcript.substring(last.end, index));
+}
+
+/**
+ * Splits a transcript into "charge" clauses (at every configured charge keyword, except
+ * one spoken inside a description, merchant or tags clause).
+ * Returns the whole transcript as a single clause when a charge keyword appears at most once.
+ */
+function splitChargeClauses(transcript, context) {
+  const starts = [];
+  let match = findKeyword(transcript, "charge", context);
+  while (match) {
+    if (!isInFreeTextClause(transcript, match.start, context)) starts.push(match.start);
+    match = findKeyword(transcript, "charge", context, match.end);
+  }
+
+  if (starts.length <= 1) {
+    return [transcript];
+  }
+
+  const preamble = transcript.substring(0, starts[0]).trim();
+  return starts.map((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1] : transcript.length;
+    const clause = transcript
+      .substring(start, end)
+      .replace(/[\s.,;]+$/, "") // Remove trailing separators before the next clause
+      .trim();
+    return preamble ? `${preamble} ${clause}` : clause;
+  });
+}
+
+/**
+ * Extracts the lines of a charge split across categories.
+ *
+ * SUPPORTED PATTERNS (after the word "split", before the description):
+ * - "split 60 grocery and 40 household essentials"
+ * - "split it $25.50 for dining out, $10 for gift purchase"
+ * - "split sixty grocery and forty household"
+ *
+ * Each line is an amount followed by a category phrase, matched against the category list.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{amount: string, category: string}[]} - Split lines ("XX.XX" amounts), or an
+ *   empty array when the charge is not split into at least two lines
+ *
+ * @example
+ * extractSplit("Charge $100 to CITI COSTCO, split 60 grocery and 40 household essentials")
+ * // Returns: [{ amount: "60.00", category: "Grocery" },
+ * //           { amount: "40.00", category: "Household essentials" }]
+ */
+export function extractSplit(transcript, context = getParseContext()) {
+  const split = matchSplit(transcript, context);
+  return split ? split.parts.map((part) => ({ amount: part.amount, category: part.category })) : [];
+}
+
+// One split line: an amount, optionally "dollars" and a linking word, then the category
+const SPLIT_LINE_PATTERN =
+  /^\$?\s?(\d[\d,]*(?:\.\d{1,2})?)\s*(?:dollars?|bucks?)?(?:\s+(?:for|on|to|in|of|as|under))?\s+(.+)$/i;
+
+/**
+ * Same as extractSplit, but also returns where the split clause is in the transcript
+ * and the category match details of each line.
+ * @returns {{start: number, end: number, parts: {amount: string, category: string,
+ *   score: number, unmatched: boolean}[]}|null}
+ */
+function matchSplit(transcript, context) {
+  if (!transcript) return null;
+
+  // "Split" only counts before the description ("description is split pea soup")
+  const description = findKeyword(transcript, "description", context);
+  const searchEnd = description ? description.start : transcript.length;
+  const split = transcript.substring(0, searchEnd).match(/\bsplit\b/i);
+  if (!split) return null;
+
+  const start = split.index;
+  const nextKeyword = findFirstKeyword(
+    transcript,
+    withCustomFieldGroups(["category", "description", "merchant", "tags"], context),
+    context,
+    start + split[0].length
+  );
+  const end = nextKeyword ? nextKeyword.start : transcript.length;
+
+  const linesText = normalizeCurrencyMarkers(
+    localizeNumbers(replaceNumberWords(transcript.substring(start + split[0].length, end)), context)
+  ).replace(/^[\s:,-]*(?:(?:it|this|that|into|between|as)\s+)*/i, "");
+
+  const transactionType = extractTransactionType(transcript, context);
+  const parts = [];
+  for (const line of linesText.split(/\s*(?:[,;]|\band\b)\s*/i)) {
+    const cleaned = cleanSegment(line.replace(/[.!?]+$/, ""));
+    if (!cleaned) continue;
+    const match = cleaned.match(SPLIT_LINE_PATTERN);
+    if (!match) return null;
+
+    const categoryText = cleanSegment(match[2]);
+    const category = matchAgainstCategories(categoryText, transactionType, context);
+    parts.push({
+      amount: Number(match[1].replace(/,/g, "")).toFixed(2),
+      category: category.value || categoryText,
+      score: category.score,
+      unmatched: !category.value,
+    });
+  }
+
+  return parts.length >= 2 ? { start, end, parts } : null;
+}
+
+/**
+ * Turns a record into one linked record per split line. The lines share a new
+ * `transaction_id`, and each keeps the record's date, account, merchant and description.
+ *
+ * The line amounts must add up to the spoken total (when no total was spoken, their sum
+ * becomes the total). Converted amounts are rounded so that they still add up to the
+ * converted total.
+ *
+ * @param {Object} record - A record from buildExpenseRecordFromTranscript
+ * @param {{amount: string, category: string, score?: number, unmatched?: boolean}[]} parts -
+ *   Split lines in the spoken currency
+ * @param {string} [transactionId] - ID shared by the lines (generated when omitted)
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {Object[]} - One record per line
+ * @throws {Error} If the line amounts do not add up to the total
+ *
+ * @example
+ * splitExpenseRecord(record, [{ amount: "60.00", category: "Grocery" }, { amount: "40.00", category: "Misc" }])
+ * // Returns: [{ ...record, expense_amount: "60.00", expense_category: "Grocery", transaction_id: "t-..." },
+ * //           { ...record, expense_amount: "40.00", expense_category: "Misc", transaction_id: "t-..." }]
+ */
+export function splitExpenseRecord(
+  record,
+  parts,
+  transactionId = createTransactionId(),
+  context = getParseContext()
+) {
+  const lineCents = parts.map((part) => toCents(part.amount));
+  const sumCents = lineCents.reduce((sum, cents) => sum + cents, 0);
+  const totalCents = record.original_amount ? Math.abs(toCents(record.original_amount)) : sumCents;
+
+  if (sumCents !== totalCents) {
+    throw new Error(
+      `The split amounts add up to ${fromCents(sumCents)}, but the charge is ${fromCents(totalCents)}. ` +
+        "Nothing was saved; please record it again with amounts that add up."
+    );
+  }
+
+  // Converted line amounts, with the rounding difference absorbed by the last line
+  const converted = parts.map((part) => convertToHomeCurrency(part.amount, record.currency, context));
+  if (record.expense_amount && converted.every((money) => money.converted)) {
+    const homeTotalCents = Math.abs(toCents(record.expense_amount));
+    const othersCents = converted
+      .slice(0, -1)
+      .reduce((sum, money) => sum + toCents(money.expense_amount), 0);
+    converted[converted.length - 1].expense_amount = fromCents(homeTotalCents - othersCents);
+  }
+
+  return parts.map((part, index) => {
+    const money = converted[index];
+    const line = {
+      ...record,
+      expense_amount: signAmount(money.expense_amount, record.transaction_type),
+      original_amount: signAmount(money.original_amount, record.transaction_type),
+      expense_category: part.category,
+      transaction_id: transactionId,
+      confidence: {
+        ...record.confidence,
+        expense_amount: 1,
+        expense_category: part.score ?? 1,
+        category_unmatched: !!part.unmatched,
+        currency_unconverted: !money.converted,
+      },
+    };
+    line.needs_review = computeNeedsReview(line);
+    return line;
+  });
+}
+
+/**
+ * Creates the ID shared by the records of a split charge, e.g. "t-m5x1k2pq-8f3a"
+ */
+function createTransactionId() {
+  return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
 /**
  * Extracts date from transcript.
- * Supports various formats: ISO dates, US dates, month names, "today", "yesterday".
+ * Supports various formats: ISO dates, numeric dates ("04/03/2025", "03.04.2025", "04/03"),
+ * month names ("April 3", "3rd of April"), "today", "yesterday", and relative expressions
+ * such as "last Friday" or "two days ago" (see resolveRelativeDate).
+ *
+ * Numeric dates are read month-first or day-first depending on the configured locale
+ * (see getLocale): "03/04" is March 4 in the US and 3 April in the UK. A date that is only
+ * valid the other way round ("25/12/2025" in the US) is read the other way round.
+ *
+ * Month/day dates spoken without a year resolve to their most recent occurrence, so
+ * "December 28" spoken on January 2 is December 28 of the previous year.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Date} [now] - Reference "current" date (injectable for tests)
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string} - The date in "YYYY-MM-DD" format (defaults to today)
  */
-export function extractDate(transcript) {
+export function extractDate(transcript, now = new Date(), context = getParseContext()) {
+  return matchDate(transcript, now, null, context).value;
+}
+
+/**
+ * Same as extractDate, but also reports whether the date was inferred
+ * (nothing was spoken, so it defaulted to today).
+ * @param {string} transcript - The full transcript text
+ * @param {Date} now - Reference "current" date
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{value: string, inferred: boolean}}
+ */
+function matchDate(transcript, now, trace, context) {
   const text = transcript.toLowerCase();
+  const traced = (branch, match, result) => {
+    traceStep(trace, "date", {
+      branch,
+      span: match ? textSpan(transcript, match.index, match.index + match[0].length) : null,
+      segment: match ? match[0] : "",
+      candidates: [],
+      value: result.value,
+    });
+    return result;
+  };
 
   // ISO-like or numeric formats first
   const isoLike = text.match(/\b(20\d{2})[-/](\d{1,2})[-/](\d{1,2})\b/);
-  if (isoLike) {
+  if (isoLike && isCalendarDate(Number(isoLike[1]), Number(isoLike[2]), Number(isoLike[3]))) {
     const [, y, m, d] = isoLike;
-    return toISODate(Number(y), Number(m), Number(d));
+    return traced("year-month-day date", isoLike,
+      { value: toISODate(Number(y), Number(m), Number(d)), inferred: false });
+  }
+
+  // Numeric dates in the locale's order: mm/dd/yyyy (US) or dd/mm/yyyy, dd.mm.yyyy
+  const dayFirst = localeConventions(context.locale).dayFirst;
+  const numeric = text.match(/\b(\d{1,2})([-/.])(\d{1,2})\2(20\d{2})\b/);
+  if (numeric) {
+    const [, first, , second, y] = numeric;
+    const monthDay = numericMonthDay(Number(first), Number(second), dayFirst, true, Number(y));
+    if (monthDay) {
+      return traced(dayFirst ? "numeric date, day first" : "numeric date, month first", numeric,
+        { value: toISODate(Number(y), monthDay.month, monthDay.day), inferred: false });
+    }
   }
 
-  // US-style mm/dd/yyyy
-  const usNumeric = text.match(/\b(\d{1,2})[-/](\d{1,2})[-/](20\d{2})\b/);
-  if (usNumeric) {
-    const [, m, d, y] = usNumeric;
-    return toISODate(Number(y), Number(m), Number(d));
+  // Numeric dates without a year ("03/04"), resolved to their most recent occurrence
+  const shortNumeric = text.match(/\b(\d{1,2})\/(\d{1,2})\b(?!\/)/);
+  if (shortNumeric) {
+    // Not swapped: without a year, "24/7" is more likely not a date at all
+    const monthDay = numericMonthDay(Number(shortNumeric[1]), Number(shortNumeric[2]), dayFirst, false);
+    const year = monthDay && mostRecentYearFor(monthDay.month - 1, monthDay.day, now);
+    if (monthDay && isCalendarDate(year, monthDay.month, monthDay.day)) {
+      return traced("numeric date without a year", shortNumeric,
+        { value: toISODate(year, monthDay.month, monthDay.day), inferred: false });
+    }
+  }
+
+  // Day before month name, optional year: "3 April", "3rd of April 2025"
+  const dayMonthRegex = new RegExp(
+    `(?<![$\\d.,])\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAMES.join("|")})\\b,?\\s*(20\\d{2})?`,
+    "i"
+  );
+  const dayMonthMatch = text.match(dayMonthRegex);
+  if (dayMonthMatch) {
+    const day = Number(dayMonthMatch[1]);
+    const monthIndex = MONTH_NAMES.indexOf(dayMonthMatch[2].toLowerCase());
+    const year = dayMonthMatch[3]
+      ? Number(dayMonthMatch[3])
+      : mostRecentYearFor(monthIndex, day, now);
+    // "35 march madness tickets" is not a date
+    if (isCalendarDate(year, monthIndex + 1, day)) {
+      return traced("day before month name", dayMonthMatch,
+        { value: toISODate(year, monthIndex + 1, day), inferred: false });
+    }
   }
 
   // Month name day, optional year
-  const months = [
-    "january",
-    "february",
-    "march",
-    "april",
-    "may",
-    "june",
-    "july",
-    "august",
-    "september",
-    "october",
-    "november",
-    "december",
-  ];
   const monthRegex = new RegExp(
-    `\\b(${months.join("|")})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(20\\d{2})?`,
+    `\\b(${MONTH_NAMES.join("|")})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(20\\d{2})?`,
     "i"
   );
   const monthMatch = text.match(monthRegex);
   if (monthMatch) {
     const monthName = monthMatch[1].toLowerCase();
     const day = Number(monthMatch[2]);
-    const year = monthMatch[3] ? Number(monthMatch[3]) : new Date().getFullYear();
-    const monthIndex = months.indexOf(monthName);
-    return toISODate(year, monthIndex + 1, day);
+    const monthIndex = MONTH_NAMES.indexOf(monthName);
+    const year = monthMatch[3]
+      ? Number(monthMatch[3])
+      : mostRecentYearFor(monthIndex, day, now);
+    if (isCalendarDate(year, monthIndex + 1, day)) {
+      return traced("month name before day", monthMatch,
+        { value: toISODate(year, monthIndex + 1, day), inferred: false });
+    }
   }
 
-  // "today" or "yesterday" keywords
-  const now = new Date();
-  if (text.includes("today")) {
-    return toISODate(now.getFullYear(), now.getMonth() + 1, now.getDate());
-  }
-  if (text.includes("yesterday")) {
-    const y = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    return toISODate(y.getFullYear(), y.getMonth() + 1, y.getDate());
+  // Relative expressions: "today", "yesterday", "last Friday", "two days ago", ...
+  // "Description Sunday brunch" is not a date
+  const relative = resolveRelativeDate(withoutFreeTextClauses(transcript, context).toLowerCase(), now);
+  if (relative) {
+    return traced("relative date", null, {
+      value: toISODate(relative.getFullYear(), relative.getMonth() + 1, relative.getDate()),
+      inferred: false,
+    });
   }
 
   // If nothing explicit is found, default to today.
-  return toISODate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+  return traced("no date spoken, defaulted to today", null, {
+    value: toISODate(now.getFullYear(), now.getMonth() + 1, now.getDate()),
+    inferred: true,
+  });
+}
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const ORDINAL_WORDS = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  sixth: 6,
+  seventh: 7,
+  eighth: 8,
+  ninth: 9,
+  tenth: 10,
+  eleventh: 11,
+  twelfth: 12,
+  thirteenth: 13,
+  fourteenth: 14,
+  fifteenth: 15,
+  sixteenth: 16,
+  seventeenth: 17,
+  eighteenth: 18,
+  nineteenth: 19,
+  twentieth: 20,
+  "twenty first": 21,
+  "twenty second": 22,
+  "twenty third": 23,
+  "twenty fourth": 24,
+  "twenty fifth": 25,
+  "twenty sixth": 26,
+  "twenty seventh": 27,
+  "twenty eighth": 28,
+  "twenty ninth": 29,
+  thirtieth: 30,
+  "thirty first": 31,
+};
+
+/**
+ * Resolves relative date expressions against a reference date.
+ *
+ * SUPPORTED EXPRESSIONS (checked in this order):
+ * - "day before yesterday"           → now - 2 days
+ * - "yesterday" / "today"            → now - 1 day / now
+ * - "N days ago", "a week ago", "two weeks ago" (digits or number words)
+ * - "last Friday", "this past Monday" → most recent weekday strictly before today
+ * - "on Friday", "Friday"            → most recent weekday on or before today
+ * - "on the 3rd", "the 3rd", "on the third" → most recent 3rd on or before today
+ *   (skipping months too short for the day)
+ *
+ * @param {string} text - Lowercase transcript text
+ * @param {Date} [now] - Reference "current" date (injectable for tests)
+ * @returns {Date|null} - The resolved date (local midnight), or null if nothing matched
+ *
+ * @example
+ * // now = Wednesday 2025-01-15
+ * resolveRelativeDate("charge $5 last friday", now)
+ * // Returns: Date for 2025-01-10
+ */
+export function resolveRelativeDate(text, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (/\bday before yesterday\b/.test(text)) {
+    return shiftDays(today, -2);
+  }
+  if (/\byesterday\b/.test(text)) {
+    return shiftDays(today, -1);
+  }
+  if (/\btoday\b/.test(text)) {
+    return today;
+  }
+
+  // "N days ago" / "N weeks ago", where N is digits or number words
+  const agoMatch = text.match(/\b((?:[a-z0-9]+[\s-]+)?[a-z0-9]+)\s+(day|week)s?\s+ago\b/);
+  if (agoMatch) {
+    const count = parseCount(agoMatch[1]);
+    if (count !== null) {
+      const days = agoMatch[2] === "week" ? count * 7 : count;
+      return shiftDays(today, -days);
+    }
+  }
+
+  // "last Friday" / "this past Monday" / "past Monday"
+  const weekdayPattern = WEEKDAY_NAMES.join("|");
+  const lastWeekday = text.match(
+    new RegExp(`\\b(?:last|this past|past)\\s+(${weekdayPattern})\\b`)
+  );
+  if (lastWeekday) {
+    const target = WEEKDAY_NAMES.indexOf(lastWeekday[1]);
+    const diff = (today.getDay() - target + 7) % 7 || 7;
+    return shiftDays(today, -diff);
+  }
+
+  // "on Friday" / "Friday"
+  const bareWeekday = text.match(new RegExp(`\\b(${weekdayPattern})\\b`));
+  if (bareWeekday) {
+    const target = WEEKDAY_NAMES.indexOf(bareWeekday[1]);
+    const diff = (today.getDay() - target + 7) % 7;
+    return shiftDays(today, -diff);
+  }
+
+  // "on the 3rd" / "the 3rd" / "on the third"
+  const dayOfMonth = matchDayOfMonth(text);
+  if (dayOfMonth) {
+    let year = today.getFullYear();
+    let month = today.getMonth();
+    // Not reached yet this month, so it refers to the most recent month that has the day
+    // ("the 31st" on March 15 is January 31, not February 31)
+    while (
+      (year === today.getFullYear() && month === today.getMonth() && dayOfMonth > today.getDate()) ||
+      !isCalendarDate(year, month + 1, dayOfMonth)
+    ) {
+      month -= 1;
+      if (month < 0) {
+        month = 11;
+        year -= 1;
+      }
+    }
+    return new Date(year, month, dayOfMonth);
+  }
+
+  return null;
+}
+
+/**
+ * Finds a day-of-month ordinal: "the 3rd" (digits) or "on the third" (words).
+ * Word ordinals require "on the" so ordinary phrases like "the first coffee" are ignored.
+ */
+function matchDayOfMonth(text) {
+  const numeric = text.match(/\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/);
+  if (numeric) {
+    const day = Number(numeric[1]);
+    return day >= 1 && day <= 31 ? day : null;
+  }
+
+  // Longest ordinals first so "twenty first" wins over "first"
+  const ordinals = Object.keys(ORDINAL_WORDS).sort((a, b) => b.length - a.length);
+  const wordMatch = text.match(
+    new RegExp(`\\bon the\\s+(${ordinals.map((o) => o.replace(" ", "[\\s-]+")).join("|")})\\b`)
+  );
+  if (wordMatch) {
+    return ORDINAL_WORDS[wordMatch[1].replace(/[\s-]+/, " ")];
+  }
+  return null;
+}
+
+/**
+ * Parses a small count spoken as digits or number words ("3", "two", "a").
+ * Tries the whole phrase first, then only its last word ("dollars two" → 2).
+ */
+function parseCount(phrase) {
+  if (/^\d+$/.test(phrase)) return Number(phrase);
+  if (phrase === "a" || phrase.endsWith(" a")) return 1;
+
+  const whole = parseNumberWords(phrase);
+  if (whole !== null && Number.isInteger(whole)) return whole;
+
+  const lastWord = phrase.split(/[\s-]+/).pop();
+  if (/^\d+$/.test(lastWord)) return Number(lastWord);
+  const last = parseNumberWords(lastWord);
+  return last !== null && Number.isInteger(last) ? last : null;
+}
+
+function shiftDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// A leap year, for checking a month/day spoken without a year (February 29 is allowed)
+const ANY_LEAP_YEAR = 2024;
+
+/**
+ * Whether the day exists in the month ("February 30" and "April 31" don't): the date is
+ * built and its month compared back, since Date rolls an overflowing day into the next month.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {boolean}
+ */
+function isCalendarDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return new Date(year, month - 1, day).getMonth() === month - 1;
+}
+
+/**
+ * Reads the two numbers of a numeric date as month and day in the locale's order,
+ * optionally swapping them when only the other order is a valid date.
+ * @param {number} [year] - The spoken year, to check February 29 against
+ * @returns {{month: number, day: number}|null} - null when no allowed order is valid
+ */
+function numericMonthDay(first, second, dayFirst, allowSwap = true, year = ANY_LEAP_YEAR) {
+  const [month, day] = dayFirst ? [second, first] : [first, second];
+  if (isCalendarDate(year, month, day)) return { month, day };
+  if (allowSwap && isCalendarDate(year, day, month)) return { month: day, day: month };
+  return null;
+}
+
+/**
+ * Year of the most recent occurrence of a month/day on or before `now`.
+ * Used for dates spoken without a year ("December 28" on January 2 → last year).
+ */
+function mostRecentYearFor(monthIndex, day, now) {
+  const candidate = new Date(now.getFullYear(), monthIndex, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return candidate > today ? now.getFullYear() - 1 : now.getFullYear();
 }
 
 function toISODate(year, month, day) {
@@ -172,39 +1716,181 @@ function stemToken(token) {
   return token;
 }
 
-function bestMatchFromList(transcript, candidates, minScore) {
-  const normalizedTranscript = normalizeForMatch(transcript);
-  if (!normalizedTranscript) return "";
+/**
+ * Finds the candidate that best matches the text.
+ * Each candidate is scored by its own name; an alias heard as a whole phrase scores
+ * like an exact match and resolves to the canonical candidate name.
+ *
+ * @param {string} transcript - Text to search
+ * @param {string[]} candidates - Canonical names (account names or categories)
+ * @param {number} [minScore] - Minimum score to accept a match (default 0.3)
+ * @param {Object<string, string[]>} [aliases] - Map of canonical name -> spoken aliases
+ * @param {number} [fuzzyThreshold] - Minimum similarity for a misspelled word to count
+ *   (see fuzzyMatching.js)
+ * @returns {string} - The canonical name, or empty string if nothing scored high enough
+ */
+function bestMatchFromList(transcript, candidates, minScore, aliases, fuzzyThreshold) {
+  return scoreBestMatch(transcript, candidates, minScore, aliases, fuzzyThreshold).value;
+}
+
+// Candidates scoring within this margin of the best one count as a tie
+export const TIE_MARGIN = 0.05;
+
+// Scored names kept for a parse trace (see scoreBestMatch)
+const MAX_TRACE_SCORES = 5;
+
+/**
+ * Same as bestMatchFromList, but also returns the winning score (0..1) and the
+ * tied candidates.
+ *
+ * `candidates` lists every name scoring within TIE_MARGIN of the winner (best first,
+ * then list order). It has more than one entry when the match is ambiguous, e.g.
+ * "Chase" scores 0.5 for "Chase checking", "Chase unlimited", "Chase Sapphire" and
+ * "Chase freedom"; the winner is then simply the first of them.
+ *
+ * `scores` lists the best-scoring names with their scores (up to MAX_TRACE_SCORES,
+ * best first), also when nothing reached minScore; parse traces show it.
+ *
+ * @returns {{value: string, score: number, candidates: string[], scores: Array<{name: string, score: number}>}}
+ *   - Empty value, score 0 and no candidates when below minScore
+ */
+function scoreBestMatch(
+  transcript,
+  candidates,
+  minScore,
+  aliases,
+  fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD
+) {
+  const noMatch = { value: "", score: 0, candidates: [], scores: [] };
+  const normalizedTranscript = normalizeForMatch(transcript);
+  if (!normalizedTranscript) return noMatch;
+
+  const transcriptTokens = new Set(textTokens(transcript));
+
+  let best = "";
+  let bestScore = 0;
+  const scored = [];
+
+  for (const candidate of candidates) {
+    let score = scoreName(normalizedTranscript, transcriptTokens, candidate, fuzzyThreshold);
+
+    // Aliases are exact spoken names, so they only count when heard as a whole
+    // phrase (a generic word like "card" in "costco card" must not match alone).
+    const candidateAliases = (aliases && aliases[candidate]) || [];
+    for (const alias of candidateAliases) {
+      if (containsPhrase(normalizedTranscript, normalizeForMatch(alias))) {
+        score = 1;
+      }
+    }
+
+    scored.push({ candidate, score });
+    if (score > bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  }
+
+  const scores = scored
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_TRACE_SCORES)
+    .map((entry) => ({ name: entry.candidate, score: Math.round(entry.score * 100) / 100 }));
+
+  if (bestScore < (minScore ?? 0.3)) return { ...noMatch, scores };
+
+  const tied = scored
+    .filter((entry) => bestScore - entry.score <= TIE_MARGIN)
+    .sort((a, b) => b.score - a.score) // stable, so equal scores keep list order
+    .map((entry) => entry.candidate);
+
+  return { value: best, score: bestScore, candidates: tied, scores };
+}
+
+/**
+ * Matches text against the account names (and their aliases).
+ * @param {string} text - Text to search
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{value: string, score: number, candidates: string[]}}
+ */
+export function matchAgainstAccounts(text, context = getParseContext()) {
+  return scoreBestMatch(
+    text,
+    context.accountNames,
+    0.3,
+    context.accountAliases,
+    context.fuzzyThreshold
+  );
+}
+
+/**
+ * Matches text against the categories (and their aliases): the income categories
+ * for income, the expense categories for everything else.
+ * @param {string} text - Text to search
+ * @param {string} [transactionType] - One of TRANSACTION_TYPES (default "expense")
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{value: string, score: number, candidates: string[]}}
+ */
+export function matchAgainstCategories(
+  text,
+  transactionType = TRANSACTION_TYPES.EXPENSE,
+  context = getParseContext()
+) {
+  const categories =
+    transactionType === TRANSACTION_TYPES.INCOME
+      ? context.incomeCategories
+      : context.expenseCategories;
+  return scoreBestMatch(text, categories, 0.25, context.categoryAliases, context.fuzzyThreshold);
+}
 
-  const transcriptTokens = new Set(textTokens(transcript));
+/**
+ * Whether a normalized phrase appears in normalized text on word boundaries.
+ */
+function containsPhrase(normalizedText, normalizedPhrase) {
+  if (!normalizedPhrase) return false;
+  return ` ${normalizedText} `.includes(` ${normalizedPhrase} `);
+}
 
-  let best = "";
-  let bestScore = 0;
+// Fuzzy (misspelled / sound-alike) matches are discounted so an exact match always wins
+const FUZZY_MATCH_WEIGHT = 0.9;
 
-  for (const candidate of candidates) {
-    const candidateNorm = normalizeForMatch(candidate);
-    if (!candidateNorm) continue;
+/**
+ * Scores a single candidate name against the normalized text.
+ *
+ * The score is the best of:
+ * - 1 if the candidate appears as a phrase
+ * - exact (stemmed) token overlap
+ * - fuzzy token overlap: edit distance and phonetic keys, so "Chase Saffire" and
+ *   "Wayfare" still match "Chase Sapphire" and "Wayfair" (see fuzzyMatching.js)
+ * - the candidate written as one word against runs of spoken words, so
+ *   "discovered" still matches "Discover it"
+ */
+function scoreName(normalizedTranscript, transcriptTokens, name, threshold) {
+  const candidateNorm = normalizeForMatch(name);
+  if (!candidateNorm) return 0;
 
-    // If candidate string (normalized) appears as a phrase, give it a strong boost.
-    let score = normalizedTranscript.includes(candidateNorm) ? 1 : 0;
+  // If candidate string (normalized) appears as a phrase, give it a strong boost.
+  let score = normalizedTranscript.includes(candidateNorm) ? 1 : 0;
 
-    const cTokens = candidateNorm.split(" ").filter(Boolean);
-    if (cTokens.length) {
-      let overlap = 0;
-      for (const tok of cTokens) {
-        if (transcriptTokens.has(tok)) overlap += 1;
-      }
-      const tokenScore = overlap / cTokens.length;
-      score = Math.max(score, tokenScore);
+  const cTokens = candidateNorm.split(" ").filter(Boolean);
+  if (cTokens.length) {
+    let overlap = 0;
+    for (const tok of cTokens) {
+      if (transcriptTokens.has(tok)) overlap += 1;
     }
+    const tokenScore = overlap / cTokens.length;
+    score = Math.max(score, tokenScore);
+  }
 
-    if (score > bestScore) {
-      bestScore = score;
-      best = candidate;
-    }
+  if (score < 1 && cTokens.length) {
+    const spokenTokens = normalizedTranscript.split(" ");
+    const fuzzyScore = Math.max(
+      fuzzyTokenScore(cTokens, spokenTokens, threshold),
+      compactPhraseScore(cTokens, spokenTokens, threshold)
+    );
+    score = Math.max(score, fuzzyScore * FUZZY_MATCH_WEIGHT);
   }
 
-  return bestScore >= (minScore ?? 0.3) ? best : "";
+  return score;
 }
 
 /**
@@ -213,6 +1899,12 @@ function bestMatchFromList(transcript, candidates, minScore) {
  * LOGIC OVERVIEW:
  * The card name is the text between "charge" and the next keyword (either "category" or "description").
  * This function extracts that text, cleans it, and matches it against the known account names list.
+ * Aliases configured in Settings (e.g. "double cash" for "Citi DoubleCash") are matched too,
+ * and a match on an alias resolves to the canonical account name.
+ * 
+ * KEYWORDS: "charge", "to", "category" and "description" are the defaults; synonyms such as
+ * "paid" or "spent" can be configured in Settings (see getTriggerKeywords in configService).
+ * When an account keyword ("to") is spoken, only the text after it is matched.
  * 
  * SUPPORTED PATTERNS:
  * - "Charge $30 to Chase Unlimited. Category is gift purchase. Description is groceries"
@@ -258,78 +1950,170 @@ function bestMatchFromList(transcript, candidates, minScore) {
  * extractCardName("No charge keyword here")
  * // Returns: "" (empty string, falls back to searching entire transcript)
  */
-export function extractCardName(transcript) {
-  if (!transcript) return "";
-  
-  const lower = transcript.toLowerCase();
-  const chargeKeyword = "charge";
-  const categoryKeyword = "category";
-  const descriptionKeyword = "description";
+export function extractCardName(transcript, context = getParseContext()) {
+  return matchCardName(transcript, chargeSegment(transcript, context), null, context).value;
+}
+
+/**
+ * Finds the charge segment: the text between the charge keyword and the next keyword
+ * (merchant, category, description, tags or a custom field), or the end of the transcript.
+ * Both the account and the amount are read from it.
+ * @param {string} transcript - The full transcript text
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null} - null when
+ *   no charge keyword was spoken
+ */
+function chargeSegment(transcript, context) {
+  const charge = transcript ? findKeyword(transcript, "charge", context) : null;
+  if (!charge) return null;
+  const nextKeyword = findFirstKeyword(
+    transcript,
+    withCustomFieldGroups(SEGMENT_BOUNDARY_GROUPS, context),
+    context,
+    charge.end
+  );
+  const end = nextKeyword ? nextKeyword.start : transcript.length;
+  return { start: charge.end, end, text: transcript.substring(charge.end, end), keyword: charge };
+}
+
+/**
+ * Same as extractCardName, but also returns the fuzzy match score and any
+ * tied candidates (see scoreBestMatch). `guessed` is true when no account was spoken
+ * and the value is only the best match anywhere in the transcript.
+ * @param {string} transcript - The full transcript text
+ * @param {Object|null} segment - The charge segment (see chargeSegment)
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{value: string, score: number, candidates: string[], guessed?: boolean}}
+ */
+function matchCardName(transcript, segment, trace, context) {
+  if (!transcript) return { value: "", score: 0, candidates: [] };
   
-  // STEP 1: Find "charge" keyword in the transcript
-  const chargeStartIdx = lower.indexOf(chargeKeyword);
-  if (chargeStartIdx === -1) {
-    // FALLBACK: if no "charge" found, search entire transcript
-    const cardNames = getCachedAccountNames();
-    return bestMatchFromList(transcript, cardNames, 0.3);
+  if (!segment) {
+    // FALLBACK: if no charge keyword found, search entire transcript
+    return {
+      ...traceMatch(trace, "card_name", "no charge keyword, matched the whole transcript",
+        textSpan(transcript, 0, transcript.length), transcript,
+        matchAgainstAccounts(transcript, context)),
+      guessed: true,
+    };
   }
   
-  const chargeOffset = chargeStartIdx + chargeKeyword.length;
-  
-  // STEP 2: Find the next keyword ("category" or "description") after "charge"
-  const afterCharge = lower.substring(chargeOffset);
-  const categoryIdx = afterCharge.indexOf(categoryKeyword);
-  const descriptionIdx = afterCharge.indexOf(descriptionKeyword);
+  // Clean up the segment, keeping only what follows "to" if it was spoken
+  const cleanedCardText = cleanSegment(afterAccountKeyword(segment.text, context));
   
-  let nextKeywordOffset;
-  if (categoryIdx !== -1 && descriptionIdx !== -1) {
-    // Both found - use whichever comes first
-    nextKeywordOffset = Math.min(categoryIdx, descriptionIdx);
-  } else if (categoryIdx !== -1) {
-    nextKeywordOffset = categoryIdx;
-  } else if (descriptionIdx !== -1) {
-    nextKeywordOffset = descriptionIdx;
-  } else {
-    // FALLBACK: If no "category" or "description" found, take everything after "charge"
-    let cardText = transcript.substring(chargeOffset);
-    cardText = cardText
-      .replace(/^[\s:,-]+/i, "") // Remove leading separators
-      .replace(/[\s:,-]+$/i, "") // Remove trailing separators
-      .trim();
-    
-    if (!cardText) {
-      const cardNames = getCachedAccountNames();
-      return bestMatchFromList(transcript, cardNames, 0.3);
-    }
-    
-    const cardNames = getCachedAccountNames();
-    return bestMatchFromList(cardText, cardNames, 0.3);
+  const span = textSpan(transcript, segment.start, segment.end);
+  if (!cleanedCardText) {
+    // FALLBACK: if extraction failed, search entire transcript
+    return {
+      ...traceMatch(trace, "card_name", "empty charge segment, matched the whole transcript",
+        span, transcript, matchAgainstAccounts(transcript, context)),
+      guessed: true,
+    };
   }
   
-  // STEP 3: Extract text between "charge" and the next keyword
-  const cardText = transcript.substring(
-    chargeOffset,
-    chargeOffset + nextKeywordOffset
+  // Match the extracted text against the account names list
+  // (empty string if no match)
+  return traceMatch(
+    trace,
+    "card_name",
+    segment.end < transcript.length
+      ? "charge segment, up to the next keyword"
+      : "charge segment, to the end (no later keyword)",
+    span,
+    cleanedCardText,
+    matchAgainstAccounts(cleanedCardText, context)
   );
-  
-  // STEP 4: Clean up the extracted text
-  const cleanedCardText = cardText
+}
+
+// Keyword groups that end the charge segment
+const SEGMENT_BOUNDARY_GROUPS = ["merchant", "category", "description", "tags"];
+
+/**
+ * Removes leading/trailing separators (spaces, colons, commas, dashes) from a segment.
+ */
+function cleanSegment(text) {
+  return text
     .replace(/^[\s:,-]+/i, "") // Remove leading separators
     .replace(/[\s:,-]+$/i, "") // Remove trailing separators
     .trim();
-  
-  if (!cleanedCardText) {
-    // FALLBACK: if extraction failed, search entire transcript
-    const cardNames = getCachedAccountNames();
-    return bestMatchFromList(transcript, cardNames, 0.3);
+}
+
+/**
+ * Returns the text after the account keyword ("$30 to Chase" → "Chase"),
+ * or the whole text when no account keyword (or nothing after it) was spoken.
+ */
+function afterAccountKeyword(text, context) {
+  const account = findKeyword(text, "account", context);
+  if (!account) return text;
+  const after = text.substring(account.end);
+  return cleanSegment(after) ? after : text;
+}
+
+/**
+ * Extracts the two accounts of a transfer or card payment.
+ *
+ * SUPPORTED PATTERNS:
+ * - "Transfer $800 from BOA checking to Chase Sapphire"
+ *   → { from: "BOA checking", to: "Chase Sapphire" }
+ * - "Paid off Citi DoubleCash 1,200 from Chase checking"
+ *   → { from: "Chase checking", to: "Citi DoubleCash" }
+ * - "Move 500 dollars into BOA checking from Chase checking"
+ *   → { from: "Chase checking", to: "BOA checking" }
+ *
+ * The source is the account after "from"; the destination is the account after "to",
+ * "into" or "toward", or the one being paid ("paid off X", "payment to X"). Each phrase is
+ * matched with the same account matcher as extractCardName and ends at the next cue,
+ * an amount or a clause break.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{from: string, to: string}} - Account names (empty when not found)
+ */
+export function extractTransferAccounts(transcript, context = getParseContext()) {
+  const accounts = matchTransferAccounts(transcript, context);
+  return { from: accounts.from.value, to: accounts.to.value };
+}
+
+// Words that introduce the source or the destination of a transfer
+const TRANSFER_SOURCE_CUE = /\bfrom\b/gi;
+const TRANSFER_DESTINATION_CUE =
+  /\b(?:to|into|towards?|pa(?:y|id)\s+off|payment\s+(?:to|for|on)|pa(?:y|id))\b/gi;
+
+// End of an account phrase: another cue, an amount or a clause break
+const TRANSFER_PHRASE_END = /\b(?:from|to|into|towards?)\b|[.,;!?]|\$|\b\d[\d,.]*\b(?!%)/i;
+
+/**
+ * Same as extractTransferAccounts, but with the match details of each account
+ * (see scoreBestMatch), so ties and low scores can be flagged for review.
+ * @returns {{from: {value: string, score: number, candidates: string[]},
+ *            to: {value: string, score: number, candidates: string[]}}}
+ */
+function matchTransferAccounts(transcript, context) {
+  const text = normalizeCurrencyMarkers(replaceNumberWords(transcript || ""));
+  const from = accountAfterCue(text, TRANSFER_SOURCE_CUE, "", context);
+  const to = accountAfterCue(text, TRANSFER_DESTINATION_CUE, from.value, context);
+  return { from, to };
+}
+
+/**
+ * Matches the phrase after each cue against the account list and returns the first
+ * phrase that names an account (other than `excluded`).
+ */
+function accountAfterCue(text, cuePattern, excluded, context) {
+  const noMatch = { value: "", score: 0, candidates: [] };
+  cuePattern.lastIndex = 0;
+  let cue;
+  while ((cue = cuePattern.exec(text)) !== null) {
+    const after = text.substring(cue.index + cue[0].length);
+    const end = after.search(TRANSFER_PHRASE_END);
+    const phrase = cleanSegment(end === -1 ? after : after.substring(0, end));
+    if (!phrase) continue;
+
+    const match = matchAgainstAccounts(phrase, context);
+    if (match.value && match.value !== excluded) return match;
   }
-  
-  // STEP 5: Match the extracted text against the account names list
-  const cardNames = getCachedAccountNames();
-  const matched = bestMatchFromList(cleanedCardText, cardNames, 0.3);
-  
-  // STEP 6: Return matched account name or empty string
-  return matched || "";
+  return noMatch;
 }
 
 /**
@@ -339,17 +2123,42 @@ export function extractCardName(transcript) {
  * The amount is the text between "charge" and the next keyword (either "category" or "description").
  * This function first extracts that text segment, then searches for monetary amounts in various
  * formats within that segment, and normalizes them to a standard format: "XX.XX" (dollars.cents as a string).
+ * The charge, category and description keywords are configurable (see extractCardName).
  * 
  * The function tries patterns in order of specificity (most specific first) to avoid false matches.
  * For example, "cents only" is checked before general dollar patterns to correctly handle "99 cents" vs "$99".
  * 
+ * SPELLED-OUT NUMBERS:
+ * Before matching, number words are rewritten as digits (see numberWords.js), so every
+ * pattern below also accepts spoken forms:
+ *    - "twenty five dollars and forty cents" → "25 dollars and 40 cents" → "25.40"
+ *    - "a hundred and five bucks" → "105 bucks" → "105.00"
+ *    - "one fifty" → "$1.50" → "1.50" (informal price reading)
+ *    - "one fifty dollars" → "150 dollars" → "150.00"
+ * 
+ * OTHER CURRENCIES:
+ * Currency symbols, codes and names are rewritten into dollar forms before matching
+ * (see currency.js), so the same patterns apply:
+ *    - "€30" → "$30" → "30.00", "45 euros" → "$45" → "45.00"
+ *    - "2000 yen" → "2000.00", "CAD 15" → "15.00"
+ * The amount is returned as spoken; buildExpenseRecordFromTranscript records the
+ * currency and converts it to the home currency.
+ * 
+ * ARITHMETIC:
+ * An amount spoken as arithmetic is evaluated to its total (see amountExpressions.js):
+ *    - "48 dollars plus 20 percent tip" → "57.60"
+ *    - "three coffees at 4.50 each" → "13.50"
+ *    - "$30 plus tax" → "32.40" (with the 8% default sales tax rate)
+ *    - "12 plus 8.50 plus 3 dollars" → "23.50"
+ * 
  * SUPPORTED PATTERNS (in order of matching):
  * 
- * 1. VERBAL FORMAT: "XX dollars (and YY cents)" where cents is optional
+ * 1. VERBAL FORMAT: "XX dollars|bucks (and YY cents)" where cents is optional
  *    - "325 dollars" → "325.00"
  *    - "325 dollars and 39 cents" → "325.39"
  *    - "4,000 dollars" → "4000.00"
  *    - "4,000 dollars and 50 cents" → "4000.50"
+ *    - "40 bucks" → "40.00"
  *    - Checked FIRST to avoid matching just "39 cents" from "325 dollars and 39 cents"
  * 
  * 2. CENTS ONLY: "XX cents" (without dollars)
@@ -378,7 +2187,8 @@ export function extractCardName(transcript) {
  * 2. Find the next keyword: Try "category" first, then "description" (whichever comes first)
  * 3. Extract text segment between "charge" and the found keyword
  * 4. Clean extracted text: Remove leading/trailing separators
- * 5. Search for amount patterns in the extracted segment (in order of specificity)
+ * 5. Rewrite spelled-out numbers as digits, then search for amount patterns in the
+ *    extracted segment (in order of specificity)
  * 6. Normalize found amount to "XX.XX" format
  * 7. Return normalized amount OR empty string if no pattern matches
  * 
@@ -399,8 +2209,13 @@ export function extractCardName(transcript) {
  * - Large numbers with commas: "$1,234,567.89" → "1234567.89"
  * - Verbal format: "325 dollars and 39 cents" → "325.39"
  * - Numbers without dollar sign: "4,000" → "4000.00" (only if >= 10 or has commas)
+ *
+ * LOCALE:
+ * - With a decimal-comma locale configured (see getLocale), "12,50" is 12.50 and
+ *   "1.234,56" is 1234.56 (see normalizeDecimalSeparators)
  * 
  * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
  * @returns {string} - The extracted amount in "XX.XX" format, or empty string if not found
  * 
  * @example
@@ -423,71 +2238,103 @@ export function extractCardName(transcript) {
  * extractExpenseAmount("No charge keyword here")
  * // Falls back to searching entire transcript → Returns: "" (empty string)
  */
-export function extractExpenseAmount(transcript) {
-  if (!transcript) return "";
-  
-  const lower = transcript.toLowerCase();
-  const chargeKeyword = "charge";
-  const categoryKeyword = "category";
-  const descriptionKeyword = "description";
+export function extractExpenseAmount(transcript, context = getParseContext()) {
+  return matchExpenseAmount(transcript, null, context).value;
+}
+
+/**
+ * Same as extractExpenseAmount, but also returns the currency spoken with the amount
+ * and, when the amount was spoken as arithmetic, the expression (see evaluateAmountExpression).
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @param {boolean} [localized] - Whether the numbers were already rewritten by
+ *   localizeNumbers; rewriting "4.500" (4,500 in de-DE) a second time would read 4500
+ * @returns {{value: string, currency: string|null, expression: string}} - currency is null
+ *   when none was spoken; expression is empty for a plain figure
+ */
+export function matchExpenseAmount(transcript, trace, context = getParseContext(), localized = false) {
+  return matchAmountInSegment(transcript, chargeSegment(transcript, context), trace, context, localized);
+}
+
+/**
+ * Same as matchExpenseAmount, for a charge segment that was already found
+ * (see chargeSegment); without one the whole transcript is searched.
+ */
+function matchAmountInSegment(transcript, segment, trace, context, localized = false) {
+  if (!transcript) return { value: "", currency: null, expression: "" };
+  const localize = (text) => (localized ? text : localizeNumbers(text, context));
   
-  // STEP 1: Find "charge" keyword in the transcript
-  const chargeStartIdx = lower.indexOf(chargeKeyword);
   let searchText = transcript;
-  let searchTextLower = lower;
+  let span = textSpan(transcript, 0, transcript.length);
+  let branch = "no charge keyword, searched the whole transcript";
   
-  if (chargeStartIdx !== -1) {
-    const chargeOffset = chargeStartIdx + chargeKeyword.length;
-    
-    // STEP 2: Find the next keyword ("category" or "description") after "charge"
-    const afterCharge = lower.substring(chargeOffset);
-    const categoryIdx = afterCharge.indexOf(categoryKeyword);
-    const descriptionIdx = afterCharge.indexOf(descriptionKeyword);
-    
-    let nextKeywordOffset;
-    if (categoryIdx !== -1 && descriptionIdx !== -1) {
-      // Both found - use whichever comes first
-      nextKeywordOffset = Math.min(categoryIdx, descriptionIdx);
-    } else if (categoryIdx !== -1) {
-      nextKeywordOffset = categoryIdx;
-    } else if (descriptionIdx !== -1) {
-      nextKeywordOffset = descriptionIdx;
-    } else {
-      // FALLBACK: If no "category" or "description" found, take everything after "charge"
-      nextKeywordOffset = afterCharge.length;
-    }
-    
-    // STEP 3: Extract text segment between "charge" and the next keyword
-    const amountText = transcript.substring(
-      chargeOffset,
-      chargeOffset + nextKeywordOffset
-    );
-    
-    // STEP 4: Clean extracted text
-    const cleanedAmountText = amountText
-      .replace(/^[\s:,-]+/i, "") // Remove leading separators
-      .replace(/[\s:,-]+$/i, "") // Remove trailing separators
-      .trim();
+  if (segment) {
+    const cleanedAmountText = cleanSegment(segment.text);
     
     if (cleanedAmountText) {
       // Use the extracted segment for pattern matching
       searchText = cleanedAmountText;
-      searchTextLower = cleanedAmountText.toLowerCase();
+      span = textSpan(transcript, segment.start, segment.end);
+      branch = "charge segment";
+    } else {
+      // If extraction failed, fall back to searching entire transcript
+      branch = "empty charge segment, searched the whole transcript";
     }
-    // If extraction failed, fall back to searching entire transcript
   }
-  // If no "charge" found, searchText remains as entire transcript (fallback)
+  // If no charge keyword found, searchText remains as entire transcript (fallback)
+  const searchTextLower = searchText.toLowerCase();
   
-  // STEP 5: Search for amount patterns in the extracted segment (or entire transcript)
-  const text = searchTextLower;
+  // Search for amount patterns in the extracted segment (or entire transcript)
+  // Spelled-out numbers ("twenty five dollars") are rewritten as digits first, and
+  // foreign currency markers ("€30", "45 euros") as dollar forms
+  const currency = detectCurrency(searchTextLower, context.homeCurrency);
+
+  // Arithmetic ("48 dollars plus 20 percent tip", "3 coffees at 4.50 each")
+  // is evaluated to its total; the spoken expression is kept for the description
+  const expression = evaluateAmountExpression(
+    cleanSegment(localize(replaceNumberWords(searchText))),
+    context.salesTaxRate
+  );
+  if (expression) {
+    traceStep(trace, "expense_amount", {
+      branch: `${branch}, evaluated arithmetic`,
+      span,
+      segment: searchText,
+      candidates: [],
+      value: expression.value,
+    });
+    return { value: expression.value, currency, expression: expression.expression };
+  }
+
+  // Number words are read before lowercasing, so names like "Capital One" stay names
+  const text = normalizeCurrencyMarkers(
+    localize(replaceNumberWords(searchText).toLowerCase())
+  );
+  const value = matchAmountPattern(text);
+  traceStep(trace, "expense_amount", {
+    branch: value ? `${branch}, amount pattern` : `${branch}, no amount pattern matched`,
+    span,
+    segment: text,
+    candidates: [],
+    value,
+  });
+  return { value, currency, expression: "" };
+}
 
-  // PATTERN 1: "XX dollars (and YY cents)" where cents part is optional
+/**
+ * Finds the first amount pattern in normalized lowercase text (see extractExpenseAmount).
+ * @returns {string} - The amount in "XX.XX" format, or empty string if not found
+ */
+function matchAmountPattern(text) {
+  // PATTERN 1: "XX dollars|bucks (and YY cents)" where cents part is optional
   // Matches: "325 dollars" -> 325.00
   // Matches: "325 dollars and 39 cents" -> 325.39
   // Matches: "4,000 dollars" -> 4000.00
+  // Matches: "40 bucks" -> 40.00
   // Checked FIRST because it's more specific than "cents only" pattern
   // This prevents "325 dollars and 39 cents" from matching just "39 cents"
-  const dollarsPattern = text.match(/\b([\d,]+)\s+dollars?(?:\s+and\s+(\d+)\s+cents?)?/);
+  const dollarsPattern = text.match(/\b([\d,]+)\s+(?:dollars?|bucks?)(?:\s+and\s+(\d+)\s+cents?)?/);
   if (dollarsPattern) {
     const dollars = dollarsPattern[1].replace(/,/g, '');
     const cents = dollarsPattern[2] ? dollarsPattern[2].padStart(2, '0') : '00';
@@ -569,7 +2416,9 @@ export function extractExpenseAmount(transcript) {
  * 
  * LOGIC OVERVIEW:
  * The category is always the text between the category keyword and the description keyword.
- * This function extracts that text, cleans it, and matches it against the known category list.
+ * This function extracts that text, cleans it, and matches it against the known category list
+ * (including category aliases, which resolve to the canonical category name).
+ * Both keywords are configurable, e.g. "for" or "under" instead of "category" (see extractCardName).
  * 
  * SUPPORTED PATTERNS:
  * - "Category is gift purchase. Description is parents visiting groceries"
@@ -597,6 +2446,8 @@ export function extractExpenseAmount(transcript) {
  * - If no match found but text extracted: Return cleaned extracted text (for new categories)
  * 
  * @param {string} transcript - The full transcript text
+ * @param {string} [transactionType] - Matches against the income categories when "income"
+ * @param {Object} [context] - Parse context (see createParseContext)
  * @returns {string} - The matched category name or the extracted category text
  * 
  * @example
@@ -611,90 +2462,110 @@ export function extractExpenseAmount(transcript) {
  * extractExpenseCategory("Category is new category. Description is something")
  * // Returns: "new category" (no match found, returns extracted text)
  */
-export function extractExpenseCategory(transcript) {
-  if (!transcript) return "";
-  
-  const lower = transcript.toLowerCase();
-  const categoryKeywordWithIs = "category is";
-  const categoryKeyword = "category";
-  const descriptionKeywordWithIs = "description is";
-  const descriptionKeyword = "description";
-  
-  // STEP 1: Try to find "category is" first, then fall back to "category"
-  let categoryStartIdx = lower.indexOf(categoryKeywordWithIs);
-  let categoryOffset;
-  
-  if (categoryStartIdx !== -1) {
-    categoryOffset = categoryStartIdx + categoryKeywordWithIs.length;
-  } else {
-    categoryStartIdx = lower.indexOf(categoryKeyword);
-    if (categoryStartIdx === -1) {
-      // FALLBACK: if no "category" found, search entire transcript
-      const categories = getCachedExpenseCategories();
-      return bestMatchFromList(transcript, categories, 0.25);
-    }
-    categoryOffset = categoryStartIdx + categoryKeyword.length;
+export function extractExpenseCategory(transcript, transactionType, context = getParseContext()) {
+  return matchExpenseCategory(
+    transcript,
+    categorySegment(transcript, context),
+    transactionType,
+    null,
+    context
+  ).value;
+}
+
+/**
+ * Finds the category segment: the text between the category keyword ("category is" /
+ * "category" or a configured synonym) and the next description, merchant, tags or
+ * custom field keyword, or the end of the transcript.
+ * @param {string} transcript - The full transcript text
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null} - null when
+ *   no category keyword was spoken
+ */
+function categorySegment(transcript, context) {
+  const category = transcript ? findKeyword(transcript, "category", context) : null;
+  if (!category) return null;
+  const nextKeyword = findFirstKeyword(
+    transcript,
+    withCustomFieldGroups(["description", "merchant", "tags"], context),
+    context,
+    category.end
+  );
+  const end = nextKeyword ? nextKeyword.start : transcript.length;
+  return { start: category.end, end, text: transcript.substring(category.end, end), keyword: category };
+}
+
+/**
+ * Same as extractExpenseCategory, but also returns the fuzzy match score and whether
+ * the value is the raw extracted text because nothing in the list matched. `guessed` is
+ * true when no category was spoken and the value is only the best match anywhere in the
+ * transcript.
+ * @param {string} transcript - The full transcript text
+ * @param {Object|null} segment - The category segment (see categorySegment)
+ * @param {string} [transactionType] - One of TRANSACTION_TYPES
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{value: string, score: number, unmatched: boolean, guessed?: boolean}}
+ */
+function matchExpenseCategory(transcript, segment, transactionType, trace, context) {
+  if (!transcript) return { value: "", score: 0, unmatched: false };
+  const guessFromTranscript = (branch, span) => ({
+    ...traceMatch(trace, "expense_category", branch, span, transcript,
+      matchAgainstCategories(transcript, transactionType, context)),
+    unmatched: false,
+    guessed: true,
+  });
+
+  if (!segment) {
+    // FALLBACK: if no category keyword found, search entire transcript
+    return guessFromTranscript(
+      "no category keyword, matched the whole transcript",
+      textSpan(transcript, 0, transcript.length)
+    );
   }
-  
-  // STEP 2: Find "description is" or "description" after the category keyword
-  const afterCategoryStart = lower.substring(categoryOffset);
-  let descriptionStartIdx = afterCategoryStart.indexOf(descriptionKeywordWithIs);
-  let descriptionOffset;
-  
-  if (descriptionStartIdx !== -1) {
-    descriptionOffset = descriptionStartIdx;
-  } else {
-    descriptionStartIdx = afterCategoryStart.indexOf(descriptionKeyword);
-    if (descriptionStartIdx === -1) {
-      // FALLBACK: If no "description" found, take everything after the category keyword
-      let categoryText = transcript.substring(categoryOffset);
-      categoryText = categoryText
+
+  // Clean up the extracted text; a segment ending at a later keyword also loses the
+  // period before it
+  const toEnd = segment.end >= transcript.length;
+  const categoryText = toEnd
+    ? cleanSegment(segment.text)
+    : segment.text
         .replace(/^[\s:,-]+/i, "") // Remove leading separators
-        .replace(/[\s:,-]+$/i, "") // Remove trailing separators
+        .replace(/[\s:,-.]+$/i, "") // Remove trailing separators and periods
         .trim();
-      
-      if (!categoryText) {
-        const categories = getCachedExpenseCategories();
-        return bestMatchFromList(transcript, categories, 0.25);
-      }
-      
-      const categories = getCachedExpenseCategories();
-      const matched = bestMatchFromList(categoryText, categories, 0.25);
-      return matched || categoryText;
-    }
-    descriptionOffset = descriptionStartIdx;
-  }
-  
-  // STEP 3: Extract text between category keyword and description keyword
-  const categoryText = transcript.substring(
-    categoryOffset,
-    categoryOffset + descriptionOffset
-  );
-  
-  // STEP 4: Clean up the extracted text
-  const cleanedCategoryText = categoryText
-    .replace(/^[\s:,-]+/i, "") // Remove leading separators
-    .replace(/[\s:,-.]+$/i, "") // Remove trailing separators and periods
-    .trim();
-  
-  if (!cleanedCategoryText) {
+
+  const span = textSpan(transcript, segment.start, segment.end);
+  if (!categoryText) {
     // FALLBACK: if extraction failed, search entire transcript
-    const categories = getCachedExpenseCategories();
-    return bestMatchFromList(transcript, categories, 0.25);
+    return guessFromTranscript("empty category segment, matched the whole transcript", span);
   }
-  
-  // STEP 5: Match the extracted text against the category list
-  const categories = getCachedExpenseCategories();
-  const matched = bestMatchFromList(cleanedCategoryText, categories, 0.25);
-  
-  // STEP 6: Return matched category or cleaned extracted text
-  if (matched) {
-    return matched;
+
+  // Match the extracted text against the category list
+  const matched = traceMatch(
+    trace,
+    "expense_category",
+    toEnd ? "category segment, to the end (no later keyword)" : "category segment, up to the next keyword",
+    span,
+    categoryText,
+    matchAgainstCategories(categoryText, transactionType, context)
+  );
+  if (matched.value) {
+    return { ...matched, unmatched: false };
   }
-  
+
   // If no match found but we extracted text, return the cleaned extracted text
   // (in case it's a new category not in the list)
-  return cleanedCategoryText;
+  return keepUnmatchedCategory(trace, categoryText);
+}
+
+/**
+ * Keeps a spoken category that matched nothing in the list as raw text, noting it in the trace.
+ */
+function keepUnmatchedCategory(trace, categoryText) {
+  if (trace && trace.expense_category) {
+    trace.expense_category.branch += ", nothing matched so the spoken text was kept";
+    trace.expense_category.value = categoryText;
+  }
+  return { value: categoryText, score: 0, unmatched: true };
 }
 
 /**
@@ -703,6 +2574,8 @@ export function extractExpenseCategory(transcript) {
  * LOGIC OVERVIEW:
  * The description is everything after the description keyword until the end of the transcript.
  * This function finds the description keyword, extracts everything after it, and cleans it up.
+ * A "merchant is ..." or "tags ..." clause spoken after the description is left out. The description keyword
+ * is configurable (see extractCardName).
  * 
  * SUPPORTED PATTERNS:
  * - "Description is parents visiting groceries"
@@ -726,6 +2599,8 @@ export function extractExpenseCategory(transcript) {
  * more text after it. It assumes the description is the last meaningful part of the transcript.
  * 
  * @param {string} transcript - The full transcript text
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} [context] - Parse context (see createParseContext)
  * @returns {string} - The extracted description text, or empty string if not found
  * 
  * @example
@@ -744,31 +2619,387 @@ export function extractExpenseCategory(transcript) {
  * extractDescription("No description keyword here")
  * // Returns: "" (empty string)
  */
-export function extractDescription(transcript) {
+export function extractDescription(transcript, trace, context = getParseContext()) {
+  return matchDescription(transcript, descriptionSegment(transcript, context), trace);
+}
+
+/**
+ * Finds the description segment: everything after the description keyword, up to a later
+ * "merchant is", tags or custom field clause.
+ * @param {string} transcript - The full transcript text
+ * @param {Object} context - Parse context (see createParseContext)
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null} - null when
+ *   no description keyword was spoken
+ */
+function descriptionSegment(transcript, context) {
+  const description = transcript ? findKeyword(transcript, "description", context) : null;
+  if (!description) return null;
+  const nextClause = findFirstKeyword(
+    transcript,
+    withCustomFieldGroups(["merchant", "tags"], context),
+    context,
+    description.end
+  );
+  const end = nextClause ? nextClause.start : transcript.length;
+  // Use original transcript to preserve casing/punctuation
+  return {
+    start: description.end,
+    end,
+    text: transcript.substring(description.end, end),
+    keyword: description,
+  };
+}
+
+/**
+ * Cleans the description segment (see descriptionSegment) into the description.
+ */
+function matchDescription(transcript, segment, trace) {
   if (!transcript) return "";
-  const lower = transcript.toLowerCase();
-  const keywordWithIs = "description is";
-  const keyword = "description";
+  if (!segment) {
+    // No description keyword found
+    traceStep(trace, "description", {
+      branch: "no description keyword",
+      span: null,
+      segment: "",
+      candidates: [],
+      value: "",
+    });
+    return "";
+  }
+
+  // Clean up - remove leading separators like ":", "-", ",", spaces, etc.
+  const toEnd = segment.end >= transcript.length;
+  let after = segment.text.replace(/^[\s:,-]+/i, "").trim();
+  if (!toEnd) {
+    after = after.replace(/[\s.,;:-]+$/, ""); // Drop the break before "merchant is" / "tags"
+  }
+
+  traceStep(trace, "description", {
+    branch: toEnd ? "after description keyword, to the end" : "after description keyword, up to the next clause",
+    span: textSpan(transcript, segment.start, segment.end),
+    segment: after,
+    candidates: [],
+    value: after,
+  });
+  return after;
+}
+
+// Minimum fuzzy score for a spoken tag to resolve to a managed tag
+const TAG_MATCH_SCORE = 0.75;
+
+/**
+ * Extracts the tags spoken after the tags keyword.
+ *
+ * SUPPORTED PATTERNS:
+ * - "Tags reimbursable and Hawaii trip" → ["Reimbursable", "Hawaii trip"]
+ * - "Tag is business, tax deductible" → ["Business", "Tax deductible"]
+ * - "Tagged as Hawaii trip" → ["Hawaii trip"]
+ *
+ * Tags are separated by "and" or commas and end at the next keyword or sentence break.
+ * Each one is matched against the managed tag list (see getTags); a tag that is not in the
+ * list is kept as spoken and flagged for review. The tags keyword is configurable (see
+ * extractCardName); inside a description or merchant sentence it only counts after a comma.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string[]} - The tags, without duplicates (empty when none were spoken)
+ *
+ * @example
+ * extractTags("Charge $300 to Chase Sapphire. Category is Dining out. Tags reimbursable and Hawaii trip")
+ * // Returns: ["Reimbursable", "Hawaii trip"]
+ */
+export function extractTags(transcript, context = getParseContext()) {
+  const clause = matchTagsClause(transcript, context);
+  return clause ? clause.tags : [];
+}
+
+/**
+ * Same as extractTags, but also returns where the tags clause (keyword included) is in the text.
+ * @param {string} text - Text to search
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {{start: number, end: number, tags: string[]}|null} - null when no tags keyword was spoken
+ */
+export function matchTagsClause(text, context = getParseContext()) {
+  const segment = tagsSegment(text, context);
+  return segment
+    ? { start: segment.keyword.start, end: segment.end, tags: parseTags(segment.text, context) }
+    : null;
+}
+
+/**
+ * Finds the tags segment: the text after the tags keyword, up to the next keyword or
+ * sentence break.
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null}
+ */
+function tagsSegment(text, context) {
+  const keyword = text ? findKeyword(text, "tags", context) : null;
+  if (!keyword) return null;
 
-  // STEP 1: Try to find "description is" first, then fall back to "description"
-  let startIdx = lower.indexOf(keywordWithIs);
-  let offset;
+  const nextKeyword = findFirstKeyword(
+    text,
+    withCustomFieldGroups(["charge", "category", "description", "merchant"], context),
+    context,
+    keyword.end
+  );
+  let end = nextKeyword ? nextKeyword.start : text.length;
+  const sentenceBreak = text.substring(keyword.end, end).search(/[.;!?](?:\s|$)/);
+  if (sentenceBreak !== -1) end = keyword.end + sentenceBreak;
+  return { start: keyword.end, end, text: text.substring(keyword.end, end), keyword };
+}
 
-  if (startIdx !== -1) {
-    offset = startIdx + keywordWithIs.length;
-  } else {
-    startIdx = lower.indexOf(keyword);
-    if (startIdx === -1) return ""; // No description keyword found
-    offset = startIdx + keyword.length;
+/**
+ * Splits the tags segment into tags, each matched against the managed tag list.
+ */
+function parseTags(segmentText, context) {
+  const tags = [];
+  const tagsText = segmentText.replace(/^[\s:,-]*(?:(?:as|with|it)\s+)*/i, "");
+  for (const part of tagsText.split(/\s*(?:,|\band\b)\s*/i)) {
+    const spoken = cleanSegment(part.replace(/^(?:the|a|an)\s+/i, ""));
+    if (!spoken) continue;
+    const tag =
+      scoreBestMatch(spoken, context.tags, TAG_MATCH_SCORE, undefined, context.fuzzyThreshold)
+        .value || spoken;
+    if (!tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
   }
+  return tags;
+}
 
-  // STEP 2: Extract everything after the keyword (to end of transcript)
-  // Use original transcript to preserve casing/punctuation
-  let after = transcript.slice(offset);
+// Keyword groups that end a custom field value (besides a sentence break or comma)
+const CUSTOM_FIELD_BOUNDARY_GROUPS = ["charge", "category", "description", "merchant", "tags"];
+
+/**
+ * Extracts the custom fields defined in Settings (see getCustomFields), each spoken after
+ * its own keyword.
+ *
+ * SUPPORTED PATTERNS (for a field "Project" with keyword "project"):
+ * - "Charge $40 to Chase Sapphire, project Alpha" → { Project: "Alpha" }
+ * - "Project is Alpha. Description is team lunch" → { Project: "Alpha" }
+ *
+ * A value ends at the next keyword (custom fields included), comma or sentence break.
+ * When the field has allowed values, the spoken text is matched against them like a
+ * category; a value not in the list is kept as spoken and flagged for review.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {Object<string, string>} - Values by field name (fields not spoken are left out)
+ *
+ * @example
+ * extractCustomFields("Charge $40 to Chase Sapphire, project alpha")
+ * // Returns: { Project: "Alpha" }
+ */
+export function extractCustomFields(transcript, context = getParseContext()) {
+  const values = {};
+  for (const clause of matchCustomFieldClauses(transcript, context)) {
+    values[clause.name] = clause.value;
+  }
+  return values;
+}
+
+/**
+ * Same as extractCustomFields, but returns one entry per spoken field with where its
+ * clause (keyword included) is in the text, the spoken segment and how it matched.
+ * @param {string} text - Text to search
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {Array<{name: string, start: number, end: number, segment: string, value: string,
+ *   unmatched: boolean, scores: Array<{name: string, score: number}>}>} - In Settings order
+ */
+export function matchCustomFieldClauses(text, context = getParseContext()) {
+  if (!text) return [];
+  const clauses = [];
+  for (const field of context.customFields) {
+    const clause = matchCustomField(customFieldSegment(text, field, context), field, context);
+    if (clause) clauses.push(clause);
+  }
+  return clauses;
+}
 
-  // STEP 3: Clean up - remove leading separators like ":", "-", ",", spaces, etc.
-  after = after.replace(/^[\s:,-]+/i, "").trim();
+/**
+ * Finds the value segment of one custom field: the text after its keyword, up to the
+ * next keyword, comma or sentence break.
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null}
+ */
+// Minimum fuzzy score for a spoken custom field value to resolve to an allowed value
+const CUSTOM_FIELD_MATCH_SCORE = 0.5;
 
-  return after;
+function customFieldSegment(text, field, context) {
+  const keyword = text ? findKeyword(text, customFieldGroup(field), context) : null;
+  if (!keyword) return null;
+
+  const nextKeyword = findFirstKeyword(
+    text,
+    withCustomFieldGroups(CUSTOM_FIELD_BOUNDARY_GROUPS, context),
+    context,
+    keyword.end
+  );
+  let end = nextKeyword ? nextKeyword.start : text.length;
+  const valueBreak = text.substring(keyword.end, end).search(/[.,;!?](?:\s|$)/);
+  if (valueBreak !== -1) end = keyword.end + valueBreak;
+  return { start: keyword.end, end, text: text.substring(keyword.end, end), keyword };
+}
+
+/**
+ * Matches a custom field's value segment (see customFieldSegment) against its allowed values.
+ * @returns {Object|null} - A clause as in matchCustomFieldClauses, or null when nothing was spoken
+ */
+function matchCustomField(segment, field, context) {
+  const spoken = segment ? cleanSegment(segment.text) : "";
+  if (!spoken) return null;
+
+  const match = field.values.length
+    ? scoreBestMatch(spoken, field.values, CUSTOM_FIELD_MATCH_SCORE, undefined, context.fuzzyThreshold)
+    : { value: spoken, scores: [] };
+  return {
+    name: field.name,
+    start: segment.keyword.start,
+    end: segment.end,
+    segment: spoken,
+    value: match.value || spoken,
+    unmatched: !match.value,
+    scores: match.scores,
+  };
+}
+
+// Words that end a spoken merchant name ("at Costco for groceries", "from Target yesterday")
+const MERCHANT_STOP_WORDS = new Set([
+  "to", "on", "for", "with", "using", "via", "and", "in", "by", "under",
+  "today", "yesterday", "last", "this", "category", "description", "merchant", "date",
+  "charge", "charged", "paid", "spent",
+]);
+
+// "at ..." / "from ..." phrases that are not merchants
+const NON_MERCHANT_WORDS = new Set([
+  "home", "work", "night", "noon", "least", "most", "once", "first", "all",
+]);
+
+// Maximum number of words kept for a merchant name
+const MAX_MERCHANT_WORDS = 4;
+
+/**
+ * Extracts the merchant (store, restaurant, service) from a transcript.
+ *
+ * SUPPORTED PATTERNS (in order of matching):
+ * 1. Spoken merchant keyword: "Merchant is Trader Joe's", "merchant: Costco"
+ *    → everything up to the next sentence break or keyword
+ * 2. "at" / "from" phrases anywhere: "lunch at Chipotle", "from Trader Joe's"
+ *    → up to four words, stopping at words like "to", "for", "yesterday"
+ * 3. Capitalized name before ride/order/delivery: "Uber ride", "DoorDash order"
+ *
+ * Phrases that name one of the configured accounts ("from Chase checking") or that
+ * start with a number ("at 4.50 each") are not treated as merchants.
+ *
+ * @param {string} transcript - The full transcript text
+ * @param {Object} [trace] - Parse trace to record the steps in (see buildExpenseRecordFromTranscript)
+ * @param {Object} [context] - Parse context (see createParseContext)
+ * @returns {string} - The merchant name, or empty string if not found
+ *
+ * @example
+ * extractMerchant("Charge $40 to CITI COSTCO. Description is milk from Costco")
+ * // Returns: "Costco"
+ *
+ * @example
+ * extractMerchant("Charge $18 to Chase Sapphire. Description is Uber ride home")
+ * // Returns: "Uber"
+ */
+export function extractMerchant(transcript, trace, context = getParseContext()) {
+  return matchMerchant(transcript, merchantSegment(transcript, context), trace, context);
 }
 
+/**
+ * Finds the merchant segment: the text after the merchant keyword, up to the next
+ * category, description, tags or custom field keyword.
+ * @returns {{start: number, end: number, text: string, keyword: Object}|null}
+ */
+function merchantSegment(transcript, context) {
+  const keyword = transcript ? findKeyword(transcript, "merchant", context) : null;
+  if (!keyword) return null;
+  const nextKeyword = findFirstKeyword(
+    transcript,
+    withCustomFieldGroups(["category", "description", "tags"], context),
+    context,
+    keyword.end
+  );
+  const end = nextKeyword ? nextKeyword.start : transcript.length;
+  return { start: keyword.end, end, text: transcript.substring(keyword.end, end), keyword };
+}
+
+/**
+ * Reads the merchant from the merchant segment (see merchantSegment), falling back to
+ * "at" / "from" phrases and service names anywhere in the transcript.
+ */
+function matchMerchant(transcript, segment, trace, context) {
+  if (!transcript) return "";
+  const traced = (branch, start, end, segment, merchant) => {
+    traceStep(trace, "merchant", {
+      branch,
+      span: start === null ? null : textSpan(transcript, start, end),
+      segment,
+      candidates: [],
+      value: merchant,
+    });
+    return merchant;
+  };
+
+  // PATTERN 1: "merchant is X" / "merchant X"
+  if (segment) {
+    const merchantText = cleanSegment(segment.text.split(/[.,;!?]/)[0]);
+    if (merchantText) {
+      return traced("merchant keyword", segment.start, segment.end, merchantText, merchantText);
+    }
+  }
+
+  // PATTERN 2: "at X" / "from X"
+  const phraseRegex = /\b(?:at|from)\s+([^.,;!?]+)/gi;
+  let match;
+  while ((match = phraseRegex.exec(transcript)) !== null) {
+    const merchant = takeMerchantWords(match[1], context);
+    if (merchant && !isAccountName(merchant, context)) {
+      return traced("\"at\" / \"from\" phrase", match.index, match.index + match[0].length,
+        match[0], merchant);
+    }
+  }
+
+  // PATTERN 3: "Uber ride", "DoorDash order"
+  const serviceMatch = transcript.match(
+    /\b([A-Z][\w'&]*(?:\s+[A-Z][\w'&]*)?)\s+(?:ride|order|delivery)\b/
+  );
+  if (serviceMatch) {
+    // Drop a capitalized keyword caught in front ("Description Uber ride")
+    const words = serviceMatch[1].split(/\s+/);
+    const merchant = MERCHANT_STOP_WORDS.has(words[0].toLowerCase()) ? words.slice(1) : words;
+    if (merchant.length && !MERCHANT_STOP_WORDS.has(merchant[0].toLowerCase())) {
+      return traced("service name (\"Uber ride\")", serviceMatch.index,
+        serviceMatch.index + serviceMatch[0].length, serviceMatch[0], merchant.join(" "));
+    }
+  }
+
+  return traced("no merchant phrase", null, null, "", "");
+}
+
+/**
+ * Takes the leading merchant words from the text that follows "at" / "from".
+ * @returns {string} - The merchant name, or empty string if the text does not start with one
+ */
+function takeMerchantWords(text, context) {
+  const words = text.trim().split(/\s+/);
+  if (words[0] && words[0].toLowerCase() === "the") words.shift();
+
+  const kept = [];
+  for (const word of words) {
+    if (kept.length >= MAX_MERCHANT_WORDS) break;
+    if (MERCHANT_STOP_WORDS.has(word.toLowerCase()) || isTriggerKeyword(word, context)) break;
+    kept.push(word);
+  }
+
+  if (!kept.length || !/^[A-Za-z]/.test(kept[0])) return "";
+  if (NON_MERCHANT_WORDS.has(kept[0].toLowerCase())) return "";
+  return kept.join(" ");
+}
+
+/**
+ * Whether text names a configured account in full ("from Chase checking").
+ */
+function isAccountName(text, context) {
+  return matchAgainstAccounts(text, context).score >= 1;
+}
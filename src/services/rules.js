@@ -0,0 +1,330 @@
+/**
+ * Rules - User-defined rules that fill in or correct parsed records.
+ * A rule such as
+ * "if description or merchant contains Uber, Lyft then set category to Commute"
+ * runs after a record is parsed (see buildExpenseRecordFromTranscript) and saves
+ * saying the same category for every ride. Rules are edited in Settings as text
+ * and stored through configService (see getRules).
+ */
+
+import { computeNeedsReview, traceStep } from "./parsingLogic";
+
+// Record fields a rule can test, by the name used in rule text.
+// Longer names first, so "to account" is not read as "account".
+export const RULE_FIELDS = [
+  { name: "to account", field: "transfer_to" },
+  { name: "account", field: "card_name" },
+  { name: "category", field: "expense_category" },
+  { name: "description", field: "description" },
+  { name: "merchant", field: "merchant" },
+  { name: "amount", field: "expense_amount" },
+  { name: "currency", field: "currency" },
+  { name: "type", field: "transaction_type" },
+  { name: "date", field: "date" },
+  { name: "tags", field: "tags" },
+];
+
+// Fields a rule action can set or override
+const ACTION_FIELDS = new Set(["card_name", "expense_category", "description", "merchant", "tags"]);
+
+// Condition operators, longest first so "is not empty" is not read as "is not"
+const OPERATORS = [
+  "does not contain",
+  "is not empty",
+  "is empty",
+  "is not",
+  "is over",
+  "is under",
+  "contains",
+  "is",
+];
+
+// Operators that take no value
+const UNARY_OPERATORS = new Set(["is empty", "is not empty"]);
+
+/**
+ * Parses a rule written as text.
+ *
+ * SYNTAX:
+ * "if <condition> [and <condition> ...] then <action> [and <action> ...]"
+ * - condition: "<field> [or <field> ...] <operator> [<value>, <value> or <value>]"
+ *   where operator is one of "contains", "does not contain", "is", "is not",
+ *   "is empty", "is not empty", "is over" or "is under" (the last two compare amounts).
+ *   The condition holds when any of its fields matches any of its values.
+ * - action: "set <field> to <value>" fills the field only when it is empty (or holds
+ *   a suggestion from past records); "override <field> with <value>" always replaces it. For tags, set adds the tag
+ *   and override replaces all tags.
+ *
+ * Field names are those in RULE_FIELDS ("account", "category", "merchant", ...); actions
+ * can change the account, category, description, merchant and tags. Values are compared
+ * without regard to case. A value cannot contain " and ", which separates conditions.
+ *
+ * @param {string} text - The rule text
+ * @returns {{conditions: Object[], actions: Object[]}} - The rule
+ * @throws {Error} If the text is not a valid rule
+ *
+ * @example
+ * parseRule("if category is Grocery and account is empty then set account to CITI COSTCO")
+ * // Returns: { conditions: [{ fields: ["expense_category"], operator: "is", values: ["Grocery"] },
+ * //                         { fields: ["card_name"], operator: "is empty", values: [] }],
+ * //            actions: [{ type: "set", field: "card_name", value: "CITI COSTCO" }] }
+ */
+export function parseRule(text) {
+  const match = (text || "").trim().match(/^if\s+(.+?)\s+then\s+(.+)$/i);
+  if (!match) {
+    throw new Error('A rule must look like "if <condition> then <action>"');
+  }
+
+  const conditions = match[1].split(/\s+and\s+/i).map(parseCondition);
+  const actions = match[2].split(/\s+and\s+/i).map(parseAction);
+  return { conditions, actions };
+}
+
+/**
+ * Parses "description or merchant contains Uber, Lyft".
+ */
+function parseCondition(text) {
+  const fields = [];
+  let rest = text.trim();
+  for (;;) {
+    const field = leadingField(rest);
+    if (!field) {
+      throw new Error(`Unknown field in "${text}". Use one of: ${fieldNames()}`);
+    }
+    fields.push(field.field);
+    rest = rest.substring(field.length).trim();
+
+    const or = rest.match(/^or\s+/i);
+    if (!or || !leadingField(rest.substring(or[0].length))) break;
+    rest = rest.substring(or[0].length);
+  }
+
+  const operator = OPERATORS.find((candidate) =>
+    new RegExp(`^${candidate}(?:\\s|$)`, "i").test(rest)
+  );
+  if (!operator) {
+    throw new Error(`Unknown comparison in "${text}". Use one of: ${OPERATORS.join(", ")}`);
+  }
+
+  const values = rest
+    .substring(operator.length)
+    .split(/\s*,\s*|\s+or\s+/i)
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (UNARY_OPERATORS.has(operator) && values.length) {
+    throw new Error(`"${operator}" takes no value in "${text}"`);
+  }
+  if (!UNARY_OPERATORS.has(operator) && !values.length) {
+    throw new Error(`Missing value in "${text}"`);
+  }
+  if ((operator === "is over" || operator === "is under") && values.some((value) => isNaN(Number(value)))) {
+    throw new Error(`"${operator}" needs a number in "${text}"`);
+  }
+  return { fields, operator, values };
+}
+
+/**
+ * Parses "set category to Commute" / "override account with CITI COSTCO".
+ */
+function parseAction(text) {
+  const match = text.trim().match(/^(set|override)\s+(.+)$/i);
+  if (!match) {
+    throw new Error(`An action must start with "set" or "override": "${text}"`);
+  }
+  const field = leadingField(match[2]);
+  const value = field
+    ? match[2].substring(field.length).replace(/^\s*(?:to|with|=)\s+/i, "").trim()
+    : "";
+  if (!field || !ACTION_FIELDS.has(field.field)) {
+    throw new Error(`Cannot set that field in "${text}". Use account, category, description, merchant or tags`);
+  }
+  if (!value) {
+    throw new Error(`Missing value in "${text}"`);
+  }
+  return { type: match[1].toLowerCase(), field: field.field, value };
+}
+
+/**
+ * The rule field name at the start of the text, with its length.
+ * @returns {{field: string, length: number}|null}
+ */
+function leadingField(text) {
+  const entry = RULE_FIELDS.find(({ name }) => new RegExp(`^${name}\\b`, "i").test(text));
+  return entry ? { field: entry.field, length: entry.name.length } : null;
+}
+
+function fieldNames() {
+  return RULE_FIELDS.map(({ name }) => name).join(", ");
+}
+
+function fieldName(field) {
+  return RULE_FIELDS.find((entry) => entry.field === field).name;
+}
+
+/**
+ * Writes a rule back as text (the inverse of parseRule), for display and editing.
+ * @param {{conditions: Object[], actions: Object[]}} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const conditions = rule.conditions.map((condition) =>
+    [
+      condition.fields.map(fieldName).join(" or "),
+      condition.operator,
+      condition.values.join(", "),
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+  const actions = rule.actions.map((action) =>
+    action.type === "override"
+      ? `override ${fieldName(action.field)} with ${action.value}`
+      : `set ${fieldName(action.field)} to ${action.value}`
+  );
+  return `if ${conditions.join(" and ")} then ${actions.join(" and ")}`;
+}
+
+// Confidence flags marking a field that was suggested from past records rather than spoken
+const SUGGESTED_FLAGS = {
+  card_name: "card_suggested",
+  expense_category: "category_suggested",
+};
+
+/**
+ * Whether a field was filled by a suggestion from past records (see suggestFromHistory).
+ */
+function isSuggested(record, field) {
+  return !!(SUGGESTED_FLAGS[field] && record.confidence && record.confidence[SUGGESTED_FLAGS[field]]);
+}
+
+/**
+ * Whether a record satisfies a condition (any of its fields matches any of its values).
+ * A field suggested from past records counts as empty, since nothing was spoken for it.
+ */
+function matchesCondition(record, condition) {
+  return condition.fields.some((field) => {
+    const fieldValues = Array.isArray(record[field]) ? record[field] : [record[field] || ""];
+    const texts = fieldValues.map((value) => String(value).toLowerCase());
+    const isEmpty = isSuggested(record, field) || texts.every((value) => !value.trim());
+
+    switch (condition.operator) {
+      case "is empty":
+        return isEmpty;
+      case "is not empty":
+        return !isEmpty;
+      case "contains":
+        return condition.values.some((value) =>
+          texts.some((text) => text.includes(value.toLowerCase()))
+        );
+      case "does not contain":
+        return !condition.values.some((value) =>
+          texts.some((text) => text.includes(value.toLowerCase()))
+        );
+      case "is":
+        return condition.values.some((value) => texts.includes(value.toLowerCase()));
+      case "is not":
+        return !condition.values.some((value) => texts.includes(value.toLowerCase()));
+      case "is over":
+      case "is under": {
+        const amount = Number(record[field]);
+        if (record[field] === "" || isNaN(amount)) return false;
+        return condition.values.some((value) =>
+          condition.operator === "is over" ? amount > Number(value) : amount < Number(value)
+        );
+      }
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Applies one action to a record in place. Returns whether the record changed.
+ */
+function applyAction(record, action) {
+  if (action.field === "tags") {
+    const tags = record.tags || [];
+    const has = tags.some((tag) => tag.toLowerCase() === action.value.toLowerCase());
+    if (action.type === "override") {
+      if (tags.length === 1 && has) return false;
+      record.tags = [action.value];
+      return true;
+    }
+    if (has) return false;
+    record.tags = [...tags, action.value];
+    return true;
+  }
+
+  // "set" fills an empty field, or replaces a mere suggestion from past records
+  const current = record[action.field] || "";
+  if (action.type === "set" && current && !isSuggested(record, action.field)) return false;
+  if (current === action.value && !isSuggested(record, action.field)) return false;
+  record[action.field] = action.value;
+
+  // A value chosen by a rule is as certain as one picked by hand
+  if (action.field === "card_name") {
+    record.card_candidates = [];
+    record.confidence = { ...record.confidence, card_name: 1, card_suggested: false };
+  } else if (action.field === "expense_category") {
+    record.confidence = {
+      ...record.confidence,
+      expense_category: 1,
+      category_unmatched: false,
+      category_suggested: false,
+    };
+  }
+  return true;
+}
+
+/**
+ * Runs the rules, in order, over a parsed record. Each rule sees the changes made by the
+ * rules before it. Fields a rule changed are noted in the record's parse trace, if it has one.
+ *
+ * @param {Object} record - A record from buildExpenseRecordFromTranscript
+ * @param {Object[]} rules - Rules from parseRule (see getRules)
+ * @returns {{record: Object, applied: string[]}} - A new record, and the text of each rule
+ *   that changed it
+ *
+ * @example
+ * applyRules({ ...record, merchant: "Uber", expense_category: "" }, [
+ *   parseRule("if merchant contains uber then set category to Commute"),
+ * ])
+ * // Returns: { record: { ...record, expense_category: "Commute", ... },
+ * //            applied: ["if merchant contains uber then set category to Commute"] }
+ */
+export function applyRules(record, rules) {
+  const result = {
+    ...record,
+    tags: [...(record.tags || [])],
+    card_candidates: [...(record.card_candidates || [])],
+    confidence: { ...record.confidence },
+  };
+  if (record.trace) {
+    result.trace = { ...record.trace, fields: { ...record.trace.fields } };
+  }
+
+  const applied = [];
+  for (const rule of rules || []) {
+    if (!rule.conditions.every((condition) => matchesCondition(result, condition))) continue;
+
+    const text = describeRule(rule);
+    let changed = false;
+    for (const action of rule.actions) {
+      if (!applyAction(result, action)) continue;
+      changed = true;
+      if (result.trace) {
+        traceStep(result.trace.fields, action.field, {
+          branch: `rule "${text}"`,
+          span: null,
+          segment: "",
+          candidates: [],
+          value: action.field === "tags" ? result.tags.join(", ") : result[action.field],
+        });
+      }
+    }
+    if (changed) applied.push(text);
+  }
+
+  result.needs_review = computeNeedsReview(result);
+  return { record: result, applied };
+}
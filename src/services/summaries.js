@@ -0,0 +1,75 @@
+/**
+ * Summaries - Filters saved records and totals them, so spending can be reviewed
+ * by tag ("everything tagged Hawaii trip"), category or account across the sheet.
+ */
+
+// Transaction types that are not spending and are left out of totals
+const NON_SPENDING_TYPES = ["income", "transfer"];
+
+function sameText(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+/**
+ * Keeps the records that match every given filter.
+ *
+ * @param {Object[]} records - Records as built by parsingLogic or read back from the sheet
+ * @param {Object} [filters]
+ * @param {string} [filters.tag] - Only records carrying this tag (case-insensitive)
+ * @param {string} [filters.category] - Only records in this category
+ * @param {string} [filters.account] - Only records charged to this account
+ * @param {string} [filters.from] - Earliest date, "YYYY-MM-DD" (inclusive)
+ * @param {string} [filters.to] - Latest date, "YYYY-MM-DD" (inclusive)
+ * @returns {Object[]}
+ *
+ * @example
+ * filterRecords(records, { tag: "Hawaii trip" })
+ */
+export function filterRecords(records, filters = {}) {
+  const { tag, category, account, from, to } = filters;
+  return (records || []).filter((record) => {
+    if (tag && !(record.tags || []).some((recordTag) => sameText(recordTag, tag))) return false;
+    if (category && !sameText(record.expense_category, category)) return false;
+    if (account && !sameText(record.card_name, account)) return false;
+    if (from && (!record.date || record.date < from)) return false;
+    if (to && (!record.date || record.date > to)) return false;
+    return true;
+  });
+}
+
+/**
+ * Totals the spending in a list of records, overall and per category.
+ * Refunds and credits (negative amounts) reduce the total; income and transfers
+ * are not spending and are skipped.
+ *
+ * @param {Object[]} records
+ * @returns {{total: string, count: number, byCategory: Object<string, string>}} - Amounts in
+ *   "XX.XX" format; records without a category are totalled under "Uncategorized"
+ *
+ * @example
+ * summarizeRecords(filterRecords(records, { tag: "Hawaii trip" }))
+ * // Returns: { total: "1240.50", count: 6, byCategory: { "Dining out": "310.50", "Travel": "930.00" } }
+ */
+export function summarizeRecords(records) {
+  let totalCents = 0;
+  let count = 0;
+  const categoryCents = {};
+
+  for (const record of records || []) {
+    if (NON_SPENDING_TYPES.includes(record.transaction_type)) continue;
+    const amount = Number(record.expense_amount);
+    if (record.expense_amount === "" || !Number.isFinite(amount)) continue;
+
+    const cents = Math.round(amount * 100);
+    const category = record.expense_category || "Uncategorized";
+    categoryCents[category] = (categoryCents[category] || 0) + cents;
+    totalCents += cents;
+    count += 1;
+  }
+
+  const byCategory = {};
+  for (const [category, cents] of Object.entries(categoryCents)) {
+    byCategory[category] = (cents / 100).toFixed(2);
+  }
+  return { total: (totalCents / 100).toFixed(2), count, byCategory };
+}
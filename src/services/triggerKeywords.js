@@ -0,0 +1,17 @@
+/**
+ * Trigger keywords - The spoken words that mark each part of a transcript.
+ * The user can replace them in Settings (see getTriggerKeywords); these defaults are
+ * stored on first run and used by the parser until the configured ones are loaded.
+ */
+
+// Default spoken keywords that mark each part of a transcript:
+// "Charge $30 to Chase Sapphire. Merchant is Chipotle. Category is Dining out. Description is lunch.
+//  Tags reimbursable"
+export const DEFAULT_TRIGGER_KEYWORDS = {
+  charge: ["charge"],
+  account: ["to"],
+  category: ["category"],
+  description: ["description"],
+  merchant: ["merchant"],
+  tags: ["tags", "tag", "tagged"],
+};